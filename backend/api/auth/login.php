@@ -127,7 +127,8 @@ try {
         Response::error(
             'Invalid credentials.',
             ['auth' => 'No account found with this email address.'],
-            401 // 401 Unauthorized
+            401, // 401 Unauthorized
+            'INVALID_CREDENTIALS'
         );
     }
     
@@ -146,7 +147,8 @@ if (!$passwordIsValid) {
     Response::error(
         'Invalid credentials.',
         ['auth' => 'The password you entered is incorrect.'],
-        401 // 401 Unauthorized
+        401, // 401 Unauthorized
+        'INVALID_CREDENTIALS'
     );
 }
 
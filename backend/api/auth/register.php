@@ -135,7 +135,8 @@ try {
         Response::error(
             'Registration failed.',
             ['email' => 'This email is already registered. Please use a different email or try logging in.'],
-            422
+            422,
+            'EMAIL_TAKEN'
         );
     }
     
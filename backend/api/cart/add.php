@@ -161,7 +161,8 @@ try {
                 'available' => $stockAvailable,
                 'requested' => $quantity
             ],
-            400
+            400,
+            'INSUFFICIENT_STOCK'
         );
     }
     
@@ -226,7 +227,8 @@ try {
                     'would_be' => $newQuantity,
                     'stock_available' => $stockAvailable
                 ],
-                400
+                400,
+                'INSUFFICIENT_STOCK'
             );
         }
         
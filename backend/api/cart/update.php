@@ -174,7 +174,8 @@ try {
                 'requested' => $quantity,
                 'available' => $stockAvailable
             ],
-            400
+            400,
+            'INSUFFICIENT_STOCK'
         );
     }
     
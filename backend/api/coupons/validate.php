@@ -0,0 +1,150 @@
+<?php
+declare(strict_types=1);
+/**
+ * Validate Promo Code Endpoint
+ * 
+ * Checks a promo code against the logged-in user's current cart and
+ * returns what the order would cost with it. Nothing is saved: the code is
+ * only redeemed when the order is placed (orders/create.php checks it
+ * again, so a code that expired in the meantime is refused there too).
+ * 
+ * The rules live in utils/CouponEngine.php (percentage, fixed amount,
+ * free shipping, category restriction, minimum order, validity period,
+ * one use per customer).
+ * 
+ * Expected POST data:
+ * - code: the promo code (required, case-insensitive)
+ * 
+ * Errors:
+ * - 422 COUPON_INVALID: the code can't be used (message says why)
+ * - 400 CART_EMPTY: nothing to discount
+ */
+
+// ============================================
+// CORS AND HEADERS CONFIGURATION (Unified)
+// ============================================
+$allowedOrigin = 'http://localhost';
+header("Access-Control-Allow-Origin: $allowedOrigin");
+header('Access-Control-Allow-Credentials: true');
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Content-Type: application/json; charset=utf-8');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// ============================================
+// REQUIRE AUTHENTICATION
+// ============================================
+require_once __DIR__ . '/../../middleware/auth.php';
+require_once __DIR__ . '/../../config/database.php';
+require_once __DIR__ . '/../../utils/Response.php';
+require_once __DIR__ . '/../../utils/CouponEngine.php';
+
+$user = requireAuth();
+$userId = (int) $user['id'];
+
+// ============================================
+// CHECK REQUEST METHOD
+// ============================================
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    Response::error('Method not allowed. Please use POST request.', [], 405);
+}
+
+// ============================================
+// GET AND PARSE JSON INPUT
+// ============================================
+
+$input = file_get_contents('php://input');
+$data = json_decode($input, true);
+
+if (json_last_error() !== JSON_ERROR_NONE) {
+    Response::error('Invalid JSON data.', ['json_error' => json_last_error_msg()], 400);
+}
+
+$code = isset($data['code']) ? trim((string) $data['code']) : '';
+
+if ($code === '') {
+    Response::error('Validation failed.', ['code' => 'Please enter a promo code.'], 422);
+}
+
+// ============================================
+// DATABASE CONNECTION
+// ============================================
+try {
+    $pdo = getDatabaseConnection();
+    
+    if ($pdo === null) {
+        Response::error('Database connection failed.', [], 500);
+    }
+    
+} catch (Exception $e) {
+    Response::error('Server error: Unable to connect to database.', [], 500);
+}
+
+// ============================================
+// LOAD THE CART
+// ============================================
+try {
+    $cartStmt = $pdo->prepare('SELECT cart.product_id, cart.quantity, products.price, products.category_id
+                               FROM cart
+                               INNER JOIN products ON cart.product_id = products.id
+                               WHERE cart.user_id = :user_id');
+    $cartStmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $cartStmt->execute();
+    $cartItems = $cartStmt->fetchAll(PDO::FETCH_ASSOC);
+    
+} catch (PDOException $e) {
+    Response::error('Database error while fetching cart.', ['error' => $e->getMessage()], 500);
+}
+
+if (empty($cartItems)) {
+    Response::error('Your cart is empty.', [], 400, 'CART_EMPTY');
+}
+
+// ============================================
+// CHECK THE CODE
+// ============================================
+try {
+    $quote = CouponEngine::quote($pdo, $code, $userId, $cartItems);
+    
+} catch (CouponException $e) {
+    Response::error($e->getMessage(), ['code' => $e->getMessage()], 422, 'COUPON_INVALID');
+    
+} catch (PDOException $e) {
+    Response::error('Database error while checking promo code.', ['error' => $e->getMessage()], 500);
+}
+
+/**
+ * Amounts are sent both formatted ("120.00") and as numbers, like cart/view.php
+ */
+$money = static function (float $amount): string {
+    return number_format($amount, 2, '.', '');
+};
+
+Response::success(
+    $quote['discount_amount'] > 0
+        ? sprintf('Promo code applied: -%s TND.', $money($quote['discount_amount']))
+        : 'Promo code applied.',
+    [
+        'coupon' => $quote['coupon'],
+        'free_shipping' => $quote['free_shipping'],
+        'eligible_subtotal' => $money($quote['eligible_subtotal']),
+        'subtotal' => $money($quote['subtotal']),
+        'subtotal_numeric' => $quote['subtotal'],
+        'discount_amount' => $money($quote['discount_amount']),
+        'discount_amount_numeric' => $quote['discount_amount'],
+        'shipping_amount' => $money($quote['shipping_amount']),
+        'shipping_amount_numeric' => $quote['shipping_amount'],
+        'tax_rate' => ($quote['tax_rate'] * 100) . '%',
+        'tax_amount' => $money($quote['tax_amount']),
+        'tax_amount_numeric' => $quote['tax_amount'],
+        'total_price' => $money($quote['total_price']),
+        'total_price_numeric' => $quote['total_price']
+    ]
+);
+
+// End of validate.php
@@ -5,7 +5,7 @@
  * This endpoint handles the checkout process:
  * 1. Takes cart items and converts them to an order
  * 2. Captures shipping information
- * 3. Calculates totals (subtotal, tax, total)
+ * 3. Calculates totals (subtotal, promo code discount, tax, total)
  * 4. Updates product stock quantities
  * 5. Clears the user's cart
  * 
@@ -68,6 +68,7 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 require_once '../../config/database.php';
 require_once '../../utils/Response.php';
 require_once '../../middleware/auth.php';
+require_once '../../utils/CouponEngine.php';
 
 // Only allow POST requests
 if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
@@ -114,6 +115,9 @@ if (!in_array($paymentMethod, $validPaymentMethods)) {
     $errors['payment_method'] = 'Invalid payment method. Must be: cash_on_delivery, bank_transfer, or card.';
 }
 
+// Promo code is optional (checked against the cart below, see utils/CouponEngine.php)
+$couponCode = isset($data['coupon_code']) ? trim((string) $data['coupon_code']) : '';
+
 // If validation errors exist, return them
 if (!empty($errors)) {
     Response::error('Validation failed.', $errors, 400);
@@ -158,6 +162,7 @@ try {
             c.quantity,
             p.name as product_name,
             p.price,
+            p.category_id,
             p.stock_quantity
         FROM cart c
         INNER JOIN products p ON c.product_id = p.id
@@ -171,7 +176,7 @@ try {
     if (empty($cartItems)) {
         // Rollback transaction (though nothing changed yet)
         $pdo->rollBack();
-        Response::error('Cart is empty. Add products to cart before creating an order.', null, 400);
+        Response::error('Cart is empty. Add products to cart before creating an order.', null, 400, 'CART_EMPTY');
     }
     
     // ============================================
@@ -200,7 +205,8 @@ try {
                 'items_with_insufficient_stock' => $stockErrors,
                 'message' => 'Please reduce quantities or remove items.'
             ],
-            400
+            400,
+            'INSUFFICIENT_STOCK'
         );
     }
     
@@ -208,8 +214,9 @@ try {
     // STEP 7: Calculate order totals
     // ============================================
     // Subtotal = sum of (price × quantity) for all items
-    // Tax = subtotal × 0.19 (19% TVA in Tunisia)
-    // Total = subtotal + tax
+    // Discount = from the promo code, if any
+    // Tax = (subtotal - discount) × TAX_RATE (19% TVA in Tunisia)
+    // Total = subtotal - discount + tax + shipping
     
     $subtotal = 0.0;
     foreach ($cartItems as $item) {
@@ -217,12 +224,25 @@ try {
         $subtotal += $itemTotal;
     }
     
-    // Calculate tax (19% TVA)
-    $taxRate = 0.19;
-    $taxAmount = $subtotal * $taxRate;
+    // The promo code is checked again here: the cart or the code may have
+    // changed since the customer applied it. Refuse the order rather than
+    // silently charging the full price.
+    $couponQuote = null;
+    if ($couponCode !== '') {
+        try {
+            $couponQuote = CouponEngine::quote($pdo, $couponCode, (int) $userId, $cartItems, true);
+        } catch (CouponException $e) {
+            $pdo->rollBack();
+            Response::error($e->getMessage(), ['coupon_code' => $e->getMessage()], 422, 'COUPON_INVALID');
+        }
+    }
     
-    // Calculate total
-    $totalPrice = $subtotal + $taxAmount;
+    $totals = $couponQuote ?? CouponEngine::totals($subtotal);
+    $discountAmount = $couponQuote['discount_amount'] ?? 0.0;
+    $shippingAmount = $totals['shipping_amount'];
+    $taxRate = $totals['tax_rate'];
+    $taxAmount = $totals['tax_amount'];
+    $totalPrice = $totals['total_price'];
     
     // ============================================
     // STEP 8: Generate unique order number
@@ -251,6 +271,9 @@ try {
             user_id,
             order_number,
             subtotal,
+            coupon_code,
+            discount_amount,
+            shipping_amount,
             tax_amount,
             total_price,
             status,
@@ -263,6 +286,9 @@ try {
             :user_id,
             :order_number,
             :subtotal,
+            :coupon_code,
+            :discount_amount,
+            :shipping_amount,
             :tax_amount,
             :total_price,
             'pending',
@@ -278,6 +304,9 @@ try {
         ':user_id' => $userId,
         ':order_number' => $orderNumber,
         ':subtotal' => $subtotal,
+        ':coupon_code' => $couponQuote['coupon']['code'] ?? null,
+        ':discount_amount' => $discountAmount,
+        ':shipping_amount' => $shippingAmount,
         ':tax_amount' => $taxAmount,
         ':total_price' => $totalPrice,
         ':payment_method' => $paymentMethod,
@@ -290,6 +319,11 @@ try {
     // LAST_INSERT_ID() returns the auto-increment ID from the last INSERT
     $orderId = (int) $pdo->lastInsertId();
     
+    // Single-use codes can't be used again by this customer
+    if ($couponQuote !== null) {
+        CouponEngine::redeem($pdo, $couponQuote, (int) $userId, $orderId);
+    }
+    
     // ============================================
     // STEP 10: Copy cart items to order_items
     // ============================================
@@ -403,6 +437,9 @@ try {
             'order_id' => $orderId,
             'order_number' => $orderNumber,
             'subtotal' => number_format($subtotal, 2),
+            'coupon_code' => $couponQuote['coupon']['code'] ?? null,
+            'discount_amount' => number_format($discountAmount, 2),
+            'shipping_amount' => number_format($shippingAmount, 2),
             'tax_amount' => number_format($taxAmount, 2),
             'tax_rate' => ($taxRate * 100) . '%',
             'total_price' => number_format($totalPrice, 2),
@@ -98,6 +98,9 @@ try {
             id,
             order_number,
             subtotal,
+            coupon_code,
+            discount_amount,
+            shipping_amount,
             tax_amount,
             total_price,
             status,
@@ -203,6 +206,11 @@ try {
         'pricing' => [
             'subtotal' => number_format((float) $order['subtotal'], 2),
             'subtotal_numeric' => (float) $order['subtotal'],
+            'coupon_code' => $order['coupon_code'],
+            'discount_amount' => number_format((float) $order['discount_amount'], 2),
+            'discount_amount_numeric' => (float) $order['discount_amount'],
+            'shipping_amount' => number_format((float) $order['shipping_amount'], 2),
+            'shipping_amount_numeric' => (float) $order['shipping_amount'],
             'tax_amount' => number_format((float) $order['tax_amount'], 2),
             'tax_amount_numeric' => (float) $order['tax_amount'],
             'tax_rate' => '19%',
@@ -272,6 +280,11 @@ try {
  *       "pricing": {
  *         "subtotal": "2499.00",
  *         "subtotal_numeric": 2499,
+ *         "coupon_code": null,
+ *         "discount_amount": "0.00",
+ *         "discount_amount_numeric": 0,
+ *         "shipping_amount": "0.00",
+ *         "shipping_amount_numeric": 0,
  *         "tax_amount": "474.81",
  *         "tax_amount_numeric": 474.81,
  *         "tax_rate": "19%",
@@ -24,10 +24,17 @@ declare(strict_types=1);
  * - slug: Category slug (required, e.g., "ordinateurs", "accessoires")
  * - page: Page number for pagination (optional, default 1)
  * - limit: Items per page (optional, default 20)
+ * - brand, min_price, max_price, in_stock, min_rating, sort: same filters
+ *   and sort order as list.php (see utils/ProductFilters.php)
+ * 
+ * The response also has "filters" (the active ones) and "facets" (brands
+ * with counts, price range, stock availability, ratings) for the filter
+ * sidebar of the category pages.
  * 
  * Example URLs:
  * - /products/category.php?slug=ordinateurs
  * - /products/category.php?slug=accessoires&page=2
+ * - /products/category.php?slug=ordinateurs&brand=Lenovo&in_stock=1&sort=price_desc
  */
 
 // ============================================
@@ -37,7 +44,8 @@ $origin = $_SERVER['HTTP_ORIGIN'] ?? 'http://localhost';
 header("Access-Control-Allow-Origin: $origin");
 header('Access-Control-Allow-Credentials: true');
 header('Access-Control-Allow-Methods: GET, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, If-None-Match, If-Modified-Since');
+header('Access-Control-Expose-Headers: ETag, Last-Modified');
 header('Content-Type: application/json; charset=utf-8');
 
 // Handle preflight OPTIONS request
@@ -61,6 +69,10 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 // ============================================
 require_once __DIR__ . '/../../config/database.php';
 require_once __DIR__ . '/../../utils/Response.php';
+require_once __DIR__ . '/../../utils/ProductFilters.php';
+
+// Catalogue data rarely changes: let clients revalidate with ETag instead of refetching
+Response::cacheable();
 
 // ============================================
 // CHECK REQUEST METHOD
@@ -111,6 +123,14 @@ if ($limit < 1) {
 
 $offset = ($page - 1) * $limit;
 
+// Brand, price, stock and rating filters plus the sort order
+$filters = ProductFilters::fromQuery($_GET);
+$filterErrors = ProductFilters::validate($filters);
+
+if (!empty($filterErrors)) {
+    Response::error('Invalid filter parameters.', $filterErrors, 400);
+}
+
 // ============================================
 // DATABASE CONNECTION
 // ============================================
@@ -164,6 +184,13 @@ try {
     
     $categoryId = (int) $category['id'];
     
+    // Products of the category, narrowed by the sidebar filters
+    $baseWhere = 'products.category_id = :category_id';
+    $baseParams = ['category_id' => $categoryId];
+    
+    $params = $baseParams;
+    $where = $baseWhere . ProductFilters::where($filters, $params);
+    
 } catch (PDOException $e) {
     Response::error(
         'Database error while fetching category.',
@@ -178,11 +205,11 @@ try {
 
 $countSql = 'SELECT COUNT(*) as total 
              FROM products 
-             WHERE category_id = :category_id';
+             WHERE ' . $where;
 
 try {
     $countStmt = $pdo->prepare($countSql);
-    $countStmt->bindValue(':category_id', $categoryId, PDO::PARAM_INT);
+    ProductFilters::bind($countStmt, $params);
     $countStmt->execute();
     
     $totalProducts = (int) $countStmt->fetch(PDO::FETCH_ASSOC)['total'];
@@ -237,13 +264,13 @@ $sql = 'SELECT
             products.review_count,
             products.created_at
         FROM products
-        WHERE products.category_id = :category_id
-        ORDER BY products.created_at DESC
+        WHERE ' . $where . '
+        ORDER BY ' . ProductFilters::orderBy($filters) . '
         LIMIT :limit OFFSET :offset';
 
 try {
     $stmt = $pdo->prepare($sql);
-    $stmt->bindValue(':category_id', $categoryId, PDO::PARAM_INT);
+    ProductFilters::bind($stmt, $params);
     $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
     $stmt->bindValue(':offset', $offset, PDO::PARAM_INT);
     
@@ -296,7 +323,9 @@ try {
             'total_pages' => $totalPages,
             'has_next' => $page < $totalPages,
             'has_prev' => $page > 1
-        ]
+        ],
+        'filters' => ProductFilters::describe($filters),
+        'facets' => ProductFilters::facets($pdo, $baseWhere, $baseParams, $filters)
     ];
     
     $message = sprintf(
@@ -27,7 +27,8 @@ $origin = $_SERVER['HTTP_ORIGIN'] ?? 'http://localhost';
 header("Access-Control-Allow-Origin: $origin");
 header('Access-Control-Allow-Credentials: true');
 header('Access-Control-Allow-Methods: GET, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, If-None-Match, If-Modified-Since');
+header('Access-Control-Expose-Headers: ETag, Last-Modified');
 header('Content-Type: application/json; charset=utf-8');
 
 // Handle preflight OPTIONS request
@@ -48,6 +49,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 require_once __DIR__ . '/../../config/database.php';
 require_once __DIR__ . '/../../utils/Response.php';
 
+// Catalogue data rarely changes: let clients revalidate with ETag instead of refetching
+Response::cacheable();
+
 // ============================================
 // CHECK REQUEST METHOD
 // ============================================
@@ -274,6 +278,11 @@ $formattedProduct = [
 // SEND SUCCESS RESPONSE
 // ============================================
 
+// Lets clients revalidate with If-Modified-Since as well as the ETag
+if (!empty($product['updated_at'])) {
+    Response::lastModified($product['updated_at']);
+}
+
 Response::success(
     'Product details retrieved successfully.',
     ['product' => $formattedProduct]
@@ -13,6 +13,12 @@ declare(strict_types=1);
  * - Limiting results for performance
  * - Ordering by date for freshness
  * 
+ * URL Parameters:
+ * - type: featured, bestseller or new (optional, default: any of them)
+ * - limit: Products per page (optional, default 12, max 50)
+ * - page: Page number (optional, default 1), for grids that load more
+ *   products as the customer scrolls (nouveautes.html, meilleures-ventes.html)
+ * 
  * BOOLEAN FIELDS EXPLANATION:
  * 
  * Boolean (true/false) fields are stored in MySQL as:
@@ -37,21 +43,8 @@ $origin = $_SERVER['HTTP_ORIGIN'] ?? 'http://localhost';
 header("Access-Control-Allow-Origin: $origin");
 header('Access-Control-Allow-Credentials: true');
 header('Access-Control-Allow-Methods: GET, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type, Authorization');
-header('Content-Type: application/json; charset=utf-8');
-
-// Handle preflight OPTIONS request
-if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
-    http_response_code(200);
-    exit;
-}
-
-// ============================================
-// CORS AND HEADERS CONFIGURATION
-// ============================================
-header('Access-Control-Allow-Origin: *');
-header('Access-Control-Allow-Methods: GET, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, If-None-Match, If-Modified-Since');
+header('Access-Control-Expose-Headers: ETag, Last-Modified');
 header('Content-Type: application/json; charset=utf-8');
 
 // Handle preflight OPTIONS request
@@ -66,6 +59,9 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 require_once __DIR__ . '/../../config/database.php';
 require_once __DIR__ . '/../../utils/Response.php';
 
+// Catalogue data rarely changes: let clients revalidate with ETag instead of refetching
+Response::cacheable();
+
 // ============================================
 // CHECK REQUEST METHOD
 // ============================================
@@ -86,6 +82,15 @@ if ($limit < 1) {
     $limit = 50; // Limit to 50 for performance
 }
 
+// Get page number (e.g., ?page=2), default to 1
+$page = isset($_GET['page']) ? (int) $_GET['page'] : 1;
+
+if ($page < 1) {
+    $page = 1;
+}
+
+$offset = ($page - 1) * $limit;
+
 // Get optional type filter
 $type = isset($_GET['type']) ? strtolower(trim($_GET['type'])) : null;
 
@@ -137,6 +142,18 @@ try {
  * That would be very restrictive!
  */
 
+// Build WHERE clause based on type filter
+if ($type === 'featured') {
+    $where = 'products.is_featured = 1';
+} elseif ($type === 'bestseller') {
+    $where = 'products.is_bestseller = 1';
+} elseif ($type === 'new') {
+    $where = 'products.is_new = 1';
+} else {
+    // No specific type - get all featured products (any flag)
+    $where = '(products.is_featured = 1 OR products.is_bestseller = 1 OR products.is_new = 1)';
+}
+
 $sql = 'SELECT 
             products.id,
             products.name,
@@ -156,25 +173,15 @@ $sql = 'SELECT
             categories.slug AS category_slug
         FROM products
         LEFT JOIN categories ON products.category_id = categories.id
-        WHERE ';
-
-// Build WHERE clause based on type filter
-if ($type === 'featured') {
-    $sql .= 'products.is_featured = 1';
-} elseif ($type === 'bestseller') {
-    $sql .= 'products.is_bestseller = 1';
-} elseif ($type === 'new') {
-    $sql .= 'products.is_new = 1';
-} else {
-    // No specific type - get all featured products (any flag)
-    $sql .= '(products.is_featured = 1 OR products.is_bestseller = 1 OR products.is_new = 1)';
-}
+        WHERE ' . $where;
 
 /**
  * ORDERING STRATEGY:
  * 
  * We order by created_at DESC to show newest products first.
  * This ensures the featured section stays fresh and relevant.
+ * Products created in the same second are ordered by id, so the
+ * "load more" pages (LIMIT/OFFSET) never repeat or skip one.
  * 
  * Alternative ordering strategies:
  * - ORDER BY rating DESC: Show highest-rated first
@@ -183,15 +190,21 @@ if ($type === 'featured') {
  * - ORDER BY is_featured DESC, is_bestseller DESC: Prioritize featured
  */
 
-$sql .= ' ORDER BY products.created_at DESC
-          LIMIT :limit';
+$sql .= ' ORDER BY products.created_at DESC, products.id DESC
+          LIMIT :limit OFFSET :offset';
 
 // ============================================
 // EXECUTE QUERY
 // ============================================
 try {
+    // Total matching products, for the pagination block
+    $countStmt = $pdo->query('SELECT COUNT(*) AS total FROM products WHERE ' . $where);
+    $totalProducts = (int) $countStmt->fetch(PDO::FETCH_ASSOC)['total'];
+    $totalPages = (int) ceil($totalProducts / $limit);
+    
     $stmt = $pdo->prepare($sql);
     $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
+    $stmt->bindValue(':offset', $offset, PDO::PARAM_INT);
     
     $stmt->execute();
     
@@ -268,6 +281,16 @@ try {
         'filter' => [
             'type' => $type,
             'limit' => $limit
+        ],
+        // Same block as list.php, so the grids can load the next page
+        'pagination' => [
+            'total' => $totalProducts,
+            'count' => count($formattedProducts),
+            'per_page' => $limit,
+            'current_page' => $page,
+            'total_pages' => $totalPages,
+            'has_next' => $page < $totalPages,
+            'has_prev' => $page > 1
         ]
     ];
     
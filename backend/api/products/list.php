@@ -13,12 +13,19 @@ declare(strict_types=1);
  * - page: Which page to display (default: 1)
  * - limit: How many items per page (default: 20)
  * - category_id: Filter by specific category (optional)
+ * - brand, min_price, max_price, in_stock, min_rating: narrow the list
+ *   (see utils/ProductFilters.php)
+ * - sort: newest (default), price_asc, price_desc, popularity, rating
+ * 
+ * The response also has "facets" (brands with counts, price range, stock
+ * availability, ratings) for the filter sidebar of the category pages.
  * 
  * Example URLs:
  * - /products/list.php (first 20 products)
  * - /products/list.php?page=2 (second page)
  * - /products/list.php?limit=50 (first 50 products)
  * - /products/list.php?category_id=1 (only products in category 1)
+ * - /products/list.php?category_id=1&brand=Lenovo,HP&max_price=3000&sort=price_asc
  */
 
 // ============================================
@@ -28,7 +35,8 @@ $origin = $_SERVER['HTTP_ORIGIN'] ?? 'http://localhost';
 header("Access-Control-Allow-Origin: $origin");
 header('Access-Control-Allow-Credentials: true');
 header('Access-Control-Allow-Methods: GET, OPTIONS');
-header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Access-Control-Allow-Headers: Content-Type, Authorization, If-None-Match, If-Modified-Since');
+header('Access-Control-Expose-Headers: ETag, Last-Modified');
 header('Content-Type: application/json; charset=utf-8');
 
 // Handle preflight OPTIONS request
@@ -49,6 +57,10 @@ if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
 // ============================================
 require_once __DIR__ . '/../../config/database.php';
 require_once __DIR__ . '/../../utils/Response.php';
+require_once __DIR__ . '/../../utils/ProductFilters.php';
+
+// Catalogue data rarely changes: let clients revalidate with ETag instead of refetching
+Response::cacheable();
 
 // ============================================
 // CHECK REQUEST METHOD
@@ -103,6 +115,14 @@ if ($limit < 1) {
 // Offset = how many records to skip before starting to return results
 $offset = ($page - 1) * $limit;
 
+// Brand, price, stock and rating filters plus the sort order
+$filters = ProductFilters::fromQuery($_GET);
+$filterErrors = ProductFilters::validate($filters);
+
+if (!empty($filterErrors)) {
+    Response::error('Invalid filter parameters.', $filterErrors, 400);
+}
+
 // ============================================
 // DATABASE CONNECTION
 // ============================================
@@ -158,19 +178,27 @@ $sql = 'SELECT
             categories.slug AS category_slug
         FROM products
         LEFT JOIN categories ON products.category_id = categories.id
-        WHERE 1=1'; // WHERE 1=1 is a trick to easily add more conditions
+        WHERE ';
 
-// Array to hold parameters for prepared statement
-$params = [];
+// Conditions every product must match: the facets are counted within them
+// WHERE 1=1 is a trick to easily add more conditions
+$baseWhere = '1=1';
+$baseParams = [];
 
 // Add category filter if provided
 if ($categoryId !== null) {
-    $sql .= ' AND products.category_id = :category_id';
-    $params['category_id'] = $categoryId;
+    $baseWhere .= ' AND products.category_id = :category_id';
+    $baseParams['category_id'] = $categoryId;
 }
 
-// Add ordering (newest products first)
-$sql .= ' ORDER BY products.created_at DESC';
+// Array to hold parameters for prepared statement (base + sidebar filters)
+$params = $baseParams;
+$where = $baseWhere . ProductFilters::where($filters, $params);
+
+$sql .= $where;
+
+// Add ordering (newest products first unless another sort was asked for)
+$sql .= ' ORDER BY ' . ProductFilters::orderBy($filters);
 
 // Add pagination using LIMIT and OFFSET
 // LIMIT: Maximum number of rows to return
@@ -182,19 +210,13 @@ $sql .= ' LIMIT :limit OFFSET :offset';
 // ============================================
 // We need to know the total number of products to calculate total pages
 
-$countSql = 'SELECT COUNT(*) as total FROM products WHERE 1=1';
-
-if ($categoryId !== null) {
-    $countSql .= ' AND category_id = :category_id';
-}
+$countSql = 'SELECT COUNT(*) as total FROM products WHERE ' . $where;
 
 try {
     $countStmt = $pdo->prepare($countSql);
     
-    // Bind category parameter if filtering
-    if ($categoryId !== null) {
-        $countStmt->bindValue(':category_id', $categoryId, PDO::PARAM_INT);
-    }
+    // Bind category and filter parameters
+    ProductFilters::bind($countStmt, $params);
     
     $countStmt->execute();
     $totalProducts = (int) $countStmt->fetch(PDO::FETCH_ASSOC)['total'];
@@ -218,10 +240,8 @@ try {
     $stmt->bindValue(':limit', $limit, PDO::PARAM_INT);
     $stmt->bindValue(':offset', $offset, PDO::PARAM_INT);
     
-    // Bind category filter if provided
-    if ($categoryId !== null) {
-        $stmt->bindValue(':category_id', $categoryId, PDO::PARAM_INT);
-    }
+    // Bind category and filter parameters
+    ProductFilters::bind($stmt, $params);
     
     // Execute the query
     $stmt->execute();
@@ -291,12 +311,12 @@ try {
         ]
     ];
     
-    // Add filter info if category was specified
-    if ($categoryId !== null) {
-        $responseData['filters'] = [
-            'category_id' => $categoryId
-        ];
-    }
+    // Active filters, echoed back so the page can show them
+    $responseData['filters'] = ($categoryId !== null ? ['category_id' => $categoryId] : [])
+        + ProductFilters::describe($filters);
+    
+    // Sidebar counts (each facet ignores its own filter, see ProductFilters)
+    $responseData['facets'] = ProductFilters::facets($pdo, $baseWhere, $baseParams, $filters);
     
     // Send success response
     Response::success(
@@ -0,0 +1,166 @@
+<?php
+declare(strict_types=1);
+/**
+ * Save for Later Endpoint
+ * 
+ * Puts a product on the logged-in user's "Saved for later" list (shown
+ * below the cart). The frontend removes the line from the cart itself
+ * (cart/remove.php), so saved items are never part of an order.
+ * 
+ * The price is recorded as it is NOW (saved_price), so the cart can tell
+ * the customer when it changed by the time the item is moved back.
+ * 
+ * Saving a product that is already on the list adds up the quantities and
+ * records the current price again.
+ * 
+ * There is no stock check: the stock is checked when the item goes back
+ * into the cart (cart/add.php).
+ * 
+ * Expected POST data:
+ * - product_id: ID of product to save (required)
+ * - quantity: How many units (optional, default 1)
+ */
+
+// ============================================
+// CORS AND HEADERS CONFIGURATION (Unified)
+// ============================================
+$allowedOrigin = 'http://localhost';
+header("Access-Control-Allow-Origin: $allowedOrigin");
+header('Access-Control-Allow-Credentials: true');
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Content-Type: application/json; charset=utf-8');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// ============================================
+// REQUIRE AUTHENTICATION
+// ============================================
+require_once __DIR__ . '/../../middleware/auth.php';
+require_once __DIR__ . '/../../config/database.php';
+require_once __DIR__ . '/../../utils/Response.php';
+
+$user = requireAuth();
+$userId = (int) $user['id'];
+
+// ============================================
+// CHECK REQUEST METHOD
+// ============================================
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    Response::error('Method not allowed. Please use POST request.', [], 405);
+}
+
+// ============================================
+// GET AND PARSE JSON INPUT
+// ============================================
+
+$input = file_get_contents('php://input');
+$data = json_decode($input, true);
+
+if (json_last_error() !== JSON_ERROR_NONE) {
+    Response::error('Invalid JSON data.', ['json_error' => json_last_error_msg()], 400);
+}
+
+// ============================================
+// VALIDATE INPUT
+// ============================================
+
+$productId = isset($data['product_id']) ? (int) $data['product_id'] : 0;
+$quantity = isset($data['quantity']) ? (int) $data['quantity'] : 1;
+
+$errors = [];
+
+if ($productId <= 0) {
+    $errors['product_id'] = 'Valid product ID is required.';
+}
+
+if ($quantity <= 0) {
+    $errors['quantity'] = 'Quantity must be at least 1.';
+}
+
+if (!empty($errors)) {
+    Response::error('Validation failed.', $errors, 422);
+}
+
+// ============================================
+// DATABASE CONNECTION
+// ============================================
+try {
+    $pdo = getDatabaseConnection();
+    
+    if ($pdo === null) {
+        Response::error('Database connection failed.', [], 500);
+    }
+    
+} catch (Exception $e) {
+    Response::error('Server error: Unable to connect to database.', [], 500);
+}
+
+// ============================================
+// VERIFY PRODUCT EXISTS
+// ============================================
+try {
+    $productStmt = $pdo->prepare('SELECT id, name, price FROM products WHERE id = :product_id LIMIT 1');
+    $productStmt->bindValue(':product_id', $productId, PDO::PARAM_INT);
+    $productStmt->execute();
+    
+    $product = $productStmt->fetch(PDO::FETCH_ASSOC);
+    
+    if (!$product) {
+        Response::error('Product not found.', ['product_id' => 'Product does not exist.'], 404);
+    }
+    
+} catch (PDOException $e) {
+    Response::error('Database error while checking product.', ['error' => $e->getMessage()], 500);
+}
+
+// ============================================
+// SAVE PRODUCT
+// ============================================
+
+/**
+ * INSERT ... ON DUPLICATE KEY UPDATE + UNIQUE KEY (user_id, product_id):
+ * 
+ * One query adds the row or adds to the quantity of the existing one, with
+ * no race between a SELECT and the INSERT. MySQL reports 1 affected row
+ * for an insert and 2 for an update.
+ */
+
+try {
+    $saveSql = 'INSERT INTO saved_items (user_id, product_id, quantity, saved_price, created_at)
+                VALUES (:user_id, :product_id, :quantity, :saved_price, NOW())
+                ON DUPLICATE KEY UPDATE
+                    quantity = quantity + VALUES(quantity),
+                    saved_price = VALUES(saved_price)';
+    
+    $saveStmt = $pdo->prepare($saveSql);
+    $saveStmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $saveStmt->bindValue(':product_id', $productId, PDO::PARAM_INT);
+    $saveStmt->bindValue(':quantity', $quantity, PDO::PARAM_INT);
+    $saveStmt->bindValue(':saved_price', $product['price']);
+    $saveStmt->execute();
+    
+    $added = $saveStmt->rowCount() === 1;
+    
+    Response::success(
+        $added ? 'Product saved for later.' : 'Saved quantity updated.',
+        [
+            'action' => $added ? 'added' : 'updated',
+            'product' => [
+                'id' => $productId,
+                'name' => $product['name']
+            ],
+            'quantity' => $quantity,
+            'saved_price' => number_format((float) $product['price'], 2, '.', '')
+        ]
+    );
+    
+} catch (PDOException $e) {
+    Response::error('Database error while saving the item.', ['error' => $e->getMessage()], 500);
+}
+
+// End of add.php
@@ -0,0 +1,118 @@
+<?php
+declare(strict_types=1);
+/**
+ * Remove Saved Item Endpoint
+ * 
+ * Removes a product from the logged-in user's "Saved for later" list:
+ * the customer deleted it, or moved it back into the cart.
+ * 
+ * Identified by product_id, like wishlist/remove.php. The DELETE is scoped
+ * to the current user.
+ * 
+ * Removing a product that is not saved is not an error (idempotent): the
+ * result is the same, the product is not on the list.
+ * 
+ * Expected POST/DELETE data:
+ * - product_id: ID of product to remove (required)
+ */
+
+// ============================================
+// CORS AND HEADERS CONFIGURATION (Unified)
+// ============================================
+$allowedOrigin = 'http://localhost';
+header("Access-Control-Allow-Origin: $allowedOrigin");
+header('Access-Control-Allow-Credentials: true');
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Content-Type: application/json; charset=utf-8');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// ============================================
+// REQUIRE AUTHENTICATION
+// ============================================
+require_once __DIR__ . '/../../middleware/auth.php';
+require_once __DIR__ . '/../../config/database.php';
+require_once __DIR__ . '/../../utils/Response.php';
+
+$user = requireAuth();
+$userId = (int) $user['id'];
+
+// ============================================
+// CHECK REQUEST METHOD
+// ============================================
+// Support DELETE (preferred REST) and POST (backward compatibility)
+if (!in_array($_SERVER['REQUEST_METHOD'], ['POST', 'DELETE'], true)) {
+    Response::error('Method not allowed. Use DELETE or POST.', [], 405);
+}
+
+// ============================================
+// GET AND PARSE JSON INPUT
+// ============================================
+
+$input = file_get_contents('php://input');
+$data = json_decode($input, true);
+
+if (json_last_error() !== JSON_ERROR_NONE) {
+    Response::error('Invalid JSON data.', ['json_error' => json_last_error_msg()], 400);
+}
+
+// ============================================
+// VALIDATE INPUT
+// ============================================
+
+$productId = isset($data['product_id']) ? (int) $data['product_id'] : 0;
+
+if ($productId <= 0) {
+    Response::error(
+        'Validation failed.',
+        ['product_id' => 'Valid product ID is required.'],
+        422
+    );
+}
+
+// ============================================
+// DATABASE CONNECTION
+// ============================================
+try {
+    $pdo = getDatabaseConnection();
+    
+    if ($pdo === null) {
+        Response::error('Database connection failed.', [], 500);
+    }
+    
+} catch (Exception $e) {
+    Response::error('Server error: Unable to connect to database.', [], 500);
+}
+
+// ============================================
+// DELETE SAVED ITEM
+// ============================================
+try {
+    $deleteSql = 'DELETE FROM saved_items
+                  WHERE user_id = :user_id AND product_id = :product_id';
+    
+    $stmt = $pdo->prepare($deleteSql);
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->bindValue(':product_id', $productId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $removed = $stmt->rowCount() > 0;
+    
+    Response::success(
+        $removed ? 'Product removed from your saved items.' : 'Product was not in your saved items.',
+        [
+            'product_id' => $productId,
+            'removed' => $removed
+        ]
+    );
+    
+} catch (PDOException $e) {
+    Response::error('Database error while updating saved items.', ['error' => $e->getMessage()], 500);
+}
+
+// End of remove.php
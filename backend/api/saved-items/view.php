@@ -0,0 +1,146 @@
+<?php
+declare(strict_types=1);
+/**
+ * View Saved Items Endpoint
+ * 
+ * Returns the cart lines the logged-in user saved for later, with the price
+ * they had when saved and their CURRENT price and stock (joined from the
+ * products table on every request).
+ * 
+ * The saved_items table:
+ * | id | user_id | product_id | quantity | saved_price | created_at          |
+ * | 1  | 5       | 10         | 2        | 2899.00     | 2025-01-15 10:30:00 |
+ * 
+ * A product is saved once per user (UNIQUE KEY on user_id, product_id):
+ * saving it again adds up the quantities (see add.php).
+ * 
+ * Response data:
+ * - items: [{ saved_id, product: {...}, quantity, saved_price, saved_price_numeric,
+ *             stock_available, in_stock, saved_at }]
+ * - count: number of saved products
+ */
+
+// ============================================
+// CORS AND HEADERS CONFIGURATION (Unified)
+// ============================================
+$allowedOrigin = 'http://localhost';
+header("Access-Control-Allow-Origin: $allowedOrigin");
+header('Access-Control-Allow-Credentials: true');
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Content-Type: application/json; charset=utf-8');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// ============================================
+// REQUIRE AUTHENTICATION
+// ============================================
+require_once __DIR__ . '/../../middleware/auth.php';
+require_once __DIR__ . '/../../config/database.php';
+require_once __DIR__ . '/../../utils/Response.php';
+
+$user = requireAuth();
+$userId = (int) $user['id'];
+
+// ============================================
+// CHECK REQUEST METHOD
+// ============================================
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    Response::error('Method not allowed. Please use GET request.', [], 405);
+}
+
+// ============================================
+// DATABASE CONNECTION
+// ============================================
+try {
+    $pdo = getDatabaseConnection();
+    
+    if ($pdo === null) {
+        Response::error('Database connection failed.', [], 500);
+    }
+    
+} catch (Exception $e) {
+    Response::error('Server error: Unable to connect to database.', [], 500);
+}
+
+// ============================================
+// GET SAVED ITEMS WITH PRODUCT DETAILS
+// ============================================
+
+/**
+ * INNER JOIN: a product deleted from the catalogue disappears from the
+ * saved lists too (like in cart/view.php and wishlist/view.php).
+ */
+
+$sql = 'SELECT
+            saved_items.id AS saved_id,
+            saved_items.product_id,
+            saved_items.quantity,
+            saved_items.saved_price,
+            saved_items.created_at AS saved_at,
+            products.name AS product_name,
+            products.slug AS product_slug,
+            products.price,
+            products.image_url,
+            products.stock_quantity,
+            products.brand
+        FROM saved_items
+        INNER JOIN products ON saved_items.product_id = products.id
+        WHERE saved_items.user_id = :user_id
+        ORDER BY saved_items.created_at DESC, saved_items.id DESC';
+
+try {
+    $stmt = $pdo->prepare($sql);
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $rows = $stmt->fetchAll(PDO::FETCH_ASSOC);
+    
+    $items = [];
+    foreach ($rows as $row) {
+        $price = (float) $row['price'];
+        $savedPrice = (float) $row['saved_price'];
+        $stock = (int) $row['stock_quantity'];
+        
+        $items[] = [
+            'saved_id' => (int) $row['saved_id'],
+            'product' => [
+                'id' => (int) $row['product_id'],
+                'name' => $row['product_name'],
+                'slug' => $row['product_slug'],
+                'brand' => $row['brand'],
+                'price' => number_format($price, 2, '.', ''),
+                'price_numeric' => $price,
+                'image_url' => $row['image_url']
+            ],
+            'quantity' => (int) $row['quantity'],
+            'saved_price' => number_format($savedPrice, 2, '.', ''),
+            'saved_price_numeric' => $savedPrice,
+            'stock_available' => $stock,
+            'in_stock' => $stock > 0,
+            'saved_at' => $row['saved_at']
+        ];
+    }
+    
+    $message = count($items) > 0
+        ? sprintf('Saved items retrieved successfully. You have %d saved product(s).', count($items))
+        : 'You have no saved items.';
+    
+    Response::success($message, [
+        'items' => $items,
+        'count' => count($items)
+    ]);
+    
+} catch (PDOException $e) {
+    Response::error(
+        'Database error while fetching saved items.',
+        ['error' => $e->getMessage()],
+        500
+    );
+}
+
+// End of view.php
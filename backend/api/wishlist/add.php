@@ -0,0 +1,147 @@
+<?php
+declare(strict_types=1);
+/**
+ * Add to Wishlist Endpoint
+ * 
+ * Bookmarks a product for the logged-in user.
+ * 
+ * Adding a product that is already in the wishlist is not an error: the
+ * request is idempotent, so the frontend can safely send the same product
+ * twice (double click, guest wishlist merged after login...).
+ * 
+ * Unlike cart/add.php there is no stock check: out-of-stock products are
+ * exactly the ones customers want to keep an eye on.
+ * 
+ * Expected POST data:
+ * - product_id: ID of product to save (required)
+ */
+
+// ============================================
+// CORS AND HEADERS CONFIGURATION (Unified)
+// ============================================
+$allowedOrigin = 'http://localhost';
+header("Access-Control-Allow-Origin: $allowedOrigin");
+header('Access-Control-Allow-Credentials: true');
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Content-Type: application/json; charset=utf-8');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// ============================================
+// REQUIRE AUTHENTICATION
+// ============================================
+require_once __DIR__ . '/../../middleware/auth.php';
+require_once __DIR__ . '/../../config/database.php';
+require_once __DIR__ . '/../../utils/Response.php';
+
+$user = requireAuth();
+$userId = (int) $user['id'];
+
+// ============================================
+// CHECK REQUEST METHOD
+// ============================================
+if ($_SERVER['REQUEST_METHOD'] !== 'POST') {
+    Response::error('Method not allowed. Please use POST request.', [], 405);
+}
+
+// ============================================
+// GET AND PARSE JSON INPUT
+// ============================================
+
+$input = file_get_contents('php://input');
+$data = json_decode($input, true);
+
+if (json_last_error() !== JSON_ERROR_NONE) {
+    Response::error('Invalid JSON data.', ['json_error' => json_last_error_msg()], 400);
+}
+
+// ============================================
+// VALIDATE INPUT
+// ============================================
+
+$productId = isset($data['product_id']) ? (int) $data['product_id'] : 0;
+
+if ($productId <= 0) {
+    Response::error(
+        'Validation failed.',
+        ['product_id' => 'Valid product ID is required.'],
+        422
+    );
+}
+
+// ============================================
+// DATABASE CONNECTION
+// ============================================
+try {
+    $pdo = getDatabaseConnection();
+    
+    if ($pdo === null) {
+        Response::error('Database connection failed.', [], 500);
+    }
+    
+} catch (Exception $e) {
+    Response::error('Server error: Unable to connect to database.', [], 500);
+}
+
+// ============================================
+// VERIFY PRODUCT EXISTS
+// ============================================
+try {
+    $productStmt = $pdo->prepare('SELECT id, name FROM products WHERE id = :product_id LIMIT 1');
+    $productStmt->bindValue(':product_id', $productId, PDO::PARAM_INT);
+    $productStmt->execute();
+    
+    $product = $productStmt->fetch(PDO::FETCH_ASSOC);
+    
+    if (!$product) {
+        Response::error('Product not found.', ['product_id' => 'Product does not exist.'], 404);
+    }
+    
+} catch (PDOException $e) {
+    Response::error('Database error while checking product.', ['error' => $e->getMessage()], 500);
+}
+
+// ============================================
+// SAVE PRODUCT
+// ============================================
+
+/**
+ * INSERT IGNORE + UNIQUE KEY (user_id, product_id):
+ * 
+ * When the product is already saved, MySQL skips the row instead of
+ * failing, and rowCount() is 0. One query, no race between a SELECT and
+ * the INSERT.
+ */
+
+try {
+    $insertSql = 'INSERT IGNORE INTO wishlist (user_id, product_id, created_at)
+                  VALUES (:user_id, :product_id, NOW())';
+    
+    $insertStmt = $pdo->prepare($insertSql);
+    $insertStmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $insertStmt->bindValue(':product_id', $productId, PDO::PARAM_INT);
+    $insertStmt->execute();
+    
+    $added = $insertStmt->rowCount() > 0;
+    
+    Response::success(
+        $added ? 'Product added to wishlist.' : 'Product is already in your wishlist.',
+        [
+            'action' => $added ? 'added' : 'unchanged',
+            'product' => [
+                'id' => $productId,
+                'name' => $product['name']
+            ]
+        ]
+    );
+    
+} catch (PDOException $e) {
+    Response::error('Database error while updating wishlist.', ['error' => $e->getMessage()], 500);
+}
+
+// End of add.php
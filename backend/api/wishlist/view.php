@@ -0,0 +1,138 @@
+<?php
+declare(strict_types=1);
+/**
+ * View Wishlist Endpoint
+ * 
+ * Returns the products the logged-in user bookmarked, with their CURRENT
+ * price and stock (joined from the products table on every request, so the
+ * wishlist page never shows a stale price).
+ * 
+ * The wishlist table only stores which user saved which product:
+ * | id | user_id | product_id | created_at          |
+ * | 1  | 5       | 10         | 2025-01-15 10:30:00 |
+ * 
+ * A product can only be saved once per user (UNIQUE KEY on user_id, product_id).
+ * 
+ * Response data:
+ * - items: [{ wishlist_id, product: {...}, stock_available, in_stock, added_at }]
+ * - count: number of saved products
+ */
+
+// ============================================
+// CORS AND HEADERS CONFIGURATION (Unified)
+// ============================================
+$allowedOrigin = 'http://localhost';
+header("Access-Control-Allow-Origin: $allowedOrigin");
+header('Access-Control-Allow-Credentials: true');
+header('Access-Control-Allow-Methods: GET, POST, PUT, DELETE, OPTIONS');
+header('Access-Control-Allow-Headers: Content-Type, Authorization');
+header('Content-Type: application/json; charset=utf-8');
+
+// Handle preflight OPTIONS request
+if ($_SERVER['REQUEST_METHOD'] === 'OPTIONS') {
+    http_response_code(200);
+    exit;
+}
+
+// ============================================
+// REQUIRE AUTHENTICATION
+// ============================================
+require_once __DIR__ . '/../../middleware/auth.php';
+require_once __DIR__ . '/../../config/database.php';
+require_once __DIR__ . '/../../utils/Response.php';
+
+$user = requireAuth();
+$userId = (int) $user['id'];
+
+// ============================================
+// CHECK REQUEST METHOD
+// ============================================
+if ($_SERVER['REQUEST_METHOD'] !== 'GET') {
+    Response::error('Method not allowed. Please use GET request.', [], 405);
+}
+
+// ============================================
+// DATABASE CONNECTION
+// ============================================
+try {
+    $pdo = getDatabaseConnection();
+    
+    if ($pdo === null) {
+        Response::error('Database connection failed.', [], 500);
+    }
+    
+} catch (Exception $e) {
+    Response::error('Server error: Unable to connect to database.', [], 500);
+}
+
+// ============================================
+// GET WISHLIST ITEMS WITH PRODUCT DETAILS
+// ============================================
+
+/**
+ * INNER JOIN: a product deleted from the catalogue disappears from the
+ * wishlists too (like in cart/view.php).
+ */
+
+$sql = 'SELECT
+            wishlist.id AS wishlist_id,
+            wishlist.product_id,
+            wishlist.created_at AS added_at,
+            products.name AS product_name,
+            products.slug AS product_slug,
+            products.price,
+            products.image_url,
+            products.stock_quantity,
+            products.brand
+        FROM wishlist
+        INNER JOIN products ON wishlist.product_id = products.id
+        WHERE wishlist.user_id = :user_id
+        ORDER BY wishlist.created_at DESC';
+
+try {
+    $stmt = $pdo->prepare($sql);
+    $stmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+    $stmt->execute();
+    
+    $rows = $stmt->fetchAll(PDO::FETCH_ASSOC);
+    
+    $items = [];
+    foreach ($rows as $row) {
+        $price = (float) $row['price'];
+        $stock = (int) $row['stock_quantity'];
+        
+        $items[] = [
+            'wishlist_id' => (int) $row['wishlist_id'],
+            'product' => [
+                'id' => (int) $row['product_id'],
+                'name' => $row['product_name'],
+                'slug' => $row['product_slug'],
+                'brand' => $row['brand'],
+                'price' => number_format($price, 2, '.', ''),
+                'price_numeric' => $price,
+                'image_url' => $row['image_url']
+            ],
+            'stock_available' => $stock,
+            'in_stock' => $stock > 0,
+            'added_at' => $row['added_at']
+        ];
+    }
+    
+    $message = count($items) > 0
+        ? sprintf('Wishlist retrieved successfully. You have %d saved product(s).', count($items))
+        : 'Your wishlist is empty.';
+    
+    Response::success($message, [
+        'items' => $items,
+        'count' => count($items)
+    ]);
+    
+} catch (PDOException $e) {
+    Response::error(
+        'Database error while fetching wishlist.',
+        ['error' => $e->getMessage()],
+        500
+    );
+}
+
+// End of view.php
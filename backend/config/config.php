@@ -58,6 +58,13 @@ define('APP_DEBUG', true);
 // Default content type for API responses
 define('DEFAULT_CONTENT_TYPE', 'application/json; charset=utf-8');
 
+// ============================================
+// ORDER PRICING
+// ============================================
+// Used by orders/create.php and coupons/validate.php (utils/CouponEngine.php)
+define('TAX_RATE', 0.19);                 // 19% TVA, applied after discounts
+define('SHIPPING_FEE', 0.00);             // Flat delivery fee in TND (waived by 'free_shipping' promo codes)
+
 // ============================================
 // ENVIRONMENT
 // ============================================
@@ -100,7 +100,8 @@ function requireAuth(): array
         Response::error(
             'Authentication required. Please log in to access this resource.',
             ['auth' => 'No valid session found'],
-            401 // 401 Unauthorized
+            401, // 401 Unauthorized
+            'AUTH_REQUIRED'
         );
         // Response::error() will exit, but just in case:
         exit;
@@ -151,7 +152,8 @@ function requireRole(string $requiredRole): array
                 'required_role' => $requiredRole,
                 'user_role' => $user['role'] ?? 'none'
             ],
-            403 // 403 Forbidden
+            403, // 403 Forbidden
+            'FORBIDDEN'
         );
         exit;
     }
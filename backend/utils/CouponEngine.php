@@ -0,0 +1,231 @@
+<?php
+declare(strict_types=1);
+/**
+ * Promo Code Engine
+ * 
+ * Checks a promo code against a user's cart and computes the discount.
+ * Used by two endpoints, so the customer is quoted exactly what the order
+ * will charge:
+ * - coupons/validate.php: quote shown in the cart and on the checkout page
+ * - orders/create.php: same check again, inside the order transaction
+ * 
+ * Kinds of promo codes (coupons.type):
+ * - 'percentage': value % off the eligible subtotal
+ * - 'fixed': value TND off the eligible subtotal (never more than it)
+ * - 'free_shipping': SHIPPING_FEE is waived (accepted while SHIPPING_FEE is 0:
+ *   the quote says free_shipping, and waives nothing)
+ * 
+ * Optional rules on every code:
+ * - category_id: only products of that category count (eligible subtotal)
+ * - min_order_amount: cart subtotal needed before discount
+ * - starts_at / expires_at: validity period
+ * - single_use: each user may redeem it once (coupon_redemptions table)
+ * 
+ * Usage:
+ * ```php
+ * try {
+ *     $quote = CouponEngine::quote($pdo, 'BIENVENUE10', $userId, $cartItems);
+ * } catch (CouponException $e) {
+ *     Response::error($e->getMessage(), ['coupon_code' => $e->getMessage()], 422, 'COUPON_INVALID');
+ * }
+ * ```
+ */
+
+// Load configuration (TAX_RATE, SHIPPING_FEE)
+if (file_exists(__DIR__ . '/../config/config.php')) {
+    require_once __DIR__ . '/../config/config.php';
+}
+
+/**
+ * Thrown when a promo code can't be used; the message is shown to the customer
+ */
+class CouponException extends Exception
+{
+}
+
+class CouponEngine
+{
+    /**
+     * Checks a promo code and computes the order totals with it
+     * 
+     * @param PDO $pdo Database connection
+     * @param string $code Promo code as typed by the customer (case-insensitive)
+     * @param int $userId Current user
+     * @param array $cartItems Cart lines: [['product_id', 'quantity', 'price', 'category_id'], ...]
+     * @param bool $lockCoupon Lock the coupon row (inside a transaction, see orders/create.php)
+     * @return array ['coupon' => [...], 'eligible_subtotal', 'discount_amount', 'free_shipping', + totals()]
+     * @throws CouponException When the code can't be used for this cart
+     */
+    public static function quote(PDO $pdo, string $code, int $userId, array $cartItems, bool $lockCoupon = false): array
+    {
+        $code = strtoupper(trim($code));
+        if ($code === '') {
+            throw new CouponException('Please enter a promo code.');
+        }
+        
+        // ============================================
+        // FIND THE CODE
+        // ============================================
+        
+        // FOR UPDATE: two orders placed at the same time with a single-use
+        // code wait for each other, so only the first one gets the discount
+        $sql = 'SELECT coupons.*, categories.name AS category_name
+                FROM coupons
+                LEFT JOIN categories ON coupons.category_id = categories.id
+                WHERE coupons.code = :code
+                LIMIT 1' . ($lockCoupon ? ' FOR UPDATE' : '');
+        
+        $stmt = $pdo->prepare($sql);
+        $stmt->bindValue(':code', $code, PDO::PARAM_STR);
+        $stmt->execute();
+        $coupon = $stmt->fetch(PDO::FETCH_ASSOC);
+        
+        if (!$coupon || !(int) $coupon['is_active']) {
+            throw new CouponException('This promo code does not exist.');
+        }
+        
+        // ============================================
+        // VALIDITY PERIOD
+        // ============================================
+        $now = time();
+        
+        if ($coupon['starts_at'] !== null && strtotime($coupon['starts_at']) > $now) {
+            throw new CouponException(sprintf('This promo code can be used from %s.', date('d/m/Y', strtotime($coupon['starts_at']))));
+        }
+        
+        if ($coupon['expires_at'] !== null && strtotime($coupon['expires_at']) < $now) {
+            throw new CouponException(sprintf('This promo code expired on %s.', date('d/m/Y', strtotime($coupon['expires_at']))));
+        }
+        
+        // ============================================
+        // CART AMOUNTS
+        // ============================================
+        $subtotal = 0.0;
+        $eligibleSubtotal = 0.0;
+        $categoryId = $coupon['category_id'] !== null ? (int) $coupon['category_id'] : null;
+        
+        foreach ($cartItems as $item) {
+            $lineTotal = (float) $item['price'] * (int) $item['quantity'];
+            $subtotal += $lineTotal;
+            
+            if ($categoryId === null || (int) $item['category_id'] === $categoryId) {
+                $eligibleSubtotal += $lineTotal;
+            }
+        }
+        
+        $minOrder = $coupon['min_order_amount'] !== null ? (float) $coupon['min_order_amount'] : 0.0;
+        if ($subtotal < $minOrder) {
+            throw new CouponException(sprintf(
+                'This promo code requires an order of at least %s TND (your cart: %s TND).',
+                number_format($minOrder, 2, '.', ''),
+                number_format($subtotal, 2, '.', '')
+            ));
+        }
+        
+        if ($categoryId !== null && $eligibleSubtotal <= 0) {
+            throw new CouponException(sprintf('This promo code only applies to products in %s.', $coupon['category_name'] ?? 'another category'));
+        }
+        
+        // ============================================
+        // ONE USE PER CUSTOMER
+        // ============================================
+        if ((int) $coupon['single_use']) {
+            $usedStmt = $pdo->prepare('SELECT COUNT(*) FROM coupon_redemptions WHERE coupon_id = :coupon_id AND user_id = :user_id');
+            $usedStmt->bindValue(':coupon_id', (int) $coupon['id'], PDO::PARAM_INT);
+            $usedStmt->bindValue(':user_id', $userId, PDO::PARAM_INT);
+            $usedStmt->execute();
+            
+            if ((int) $usedStmt->fetchColumn() > 0) {
+                throw new CouponException('You have already used this promo code.');
+            }
+        }
+        
+        // ============================================
+        // DISCOUNT
+        // ============================================
+        $value = (float) $coupon['value'];
+        $discount = 0.0;
+        $freeShipping = false;
+        
+        switch ($coupon['type']) {
+            case 'percentage':
+                $discount = round($eligibleSubtotal * min($value, 100.0) / 100, 2);
+                break;
+            case 'fixed':
+                $discount = min($value, $eligibleSubtotal);
+                break;
+            case 'free_shipping':
+                $freeShipping = true;
+                break;
+            default:
+                throw new CouponException('This promo code does not exist.');
+        }
+        
+        return [
+            'coupon' => [
+                'id' => (int) $coupon['id'],
+                'code' => $coupon['code'],
+                'type' => $coupon['type'],
+                'value' => $value,
+                'description' => $coupon['description'],
+                'category' => $categoryId !== null
+                    ? ['id' => $categoryId, 'name' => $coupon['category_name']]
+                    : null,
+                'expires_at' => $coupon['expires_at']
+            ],
+            'eligible_subtotal' => $eligibleSubtotal,
+            'discount_amount' => $discount,
+            'free_shipping' => $freeShipping
+        ] + self::totals($subtotal, $discount, $freeShipping);
+    }
+    
+    /**
+     * Computes the order totals (also used when no promo code is given)
+     * 
+     * Tax is charged on the discounted subtotal; shipping is not taxed.
+     * 
+     * @param float $subtotal Sum of the cart lines
+     * @param float $discount Discount from the promo code
+     * @param bool $freeShipping Whether the promo code waives the shipping fee
+     * @return array ['subtotal', 'shipping_amount', 'tax_rate', 'tax_amount', 'total_price']
+     */
+    public static function totals(float $subtotal, float $discount = 0.0, bool $freeShipping = false): array
+    {
+        $taxable = max(0.0, $subtotal - $discount);
+        $shipping = $freeShipping ? 0.0 : (float) SHIPPING_FEE;
+        $taxAmount = $taxable * TAX_RATE;
+        
+        return [
+            'subtotal' => $subtotal,
+            'shipping_amount' => $shipping,
+            'tax_rate' => TAX_RATE,
+            'tax_amount' => $taxAmount,
+            'total_price' => $taxable + $taxAmount + $shipping
+        ];
+    }
+    
+    /**
+     * Records that a user redeemed a promo code with an order
+     * 
+     * Call inside the order transaction, after the order row is inserted.
+     * 
+     * @param PDO $pdo Database connection
+     * @param array $quote Result of quote()
+     * @param int $userId User who placed the order
+     * @param int $orderId The new order
+     * @return void
+     */
+    public static function redeem(PDO $pdo, array $quote, int $userId, int $orderId): void
+    {
+        $stmt = $pdo->prepare('INSERT INTO coupon_redemptions (coupon_id, user_id, order_id, discount_amount, created_at)
+                               VALUES (:coupon_id, :user_id, :order_id, :discount_amount, NOW())');
+        $stmt->execute([
+            ':coupon_id' => $quote['coupon']['id'],
+            ':user_id' => $userId,
+            ':order_id' => $orderId,
+            ':discount_amount' => $quote['discount_amount']
+        ]);
+    }
+}
+
+// End of CouponEngine.php
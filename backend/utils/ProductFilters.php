@@ -0,0 +1,337 @@
+<?php
+declare(strict_types=1);
+/**
+ * Product Filters
+ * 
+ * Reads the catalogue filters and sort order from the query string, turns
+ * them into SQL, and counts the facets shown in the filter sidebar of the
+ * category pages. Used by two endpoints, so both accept the same
+ * parameters and return the same facets:
+ * - products/list.php (all products, optional category_id)
+ * - products/category.php (products of one category, by slug)
+ * 
+ * Query parameters (all optional):
+ * - brand: one or more brands, comma-separated (?brand=Lenovo,HP)
+ * - min_price / max_price: price range in TND
+ * - in_stock: 1 to hide products that are out of stock
+ * - min_rating: 1 to 5, products rated at least that
+ * - sort: newest (default), price_asc, price_desc, popularity, rating
+ * 
+ * Facets are counted the way shoppers expect from a sidebar: each facet
+ * ignores its own filter but applies all the others, so ticking "Lenovo"
+ * still shows how many HP products there are (with the same price range).
+ * 
+ * Usage:
+ * ```php
+ * $filters = ProductFilters::fromQuery($_GET);
+ * $errors = ProductFilters::validate($filters);
+ * 
+ * $params = ['category_id' => $categoryId];
+ * $where = 'products.category_id = :category_id' . ProductFilters::where($filters, $params);
+ * $sql = "SELECT ... FROM products WHERE $where ORDER BY " . ProductFilters::orderBy($filters);
+ * 
+ * $facets = ProductFilters::facets($pdo, 'products.category_id = :category_id', ['category_id' => $categoryId], $filters);
+ * ```
+ */
+
+class ProductFilters
+{
+    /**
+     * ORDER BY clause of each sort option (newest first breaks ties)
+     * 
+     * Each one ends with products.id so the order is total: with LIMIT/OFFSET
+     * paging, rows that tie (same created_at) would otherwise move between
+     * pages, showing some products twice and others never.
+     */
+    const SORTS = [
+        'newest' => 'products.created_at DESC, products.id DESC',
+        'price_asc' => 'products.price ASC, products.created_at DESC, products.id DESC',
+        'price_desc' => 'products.price DESC, products.created_at DESC, products.id DESC',
+        'popularity' => 'products.is_bestseller DESC, products.review_count DESC, products.rating DESC, products.created_at DESC, products.id DESC',
+        'rating' => 'products.rating DESC, products.review_count DESC, products.created_at DESC, products.id DESC'
+    ];
+    
+    const DEFAULT_SORT = 'newest';
+    
+    /**
+     * Rating steps offered in the sidebar ("4 stars & up", ...)
+     */
+    const RATING_STEPS = [4, 3, 2];
+    
+    /**
+     * More brands than this in one request is not a sidebar, it's abuse
+     */
+    const MAX_BRANDS = 20;
+    
+    /**
+     * Reads the filters from the query string
+     * 
+     * Values are only normalised here; call validate() to reject the ones
+     * that make no sense (unknown sort, negative price, ...).
+     * 
+     * @param array $query Usually $_GET
+     * @return array ['brands' => string[], 'min_price' => ?float, 'max_price' => ?float,
+     *                'in_stock' => bool, 'min_rating' => ?float, 'sort' => string]
+     */
+    public static function fromQuery(array $query): array
+    {
+        // ?brand=Lenovo,HP and ?brand[]=Lenovo&brand[]=HP are both accepted
+        $brands = $query['brand'] ?? [];
+        if (!is_array($brands)) {
+            $brands = explode(',', (string) $brands);
+        }
+        $brands = array_values(array_unique(array_filter(
+            array_map(static function ($brand): string {
+                return trim((string) $brand);
+            }, $brands),
+            static function (string $brand): bool {
+                return $brand !== '';
+            }
+        )));
+        
+        $number = static function (string $key) use ($query): ?float {
+            if (!isset($query[$key]) || is_array($query[$key]) || trim((string) $query[$key]) === '') {
+                return null;
+            }
+            return is_numeric($query[$key]) ? (float) $query[$key] : NAN;
+        };
+        
+        $sort = isset($query['sort']) && !is_array($query['sort'])
+            ? strtolower(trim((string) $query['sort']))
+            : '';
+        
+        return [
+            'brands' => $brands,
+            'min_price' => $number('min_price'),
+            'max_price' => $number('max_price'),
+            'in_stock' => isset($query['in_stock']) && !is_array($query['in_stock'])
+                && in_array((string) $query['in_stock'], ['1', 'true', 'yes'], true),
+            'min_rating' => $number('min_rating'),
+            'sort' => $sort === '' ? self::DEFAULT_SORT : $sort
+        ];
+    }
+    
+    /**
+     * Checks the filters read by fromQuery()
+     * 
+     * @param array $filters Filters from fromQuery()
+     * @return array Errors by parameter name (empty when everything is fine)
+     */
+    public static function validate(array $filters): array
+    {
+        $errors = [];
+        
+        if (!isset(self::SORTS[$filters['sort']])) {
+            $errors['sort'] = 'Sort must be one of: ' . implode(', ', array_keys(self::SORTS));
+        }
+        
+        foreach (['min_price', 'max_price'] as $key) {
+            if ($filters[$key] !== null && (is_nan($filters[$key]) || $filters[$key] < 0)) {
+                $errors[$key] = 'Price must be a positive number.';
+            }
+        }
+        
+        if (!isset($errors['min_price']) && !isset($errors['max_price'])
+            && $filters['min_price'] !== null && $filters['max_price'] !== null
+            && $filters['min_price'] > $filters['max_price']) {
+            $errors['max_price'] = 'Maximum price must be greater than the minimum price.';
+        }
+        
+        if ($filters['min_rating'] !== null
+            && (is_nan($filters['min_rating']) || $filters['min_rating'] < 1 || $filters['min_rating'] > 5)) {
+            $errors['min_rating'] = 'Rating must be between 1 and 5.';
+        }
+        
+        if (count($filters['brands']) > self::MAX_BRANDS) {
+            $errors['brand'] = sprintf('Please select at most %d brands.', self::MAX_BRANDS);
+        }
+        
+        return $errors;
+    }
+    
+    /**
+     * Builds the SQL conditions of the filters
+     * 
+     * @param array $filters Filters from fromQuery()
+     * @param array $params Prepared statement parameters (the filter values are added)
+     * @param string|null $except Facet whose filter is left out ('brand', 'price', 'in_stock', 'rating')
+     * @return string Conditions starting with " AND ", to append after the base WHERE
+     */
+    public static function where(array $filters, array &$params, ?string $except = null): string
+    {
+        $sql = '';
+        
+        if ($except !== 'brand' && !empty($filters['brands'])) {
+            $placeholders = [];
+            foreach ($filters['brands'] as $index => $brand) {
+                $placeholders[] = ':brand_' . $index;
+                $params['brand_' . $index] = $brand;
+            }
+            $sql .= ' AND products.brand IN (' . implode(', ', $placeholders) . ')';
+        }
+        
+        if ($except !== 'price') {
+            if ($filters['min_price'] !== null) {
+                $sql .= ' AND products.price >= :min_price';
+                $params['min_price'] = $filters['min_price'];
+            }
+            if ($filters['max_price'] !== null) {
+                $sql .= ' AND products.price <= :max_price';
+                $params['max_price'] = $filters['max_price'];
+            }
+        }
+        
+        if ($except !== 'in_stock' && $filters['in_stock']) {
+            $sql .= ' AND products.stock_quantity > 0';
+        }
+        
+        if ($except !== 'rating' && $filters['min_rating'] !== null) {
+            $sql .= ' AND products.rating >= :min_rating';
+            $params['min_rating'] = $filters['min_rating'];
+        }
+        
+        return $sql;
+    }
+    
+    /**
+     * Returns the ORDER BY clause of the selected sort
+     * 
+     * @param array $filters Filters from fromQuery() (validated)
+     * @return string Clause without the ORDER BY keywords
+     */
+    public static function orderBy(array $filters): string
+    {
+        return self::SORTS[$filters['sort']] ?? self::SORTS[self::DEFAULT_SORT];
+    }
+    
+    /**
+     * Binds parameters, integers as integers (category_id) and the rest as strings
+     * 
+     * @param PDOStatement $stmt Prepared statement
+     * @param array $params Parameters by name, without the leading colon
+     */
+    public static function bind(PDOStatement $stmt, array $params): void
+    {
+        foreach ($params as $name => $value) {
+            $stmt->bindValue(':' . $name, is_float($value) ? (string) $value : $value, is_int($value) ? PDO::PARAM_INT : PDO::PARAM_STR);
+        }
+    }
+    
+    /**
+     * Counts the facets of the filter sidebar
+     * 
+     * @param PDO $pdo Database connection
+     * @param string $baseWhere Conditions every product must match ('1=1', 'products.category_id = :category_id')
+     * @param array $baseParams Parameters of $baseWhere
+     * @param array $filters Filters from fromQuery()
+     * @return array ['brands' => [['value', 'count', 'selected'], ...], 'price' => ['min', 'max'],
+     *                'availability' => ['in_stock', 'out_of_stock'], 'ratings' => [['min', 'count'], ...]]
+     */
+    public static function facets(PDO $pdo, string $baseWhere, array $baseParams, array $filters): array
+    {
+        // ============================================
+        // BRANDS
+        // ============================================
+        $params = $baseParams;
+        $stmt = $pdo->prepare('SELECT products.brand AS value, COUNT(*) AS count
+                               FROM products
+                               WHERE ' . $baseWhere . self::where($filters, $params, 'brand') . '
+                                 AND products.brand IS NOT NULL AND products.brand <> \'\'
+                               GROUP BY products.brand
+                               ORDER BY products.brand ASC');
+        self::bind($stmt, $params);
+        $stmt->execute();
+        
+        $brands = [];
+        foreach ($stmt->fetchAll(PDO::FETCH_ASSOC) as $row) {
+            $brands[$row['value']] = [
+                'value' => $row['value'],
+                'count' => (int) $row['count'],
+                'selected' => in_array($row['value'], $filters['brands'], true)
+            ];
+        }
+        
+        // A ticked brand stays in the list (with 0) so it can be unticked
+        foreach ($filters['brands'] as $brand) {
+            if (!isset($brands[$brand])) {
+                $brands[$brand] = ['value' => $brand, 'count' => 0, 'selected' => true];
+            }
+        }
+        
+        // ============================================
+        // PRICE RANGE
+        // ============================================
+        $params = $baseParams;
+        $stmt = $pdo->prepare('SELECT MIN(products.price) AS min_price, MAX(products.price) AS max_price
+                               FROM products
+                               WHERE ' . $baseWhere . self::where($filters, $params, 'price'));
+        self::bind($stmt, $params);
+        $stmt->execute();
+        $price = $stmt->fetch(PDO::FETCH_ASSOC);
+        
+        // ============================================
+        // AVAILABILITY
+        // ============================================
+        $params = $baseParams;
+        $stmt = $pdo->prepare('SELECT COUNT(*) AS total,
+                                      COALESCE(SUM(products.stock_quantity > 0), 0) AS in_stock
+                               FROM products
+                               WHERE ' . $baseWhere . self::where($filters, $params, 'in_stock'));
+        self::bind($stmt, $params);
+        $stmt->execute();
+        $availability = $stmt->fetch(PDO::FETCH_ASSOC);
+        
+        // ============================================
+        // RATINGS
+        // ============================================
+        $params = $baseParams;
+        $columns = [];
+        foreach (self::RATING_STEPS as $step) {
+            $columns[] = sprintf('COALESCE(SUM(products.rating >= %d), 0) AS rating_%d', $step, $step);
+        }
+        $stmt = $pdo->prepare('SELECT ' . implode(', ', $columns) . '
+                               FROM products
+                               WHERE ' . $baseWhere . self::where($filters, $params, 'rating'));
+        self::bind($stmt, $params);
+        $stmt->execute();
+        $ratingCounts = $stmt->fetch(PDO::FETCH_ASSOC);
+        
+        $ratings = [];
+        foreach (self::RATING_STEPS as $step) {
+            $ratings[] = ['min' => $step, 'count' => (int) $ratingCounts['rating_' . $step]];
+        }
+        
+        return [
+            'brands' => array_values($brands),
+            'price' => [
+                'min' => $price['min_price'] !== null ? (float) $price['min_price'] : null,
+                'max' => $price['max_price'] !== null ? (float) $price['max_price'] : null
+            ],
+            'availability' => [
+                'in_stock' => (int) $availability['in_stock'],
+                'out_of_stock' => (int) $availability['total'] - (int) $availability['in_stock']
+            ],
+            'ratings' => $ratings
+        ];
+    }
+    
+    /**
+     * Describes the active filters for the response (echoed back to the client)
+     * 
+     * @param array $filters Filters from fromQuery()
+     * @return array ['brand' => string[], 'min_price', 'max_price', 'in_stock', 'min_rating', 'sort']
+     */
+    public static function describe(array $filters): array
+    {
+        return [
+            'brand' => $filters['brands'],
+            'min_price' => $filters['min_price'],
+            'max_price' => $filters['max_price'],
+            'in_stock' => $filters['in_stock'],
+            'min_rating' => $filters['min_rating'],
+            'sort' => $filters['sort']
+        ];
+    }
+}
+
+// End of ProductFilters.php
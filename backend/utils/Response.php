@@ -31,6 +31,18 @@ declare(strict_types=1);
  *     'password' => 'Password too short'
  * ], 422);
  * ```
+ * 
+ * Error Response with a machine-readable code:
+ * ```php
+ * Response::error('Cart is empty.', [], 400, 'CART_EMPTY');
+ * ```
+ * 
+ * Cacheable GET endpoint (sends an ETag and answers 304 when nothing changed):
+ * ```php
+ * Response::cacheable();
+ * Response::lastModified($product['updated_at']); // optional
+ * Response::success('Product retrieved', $data);
+ * ```
  */
 
 // Load configuration if available (for app metadata)
@@ -40,6 +52,51 @@ if (file_exists(__DIR__ . '/../config/config.php')) {
 
 class Response
 {
+    /**
+     * Whether success() should send validators (ETag / Last-Modified)
+     * and answer conditional requests with 304 Not Modified
+     * 
+     * @var bool
+     */
+    private static bool $cacheable = false;
+    
+    /**
+     * Unix timestamp sent as Last-Modified (null = don't send one)
+     * 
+     * @var int|null
+     */
+    private static ?int $lastModified = null;
+    
+    /**
+     * Mark the response of this request as cacheable
+     * 
+     * Call this at the top of read-only GET endpoints (e.g. product listings).
+     * success() will then:
+     * - Send an ETag computed from the message and data (not the timestamp,
+     *   which changes on every request)
+     * - Send "Cache-Control: private, no-cache" so clients always revalidate
+     * - Reply 304 with an empty body when the client's If-None-Match or
+     *   If-Modified-Since shows it already has the current version
+     * 
+     * @return void
+     */
+    public static function cacheable(): void
+    {
+        self::$cacheable = true;
+    }
+    
+    /**
+     * Set the Last-Modified date of a cacheable response
+     * 
+     * @param string $dateTime Any date strtotime() understands (e.g. a DATETIME column)
+     * @return void
+     */
+    public static function lastModified(string $dateTime): void
+    {
+        $timestamp = strtotime($dateTime);
+        self::$lastModified = $timestamp === false ? null : $timestamp;
+    }
+    
     /**
      * Send a successful JSON response
      * 
@@ -64,6 +121,11 @@ class Response
         // Set the Content-Type header to JSON
         self::setJsonHeader();
         
+        // Cacheable GET: send validators, stop here if the client is up to date
+        if (self::$cacheable && ($_SERVER['REQUEST_METHOD'] ?? 'GET') === 'GET') {
+            self::sendValidators($message, $data);
+        }
+        
         // Set HTTP status code to 200 (OK)
         http_response_code(200);
         
@@ -90,17 +152,23 @@ class Response
      * {
      *   "success": false,
      *   "message": "An error occurred",
+     *   "code": "INSUFFICIENT_STOCK",
      *   "errors": { ... },
      *   "app": { "name": "...", "version": "..." },
      *   "timestamp": "2025-11-21T10:30:00+01:00"
      * }
      * 
+     * The optional $code lets the frontend branch on the kind of error
+     * without parsing $message (which is meant for humans and may change).
+     * When omitted, "code" is null and clients fall back to the HTTP status.
+     * 
      * @param string $message Human-readable error message
-     * @param array $errors Optional array of detailed errors (e.g., validation errors)
+     * @param array|null $errors Optional array of detailed errors (e.g., validation errors)
      * @param int $httpStatus HTTP status code (default 400 Bad Request)
+     * @param string|null $code Optional machine-readable error code (e.g., 'CART_EMPTY')
      * @return void This method outputs JSON and terminates script execution
      */
-    public static function error(string $message, array $errors = [], int $httpStatus = 400): void
+    public static function error(string $message, ?array $errors = [], int $httpStatus = 400, ?string $code = null): void
     {
         // Set the Content-Type header to JSON
         self::setJsonHeader();
@@ -112,7 +180,8 @@ class Response
         $response = [
             'success' => false,
             'message' => $message,
-            'errors' => $errors,
+            'code' => $code,
+            'errors' => $errors ?? [],
             'app' => self::getAppMetadata(),
             'timestamp' => self::getCurrentTimestamp(),
         ];
@@ -121,6 +190,44 @@ class Response
         self::outputJson($response);
     }
     
+    /**
+     * Send ETag / Last-Modified headers and answer 304 when they match
+     * 
+     * If-None-Match takes precedence over If-Modified-Since (RFC 9110).
+     * 
+     * @param string $message Success message (part of the ETag)
+     * @param mixed $data Response data (part of the ETag)
+     * @return void Exits with 304 if the client's copy is still current
+     */
+    private static function sendValidators(string $message, $data): void
+    {
+        $etag = '"' . md5(json_encode([$message, $data])) . '"';
+        
+        header('ETag: ' . $etag);
+        header('Cache-Control: private, no-cache');
+        
+        if (self::$lastModified !== null) {
+            header('Last-Modified: ' . gmdate('D, d M Y H:i:s', self::$lastModified) . ' GMT');
+        }
+        
+        $ifNoneMatch = $_SERVER['HTTP_IF_NONE_MATCH'] ?? null;
+        $ifModifiedSince = $_SERVER['HTTP_IF_MODIFIED_SINCE'] ?? null;
+        
+        if ($ifNoneMatch !== null) {
+            $notModified = in_array($etag, array_map('trim', explode(',', $ifNoneMatch)), true);
+        } elseif ($ifModifiedSince !== null && self::$lastModified !== null) {
+            $since = strtotime($ifModifiedSince);
+            $notModified = $since !== false && self::$lastModified <= $since;
+        } else {
+            $notModified = false;
+        }
+        
+        if ($notModified) {
+            http_response_code(304);
+            exit;
+        }
+    }
+    
     /**
      * Set JSON Content-Type header
      * 
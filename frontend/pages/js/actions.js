@@ -0,0 +1,137 @@
+/**
+ * Delegated Events Module for Carthage Tech E-commerce
+ * 
+ * Renderers used to emit onclick="removeFromCart(5)" style attributes.
+ * Those only work with global functions and are blocked by a
+ * Content-Security-Policy without 'unsafe-inline'. Instead, rendered
+ * elements now describe what they do with data-* attributes:
+ * 
+ *   <button data-action="remove-item" data-cart-id="5">Remove</button>
+ * 
+ * and the container they are rendered into gets ONE listener that looks
+ * up the action by name:
+ * 
+ *   bindActions(container, {
+ *       'remove-item': (el) => removeFromCart(Number(el.dataset.cartId))
+ *   });
+ * 
+ * Because the listener sits on the container, it keeps working after the
+ * container's innerHTML is replaced. Renderers can call bindActions() on
+ * every render: the listener is only added once, the handlers are replaced.
+ * 
+ * Broken images are handled the same way (instead of onerror="..."):
+ *   <img src="..." data-fallback-src="images/placeholder.jpg">  - swap to another image
+ *   <img src="..." data-fallback="placeholder">                  - hide it, show the next element
+ * 
+ * Dependencies: none
+ */
+
+// ============================================================================
+// ACTIONS
+// ============================================================================
+
+/**
+ * Handlers registered for each container (container → { actionName: handler })
+ */
+const containerActions = new WeakMap();
+
+/**
+ * Runs the handler of the closest [data-action] element that was clicked
+ * 
+ * @param {Event} event - Click event caught by the container
+ */
+function dispatchAction(event) {
+    const container = event.currentTarget;
+    const element = event.target.closest('[data-action]');
+    
+    // Ignore clicks outside an action (closest() may also match an ancestor of the container)
+    if (!element || !container.contains(element)) {
+        return;
+    }
+    
+    const handlers = containerActions.get(container) || {};
+    const handler = handlers[element.dataset.action];
+    if (!handler) {
+        return;
+    }
+    
+    event.preventDefault();
+    const result = handler(element, event);
+    
+    // Async handlers (addToCart, removeFromCart...) already show their errors
+    // as notifications: don't leave the rejected promise unhandled
+    if (result && typeof result.catch === 'function') {
+        result.catch(() => {});
+    }
+}
+
+/**
+ * Connects data-action elements inside a container to their handlers
+ * 
+ * @param {Element|string} container - Container element or its ID
+ * @param {object} handlers - { actionName: (element, event) => ... }
+ * @returns {Element|null} - The container (null if it doesn't exist)
+ * 
+ * Example usage:
+ *   bindActions('cart-container', {
+ *       'remove-item': (el) => removeFromCart(Number(el.dataset.cartId)),
+ *       'clear-cart': () => clearCart()
+ *   });
+ */
+export function bindActions(container, handlers) {
+    const element = typeof container === 'string' ? document.getElementById(container) : container;
+    if (!element) {
+        return null;
+    }
+    
+    if (!containerActions.has(element)) {
+        element.addEventListener('click', dispatchAction);
+        bindImageFallbacks(element);
+    }
+    containerActions.set(element, { ...containerActions.get(element), ...handlers });
+    
+    return element;
+}
+
+// ============================================================================
+// IMAGE FALLBACKS
+// ============================================================================
+
+/**
+ * Replaces a broken image according to its data-* attributes
+ * 
+ * @param {Event} event - Error event caught by the container (capture phase)
+ */
+function handleImageError(event) {
+    const image = event.target;
+    if (!image || image.tagName !== 'IMG') {
+        return;
+    }
+    
+    const fallbackSrc = image.dataset.fallbackSrc;
+    if (fallbackSrc) {
+        // Only once, so a missing placeholder can't loop forever
+        delete image.dataset.fallbackSrc;
+        image.src = fallbackSrc;
+        return;
+    }
+    
+    if (image.dataset.fallback === 'placeholder') {
+        image.style.display = 'none';
+        if (image.nextElementSibling) {
+            image.nextElementSibling.style.display = 'flex';
+        }
+    }
+}
+
+/**
+ * Handles broken images inside a container
+ * 
+ * Error events don't bubble, so the listener uses the capture phase.
+ * bindActions() already calls this for its containers.
+ * 
+ * @param {Element} container - Container element
+ */
+export function bindImageFallbacks(container) {
+    container.addEventListener('error', handleImageError, true);
+}
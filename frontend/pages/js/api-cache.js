@@ -0,0 +1,365 @@
+/**
+ * API Response Cache for Carthage Tech E-commerce
+ * 
+ * Keeps the responses of catalogue GET requests (endpoints under /products/)
+ * so moving between ordinateurs.html, accessoires.html and reseaux.html
+ * doesn't download the same product lists again on every page load.
+ * 
+ * Strategy (stale-while-revalidate):
+ * - Fresh entry (younger than maxAge): returned right away, no request at all
+ * - Stale entry (younger than staleTime): returned right away, and the API is
+ *   asked in the background whether it changed (If-None-Match / If-Modified-Since).
+ *   A 304 only refreshes the entry; new data replaces it and an
+ *   'apicache:updated' event is fired on window
+ * - Missing or too old: wait for the API (still sending validators if we have any)
+ * 
+ * Entries live in memory for the current page and in IndexedDB so they
+ * survive navigation. When IndexedDB is unavailable (private browsing,
+ * file://) the cache quietly works from memory only.
+ * 
+ * Call invalidateApiCache() whenever something may have changed stock
+ * (an order was placed, the API reported insufficient stock, ...).
+ * 
+ * Dependencies: none
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Cache settings
+ * 
+ * - prefixes: only GET endpoints starting with one of these are cached
+ * - maxAge: milliseconds an entry is used without asking the API
+ * - staleTime: milliseconds an entry may still be shown while it is refreshed
+ */
+const API_CACHE_DEFAULTS = {
+    prefixes: ['/products/'],
+    maxAge: 30 * 1000,            // 30 seconds
+    staleTime: 24 * 60 * 60 * 1000 // 1 day
+};
+
+/**
+ * IndexedDB database holding the persisted entries
+ */
+const API_CACHE_DB = {
+    name: 'carthage-tech-api-cache',
+    version: 1,
+    store: 'responses'
+};
+
+/**
+ * In-memory copy of the entries used on this page (key → entry)
+ * 
+ * Entry shape: { key, endpoint, result, etag, lastModified, storedAt }
+ */
+const apiMemoryCache = new Map();
+
+/**
+ * Keys currently being refreshed in the background (avoids duplicate requests)
+ */
+const apiPendingRevalidations = new Set();
+
+/**
+ * Bumped by invalidateApiCache() so responses to requests started before an
+ * invalidation don't write outdated data back into the cache
+ */
+let apiCacheGeneration = 0;
+
+/**
+ * Promise for the opened database (null until first use)
+ */
+let apiCacheDatabasePromise = null;
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Wraps an IndexedDB request in a Promise
+ * 
+ * @param {IDBRequest} idbRequest - Request returned by an object store method
+ * @returns {Promise<any>} - Resolves with the request's result
+ */
+function promisifyIdbRequest(idbRequest) {
+    return new Promise((resolve, reject) => {
+        idbRequest.onsuccess = () => resolve(idbRequest.result);
+        idbRequest.onerror = () => reject(idbRequest.error);
+    });
+}
+
+/**
+ * Opens (and creates if needed) the cache database
+ * 
+ * @returns {Promise<IDBDatabase|null>} - The database, or null if IndexedDB can't be used
+ */
+function openApiCacheDatabase() {
+    if (apiCacheDatabasePromise) {
+        return apiCacheDatabasePromise;
+    }
+    
+    apiCacheDatabasePromise = new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        
+        let openRequest;
+        try {
+            openRequest = indexedDB.open(API_CACHE_DB.name, API_CACHE_DB.version);
+        } catch (error) {
+            // Some browsers throw instead of failing the request (e.g. file://)
+            resolve(null);
+            return;
+        }
+        
+        openRequest.onupgradeneeded = () => {
+            openRequest.result.createObjectStore(API_CACHE_DB.store, { keyPath: 'key' });
+        };
+        openRequest.onsuccess = () => resolve(openRequest.result);
+        openRequest.onerror = () => {
+            console.warn('API cache: IndexedDB unavailable, using memory only', openRequest.error);
+            resolve(null);
+        };
+    });
+    
+    return apiCacheDatabasePromise;
+}
+
+/**
+ * Runs an operation on the cache object store
+ * 
+ * Failures are logged and swallowed: a broken cache must never break a page.
+ * 
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} operation - Receives the object store, returns a Promise
+ * @returns {Promise<any>} - The operation's result, or null on failure
+ */
+async function withApiCacheStore(mode, operation) {
+    const database = await openApiCacheDatabase();
+    if (!database) {
+        return null;
+    }
+    
+    try {
+        const transaction = database.transaction(API_CACHE_DB.store, mode);
+        return await operation(transaction.objectStore(API_CACHE_DB.store));
+    } catch (error) {
+        console.warn('API cache: IndexedDB operation failed', error);
+        return null;
+    }
+}
+
+/**
+ * Reads an entry, from memory first and then from IndexedDB
+ * 
+ * @param {string} key - Cache key (full request URL)
+ * @returns {Promise<object|null>} - The entry, or null if not cached
+ */
+async function readApiCacheEntry(key) {
+    if (apiMemoryCache.has(key)) {
+        return apiMemoryCache.get(key);
+    }
+    
+    const entry = await withApiCacheStore('readonly', (store) => promisifyIdbRequest(store.get(key)));
+    if (entry) {
+        apiMemoryCache.set(key, entry);
+    }
+    return entry || null;
+}
+
+/**
+ * Stores an entry in memory and IndexedDB
+ * 
+ * The memory copy is updated synchronously, so callers don't need to wait
+ * for the (slower) IndexedDB write.
+ * 
+ * @param {object} entry - { key, endpoint, result, etag, lastModified, storedAt }
+ * @returns {Promise<void>}
+ */
+async function writeApiCacheEntry(entry) {
+    apiMemoryCache.set(entry.key, entry);
+    await withApiCacheStore('readwrite', (store) => promisifyIdbRequest(store.put(entry)));
+}
+
+/**
+ * Removes cached responses whose endpoint starts with a prefix
+ * 
+ * Call this after anything that may change what the catalogue shows
+ * (stock levels, prices), so the next page load asks the API again.
+ * 
+ * @param {string} prefix - Endpoint prefix to drop (default: all catalogue data)
+ * @returns {Promise<void>}
+ * 
+ * Example usage:
+ *   await invalidateApiCache();                        // Everything under /products/
+ *   await invalidateApiCache('/products/detail.php');  // Only product pages
+ */
+export async function invalidateApiCache(prefix = '/products/') {
+    apiCacheGeneration++;
+    
+    for (const [key, entry] of apiMemoryCache) {
+        if (entry.endpoint.startsWith(prefix)) {
+            apiMemoryCache.delete(key);
+        }
+    }
+    
+    await withApiCacheStore('readwrite', (store) => new Promise((resolve, reject) => {
+        const cursorRequest = store.openCursor();
+        
+        cursorRequest.onsuccess = () => {
+            const cursor = cursorRequest.result;
+            if (!cursor) {
+                resolve();
+                return;
+            }
+            if (cursor.value.endpoint.startsWith(prefix)) {
+                cursor.delete();
+            }
+            cursor.continue();
+        };
+        cursorRequest.onerror = () => reject(cursorRequest.error);
+    }));
+}
+
+// ============================================================================
+// STALE-WHILE-REVALIDATE
+// ============================================================================
+
+/**
+ * Tells whether a request should go through the cache
+ * 
+ * Pass { cache: false } in apiCall() options to skip the cache for one call.
+ * 
+ * @param {object} request - Request built by apiCall() (after interceptors)
+ * @returns {boolean}
+ */
+export function isCacheableRequest(request) {
+    return request.method === 'GET'
+        && request.options.cache !== false
+        && API_CACHE_DEFAULTS.prefixes.some((prefix) => request.endpoint.startsWith(prefix));
+}
+
+/**
+ * Asks the API for a fresh copy and updates the cache
+ * 
+ * Sends the entry's ETag / Last-Modified so an unchanged resource
+ * comes back as an empty 304 instead of the whole list.
+ * 
+ * @param {object} request - Request built by apiCall()
+ * @param {string} key - Cache key
+ * @param {object|null} entry - Current entry, if any
+ * @param {function} execute - Sends the request, resolves with { result, response }
+ * @returns {Promise<object>} - Up-to-date parsed JSON response
+ */
+async function revalidateApiCacheEntry(request, key, entry, execute) {
+    const generation = apiCacheGeneration;
+    const headers = { ...request.headers };
+    
+    if (entry && entry.etag) {
+        headers['If-None-Match'] = entry.etag;
+    }
+    if (entry && entry.lastModified) {
+        headers['If-Modified-Since'] = entry.lastModified;
+    }
+    
+    const { result, response } = await execute({ ...request, headers });
+    
+    // Invalidated while we were waiting: return the data but don't store it
+    const stillValid = generation === apiCacheGeneration;
+    
+    if (response.status === 304 && entry) {
+        if (stillValid) {
+            writeApiCacheEntry({ ...entry, storedAt: Date.now() });
+        }
+        return entry.result;
+    }
+    
+    if (stillValid) {
+        writeApiCacheEntry({
+            key,
+            endpoint: request.endpoint,
+            result,
+            etag: response.headers.get('ETag'),
+            lastModified: response.headers.get('Last-Modified'),
+            storedAt: Date.now()
+        });
+    }
+    
+    return result;
+}
+
+/**
+ * Refreshes an entry without making the caller wait
+ * 
+ * When the API returns different data, fires 'apicache:updated' on window
+ * with { endpoint, result } so pages can re-render if they want to.
+ * 
+ * @param {object} request - Request built by apiCall()
+ * @param {string} key - Cache key
+ * @param {object} entry - Stale entry already handed to the caller
+ * @param {function} execute - Sends the request, resolves with { result, response }
+ */
+function revalidateApiCacheInBackground(request, key, entry, execute) {
+    if (apiPendingRevalidations.has(key)) {
+        return;
+    }
+    apiPendingRevalidations.add(key);
+    
+    // The caller already has its data, so cancelling their call shouldn't stop the refresh
+    const backgroundRequest = { ...request, options: { ...request.options, signal: null } };
+    
+    revalidateApiCacheEntry(backgroundRequest, key, entry, execute)
+        .then((result) => {
+            if (result !== entry.result) {
+                window.dispatchEvent(new CustomEvent('apicache:updated', {
+                    detail: { endpoint: request.endpoint, result }
+                }));
+            }
+        })
+        .catch((error) => {
+            console.warn(`API cache: background refresh of ${request.endpoint} failed`, error);
+        })
+        .finally(() => {
+            apiPendingRevalidations.delete(key);
+        });
+}
+
+/**
+ * Answers a cacheable request from the cache when possible
+ * 
+ * Used by apiCall() for every request accepted by isCacheableRequest().
+ * Pass { cache: 'reload' } in apiCall() options to ignore the cached copy
+ * (validators are still sent, so an unchanged list costs only a 304).
+ * 
+ * @param {object} request - Request built by apiCall() (after interceptors)
+ * @param {string} key - Cache key (full request URL)
+ * @param {function} execute - Sends the request, resolves with { result, response }
+ * @returns {Promise<object>} - Parsed JSON response (cached or fresh)
+ */
+export async function cachedApiRequest(request, key, execute) {
+    const entry = await readApiCacheEntry(key);
+    const age = entry ? Date.now() - entry.storedAt : Infinity;
+    
+    if (entry && request.options.cache !== 'reload') {
+        if (age < API_CACHE_DEFAULTS.maxAge) {
+            return entry.result;
+        }
+        if (age < API_CACHE_DEFAULTS.staleTime) {
+            revalidateApiCacheInBackground(request, key, entry, execute);
+            return entry.result;
+        }
+    }
+    
+    try {
+        return await revalidateApiCacheEntry(request, key, entry, execute);
+    } catch (error) {
+        // Server unreachable: an old product list is better than an error message
+        if (entry && (error.type === 'network' || error.type === 'timeout')) {
+            console.warn(`API cache: ${request.endpoint} unreachable, serving cached copy`);
+            return entry.result;
+        }
+        throw error;
+    }
+}
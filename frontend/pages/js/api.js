@@ -10,94 +10,798 @@
  * - async/await: Syntax for handling asynchronous operations
  * - localStorage: Browser storage for persisting user data
  * - credentials: 'include' - Sends cookies with requests (needed for PHP sessions)
+ * 
+ * Dependencies: config.js, api-cache.js, tab-sync.js
  */
 
+import { getAppConfig } from './config.js';
+import { isCacheableRequest, cachedApiRequest } from './api-cache.js';
+import { broadcastTabEvent } from './tab-sync.js';
+
 // ============================================================================
 // CONFIGURATION
 // ============================================================================
 
 /**
  * Base URL for all API endpoints
- * Change this if your backend is hosted elsewhere
+ * Resolved by config.js (global config, <meta name="api-base-url">,
+ * named environment or current origin) - don't edit it here
  */
-const BASE_URL = 'http://localhost/charthage_tech/backend/api';
+export const BASE_URL = getAppConfig().apiBaseUrl;
+
+/**
+ * Default request behaviour for apiCall()
+ * 
+ * - timeout: milliseconds before a request is aborted (0 disables it)
+ * - retries: how many times a failed GET is retried (POST/PUT/DELETE never are)
+ * - retryDelay: base delay for exponential backoff (300ms, 600ms, 1200ms, ...)
+ */
+const API_DEFAULTS = {
+    timeout: getAppConfig().apiTimeout,
+    retries: 2,
+    retryDelay: 300
+};
+
+// ============================================================================
+// TRANSPORT
+// ============================================================================
+
+/**
+ * Promise of the transport used by sendRequest() (null until the first request)
+ * 
+ * A transport is any function with the signature of fetch(url, init)
+ * that resolves with a Response.
+ */
+let apiTransportPromise = null;
+
+/**
+ * Default transport: the real backend, through fetch()
+ * 
+ * @param {string} url - Full request URL
+ * @param {object} init - fetch() options
+ * @returns {Promise<Response>}
+ */
+function fetchTransport(url, init) {
+    return fetch(url, init);
+}
+
+/**
+ * Replaces the transport used by every apiCall()
+ * 
+ * @param {function|null} transport - fetch-compatible function (null = back to fetch)
+ * 
+ * Example usage (automated tests):
+ *   const backend = createMockBackend({ latency: 0, storage: null });
+ *   setApiTransport(backend.transport);
+ */
+export function setApiTransport(transport) {
+    apiTransportPromise = Promise.resolve(transport || fetchTransport);
+}
+
+/**
+ * Returns the transport picked by config.js ('fetch' or 'mock')
+ * 
+ * @returns {Promise<function>}
+ */
+function getApiTransport() {
+    if (!apiTransportPromise) {
+        apiTransportPromise = getAppConfig().transport === 'mock'
+            ? loadMockTransport()
+            : Promise.resolve(fetchTransport);
+    }
+    return apiTransportPromise;
+}
+
+/**
+ * Loads the mock backend on demand and returns its transport
+ * 
+ * The mock modules are only downloaded when the mock is enabled, so
+ * pages that talk to the real API never pay for them. The instance is
+ * exposed as window.mockBackend for failure injection from the browser console.
+ * 
+ * @returns {Promise<function>} - The mock backend's transport
+ */
+async function loadMockTransport() {
+    try {
+        const { createMockBackend } = await import('./mock/mock-backend.js');
+        
+        window.mockBackend = createMockBackend();
+        console.warn('[api] Using the mock backend - requests never reach the PHP API');
+        return window.mockBackend.transport;
+        
+    } catch (error) {
+        // Never fall back to the real API silently: the developer asked for the mock
+        apiTransportPromise = null;
+        throw new ApiError('Mock backend could not be loaded', { type: 'network', cause: error });
+    }
+}
 
 // ============================================================================
 // CORE API FUNCTIONS
 // ============================================================================
 
 /**
- * Makes an API call to the backend
+ * Machine-readable error codes carried by ApiError
  * 
- * This is the main function used by all other API functions.
- * It handles the HTTP request, response parsing, and error handling.
+ * Some codes are sent by the backend (Response::error's $code argument),
+ * the others are derived from the HTTP status or the kind of failure.
+ * Always branch on these codes - never on error.message, which is
+ * written for humans and may change at any time.
+ */
+export const API_ERROR_CODES = {
+    // Sent by the backend
+    AUTH_REQUIRED: 'AUTH_REQUIRED',
+    INVALID_CREDENTIALS: 'INVALID_CREDENTIALS',
+    FORBIDDEN: 'FORBIDDEN',
+    EMAIL_TAKEN: 'EMAIL_TAKEN',
+    CART_EMPTY: 'CART_EMPTY',
+    INSUFFICIENT_STOCK: 'INSUFFICIENT_STOCK',
+    COUPON_INVALID: 'COUPON_INVALID',
+    
+    // Derived from the HTTP status
+    BAD_REQUEST: 'BAD_REQUEST',
+    NOT_FOUND: 'NOT_FOUND',
+    METHOD_NOT_ALLOWED: 'METHOD_NOT_ALLOWED',
+    VALIDATION_FAILED: 'VALIDATION_FAILED',
+    SERVER_ERROR: 'SERVER_ERROR',
+    
+    // Derived from the kind of failure
+    TIMEOUT: 'TIMEOUT',
+    NETWORK_ERROR: 'NETWORK_ERROR',
+    ABORTED: 'ABORTED',
+    INVALID_RESPONSE: 'INVALID_RESPONSE',
+    UNKNOWN: 'UNKNOWN'
+};
+
+/**
+ * Error thrown by apiCall() when a request fails
  * 
- * @param {string} endpoint - The API endpoint (e.g., '/auth/login.php')
- * @param {string} method - HTTP method: 'GET', 'POST', 'PUT', 'DELETE'
- * @param {object|null} data - Data to send in request body (for POST/PUT/DELETE)
- * @returns {Promise<object>} - Parsed JSON response from API
- * @throws {Error} - Throws error if request fails or API returns error
+ * Properties:
+ * - type: what failed
+ *     'timeout'  - the server did not answer within the timeout
+ *     'network'  - the request never reached the server (offline, CORS, DNS...)
+ *     'http'     - the server answered with a non-2xx status code
+ *     'api'      - the server answered 2xx but reported success: false (or invalid JSON)
+ *     'aborted'  - the caller cancelled the request through its AbortSignal
+ * - code: machine-readable code from API_ERROR_CODES
+ * - status: HTTP status code (null if no response was received)
+ * - errors: field-level errors from Response::error (e.g., { email: '...' })
+ * - endpoint: the endpoint that was called (e.g., '/cart/add.php')
+ * - response: the full parsed JSON body, if any
  * 
  * Example usage:
- *   const user = await apiCall('/auth/login.php', 'POST', { email, password });
+ *   try {
+ *       await apiCall('/orders/create.php', 'POST', shippingData);
+ *   } catch (error) {
+ *       if (error.code === API_ERROR_CODES.CART_EMPTY) { ... }
+ *   }
  */
-async function apiCall(endpoint, method = 'GET', data = null) {
-    try {
-        // Construct full URL by combining base URL and endpoint
-        const url = BASE_URL + endpoint;
-        
-        // Configure fetch options
-        const options = {
-            method: method, // HTTP method (GET, POST, PUT, DELETE, etc.)
-            headers: {
-                'Content-Type': 'application/json', // Tell server we're sending JSON
-            },
-            credentials: 'include' // IMPORTANT: Include cookies for PHP session management
-        };
-        
-        // Add request body for POST/PUT/DELETE requests with data
-        // JSON.stringify() converts JavaScript object to JSON string
-        if (data && (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
-            options.body = JSON.stringify(data);
+export class ApiError extends Error {
+    constructor(message, { type = 'api', status = null, code = null, errors = null, endpoint = null, response = null, cause = null } = {}) {
+        super(message);
+        this.name = 'ApiError';
+        this.type = type;
+        this.status = status;
+        this.code = code || ApiError.codeFor(type, status);
+        this.endpoint = endpoint;
+        this.response = response;
+        this.cause = cause;
+        
+        // PHP encodes an empty array as [] - normalise to an object so
+        // callers can always do error.errors.email
+        this.errors = errors && !Array.isArray(errors) ? errors : {};
+    }
+    
+    /**
+     * Derives an error code when the backend did not send one
+     * 
+     * @param {string} type - Error type
+     * @param {number|null} status - HTTP status code
+     * @returns {string} - Code from API_ERROR_CODES
+     */
+    static codeFor(type, status) {
+        switch (type) {
+            case 'timeout': return API_ERROR_CODES.TIMEOUT;
+            case 'network': return API_ERROR_CODES.NETWORK_ERROR;
+            case 'aborted': return API_ERROR_CODES.ABORTED;
         }
         
+        if (status === 400) return API_ERROR_CODES.BAD_REQUEST;
+        if (status === 401) return API_ERROR_CODES.AUTH_REQUIRED;
+        if (status === 403) return API_ERROR_CODES.FORBIDDEN;
+        if (status === 404) return API_ERROR_CODES.NOT_FOUND;
+        if (status === 405) return API_ERROR_CODES.METHOD_NOT_ALLOWED;
+        if (status === 422) return API_ERROR_CODES.VALIDATION_FAILED;
+        if (status >= 500) return API_ERROR_CODES.SERVER_ERROR;
+        
+        return type === 'api' && status !== null && status < 300
+            ? API_ERROR_CODES.INVALID_RESPONSE
+            : API_ERROR_CODES.UNKNOWN;
+    }
+    
+    /**
+     * Builds an ApiError from a parsed backend error body
+     * 
+     * @param {string} type - 'http' or 'api'
+     * @param {Response} response - fetch() Response
+     * @param {object|null} body - Parsed JSON body (null if not JSON)
+     * @param {string} endpoint - Endpoint that was called
+     * @returns {ApiError}
+     */
+    static fromResponse(type, response, body, endpoint) {
+        const message = (body && body.message) || `HTTP ${response.status} ${response.statusText}`;
+        
+        return new ApiError(message, {
+            type,
+            endpoint,
+            status: response.status,
+            code: body ? body.code : null,
+            errors: body ? body.errors : null,
+            response: body
+        });
+    }
+}
+
+/**
+ * Waits for the given number of milliseconds
+ * 
+ * Resolves early (with an 'aborted' error) if the signal is aborted,
+ * so a cancelled request does not keep sleeping between retries.
+ * 
+ * @param {number} ms - Delay in milliseconds
+ * @param {AbortSignal|null} signal - Optional cancellation signal
+ * @returns {Promise<void>}
+ */
+function wait(ms, signal = null) {
+    return new Promise((resolve, reject) => {
+        const timer = setTimeout(resolve, ms);
+        
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(new ApiError('Request was cancelled', { type: 'aborted' }));
+            }, { once: true });
+        }
+    });
+}
+
+/**
+ * Decides whether a failed attempt is worth retrying
+ * 
+ * Only transient failures are retried: timeouts, network errors
+ * and 5xx server errors. Client errors (4xx), API-level errors
+ * and cancelled requests are returned to the caller immediately.
+ * 
+ * @param {Error} error - Error thrown by the attempt
+ * @returns {boolean}
+ */
+function isRetryableError(error) {
+    if (error.type === 'timeout' || error.type === 'network') {
+        return true;
+    }
+    
+    return error.type === 'http' && error.status >= 500;
+}
+
+/**
+ * Performs a single HTTP request (one attempt of apiCall)
+ * 
+ * @param {string} endpoint - The API endpoint (e.g., '/auth/login.php')
+ * @param {object} fetchOptions - Options passed to fetch()
+ * @param {number} timeout - Timeout in milliseconds (0 = no timeout)
+ * @param {AbortSignal|null} signal - Caller's cancellation signal
+ * @returns {Promise<object>} - { result, response }: parsed JSON (null on 304) and the fetch Response
+ */
+async function sendRequest(endpoint, fetchOptions, timeout, signal) {
+    // Construct full URL by combining base URL and endpoint
+    const url = BASE_URL + endpoint;
+    
+    // fetch() for the PHP backend, or the mock backend (see TRANSPORT)
+    const transport = await getApiTransport();
+    
+    // Each attempt gets its own controller so a timeout only cancels this attempt.
+    // If the caller aborts their signal, we abort our controller too.
+    const controller = new AbortController();
+    let timedOut = false;
+    let timer = null;
+    
+    const onCallerAbort = () => controller.abort();
+    if (signal) {
+        signal.addEventListener('abort', onCallerAbort, { once: true });
+    }
+    
+    if (timeout > 0) {
+        timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeout);
+    }
+    
+    try {
+        let response;
+        
         // Make the HTTP request
         // fetch() returns a Promise, await waits for it to complete
-        const response = await fetch(url, options);
+        try {
+            response = await transport(url, { ...fetchOptions, signal: controller.signal });
+        } catch (error) {
+            if (timedOut) {
+                throw new ApiError(`Request timed out after ${timeout}ms`, { type: 'timeout', endpoint, cause: error });
+            }
+            if (signal && signal.aborted) {
+                throw new ApiError('Request was cancelled', { type: 'aborted', endpoint, cause: error });
+            }
+            throw new ApiError('Network error: unable to reach the server', { type: 'network', endpoint, cause: error });
+        }
         
-        // Handle 401 Unauthorized - redirect to login
-        if (response.status === 401) {
-            console.warn('Authentication required - session expired or invalid');
-            localStorage.removeItem('user');
-            window.location.href = 'login.html?redirect=' + encodeURIComponent(window.location.href);
-            throw new Error('Authentication required');
+        // 304 Not Modified: no body, the caller (the response cache) keeps its copy
+        if (response.status === 304) {
+            return { result: null, response };
         }
         
         // Parse JSON response
         // await waits for the JSON parsing to complete
-        const result = await response.json();
+        let result = null;
+        try {
+            result = await response.json();
+        } catch (parseError) {
+            if (timedOut) {
+                throw new ApiError(`Request timed out after ${timeout}ms`, { type: 'timeout', endpoint, cause: parseError });
+            }
+            // Non-JSON bodies are reported below depending on the status code
+        }
+        
+        // Non-2xx status code: HTTP-level failure
+        if (!response.ok) {
+            throw ApiError.fromResponse('http', response, result, endpoint);
+        }
+        
+        // 2xx but body is not valid JSON
+        if (result === null) {
+            throw new ApiError('Invalid JSON response from server', { type: 'api', endpoint, status: response.status });
+        }
         
         // Check if API returned an error
         if (!result.success) {
             // Throw error with the message from API
-            throw new Error(result.message || 'API request failed');
+            throw ApiError.fromResponse('api', response, { message: 'API request failed', ...result }, endpoint);
         }
         
-        // Return the successful response
-        return result;
+        // Return the successful response (with the raw response for its headers)
+        return { result, response };
         
+    } finally {
+        clearTimeout(timer);
+        if (signal) {
+            signal.removeEventListener('abort', onCallerAbort);
+        }
+    }
+}
+
+/**
+ * Sends a request, retrying transient failures
+ * 
+ * GET requests (which are safe to repeat) are retried with exponential
+ * backoff when the failure looks transient (timeout, network, 5xx).
+ * 
+ * @param {object} request - Request built by apiCall() (after interceptors)
+ * @returns {Promise<object>} - { result, response }: parsed JSON and the fetch Response
+ */
+async function executeRequest(request) {
+    const { endpoint, method, data, headers, options } = request;
+    
+    const timeout = options.timeout !== undefined ? options.timeout : API_DEFAULTS.timeout;
+    const retryDelay = options.retryDelay !== undefined ? options.retryDelay : API_DEFAULTS.retryDelay;
+    const signal = options.signal || null;
+    
+    // Only idempotent GET requests are retried - repeating a POST could create duplicate orders
+    const retries = method === 'GET'
+        ? (options.retries !== undefined ? options.retries : API_DEFAULTS.retries)
+        : 0;
+    
+    // Configure fetch options
+    const fetchOptions = {
+        method: method, // HTTP method (GET, POST, PUT, DELETE, etc.)
+        headers: headers,
+        credentials: 'include' // IMPORTANT: Include cookies for PHP session management
+    };
+    
+    // Add request body for POST/PUT/DELETE requests with data
+    // JSON.stringify() converts JavaScript object to JSON string
+    if (data && (method === 'POST' || method === 'PUT' || method === 'DELETE')) {
+        fetchOptions.body = JSON.stringify(data);
+    }
+    
+    let attempt = 0;
+    
+    while (true) {
+        try {
+            if (signal && signal.aborted) {
+                throw new ApiError('Request was cancelled', { type: 'aborted', endpoint });
+            }
+            
+            return await sendRequest(endpoint, fetchOptions, timeout, signal);
+            
+        } catch (error) {
+            if (attempt < retries && isRetryableError(error)) {
+                // Exponential backoff: 300ms, 600ms, 1200ms, ...
+                const delay = retryDelay * Math.pow(2, attempt);
+                attempt++;
+                console.warn(`API call to ${endpoint} failed (${error.type}), retrying in ${delay}ms (attempt ${attempt}/${retries})`);
+                
+                try {
+                    await wait(delay, signal);
+                    continue;
+                } catch (abortError) {
+                    error = abortError;
+                }
+            }
+            
+            throw error;
+        }
+    }
+}
+
+/**
+ * Makes an API call to the backend
+ * 
+ * This is the main function used by all other API functions.
+ * It handles the HTTP request, response parsing, and error handling.
+ * 
+ * Every call goes through the interceptor pipeline (see addApiInterceptor):
+ * request interceptors → HTTP request (with timeout/retries) → response
+ * interceptors, or error interceptors if anything along the way fails.
+ * 
+ * @param {string} endpoint - The API endpoint (e.g., '/auth/login.php')
+ * @param {string} method - HTTP method: 'GET', 'POST', 'PUT', 'DELETE'
+ * @param {object|null} data - Data to send in request body (for POST/PUT/DELETE)
+ * @param {object} options - Per-call options (all optional):
+ *   - timeout {number}: milliseconds before giving up (0 disables the timeout)
+ *   - retries {number}: retry count for GET requests
+ *   - retryDelay {number}: base backoff delay in milliseconds
+ *   - signal {AbortSignal}: cancels the request when aborted
+ *   - cache {boolean|string}: false skips the response cache, 'reload' bypasses
+ *     the cached copy but still stores the answer (only /products/ GETs are cached)
+ *   - dedupe {boolean}: false always sends a new request, even if an identical
+ *     GET is already in flight
+ * @returns {Promise<object>} - Parsed JSON response from API
+ * @throws {ApiError} - Typed error with type, code, status, errors and endpoint
+ * 
+ * Example usage:
+ *   const user = await apiCall('/auth/login.php', 'POST', { email, password });
+ * 
+ *   const controller = new AbortController();
+ *   apiCall('/products/search.php?q=asus', 'GET', null, { signal: controller.signal, timeout: 5000 });
+ *   controller.abort(); // Cancel it
+ */
+export async function apiCall(endpoint, method = 'GET', data = null, options = {}) {
+    // Everything interceptors may read or change about the call
+    let request = {
+        endpoint,
+        method,
+        data,
+        headers: {
+            'Content-Type': 'application/json', // Tell server we're sending JSON
+        },
+        options,
+        meta: {} // Free space for interceptors (e.g., timing start)
+    };
+    
+    try {
+        request = await runRequestInterceptors(request);
+        
+        // Identical GETs already on their way share the same network request
+        const result = await dedupeRequest(request, async () => {
+            // Catalogue GETs are served from the response cache (see api-cache.js)
+            return isCacheableRequest(request)
+                ? await cachedApiRequest(request, getAppConfig().transport + ':' + BASE_URL + request.endpoint, executeRequest)
+                : (await executeRequest(request)).result;
+        });
+        
+        return await runResponseInterceptors(result, request);
+        
+    } catch (error) {
+        return await runErrorInterceptors(error, request);
+    }
+}
+
+/**
+ * Sends a PUT/DELETE request, retrying with POST if the server refuses the method
+ * 
+ * Some hosts only let GET and POST through; the endpoints that expect
+ * PUT or DELETE also accept POST for them.
+ * 
+ * @param {string} endpoint - API endpoint (e.g., '/cart/update.php')
+ * @param {string} method - 'PUT' or 'DELETE'
+ * @param {object} data - Request body
+ * @returns {Promise<object>} - API response
+ * 
+ * Example usage:
+ *   await callWithPostFallback('/cart/remove.php', 'DELETE', { cart_id: 5 });
+ */
+export async function callWithPostFallback(endpoint, method, data) {
+    try {
+        return await apiCall(endpoint, method, data);
     } catch (error) {
+        // If the method fails (405 Method Not Allowed), try POST
+        if (error.code === API_ERROR_CODES.METHOD_NOT_ALLOWED) {
+            console.warn(`${method} method not allowed, falling back to POST`);
+            return await apiCall(endpoint, 'POST', data);
+        }
+        throw error;
+    }
+}
+
+// ============================================================================
+// INTERCEPTORS
+// ============================================================================
+
+/**
+ * Registered interceptors, run in registration order
+ */
+const apiInterceptors = [];
+
+/**
+ * Registers an interceptor that runs around every apiCall()
+ * 
+ * An interceptor is an object with any of these (optionally async) hooks:
+ * 
+ * - onRequest(request): runs before the request is sent. `request` has
+ *   { endpoint, method, data, headers, options, meta }. Modify it in place
+ *   or return a new request object.
+ * 
+ * - onResponse(result, request): runs after a successful response.
+ *   Return a value to replace the result, or nothing to keep it.
+ * 
+ * - onError(error, request): runs when the call failed (after retries).
+ *   Throw to replace the error, return a value to recover (apiCall then
+ *   resolves with that value), or return nothing to pass the error on.
+ * 
+ * @param {object} interceptor - { onRequest, onResponse, onError }
+ * @returns {function} - Call it to unregister the interceptor
+ * 
+ * Example usage:
+ *   // Log how long each call takes
+ *   addApiInterceptor({
+ *       onRequest(request) { request.meta.start = performance.now(); },
+ *       onResponse(result, request) {
+ *           console.log(request.endpoint, Math.round(performance.now() - request.meta.start) + 'ms');
+ *       }
+ *   });
+ * 
+ *   // Send a CSRF token with every call
+ *   addApiInterceptor({
+ *       onRequest(request) { request.headers['X-CSRF-Token'] = getCsrfToken(); }
+ *   });
+ */
+export function addApiInterceptor(interceptor) {
+    apiInterceptors.push(interceptor);
+    return () => removeApiInterceptor(interceptor);
+}
+
+/**
+ * Unregisters an interceptor previously passed to addApiInterceptor()
+ * 
+ * @param {object} interceptor - The same object that was registered
+ */
+export function removeApiInterceptor(interceptor) {
+    const index = apiInterceptors.indexOf(interceptor);
+    if (index !== -1) {
+        apiInterceptors.splice(index, 1);
+    }
+}
+
+/**
+ * Runs every onRequest hook
+ * 
+ * @param {object} request - Request being built
+ * @returns {Promise<object>} - Final request
+ */
+async function runRequestInterceptors(request) {
+    // Copy the list so an interceptor can unregister itself while running
+    for (const interceptor of [...apiInterceptors]) {
+        if (interceptor.onRequest) {
+            const updated = await interceptor.onRequest(request);
+            if (updated) {
+                request = updated;
+            }
+        }
+    }
+    return request;
+}
+
+/**
+ * Runs every onResponse hook
+ * 
+ * @param {object} result - Parsed API response
+ * @param {object} request - Request that produced it
+ * @returns {Promise<object>} - Final result
+ */
+async function runResponseInterceptors(result, request) {
+    for (const interceptor of [...apiInterceptors]) {
+        if (interceptor.onResponse) {
+            const updated = await interceptor.onResponse(result, request);
+            if (updated !== undefined) {
+                result = updated;
+            }
+        }
+    }
+    return result;
+}
+
+/**
+ * Runs every onError hook, then re-throws the error if nobody recovered
+ * 
+ * @param {Error} error - Error thrown while handling the call
+ * @param {object} request - Request that failed
+ * @returns {Promise<object>} - Value returned by a recovering interceptor
+ * @throws {Error} - The (possibly replaced) error
+ */
+async function runErrorInterceptors(error, request) {
+    for (const interceptor of [...apiInterceptors]) {
+        if (interceptor.onError) {
+            try {
+                const recovered = await interceptor.onError(error, request);
+                if (recovered !== undefined) {
+                    return recovered;
+                }
+            } catch (replacedError) {
+                error = replacedError;
+            }
+        }
+    }
+    
+    // Re-throw error so calling code can handle it
+    throw error;
+}
+
+/**
+ * Default interceptor: logs failed calls to the console
+ * 
+ * Cancelled requests are expected (e.g., a newer search replaced this one)
+ * so they are not logged.
+ */
+const errorLoggingInterceptor = {
+    onError(error) {
+        if (error.type === 'aborted') {
+            return;
+        }
+        
         // Handle CORS errors specifically
-        if (error.message.includes('CORS') || error.name === 'TypeError' && error.message.includes('fetch')) {
+        if (error.type === 'network') {
             console.error('CORS Error: Make sure you are accessing the page via http://localhost (not file://)');
             console.error('Backend must allow Origin: http://localhost with credentials');
         }
         
         // Log error to console for debugging
         console.error('API Call Error:', error);
-        // Re-throw error so calling code can handle it
-        throw error;
     }
+};
+
+/**
+ * Default interceptor: redirects to the login page when the session is missing
+ * 
+ * A failed login also answers 401, but with INVALID_CREDENTIALS, so it is
+ * not redirected. Pages that want different behaviour can replace it:
+ *   removeApiInterceptor(authRedirectInterceptor);
+ *   addApiInterceptor({ onError(error) { ... } });
+ */
+const authRedirectInterceptor = {
+    onError(error) {
+        if (error.code === API_ERROR_CODES.AUTH_REQUIRED) {
+            console.warn('Authentication required - session expired or invalid');
+            clearUserData();
+            window.location.href = 'login.html?redirect=' + encodeURIComponent(window.location.href);
+        }
+    }
+};
+
+addApiInterceptor(errorLoggingInterceptor);
+addApiInterceptor(authRedirectInterceptor);
+
+// ============================================================================
+// REQUEST DE-DUPLICATION & BATCHING
+// ============================================================================
+
+/**
+ * GET requests currently in flight (key → Promise of the parsed response)
+ */
+const apiInFlightRequests = new Map();
+
+/**
+ * Shares one network request between identical concurrent GETs
+ * 
+ * While a GET is in flight, any other GET for the same endpoint (with the
+ * same headers) gets the same Promise instead of hitting the server again.
+ * The entry is removed as soon as the request settles, so later calls
+ * always start a new request.
+ * 
+ * Not shared:
+ * - Non-GET requests (a second POST must really be sent)
+ * - Calls with an AbortSignal (aborting one caller must not cancel the others)
+ * - Calls with { dedupe: false }
+ * 
+ * Each caller still runs its own response/error interceptors. The parsed
+ * response object is shared, so treat it as read-only.
+ * 
+ * @param {object} request - Request built by apiCall() (after interceptors)
+ * @param {function} send - Performs the request, returns a Promise
+ * @returns {Promise<object>} - Parsed JSON response
+ */
+function dedupeRequest(request, send) {
+    if (request.method !== 'GET' || request.options.signal || request.options.dedupe === false) {
+        return send();
+    }
+    
+    const key = request.endpoint + ' ' + JSON.stringify(request.headers);
+    
+    if (apiInFlightRequests.has(key)) {
+        return apiInFlightRequests.get(key);
+    }
+    
+    const promise = send().finally(() => {
+        apiInFlightRequests.delete(key);
+    });
+    
+    apiInFlightRequests.set(key, promise);
+    return promise;
+}
+
+/**
+ * Creates a loader that groups the calls made in the same tick into one batch
+ * 
+ * Every load(key) made before the event loop moves on is collected; then
+ * batchFn is called once with the unique keys. Handy when several widgets
+ * (header badge, mini cart, page body...) ask for the same data while the
+ * page starts up: they all get the answer of a single request.
+ * 
+ * @param {function} batchFn - async (keys) => results, one result per key (same order)
+ * @param {object} options - Optional settings:
+ *   - delay {number}: milliseconds to wait for more calls (default 0 = next tick)
+ * @returns {object} - { load(key) } returning a Promise of that key's result
+ * 
+ * Example usage:
+ *   const productLoader = createBatchLoader(async (ids) => {
+ *       return Promise.all(ids.map(id => apiCall(`/products/detail.php?id=${id}`)));
+ *   });
+ *   const [a, b] = await Promise.all([productLoader.load(1), productLoader.load(1)]); // One request
+ */
+export function createBatchLoader(batchFn, options = {}) {
+    const delay = options.delay || 0;
+    let queue = null; // Map of key → array of { resolve, reject } for the pending batch
+    
+    async function dispatch(batch) {
+        const keys = [...batch.keys()];
+        
+        try {
+            const results = await batchFn(keys);
+            keys.forEach((key, index) => {
+                batch.get(key).forEach(({ resolve }) => resolve(results[index]));
+            });
+        } catch (error) {
+            batch.forEach((waiters) => waiters.forEach(({ reject }) => reject(error)));
+        }
+    }
+    
+    return {
+        load(key = 'default') {
+            return new Promise((resolve, reject) => {
+                if (!queue) {
+                    queue = new Map();
+                    const batch = queue;
+                    setTimeout(() => {
+                        queue = null;
+                        dispatch(batch);
+                    }, delay);
+                }
+                
+                if (!queue.has(key)) {
+                    queue.set(key, []);
+                }
+                queue.get(key).push({ resolve, reject });
+            });
+        }
+    };
 }
 
 // ============================================================================
@@ -117,7 +821,7 @@ async function apiCall(endpoint, method = 'GET', data = null) {
  *       console.log('User is logged in');
  *   }
  */
-function isLoggedIn() {
+export function isLoggedIn() {
     // localStorage.getItem() retrieves data by key
     // Returns null if key doesn't exist
     const user = localStorage.getItem('user');
@@ -139,7 +843,7 @@ function isLoggedIn() {
  *       console.log('Welcome, ' + user.first_name);
  *   }
  */
-function getCurrentUser() {
+export function getCurrentUser() {
     try {
         // Get user data from localStorage
         const userJson = localStorage.getItem('user');
@@ -166,10 +870,28 @@ function getCurrentUser() {
  * Example usage:
  *   saveUserData({ id: 1, email: 'user@example.com', first_name: 'John' });
  */
-function saveUserData(user) {
+export function saveUserData(user) {
     // JSON.stringify() converts JavaScript object to JSON string
     // localStorage only stores strings
     localStorage.setItem('user', JSON.stringify(user));
+    
+    // Other open tabs update their header too (see tab-sync.js)
+    broadcastTabEvent('session', { loggedIn: true });
+}
+
+/**
+ * Removes the saved user data and tells the other open tabs
+ * 
+ * The PHP session cookie is shared by all tabs, so when it is gone
+ * for this tab it is gone for all of them.
+ */
+function clearUserData() {
+    if (localStorage.getItem('user') === null) {
+        return;
+    }
+    
+    localStorage.removeItem('user');
+    broadcastTabEvent('session', { loggedIn: false });
 }
 
 /**
@@ -186,13 +908,13 @@ function saveUserData(user) {
  * Example usage:
  *   await logout(true); // Logout and redirect to login page
  */
-async function logout(redirect = true) {
+export async function logout(redirect = true) {
     try {
         // Call backend logout API to destroy PHP session
         await apiCall('/auth/logout.php', 'POST');
         
         // Clear all user data from localStorage
-        localStorage.removeItem('user');
+        clearUserData();
         
         // Optional: Redirect to login page
         if (redirect) {
@@ -205,7 +927,7 @@ async function logout(redirect = true) {
         console.error('Logout error:', error);
         
         // Even if API call fails, clear local data
-        localStorage.removeItem('user');
+        clearUserData();
         
         if (redirect) {
             window.location.href = 'login.html';
@@ -227,7 +949,7 @@ async function logout(redirect = true) {
  *       console.log('Server confirmed you are logged in');
  *   }
  */
-async function checkAuthStatus() {
+export async function checkAuthStatus() {
     try {
         // Call backend to verify PHP session
         const response = await apiCall('/auth/me.php', 'GET');
@@ -242,9 +964,14 @@ async function checkAuthStatus() {
         
     } catch (error) {
         // If API returns 401 (unauthorized), user is not logged in
-        console.log('Not authenticated');
-        // Clear any stale localStorage data
-        localStorage.removeItem('user');
+        if (error.code === API_ERROR_CODES.AUTH_REQUIRED) {
+            console.log('Not authenticated');
+            // Clear any stale localStorage data
+            clearUserData();
+        } else {
+            // Server unreachable: keep the local session, we simply couldn't verify it
+            console.warn('Could not verify authentication status:', error.message);
+        }
         return null;
     }
 }
@@ -253,36 +980,6 @@ async function checkAuthStatus() {
 // UTILITY FUNCTIONS
 // ============================================================================
 
-/**
- * Shows a loading indicator
- * 
- * @param {string} elementId - ID of element to show loading state
- * 
- * Example usage:
- *   showLoading('products-container');
- */
-function showLoading(elementId) {
-    const element = document.getElementById(elementId);
-    if (element) {
-        element.innerHTML = '<div class="loading">Loading...</div>';
-    }
-}
-
-/**
- * Hides a loading indicator
- * 
- * @param {string} elementId - ID of element to hide loading state
- */
-function hideLoading(elementId) {
-    const element = document.getElementById(elementId);
-    if (element) {
-        const loading = element.querySelector('.loading');
-        if (loading) {
-            loading.remove();
-        }
-    }
-}
-
 /**
  * Formats price with currency
  * 
@@ -293,7 +990,7 @@ function hideLoading(elementId) {
  * Example usage:
  *   formatPrice(2499.00); // Returns "2499.00 TND"
  */
-function formatPrice(price, currency = 'TND') {
+export function formatPrice(price, currency = 'TND') {
     const numPrice = typeof price === 'string' ? parseFloat(price) : price;
     return `${numPrice.toFixed(2)} ${currency}`;
 }
@@ -307,7 +1004,7 @@ function formatPrice(price, currency = 'TND') {
  * Example usage:
  *   formatDate('2025-11-21 14:30:00'); // Returns "November 21, 2025"
  */
-function formatDate(dateString) {
+export function formatDate(dateString) {
     const date = new Date(dateString);
     return date.toLocaleDateString('en-US', {
         year: 'numeric',
@@ -317,17 +1014,13 @@ function formatDate(dateString) {
 }
 
 // ============================================================================
-// EXPORT NOTE
+// USAGE NOTES
 // ============================================================================
 
 /**
- * NOTE: All functions in this file are available globally.
- * Include this file in your HTML with:
- * <script src="js/api.js"></script>
+ * This file is an ES module: import what you need from your page's entry
+ * (js/pages/*.js) or from another module:
+ * import { apiCall, isLoggedIn, getCurrentUser } from './api.js';
  * 
- * Then you can use any function like:
- * apiCall('/products/list.php', 'GET')
- * isLoggedIn()
- * getCurrentUser()
- * etc.
+ * Loading indicators (showLoading/hideLoading) live in ui.js.
  */
@@ -0,0 +1,84 @@
+/**
+ * Application Bootstrap for Carthage Tech E-commerce
+ * 
+ * Every page has one entry module in js/pages/ (e.g. js/pages/cart.js),
+ * loaded with <script type="module">. The entry imports what the page
+ * needs and calls initPage() first, so the header behaves the same
+ * everywhere:
+ * - Login/logout buttons and user name
+ * - Logout confirmation
+ * - Cart count badge
+ * - Mini-cart drawer opened from the header cart icon
+ * - Wishlist hearts on product cards
+ * - Search suggestions under the header search box
+ * - Keeping all of the above (and the cart page) in step with the other
+ *   open tabs: logging out in one tab logs out the header of every tab
+ * 
+ * Module scripts run once the HTML has been parsed, so entries can use
+ * the DOM right away - no DOMContentLoaded listener needed.
+ * 
+ * Dependencies: ui.js, cart.js, mini-cart.js, wishlist.js, search-autocomplete.js, api-cache.js, tab-sync.js
+ */
+
+import { updateAuthUI, setupLogoutButton, recheckPageProtection } from './ui.js';
+import { updateCartBadge, loadCart } from './cart.js';
+import { initMiniCart } from './mini-cart.js';
+import { initWishlist } from './wishlist.js';
+import { initHeaderSearch } from './search-autocomplete.js';
+import { invalidateApiCache } from './api-cache.js';
+import { onTabEvent } from './tab-sync.js';
+
+/**
+ * Sets up the parts of the page shared by every page (header)
+ * 
+ * Example usage (js/pages/index.js):
+ *   import { initPage } from '../app.js';
+ *   initPage();
+ */
+export function initPage() {
+    // Update authentication UI
+    updateAuthUI();
+    
+    // Setup logout button
+    setupLogoutButton();
+    
+    // Update cart badge (hidden when logged out)
+    updateCartBadge();
+    
+    // Cart icon opens the mini-cart drawer
+    initMiniCart();
+    
+    // Wishlisted products get a filled heart
+    initWishlist();
+    
+    // Header search box suggests products, categories and recent searches
+    initHeaderSearch();
+    
+    // Follow what happens in the other open tabs
+    onTabEvent(handleTabEvent);
+}
+
+/**
+ * Redraws the shared parts of the page after a change in another tab
+ * 
+ * @param {string} type - 'session', 'cart' or 'order' (see tab-sync.js)
+ */
+function handleTabEvent(type) {
+    if (type === 'session') {
+        updateAuthUI();
+        // Logged out elsewhere: protected pages send the user to the login page
+        recheckPageProtection();
+    }
+    
+    if (type === 'order') {
+        // Stock changed: this tab's cached product lists are out of date
+        invalidateApiCache();
+    }
+    
+    // Every event may change the cart (login merges the guest cart, orders empty it)
+    updateCartBadge();
+    if (document.getElementById('cart-container')) {
+        // loadCart() already shows the error in the cart container
+        loadCart().catch(() => {});
+    }
+}
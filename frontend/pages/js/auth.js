@@ -4,9 +4,15 @@
  * This file handles user registration and login functionality.
  * It includes form validation, API calls, and session management.
  * 
- * Dependencies: api.js (must be loaded first)
+ * Dependencies: api.js, html.js, guest-cart.js, saved-items.js, wishlist.js
  */
 
+import { apiCall, API_ERROR_CODES, isLoggedIn, getCurrentUser, saveUserData } from './api.js';
+import { html, joinHtml } from './html.js';
+import { mergeGuestCart } from './guest-cart.js';
+import { mergeGuestSavedItems } from './saved-items.js';
+import { mergeGuestWishlist } from './wishlist.js';
+
 // ============================================================================
 // USER REGISTRATION
 // ============================================================================
@@ -19,7 +25,7 @@
  * @param {object} formData - Form data object
  * @returns {object} - { valid: boolean, errors: array }
  */
-function validateRegistrationForm(formData) {
+export function validateRegistrationForm(formData) {
     const errors = [];
     
     // Email validation
@@ -73,7 +79,7 @@ function validateRegistrationForm(formData) {
  * 
  * @param {Event} event - Form submit event
  */
-async function handleRegister(event) {
+export async function handleRegister(event) {
     // Prevent default form submission (page reload)
     event.preventDefault();
     
@@ -96,7 +102,7 @@ async function handleRegister(event) {
     const validation = validateRegistrationForm(formData);
     if (!validation.valid) {
         // Show all validation errors
-        showMessage(validation.errors.join('<br>'), 'error');
+        showMessage(joinHtml(validation.errors, html`<br>`), 'error');
         return;
     }
     
@@ -129,7 +135,15 @@ async function handleRegister(event) {
         
     } catch (error) {
         // Show error message from API
-        showMessage(error.message || 'Registration failed. Please try again.', 'error');
+        // Validation errors come with one message per field - show them all
+        let message = error.message || 'Registration failed. Please try again.';
+        if (error.code === API_ERROR_CODES.EMAIL_TAKEN || error.code === API_ERROR_CODES.VALIDATION_FAILED) {
+            const fieldMessages = Object.values(error.errors || {});
+            if (fieldMessages.length > 0) {
+                message = joinHtml(fieldMessages, html`<br>`);
+            }
+        }
+        showMessage(message, 'error');
         
         // Reset button state
         submitBtn.disabled = false;
@@ -147,7 +161,7 @@ async function handleRegister(event) {
  * @param {object} formData - Form data object
  * @returns {object} - { valid: boolean, errors: array }
  */
-function validateLoginForm(formData) {
+export function validateLoginForm(formData) {
     const errors = [];
     
     // Email validation
@@ -179,7 +193,7 @@ function validateLoginForm(formData) {
  * 
  * @param {Event} event - Form submit event
  */
-async function handleLogin(event) {
+export async function handleLogin(event) {
     // Prevent default form submission
     event.preventDefault();
     
@@ -196,7 +210,7 @@ async function handleLogin(event) {
     // Validate form data
     const validation = validateLoginForm(formData);
     if (!validation.valid) {
-        showMessage(validation.errors.join('<br>'), 'error');
+        showMessage(joinHtml(validation.errors, html`<br>`), 'error');
         return;
     }
     
@@ -216,20 +230,35 @@ async function handleLogin(event) {
             saveUserData(response.data.user);
         }
         
-        // Show success message
-        showMessage(response.message || 'Login successful! Redirecting...', 'success');
+        // Move what was collected before logging in into the account: cart, saved items, wishlist
+        const cartReport = await mergeGuestCart();
+        await mergeGuestSavedItems();
+        await mergeGuestWishlist();
+        const cartNotes = describeCartMerge(cartReport);
         
-        // Redirect to homepage after 1 second
+        // Show success message (and what happened to the guest cart)
+        showMessage(
+            joinHtml([response.message || 'Login successful! Redirecting...', ...cartNotes], html`<br>`),
+            'success'
+        );
+        
+        // Redirect to homepage after 1 second (longer when there is something to read)
         setTimeout(() => {
             // Check if there's a redirect URL in query params
             const urlParams = new URLSearchParams(window.location.search);
             const redirectUrl = urlParams.get('redirect') || 'index.html';
             window.location.href = redirectUrl;
-        }, 1000);
+        }, cartReport.adjusted.length + cartReport.failed.length > 0 ? 4000 : 1000);
         
     } catch (error) {
         // Show error message
-        showMessage(error.message || 'Login failed. Please check your credentials.', 'error');
+        let message = error.message || 'Login failed. Please check your credentials.';
+        if (error.code === API_ERROR_CODES.INVALID_CREDENTIALS) {
+            message = 'Invalid email or password.';
+        } else if (error.code === API_ERROR_CODES.NETWORK_ERROR || error.code === API_ERROR_CODES.TIMEOUT) {
+            message = 'Unable to reach the server. Please try again in a moment.';
+        }
+        showMessage(message, 'error');
         
         // Reset button state
         submitBtn.disabled = false;
@@ -237,6 +266,30 @@ async function handleLogin(event) {
     }
 }
 
+/**
+ * Turns the report of mergeGuestCart() into lines for the login message
+ * 
+ * @param {object} report - { merged, adjusted, failed }
+ * @returns {array} - Message lines (empty if there was no guest cart)
+ */
+function describeCartMerge(report) {
+    const lines = [];
+    
+    if (report.merged.length > 0 || report.adjusted.length > 0) {
+        lines.push('The items from your cart were added to your account.');
+    }
+    
+    report.adjusted.forEach(item => {
+        lines.push(`${item.name}: only ${item.added} of ${item.requested} added (limited stock).`);
+    });
+    
+    report.failed.forEach(item => {
+        lines.push(`${item.name}: not added (${item.reason}).`);
+    });
+    
+    return lines;
+}
+
 // ============================================================================
 // PASSWORD RESET (Placeholder for future implementation)
 // ============================================================================
@@ -248,7 +301,7 @@ async function handleLogin(event) {
  * 
  * @param {Event} event - Form submit event
  */
-async function handleForgotPassword(event) {
+export async function handleForgotPassword(event) {
     event.preventDefault();
     
     const form = event.target;
@@ -273,10 +326,10 @@ async function handleForgotPassword(event) {
  * This function looks for an element with id="message" or id="notification"
  * and displays the message there.
  * 
- * @param {string} message - Message text (can include HTML)
+ * @param {string|object} message - Plain text (escaped), or markup built with html``
  * @param {string} type - Message type: 'success', 'error', 'info'
  */
-function showMessage(message, type = 'info') {
+export function showMessage(message, type = 'info') {
     // Look for message container
     let messageEl = document.getElementById('message') || 
                     document.getElementById('notification');
@@ -300,7 +353,7 @@ function showMessage(message, type = 'info') {
     }
     
     // Set message content
-    messageEl.innerHTML = message;
+    messageEl.innerHTML = html`${message}`;
     
     // Set styling based on type
     if (type === 'success') {
@@ -327,16 +380,16 @@ function showMessage(message, type = 'info') {
 }
 
 // ============================================================================
-// AUTO-INITIALIZATION
+// PAGE SETUP
 // ============================================================================
 
 /**
- * Initialize authentication forms when DOM is ready
+ * Initialize authentication forms
  * 
- * This function runs automatically when the page loads.
+ * Called by the entry modules of login.html and register.html.
  * It attaches event listeners to login and registration forms.
  */
-document.addEventListener('DOMContentLoaded', function() {
+export function initAuthForms() {
     // Find and attach login form handler
     const loginForm = document.getElementById('login-form');
     if (loginForm) {
@@ -363,7 +416,7 @@ document.addEventListener('DOMContentLoaded', function() {
             window.location.href = 'index.html';
         }
     }
-});
+}
 
 // ============================================================================
 // USAGE NOTES
@@ -372,9 +425,8 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * HOW TO USE IN HTML:
  * 
- * 1. Include required scripts in <head> or before </body>:
- *    <script src="js/api.js"></script>
- *    <script src="js/auth.js"></script>
+ * 1. Load the page's entry module before </body>; it calls initAuthForms():
+ *    <script type="module" src="js/pages/login.js"></script>
  * 
  * 2. Create login form with id="login-form":
  *    <form id="login-form">
@@ -396,6 +448,4 @@ document.addEventListener('DOMContentLoaded', function() {
  * 
  * 4. Add message container (optional):
  *    <div id="notification"></div>
- * 
- * The scripts will automatically attach event handlers when page loads.
  */
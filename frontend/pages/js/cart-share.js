@@ -0,0 +1,599 @@
+/**
+ * Cart Sharing Module for Carthage Tech E-commerce
+ * 
+ * Lets a customer hand a cart to someone else (e.g. a quote built by a
+ * buyer and ordered by their purchasing department):
+ * - "Share cart" gives a link to cart.html carrying the product IDs and
+ *   quantities (?share=6x2,1x1), plus CSV and JSON downloads of the lines
+ * - on cart.html, such a link (or an exported file) can be imported: the
+ *   lines are added with addToCart() (silently, one cart:changed event for
+ *   the whole import), and the page reports what could not be added (out
+ *   of stock, no longer sold)
+ * 
+ * Only product IDs and quantities travel: prices and stock are read again
+ * when importing, so a shared cart always shows today's prices.
+ * 
+ * Dependencies: api.js, html.js, actions.js, ui.js, cart.js
+ */
+
+import { apiCall, API_ERROR_CODES, formatPrice } from './api.js';
+import { html } from './html.js';
+import { bindActions } from './actions.js';
+import { showNotification, showModal } from './ui.js';
+import { addToCart, announceCartChange, getCart, loadCart } from './cart.js';
+
+// ============================================================================
+// FORMATS
+// ============================================================================
+
+/**
+ * Query parameter of shared cart links
+ */
+const SHARE_PARAM = 'share';
+
+/**
+ * Most lines accepted from a link or a file
+ */
+const MAX_SHARED_LINES = 100;
+
+/**
+ * Most units of one product accepted from a link or a file
+ */
+const MAX_SHARED_QUANTITY = 999;
+
+/**
+ * Identifies our JSON exports
+ */
+const JSON_EXPORT_FORMAT = 'carthage-tech-cart';
+
+/**
+ * Cleans lines read from a link or a file
+ * 
+ * Drops invalid lines, adds up duplicates and caps the quantities.
+ * 
+ * @param {array} rows - [{ product_id, quantity, name? }] (any types)
+ * @returns {array} - [{ product_id, quantity, name }]
+ */
+function normalizeLines(rows) {
+    const lines = new Map();
+    
+    rows.forEach(row => {
+        const productId = Number(row.product_id);
+        const quantity = Number(row.quantity);
+        if (!Number.isInteger(productId) || productId <= 0 || !Number.isInteger(quantity) || quantity <= 0) {
+            return;
+        }
+        
+        const line = lines.get(productId) || { product_id: productId, quantity: 0, name: null };
+        line.quantity = Math.min(MAX_SHARED_QUANTITY, line.quantity + quantity);
+        line.name = line.name || (row.name ? String(row.name) : null);
+        lines.set(productId, line);
+    });
+    
+    return [...lines.values()].slice(0, MAX_SHARED_LINES);
+}
+
+/**
+ * Builds the link that shares cart lines
+ * 
+ * @param {array} cartItems - Cart items (see /cart/view.php)
+ * @returns {string} - Absolute URL of cart.html with the lines
+ * 
+ * Example usage:
+ *   buildShareLink(cart.cart_items); // ".../cart.html?share=6x2,1x1"
+ */
+export function buildShareLink(cartItems) {
+    const url = new URL('cart.html', window.location.href);
+    // Set by hand: searchParams would encode the commas as %2C
+    url.search = `${SHARE_PARAM}=` + cartItems.map(item => `${item.product.id}x${item.quantity}`).join(',');
+    return url.toString();
+}
+
+/**
+ * Reads the lines of a shared cart link
+ * 
+ * @param {string} value - Value of the share parameter ("6x2,1x1")
+ * @returns {array} - [{ product_id, quantity, name }] (empty if unreadable)
+ */
+export function parseShareParam(value) {
+    const rows = String(value || '')
+        .split(',')
+        .map(part => part.trim().match(/^(\d+)x(\d+)$/))
+        .filter(Boolean)
+        .map(([, productId, quantity]) => ({ product_id: productId, quantity }));
+    
+    return normalizeLines(rows);
+}
+
+/**
+ * Quotes a CSV field (and keeps spreadsheets from running it as a formula)
+ * 
+ * @param {*} value - Field value
+ * @returns {string}
+ */
+function csvField(value) {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@]/.test(text)) {
+        text = "'" + text;
+    }
+    return /[",;\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports cart lines as CSV (one line per product, with a header)
+ * 
+ * @param {array} cartItems - Cart items (see /cart/view.php)
+ * @returns {string}
+ */
+export function cartToCsv(cartItems) {
+    const rows = [['product_id', 'name', 'brand', 'quantity', 'unit_price', 'line_total']];
+    
+    cartItems.forEach(item => {
+        const price = Number(item.product.price);
+        rows.push([
+            item.product.id,
+            item.product.name,
+            item.product.brand,
+            item.quantity,
+            price.toFixed(2),
+            (price * item.quantity).toFixed(2)
+        ]);
+    });
+    
+    return rows.map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Exports cart lines as JSON
+ * 
+ * @param {array} cartItems - Cart items (see /cart/view.php)
+ * @returns {string}
+ */
+export function cartToJson(cartItems) {
+    return JSON.stringify({
+        format: JSON_EXPORT_FORMAT,
+        version: 1,
+        exported_at: new Date().toISOString(),
+        currency: 'TND',
+        items: cartItems.map(item => ({
+            product_id: item.product.id,
+            name: item.product.name,
+            quantity: item.quantity,
+            unit_price: Number(Number(item.product.price).toFixed(2))
+        }))
+    }, null, 2);
+}
+
+/**
+ * Splits CSV text into rows of fields (quoted fields may hold separators)
+ * 
+ * @param {string} text - CSV text
+ * @param {string} separator - ',' or ';' (spreadsheets set to French use ';')
+ * @returns {array} - Rows of strings
+ */
+function parseCsvRows(text, separator) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === separator) {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    
+    return rows.filter(cells => cells.some(cell => cell.trim() !== ''));
+}
+
+/**
+ * Reads the lines of an exported cart file (CSV or JSON)
+ * 
+ * @param {string} fileName - Name of the file (its extension picks the format)
+ * @param {string} text - File contents
+ * @returns {array} - [{ product_id, quantity, name }]
+ * @throws {Error} - The file can't be read as a cart (message for the customer)
+ */
+export function parseCartFile(fileName, text) {
+    const content = text.replace(/^\uFEFF/, '').trim();
+    
+    if (/\.json$/i.test(fileName) || content.startsWith('{') || content.startsWith('[')) {
+        let data;
+        try {
+            data = JSON.parse(content);
+        } catch (error) {
+            throw new Error('This JSON file is not valid.');
+        }
+        
+        const items = Array.isArray(data) ? data : data && data.items;
+        if (!Array.isArray(items)) {
+            throw new Error('This JSON file does not contain cart items.');
+        }
+        
+        return normalizeLines(items.map(item => ({
+            product_id: item.product_id ?? (item.product && item.product.id),
+            quantity: item.quantity,
+            name: item.name ?? (item.product && item.product.name)
+        })));
+    }
+    
+    const firstLine = content.split(/\r?\n/, 1)[0];
+    const separator = firstLine.split(';').length > firstLine.split(',').length ? ';' : ',';
+    const [header = [], ...rows] = parseCsvRows(content, separator);
+    const columns = header.map(name => name.trim().toLowerCase());
+    const idColumn = columns.indexOf('product_id');
+    const quantityColumn = columns.indexOf('quantity');
+    const nameColumn = columns.indexOf('name');
+    
+    if (idColumn === -1 || quantityColumn === -1) {
+        throw new Error('The file needs "product_id" and "quantity" columns (export a cart to see the format).');
+    }
+    
+    return normalizeLines(rows.map(cells => ({
+        product_id: (cells[idColumn] || '').trim(),
+        quantity: (cells[quantityColumn] || '').trim(),
+        name: nameColumn !== -1 ? (cells[nameColumn] || '').trim() : null
+    })));
+}
+
+/**
+ * Makes the browser download a text file
+ * 
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} type - MIME type
+ */
+function downloadFile(fileName, content, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// ============================================================================
+// IMPORT
+// ============================================================================
+
+/**
+ * Adds shared cart lines to the current cart
+ * 
+ * Lines go one at a time through addToCart() (logged in or guest), with
+ * the quantity lowered to what the stock allows once the lines already
+ * in the cart are counted. They are added silently: no toast nor mini-cart
+ * per line, but one 'import' cart:changed event at the end; the caller
+ * shows the report.
+ * 
+ * @param {array} lines - [{ product_id, quantity, name }] from parseShareParam() / parseCartFile()
+ * @returns {Promise<object>} - { added, adjusted, failed }
+ *   - added: names of the products added with their full quantity
+ *   - adjusted: [{ name, requested, added }] - limited by the stock
+ *   - failed: [{ name, reason }] - not added
+ * 
+ * Example usage:
+ *   const report = await importCartLines(parseShareParam('6x2,1x1'));
+ */
+export async function importCartLines(lines) {
+    const report = { added: [], adjusted: [], failed: [] };
+    
+    const cart = await getCart();
+    const inCart = new Map(cart.cart_items.map(item => [item.product.id, item.quantity]));
+    
+    for (const line of lines) {
+        let name = line.name || `Product #${line.product_id}`;
+        
+        try {
+            // Fresh stock, not the cached product lists
+            const product = (await apiCall(`/products/detail.php?id=${line.product_id}`, 'GET', null, { cache: 'reload' })).data.product;
+            name = product.name;
+            
+            const available = product.stock.quantity - (inCart.get(line.product_id) || 0);
+            if (available <= 0) {
+                report.failed.push({
+                    name,
+                    reason: product.stock.quantity > 0 ? 'your cart already holds all the stock' : 'out of stock'
+                });
+                continue;
+            }
+            
+            const quantity = Math.min(line.quantity, available);
+            await addToCart(line.product_id, quantity, { silent: true });
+            inCart.set(line.product_id, (inCart.get(line.product_id) || 0) + quantity);
+            
+            if (quantity === line.quantity) {
+                report.added.push(name);
+            } else {
+                report.adjusted.push({ name, requested: line.quantity, added: quantity });
+            }
+        
+        } catch (error) {
+            report.failed.push({
+                name,
+                reason: error.code === API_ERROR_CODES.NOT_FOUND ? 'no longer available' : error.message
+            });
+        }
+    }
+    
+    // One refresh for the mini-cart, the discount and the other open tabs
+    if (report.added.length + report.adjusted.length > 0) {
+        announceCartChange('import');
+    }
+    
+    return report;
+}
+
+/**
+ * Shows the result of an import above the cart
+ * 
+ * @param {object} report - { added, adjusted, failed } from importCartLines()
+ * @param {HTMLElement} panel - Where to show it
+ */
+function showImportReport(report, panel) {
+    const addedCount = report.added.length + report.adjusted.length;
+    
+    panel.innerHTML = html`
+        <div class="cart-import-report">
+            <p>
+                <strong>${addedCount > 0
+                    ? `${addedCount} product(s) added to your cart.`
+                    : 'Nothing could be added to your cart.'}</strong>
+            </p>
+            ${report.adjusted.length + report.failed.length > 0 ? html`
+                <ul>
+                    ${report.adjusted.map(item => html`
+                        <li>${item.name}: only ${item.added} of ${item.requested} added (limited stock).</li>
+                    `)}
+                    ${report.failed.map(item => html`
+                        <li>${item.name}: not added (${item.reason}).</li>
+                    `)}
+                </ul>
+            ` : ''}
+            <button type="button" class="btn btn-secondary" data-action="dismiss-import">OK</button>
+        </div>
+    `;
+    
+    showNotification(
+        report.failed.length + report.adjusted.length > 0
+            ? 'Cart imported with some changes - see the details above your cart'
+            : 'Cart imported',
+        report.failed.length > 0 && addedCount === 0 ? 'error' : 'success'
+    );
+}
+
+/**
+ * Imports lines, then shows the report and the updated cart
+ * 
+ * @param {array} lines - Lines to add
+ * @param {HTMLElement} panel - Where to show the report
+ * @returns {Promise<void>}
+ */
+async function runImport(lines, panel) {
+    panel.innerHTML = html`<p class="cart-import-progress">Adding ${lines.length} product(s) to your cart...</p>`;
+    
+    try {
+        const report = await importCartLines(lines);
+        showImportReport(report, panel);
+    } catch (error) {
+        console.error('Error importing cart:', error);
+        panel.innerHTML = '';
+        showNotification(`Could not import the cart: ${error.message}`, 'error');
+    }
+    
+    await loadCart().catch(() => {});
+}
+
+/**
+ * Removes the share parameter from the address bar (so a reload does not offer it again)
+ */
+function forgetShareParam() {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(SHARE_PARAM);
+    window.history.replaceState(window.history.state, '', url.toString());
+}
+
+/**
+ * Offers to import the cart of a shared link
+ * 
+ * Nothing is added before the visitor confirms: opening a link must not
+ * change their cart.
+ * 
+ * @param {array} lines - Lines of the link
+ * @param {HTMLElement} panel - Where to show the offer
+ */
+function offerSharedCart(lines, panel) {
+    const units = lines.reduce((sum, line) => sum + line.quantity, 0);
+    
+    panel.innerHTML = html`
+        <div class="cart-import-offer">
+            <p>
+                <strong>A cart was shared with you:</strong>
+                ${lines.length} product(s), ${units} item(s). Current prices and stock apply.
+            </p>
+            <button type="button" class="btn btn-primary" data-action="accept-shared-cart">Add to my cart</button>
+            <button type="button" class="btn btn-secondary" data-action="dismiss-import">Dismiss</button>
+        </div>
+    `;
+    
+    bindActions(panel, {
+        'accept-shared-cart': () => {
+            forgetShareParam();
+            return runImport(lines, panel);
+        },
+        'dismiss-import': () => {
+            forgetShareParam();
+            panel.innerHTML = '';
+        }
+    });
+}
+
+// ============================================================================
+// SHARE AND EXPORT
+// ============================================================================
+
+/**
+ * Opens the "Share cart" box (link, CSV and JSON downloads)
+ * 
+ * @returns {Promise<void>}
+ */
+export async function shareCart() {
+    let cart;
+    try {
+        cart = await getCart();
+    } catch (error) {
+        showNotification('Failed to load your cart', 'error');
+        return;
+    }
+    
+    const items = cart.cart_items;
+    if (items.length === 0) {
+        showNotification('Your cart is empty - nothing to share', 'error');
+        return;
+    }
+    
+    const link = buildShareLink(items);
+    const baseName = `carthage-tech-cart-${new Date().toISOString().slice(0, 10)}`;
+    
+    showModal('Share your cart', html`
+        <p>
+            Anyone with this link can add these ${items.length} product(s) to their own cart
+            (${formatPrice(cart.summary.cart_total)} at today's prices).
+        </p>
+        <input type="text" class="share-link-input" readonly value="${link}" aria-label="Shared cart link"
+               style="width: 100%; padding: 8px; box-sizing: border-box;">
+        <p>Or download the lines to send them or open them in a spreadsheet.</p>
+    `, [
+        {
+            text: 'Copy link',
+            className: 'btn btn-primary',
+            onClick: () => copyShareLink(link)
+        },
+        {
+            text: 'Download CSV',
+            onClick: () => downloadFile(`${baseName}.csv`, '\uFEFF' + cartToCsv(items), 'text/csv;charset=utf-8')
+        },
+        {
+            text: 'Download JSON',
+            onClick: () => downloadFile(`${baseName}.json`, cartToJson(items), 'application/json')
+        },
+        { text: 'Close' }
+    ]);
+}
+
+/**
+ * Copies the shared cart link (asks the visitor to copy it when the browser refuses)
+ * 
+ * @param {string} link - Link to copy
+ */
+function copyShareLink(link) {
+    const fallback = () => window.prompt('Copy this link:', link);
+    
+    if (!navigator.clipboard) {
+        fallback();
+        return;
+    }
+    
+    navigator.clipboard.writeText(link)
+        .then(() => showNotification('Link copied - send it to whoever will place the order', 'success'))
+        .catch(fallback);
+}
+
+// ============================================================================
+// PAGE SETUP
+// ============================================================================
+
+/**
+ * Connects the share and import buttons of cart.html and offers the cart of a shared link
+ * 
+ * @param {object} ids - Element IDs:
+ *   - toolsId: the buttons (data-action="share-cart" / "import-cart-file")
+ *   - fileInputId: the hidden <input type="file">
+ *   - panelId: where offers and import reports are shown
+ * 
+ * Example usage (js/pages/cart.js):
+ *   initCartSharing();
+ */
+export function initCartSharing({ toolsId = 'cart-share-tools', fileInputId = 'cart-import-file', panelId = 'cart-import' } = {}) {
+    const tools = document.getElementById(toolsId);
+    const fileInput = document.getElementById(fileInputId);
+    const panel = document.getElementById(panelId);
+    if (!tools || !fileInput || !panel) {
+        return;
+    }
+    
+    bindActions(tools, {
+        'share-cart': () => shareCart(),
+        'import-cart-file': () => fileInput.click()
+    });
+    
+    bindActions(panel, {
+        'dismiss-import': () => {
+            panel.innerHTML = '';
+        }
+    });
+    
+    fileInput.addEventListener('change', async () => {
+        const file = fileInput.files[0];
+        fileInput.value = '';
+        if (!file) {
+            return;
+        }
+        
+        let lines;
+        try {
+            lines = parseCartFile(file.name, await file.text());
+        } catch (error) {
+            showNotification(error.message, 'error');
+            return;
+        }
+        
+        if (lines.length === 0) {
+            showNotification('No products found in this file', 'error');
+            return;
+        }
+        
+        await runImport(lines, panel);
+    });
+    
+    const shared = new URL(window.location.href).searchParams.get(SHARE_PARAM);
+    if (shared !== null) {
+        const lines = parseShareParam(shared);
+        if (lines.length > 0) {
+            offerSharedCart(lines, panel);
+        } else {
+            forgetShareParam();
+            showNotification('This shared cart link is not valid', 'error');
+        }
+    }
+}
@@ -9,8 +9,63 @@
  * - Clearing cart
  * - Getting cart count for badge
  * 
- * Dependencies: api.js, ui.js (must be loaded first)
+ * Logged-out visitors get the same features from a cart kept in
+ * localStorage (guest-cart.js), merged into their account when they log in.
+ * 
+ * Lines can also be "saved for later" (saved-items.js): they leave the cart,
+ * so they are neither in the checkout totals nor in the order, and are
+ * listed below the cart until moved back.
+ * 
+ * Logged-in customers can apply a promo code in the summary (coupons.js);
+ * the discount is quoted again whenever the cart changes.
+ * 
+ * Dependencies: api.js, api-cache.js, html.js, actions.js, ui.js, guest-cart.js,
+ *               saved-items.js, coupons.js, tab-sync.js
+ */
+
+import { apiCall, callWithPostFallback, ApiError, API_ERROR_CODES, createBatchLoader, isLoggedIn, formatPrice } from './api.js';
+import { invalidateApiCache } from './api-cache.js';
+import { html } from './html.js';
+import { bindActions } from './actions.js';
+import { showNotification, showLoading } from './ui.js';
+import {
+    getGuestCartCount,
+    refreshGuestCart,
+    addGuestCartItem,
+    updateGuestCartItem,
+    removeGuestCartItem,
+    clearGuestCart
+} from './guest-cart.js';
+import { getSavedItems, saveItem, removeSavedItem, revalidateSavedItem } from './saved-items.js';
+import { getAppliedCouponCode, applyCoupon, removeCoupon, quoteAppliedCoupon } from './coupons.js';
+import { broadcastTabEvent } from './tab-sync.js';
+
+// ============================================================================
+// CART EVENTS
+// ============================================================================
+
+/**
+ * Tells the rest of the page and the other open tabs that the cart changed
+ * 
+ * This tab gets a 'cart:changed' event on window (the mini-cart listens
+ * to it), the other tabs a 'cart' message (see tab-sync.js).
+ * 
+ * @param {string} action - 'add', 'update', 'remove', 'clear', 'restore',
+ *                          'save' (saved for later), 'move' (back from saved items)
+ *                          or 'import' (shared cart, see cart-share.js)
+ * 
+ * Example (listening):
+ *   window.addEventListener('cart:changed', (event) => console.log(event.detail.action));
  */
+export function announceCartChange(action) {
+    window.dispatchEvent(new CustomEvent('cart:changed', { detail: { action } }));
+    broadcastTabEvent('cart');
+    
+    // The discount depends on what is in the cart
+    if (cartView) {
+        refreshCouponQuote();
+    }
+}
 
 // ============================================================================
 // ADD TO CART
@@ -20,32 +75,20 @@
  * Adds a product to the shopping cart
  * 
  * If product already exists in cart, increases quantity.
- * Requires user to be logged in.
+ * Logged-out visitors add to their guest cart (localStorage).
  * 
  * @param {number} productId - Product ID to add
  * @param {number} quantity - Quantity to add (default: 1)
+ * @param {object} options - { silent }: true only adds the product, with no
+ *                           notification, cart:changed event or badge update
+ *                           (the caller reports and announces the change itself)
  * @returns {Promise<object>} - API response data
  * 
  * Example usage:
  *   await addToCart(1, 2); // Add product ID 1, quantity 2
  */
-async function addToCart(productId, quantity = 1) {
+export async function addToCart(productId, quantity = 1, { silent = false } = {}) {
     try {
-        // Check if user is logged in
-        if (!isLoggedIn()) {
-            // Show login required message
-            if (typeof showNotification === 'function') {
-                showNotification('Please log in to add items to cart', 'error');
-            }
-            
-            // Redirect to login with return URL
-            const currentUrl = encodeURIComponent(window.location.href);
-            setTimeout(() => {
-                window.location.href = `login.html?redirect=${currentUrl}`;
-            }, 1500);
-            return;
-        }
-        
         // Validate inputs
         if (!productId || productId <= 0) {
             throw new Error('Invalid product ID');
@@ -61,30 +104,46 @@ async function addToCart(productId, quantity = 1) {
             quantity: quantity
         };
         
-        // Call API
-        const response = await apiCall('/cart/add.php', 'POST', data);
+        // Call API (or store it locally for guests - same response fields)
+        const result = isLoggedIn()
+            ? (await apiCall('/cart/add.php', 'POST', data)).data
+            : await addGuestCartItem(productId, quantity);
+        
+        if (silent) {
+            return result;
+        }
+        
+        // The mini-cart and the other open tabs refresh too
+        announceCartChange('add');
         
         // Show success notification
-        const message = response.data.action === 'added' 
-            ? `${response.data.product.name} added to cart!`
-            : `Cart updated! ${response.data.product.name} quantity: ${response.data.new_quantity}`;
+        const message = result.action === 'added' 
+            ? `${result.product.name} added to cart!`
+            : `Cart updated! ${result.product.name} quantity: ${result.new_quantity}`;
         
-        if (typeof showNotification === 'function') {
-            showNotification(message, 'success');
-        }
+        showNotification(message, 'success');
         
         // Update cart count badge
         await updateCartBadge();
         
-        return response.data;
+        return result;
         
     } catch (error) {
-        console.error('Error adding to cart:', error);
+        // Stock errors carry a more helpful field-level message
+        let message = error.message || 'Failed to add to cart';
+        if (error.code === API_ERROR_CODES.INSUFFICIENT_STOCK) {
+            message = error.errors.quantity || error.errors.message || message;
+            // Cached product lists said it was available: they are stale
+            invalidateApiCache();
+        }
         
-        if (typeof showNotification === 'function') {
-            showNotification(error.message || 'Failed to add to cart', 'error');
+        if (silent) {
+            throw error;
         }
         
+        console.error('Error adding to cart:', error);
+        showNotification(message, 'error');
+        
         throw error;
     }
 }
@@ -93,6 +152,69 @@ async function addToCart(productId, quantity = 1) {
 // VIEW CART
 // ============================================================================
 
+/**
+ * What the cart page currently shows (set by renderCart)
+ * 
+ * Quantity changes and removals are shown right away (optimistic update)
+ * and only undone if the server refuses them, so this keeps:
+ * - containerId: where the cart is rendered
+ * - items: the rendered cart items, with the quantities on screen
+ * - confirmed: cart_id → quantity the server last accepted
+ * - pending: cart_id → number of requests still running for that line
+ */
+let cartView = null;
+
+/**
+ * Lines of the last cart fetched by getCart() (cart_id → cart item)
+ * 
+ * Lets removeFromCart() offer Undo for lines shown outside the cart page
+ * (e.g. in the mini-cart).
+ */
+const knownCartItems = new Map();
+
+/**
+ * "Saved for later" items shown below the cart (see saved-items.js)
+ * 
+ * Loaded with the cart by loadCart(), so renderCart() can draw them
+ * without waiting for the server.
+ */
+let savedList = [];
+
+/**
+ * Loads the saved items shown below the cart
+ * 
+ * A failure keeps the list already shown: the cart itself still loads.
+ * 
+ * @returns {Promise<void>}
+ */
+async function loadSavedList() {
+    try {
+        savedList = await getSavedItems();
+    } catch (error) {
+        console.error('Error loading saved items:', error);
+    }
+}
+
+/**
+ * Fetches the cart without rendering it
+ * 
+ * @returns {Promise<object>} - { cart_items, summary } (see /cart/view.php)
+ * 
+ * Example usage:
+ *   const { cart_items, summary } = await getCart();
+ */
+export async function getCart() {
+    // Guests: local cart with fresh prices and stock
+    const cart = isLoggedIn()
+        ? (await apiCall('/cart/view.php', 'GET')).data
+        : await refreshGuestCart();
+    
+    knownCartItems.clear();
+    cart.cart_items.forEach(item => knownCartItems.set(item.cart_id, item));
+    
+    return cart;
+}
+
 /**
  * Loads and displays cart contents
  * 
@@ -102,21 +224,13 @@ async function addToCart(productId, quantity = 1) {
  * Example usage:
  *   await loadCart('cart-container');
  */
-async function loadCart(containerId = 'cart-container') {
+export async function loadCart(containerId = 'cart-container') {
     try {
-        // Check if user is logged in
-        if (!isLoggedIn()) {
-            if (typeof protectPage === 'function') {
-                protectPage(); // Redirect to login
-            }
-            return;
-        }
-        
         showLoading(containerId);
         
-        // Call API to get cart
-        const response = await apiCall('/cart/view.php', 'GET');
-        const { cart_items, summary } = response.data;
+        // Call API to get cart (and the items saved for later, shown below it)
+        const [cart] = await Promise.all([getCart(), loadSavedList()]);
+        const { cart_items, summary } = cart;
         
         // Render cart
         renderCart(cart_items, summary, containerId);
@@ -124,14 +238,14 @@ async function loadCart(containerId = 'cart-container') {
         // Update cart badge
         await updateCartBadge();
         
-        return response.data;
+        return cart;
         
     } catch (error) {
         console.error('Error loading cart:', error);
         
         const container = document.getElementById(containerId);
         if (container) {
-            container.innerHTML = `
+            container.innerHTML = html`
                 <div class="error-message">
                     <p>Failed to load cart. Please try again.</p>
                     <p>${error.message}</p>
@@ -150,30 +264,41 @@ async function loadCart(containerId = 'cart-container') {
  * @param {object} summary - Cart summary (totals, counts)
  * @param {string} containerId - Container element ID
  */
-function renderCart(cartItems, summary, containerId = 'cart-container') {
+export function renderCart(cartItems, summary, containerId = 'cart-container') {
     const container = document.getElementById(containerId);
     if (!container) {
         console.error('Cart container not found:', containerId);
         return;
     }
     
+    // Remember what is on screen for optimistic updates
+    const items = (cartItems || []).map(item => ({ ...item }));
+    cartView = {
+        containerId,
+        items,
+        confirmed: new Map(items.map(item => [item.cart_id, item.quantity])),
+        pending: cartView && cartView.containerId === containerId ? cartView.pending : new Map()
+    };
+    
     // If cart is empty
-    if (!cartItems || cartItems.length === 0) {
-        container.innerHTML = `
+    if (items.length === 0) {
+        container.innerHTML = html`
             <div class="empty-cart">
                 <h2>Your cart is empty</h2>
                 <p>Start shopping to add items to your cart!</p>
                 <a href="index.html" class="btn btn-primary">Continue Shopping</a>
             </div>
+            ${renderSavedForLater()}
         `;
+        bindCartActions(container);
         return;
     }
     
     // Generate cart HTML
-    const html = `
+    container.innerHTML = html`
         <div class="cart-content">
             <div class="cart-items">
-                <h2>Shopping Cart (${summary.total_items} items)</h2>
+                <h2>Shopping Cart (<span class="cart-total-items">${summary.total_items}</span> items)</h2>
                 
                 <table class="cart-table">
                     <thead>
@@ -186,16 +311,16 @@ function renderCart(cartItems, summary, containerId = 'cart-container') {
                         </tr>
                     </thead>
                     <tbody>
-                        ${cartItems.map(item => `
+                        ${items.map(item => html`
                             <tr class="cart-item" data-cart-id="${item.cart_id}">
                                 <td class="product-info">
                                     <img src="${item.product.image_url}" 
                                          alt="${item.product.name}"
-                                         onerror="this.src='images/placeholder.jpg'">
+                                         data-fallback-src="images/placeholder.jpg">
                                     <div>
                                         <h4>${item.product.name}</h4>
-                                        ${item.product.brand ? `<p class="brand">${item.product.brand}</p>` : ''}
-                                        ${!item.in_stock ? '<span class="out-of-stock-warning">Out of Stock</span>' : ''}
+                                        ${item.product.brand ? html`<p class="brand">${item.product.brand}</p>` : ''}
+                                        ${!item.in_stock ? html`<span class="out-of-stock-warning">Out of Stock</span>` : ''}
                                     </div>
                                 </td>
                                 
@@ -203,7 +328,8 @@ function renderCart(cartItems, summary, containerId = 'cart-container') {
                                 
                                 <td class="quantity">
                                     <div class="quantity-controls">
-                                        <button onclick="updateQuantity(${item.cart_id}, ${item.quantity - 1})"
+                                        <button data-action="decrease-quantity"
+                                                data-cart-id="${item.cart_id}"
                                                 ${item.quantity <= 1 ? 'disabled' : ''}>
                                             -
                                         </button>
@@ -214,7 +340,8 @@ function renderCart(cartItems, summary, containerId = 'cart-container') {
                                                data-cart-id="${item.cart_id}"
                                                class="qty-input"
                                                id="qty-${item.cart_id}">
-                                        <button onclick="updateQuantity(${item.cart_id}, ${item.quantity + 1})"
+                                        <button data-action="increase-quantity"
+                                                data-cart-id="${item.cart_id}"
                                                 ${item.quantity >= item.stock_available ? 'disabled' : ''}>
                                             +
                                         </button>
@@ -227,19 +354,26 @@ function renderCart(cartItems, summary, containerId = 'cart-container') {
                                 </td>
                                 
                                 <td class="actions">
+                                    <button class="btn-save-later" 
+                                            data-action="save-for-later"
+                                            data-cart-id="${item.cart_id}"
+                                            title="Move to your saved items">
+                                        Save for later
+                                    </button>
                                     <button class="btn-remove" 
-                                            onclick="removeFromCart(${item.cart_id})"
+                                            data-action="remove-item"
+                                            data-cart-id="${item.cart_id}"
                                             title="Remove from cart">
                                         🗑️ Remove
                                     </button>
                                 </td>
                             </tr>
-                        `).join('')}
+                        `)}
                     </tbody>
                 </table>
                 
                 <div class="cart-actions">
-                    <button class="btn btn-secondary" onclick="clearCart()">
+                    <button class="btn btn-secondary" data-action="clear-cart">
                         Clear Cart
                     </button>
                     <a href="index.html" class="btn btn-secondary">Continue Shopping</a>
@@ -250,29 +384,49 @@ function renderCart(cartItems, summary, containerId = 'cart-container') {
                 <h3>Order Summary</h3>
                 
                 <div class="summary-row">
-                    <span>Items (${summary.total_unique_products}):</span>
-                    <span>${summary.total_items} total</span>
+                    <span>Items (<span class="summary-unique-products">${summary.total_unique_products}</span>):</span>
+                    <span><span class="summary-total-items">${summary.total_items}</span> total</span>
                 </div>
                 
                 <div class="summary-row">
                     <span>Subtotal:</span>
-                    <span>${formatPrice(summary.cart_total)}</span>
+                    <span class="summary-subtotal">${formatPrice(summary.cart_total)}</span>
+                </div>
+                
+                <div class="summary-row summary-discount" hidden>
+                    <span>Discount (<span class="summary-coupon-code"></span>):</span>
+                    <span class="summary-discount-amount"></span>
                 </div>
                 
                 <div class="summary-row total">
                     <strong>Total:</strong>
-                    <strong>${formatPrice(summary.cart_total)}</strong>
+                    <strong class="summary-total">${formatPrice(summary.cart_total)}</strong>
                 </div>
                 
+                ${renderCouponBox()}
+                
                 <button class="btn btn-primary btn-checkout" 
-                        onclick="proceedToCheckout()">
+                        data-action="checkout">
                     Proceed to Checkout
                 </button>
             </div>
         </div>
+        ${renderSavedForLater()}
     `;
     
-    container.innerHTML = html;
+    bindCartActions(container);
+    
+    const couponForm = container.querySelector('.coupon-form');
+    if (couponForm) {
+        couponForm.addEventListener('submit', (event) => {
+            event.preventDefault();
+            submitCoupon(couponForm);
+        });
+    }
+    
+    // Last known discount right away, then the one for this cart
+    showCouponQuote();
+    refreshCouponQuote();
     
     // Add event listeners for quantity inputs with debounce
     const qtyInputs = container.querySelectorAll('.qty-input');
@@ -289,20 +443,227 @@ function renderCart(cartItems, summary, containerId = 'cart-container') {
             // Set new timer - only update after user stops typing for 800ms
             updateTimer = setTimeout(() => {
                 if (!isNaN(newQty) && newQty >= 1) {
-                    updateQuantity(cartId, newQty);
+                    // Errors are shown (and the field reset) by updateQuantity itself
+                    updateQuantity(cartId, newQty).catch(() => {});
                 }
             }, 800);
         });
     });
 }
 
+/**
+ * Connects the cart page buttons (one delegated listener, see actions.js)
+ * 
+ * @param {HTMLElement} container - Cart container
+ */
+function bindCartActions(container) {
+    bindActions(container, {
+        'decrease-quantity': (button) => stepQuantity(Number(button.dataset.cartId), -1),
+        'increase-quantity': (button) => stepQuantity(Number(button.dataset.cartId), 1),
+        'remove-item': (button) => removeFromCart(Number(button.dataset.cartId)),
+        'save-for-later': (button) => saveForLater(Number(button.dataset.cartId)),
+        'move-to-cart': (button) => moveToCart(Number(button.dataset.productId)),
+        'remove-saved': (button) => removeFromSaved(Number(button.dataset.productId)),
+        'remove-coupon': () => removeAppliedCoupon(),
+        'clear-cart': () => clearCart(),
+        'checkout': () => proceedToCheckout()
+    });
+}
+
+/**
+ * Builds the "Saved for later" list shown below the cart
+ * 
+ * @returns {SafeHtml|string} - Markup ('' when nothing is saved)
+ */
+function renderSavedForLater() {
+    const savedItems = savedList;
+    if (savedItems.length === 0) {
+        return '';
+    }
+    
+    return html`
+        <div class="saved-for-later">
+            <h3>Saved for Later (${savedItems.length})</h3>
+            <p class="saved-note">These items are not part of your order.</p>
+            
+            <table class="cart-table saved-table">
+                <tbody>
+                    ${savedItems.map(item => html`
+                        <tr class="saved-item" data-product-id="${item.product.id}">
+                            <td class="product-info">
+                                <img src="${item.product.image_url}" 
+                                     alt="${item.product.name}"
+                                     data-fallback-src="images/placeholder.jpg">
+                                <div>
+                                    <h4>${item.product.name}</h4>
+                                    ${item.product.brand ? html`<p class="brand">${item.product.brand}</p>` : ''}
+                                </div>
+                            </td>
+                            
+                            <td class="price" title="Price when saved">${formatPrice(item.saved_price)}</td>
+                            
+                            <td class="quantity">Qty: ${item.quantity}</td>
+                            
+                            <td class="actions">
+                                <button class="btn btn-secondary" 
+                                        data-action="move-to-cart"
+                                        data-product-id="${item.product.id}">
+                                    Move to Cart
+                                </button>
+                                <button class="btn-remove" 
+                                        data-action="remove-saved"
+                                        data-product-id="${item.product.id}"
+                                        title="Remove from saved items">
+                                    🗑️ Remove
+                                </button>
+                            </td>
+                        </tr>
+                    `)}
+                </tbody>
+            </table>
+        </div>
+    `;
+}
+
+// ============================================================================
+// OPTIMISTIC UPDATES
+// ============================================================================
+
+/**
+ * Finds a line of the rendered cart
+ * 
+ * @param {number} cartId - Cart item ID
+ * @returns {object|null} - Cart item, or null if the cart page doesn't show it
+ */
+function findCartItem(cartId) {
+    return cartView ? cartView.items.find(item => item.cart_id === cartId) || null : null;
+}
+
+/**
+ * Sets a line's quantity and recomputes its subtotal
+ * 
+ * @param {object} item - Cart item from cartView
+ * @param {number} quantity - New quantity
+ */
+function setItemQuantity(item, quantity) {
+    const price = Number(item.product.price_numeric ?? item.product.price);
+    item.quantity = quantity;
+    item.subtotal_numeric = price * quantity;
+    item.subtotal = item.subtotal_numeric.toFixed(2);
+}
+
+/**
+ * Computes the summary of /cart/view.php from the rendered lines
+ * 
+ * @param {array} items - Cart items
+ * @returns {object} - { total_items, total_unique_products, cart_total, cart_total_numeric }
+ */
+function summarizeCart(items) {
+    const totalItems = items.reduce((count, item) => count + item.quantity, 0);
+    const cartTotal = items.reduce((total, item) => total + item.subtotal_numeric, 0);
+    
+    return {
+        total_items: totalItems,
+        total_unique_products: items.length,
+        cart_total: cartTotal.toFixed(2),
+        cart_total_numeric: cartTotal
+    };
+}
+
+/**
+ * Updates one row in place (no re-render, so the quantity input keeps focus)
+ * 
+ * @param {object} item - Cart item from cartView
+ */
+function refreshCartLine(item) {
+    const row = document.querySelector(`.cart-item[data-cart-id="${item.cart_id}"]`);
+    if (!row) {
+        return;
+    }
+    
+    // Only touch the input when it shows something else (e.g. after a rollback)
+    const input = row.querySelector('.qty-input');
+    if (input && Number(input.value) !== item.quantity) {
+        input.value = item.quantity;
+    }
+    
+    const decreaseButton = row.querySelector('[data-action="decrease-quantity"]');
+    if (decreaseButton) {
+        decreaseButton.disabled = item.quantity <= 1;
+    }
+    
+    const increaseButton = row.querySelector('[data-action="increase-quantity"]');
+    if (increaseButton) {
+        increaseButton.disabled = item.quantity >= item.stock_available;
+    }
+    
+    const subtotalCell = row.querySelector('.subtotal strong');
+    if (subtotalCell) {
+        subtotalCell.textContent = formatPrice(item.subtotal);
+    }
+}
+
+/**
+ * Updates the item counts, totals and badge from the rendered lines
+ * 
+ * Shows the empty cart once the last line is gone.
+ */
+function refreshCartTotals() {
+    const summary = summarizeCart(cartView.items);
+    
+    showCartCount(summary.total_items);
+    
+    if (cartView.items.length === 0) {
+        renderCart([], summary, cartView.containerId);
+        return;
+    }
+    
+    const container = document.getElementById(cartView.containerId);
+    if (!container) {
+        return;
+    }
+    
+    const fields = {
+        '.cart-total-items': summary.total_items,
+        '.summary-total-items': summary.total_items,
+        '.summary-unique-products': summary.total_unique_products,
+        '.summary-subtotal': formatPrice(summary.cart_total),
+        '.summary-total': formatPrice(discountedTotal(summary.cart_total))
+    };
+    
+    Object.entries(fields).forEach(([selector, value]) => {
+        const element = container.querySelector(selector);
+        if (element) {
+            element.textContent = value;
+        }
+    });
+}
+
 // ============================================================================
 // UPDATE CART ITEM
 // ============================================================================
 
+/**
+ * Changes the quantity of a rendered line by a step (the - and + buttons)
+ * 
+ * @param {number} cartId - Cart item ID
+ * @param {number} step - -1 or 1
+ * @returns {Promise<object>|undefined} - See updateQuantity()
+ */
+function stepQuantity(cartId, step) {
+    const item = findCartItem(cartId);
+    if (item) {
+        return updateQuantity(cartId, item.quantity + step);
+    }
+}
+
 /**
  * Updates the quantity of a cart item
  * 
+ * On the cart page the new quantity, subtotal, totals and badge are shown
+ * before the server answers. If the request fails, the line goes back to
+ * the last quantity the server accepted and a notification explains why.
+ * 
  * @param {number} cartId - Cart item ID (not product ID)
  * @param {number} newQuantity - New quantity value
  * @returns {Promise<object>} - Updated cart item data
@@ -310,7 +671,9 @@ function renderCart(cartItems, summary, containerId = 'cart-container') {
  * Example usage:
  *   await updateQuantity(5, 3); // Set cart item 5 to quantity 3
  */
-async function updateQuantity(cartId, newQuantity) {
+export async function updateQuantity(cartId, newQuantity) {
+    const item = findCartItem(cartId);
+    
     try {
         // Validate quantity
         newQuantity = parseInt(newQuantity);
@@ -318,59 +681,49 @@ async function updateQuantity(cartId, newQuantity) {
             throw new Error('Quantity must be at least 1');
         }
         
+        if (item && newQuantity > item.stock_available) {
+            throw new ApiError(`Only ${item.stock_available} unit(s) available in stock.`, {
+                code: API_ERROR_CODES.INSUFFICIENT_STOCK
+            });
+        }
+        
+        // Show the change right away
+        if (item) {
+            setItemQuantity(item, newQuantity);
+            refreshCartLine(item);
+            refreshCartTotals();
+        }
+        
         // Prepare data
         const data = {
             cart_id: cartId,
             quantity: newQuantity
         };
         
-        // Try PUT first (RESTful standard), fallback to POST if needed
         let response;
-        try {
-            response = await apiCall('/cart/update.php', 'PUT', data);
-        } catch (error) {
-            // If PUT fails (405 Method Not Allowed), try POST
-            if (error.message.includes('405') || error.message.includes('Method')) {
-                console.warn('PUT method not allowed, falling back to POST');
-                response = await apiCall('/cart/update.php', 'POST', data);
-            } else {
-                throw error;
-            }
+        if (!isLoggedIn()) {
+            // Guest cart: the cart ID is the product ID
+            response = { data: updateGuestCartItem(cartId, newQuantity) };
+        } else {
+            // One request at a time per line, so they reach the server in click order
+            response = await queueLineRequest(cartId, () => callWithPostFallback('/cart/update.php', 'PUT', data));
         }
         
-        // Show success notification (silent for button clicks)
-        if (typeof showNotification === 'function' && !document.activeElement.matches('.qty-input')) {
-            showNotification('Cart updated successfully', 'success');
+        if (cartView) {
+            cartView.confirmed.set(cartId, newQuantity);
         }
         
-        // Only reload cart if update was from button click, not from input field
+        // The mini-cart and the other open tabs refresh too
+        announceCartChange('update');
+        
+        // Show success notification (silent when typing in the quantity field)
         if (!document.activeElement.matches('.qty-input')) {
-            await loadCart();
-        } else {
-            // Just update the cart badge without full reload
+            showNotification('Cart updated successfully', 'success');
+        }
+        
+        // Not on the cart page: the badge still needs the new count
+        if (!item) {
             await updateCartBadge();
-            
-            // Update the subtotal and total in place
-            const cartRow = document.querySelector(`.cart-item[data-cart-id="${cartId}"]`);
-            if (cartRow && response.data.item) {
-                const subtotalCell = cartRow.querySelector('.subtotal strong');
-                if (subtotalCell) {
-                    subtotalCell.textContent = formatPrice(response.data.item.subtotal);
-                }
-            }
-            
-            // Update the summary totals
-            if (response.data.summary) {
-                const summaryRows = document.querySelectorAll('.summary-row');
-                summaryRows.forEach(row => {
-                    if (row.textContent.includes('Subtotal:')) {
-                        row.querySelector('span:last-child').textContent = formatPrice(response.data.summary.cart_total);
-                    }
-                    if (row.classList.contains('total')) {
-                        row.querySelector('strong:last-child').textContent = formatPrice(response.data.summary.cart_total);
-                    }
-                });
-            }
         }
         
         return response.data;
@@ -378,14 +731,70 @@ async function updateQuantity(cartId, newQuantity) {
     } catch (error) {
         console.error('Error updating cart:', error);
         
-        if (typeof showNotification === 'function') {
-            showNotification(error.message || 'Failed to update cart', 'error');
+        let message = error.message || 'Failed to update cart';
+        if (error.code === API_ERROR_CODES.INSUFFICIENT_STOCK) {
+            message = error.errors.quantity || message;
+            invalidateApiCache();
+        }
+        
+        // Put the line back as the server has it (unless a newer change is on its way)
+        if (item && findCartItem(cartId) === item && !hasPendingRequest(cartId) && cartView.confirmed.has(cartId)) {
+            setItemQuantity(item, cartView.confirmed.get(cartId));
+            refreshCartLine(item);
+            refreshCartTotals();
+            message += ` - ${item.product.name} is back to ${item.quantity}.`;
         }
         
+        showNotification(message, 'error');
+        
         throw error;
     }
 }
 
+/**
+ * Last queued request of each cart line (see queueLineRequest)
+ */
+const lineQueues = new Map();
+
+/**
+ * Runs a request after the previous ones for the same cart line
+ * 
+ * @param {number} cartId - Cart item ID
+ * @param {function} request - () => Promise
+ * @returns {Promise<object>} - Result of the request
+ */
+async function queueLineRequest(cartId, request) {
+    const queue = lineQueues.get(cartId) || Promise.resolve();
+    const result = queue.catch(() => {}).then(request);
+    
+    lineQueues.set(cartId, result);
+    const pending = cartView ? cartView.pending : null;
+    if (pending) {
+        pending.set(cartId, (pending.get(cartId) || 0) + 1);
+    }
+    
+    try {
+        return await result;
+    } finally {
+        if (pending) {
+            pending.set(cartId, pending.get(cartId) - 1);
+        }
+        if (lineQueues.get(cartId) === result) {
+            lineQueues.delete(cartId);
+        }
+    }
+}
+
+/**
+ * Whether requests are still running for a cart line
+ * 
+ * @param {number} cartId - Cart item ID
+ * @returns {boolean}
+ */
+function hasPendingRequest(cartId) {
+    return Boolean(cartView && cartView.pending.get(cartId) > 0);
+}
+
 // ============================================================================
 // REMOVE FROM CART
 // ============================================================================
@@ -393,59 +802,99 @@ async function updateQuantity(cartId, newQuantity) {
 /**
  * Removes an item from the cart
  * 
+ * On the cart page the row disappears right away; it comes back (with a
+ * notification) if the server refuses. Instead of asking for confirmation,
+ * the notification offers to undo the removal for a few seconds.
+ * 
  * @param {number} cartId - Cart item ID to remove
  * @returns {Promise<object>} - API response
  * 
  * Example usage:
  *   await removeFromCart(5);
  */
-async function removeFromCart(cartId) {
-    try {
-        // Confirm removal
+export async function removeFromCart(cartId) {
+    const item = findCartItem(cartId);
+    const position = item ? cartView.items.indexOf(item) : -1;
+    
+    // What Undo will put back (the line may be shown by the mini-cart only)
+    const removed = item || knownCartItems.get(cartId);
+    
+    // Without the line on screen there is nothing to undo with: ask first
+    if (!removed) {
         const confirmed = confirm('Are you sure you want to remove this item from your cart?');
         if (!confirmed) return;
+    }
+    
+    try {
+        // Show the change right away
+        if (item) {
+            cartView.items.splice(position, 1);
+            const row = document.querySelector(`.cart-item[data-cart-id="${cartId}"]`);
+            if (row) {
+                row.remove();
+            }
+            refreshCartTotals();
+        }
         
-        // Prepare data
-        const data = { cart_id: cartId };
+        const response = await deleteCartLine(cartId);
         
-        // Try DELETE first (RESTful standard), fallback to POST if needed
-        let response;
-        try {
-            response = await apiCall('/cart/remove.php', 'DELETE', data);
-        } catch (error) {
-            // If DELETE fails (405 Method Not Allowed), try POST
-            if (error.message.includes('405') || error.message.includes('Method')) {
-                console.warn('DELETE method not allowed, falling back to POST');
-                response = await apiCall('/cart/remove.php', 'POST', data);
-            } else {
-                throw error;
-            }
+        if (cartView) {
+            cartView.confirmed.delete(cartId);
         }
         
-        // Show success notification
-        if (typeof showNotification === 'function') {
+        // The mini-cart and the other open tabs refresh too
+        announceCartChange('remove');
+        
+        // Show success notification (with Undo when we know what was removed)
+        if (removed) {
+            offerUndo(`${removed.product.name} removed from cart`, [removed]);
+        } else {
             showNotification('Item removed from cart', 'success');
         }
         
-        // Reload cart display
-        await loadCart();
-        
-        // Update cart badge
-        await updateCartBadge();
+        // Not on the cart page: the badge still needs the new count
+        if (!item) {
+            await updateCartBadge();
+        }
         
         return response.data;
         
     } catch (error) {
         console.error('Error removing from cart:', error);
         
-        if (typeof showNotification === 'function') {
-            showNotification(error.message || 'Failed to remove item', 'error');
+        let message = error.message || 'Failed to remove item';
+        
+        // Bring the row back where it was (unless the cart was reloaded meanwhile)
+        if (item && !findCartItem(cartId)) {
+            cartView.items.splice(Math.min(position, cartView.items.length), 0, item);
+            renderCart(cartView.items, summarizeCart(cartView.items), cartView.containerId);
+            showCartCount(summarizeCart(cartView.items).total_items);
+            message += ` - ${item.product.name} is still in your cart.`;
         }
         
+        showNotification(message, 'error');
+        
         throw error;
     }
 }
 
+/**
+ * Deletes a cart line on the server (or from the guest cart)
+ * 
+ * @param {number} cartId - Cart item ID
+ * @returns {Promise<object>} - API response
+ */
+async function deleteCartLine(cartId) {
+    if (!isLoggedIn()) {
+        // Guest cart: the cart ID is the product ID
+        removeGuestCartItem(cartId);
+        return { data: { cart_id: cartId } };
+    }
+    
+    const data = { cart_id: cartId };
+    return queueLineRequest(cartId, () => callWithPostFallback('/cart/remove.php', 'DELETE', data));
+}
+
 // ============================================================================
 // CLEAR CART
 // ============================================================================
@@ -453,59 +902,573 @@ async function removeFromCart(cartId) {
 /**
  * Clears all items from the cart
  * 
+ * On the cart page the empty cart is shown right away; the items come
+ * back (with a notification) if the server refuses. The notification
+ * offers to undo clearing the cart for a few seconds.
+ * 
  * @returns {Promise<object>} - API response
  * 
  * Example usage:
  *   await clearCart();
  */
-async function clearCart() {
-    try {
-        // Confirm action
+export async function clearCart() {
+    const previousItems = cartView ? cartView.items : null;
+    
+    // Without the items on screen there is nothing to undo with: ask first
+    if (!previousItems || previousItems.length === 0) {
         const confirmed = confirm('Are you sure you want to clear your entire cart?');
         if (!confirmed) return;
+    }
+    
+    try {
+        // Show the change right away
+        if (previousItems) {
+            renderCart([], summarizeCart([]), cartView.containerId);
+            showCartCount(0);
+        }
         
-        // Try DELETE first (RESTful standard), fallback to POST if needed
         let response;
+        if (!isLoggedIn()) {
+            clearGuestCart();
+            response = { data: {} };
+        } else {
+            response = await callWithPostFallback('/cart/clear.php', 'DELETE');
+        }
+        
+        // The mini-cart and the other open tabs refresh too
+        announceCartChange('clear');
+        
+        // Show success notification (with Undo when we know what was removed)
+        if (previousItems && previousItems.length > 0) {
+            offerUndo('Cart cleared', previousItems);
+        } else {
+            showNotification('Cart cleared successfully', 'success');
+            
+            // Not on the cart page: the badge still needs the new count
+            await updateCartBadge();
+        }
+        
+        return response.data;
+        
+    } catch (error) {
+        console.error('Error clearing cart:', error);
+        
+        let message = error.message || 'Failed to clear cart';
+        
+        // Bring the items back (unless the cart was reloaded meanwhile)
+        if (previousItems && previousItems.length > 0 && cartView.items.length === 0) {
+            renderCart(previousItems, summarizeCart(previousItems), cartView.containerId);
+            showCartCount(summarizeCart(previousItems).total_items);
+            message += ' - your items are still in your cart.';
+        }
+        
+        showNotification(message, 'error');
+        
+        throw error;
+    }
+}
+
+// ============================================================================
+// SAVE FOR LATER
+// ============================================================================
+
+/**
+ * Draws the cart page again from what it currently shows
+ * 
+ * Used after changes that move lines between the cart and the saved list.
+ */
+function redrawCart() {
+    if (cartView && document.getElementById(cartView.containerId)) {
+        const summary = summarizeCart(cartView.items);
+        renderCart(cartView.items, summary, cartView.containerId);
+        showCartCount(summary.total_items);
+    }
+}
+
+/**
+ * Puts back a line that saveForLater() took out of the cart but could not save
+ * 
+ * The cart is loaded again afterwards, so the page shows where the line
+ * really is even if putting it back failed too.
+ * 
+ * @param {object} item - Cart item
+ * @returns {Promise<void>}
+ */
+async function restoreCartLine(item) {
+    try {
+        if (isLoggedIn()) {
+            await apiCall('/cart/add.php', 'POST', { product_id: item.product.id, quantity: item.quantity });
+        } else {
+            await addGuestCartItem(item.product.id, item.quantity);
+        }
+    } catch (error) {
+        console.error('Error putting the line back in the cart:', error);
+    }
+    
+    if (cartView && document.getElementById(cartView.containerId)) {
+        await loadCart(cartView.containerId).catch(() => {});
+    }
+}
+
+/**
+ * Moves a cart line to the "Saved for later" list
+ * 
+ * @param {number} cartId - Cart item ID
+ * @returns {Promise<void>}
+ * 
+ * Example usage:
+ *   await saveForLater(5);
+ */
+export async function saveForLater(cartId) {
+    const item = findCartItem(cartId) || knownCartItems.get(cartId);
+    if (!item) {
+        return;
+    }
+    
+    try {
+        // Out of the cart first: a line must never be in both lists
+        await deleteCartLine(cartId);
+        
         try {
-            response = await apiCall('/cart/clear.php', 'DELETE');
+            await saveItem(item);
         } catch (error) {
-            // If DELETE fails (405 Method Not Allowed), try POST
-            if (error.message.includes('405') || error.message.includes('Method')) {
-                console.warn('DELETE method not allowed, falling back to POST');
-                response = await apiCall('/cart/clear.php', 'POST');
-            } else {
-                throw error;
-            }
+            // Not saved: put the line back rather than lose it
+            await restoreCartLine(item);
+            throw error;
         }
+        await loadSavedList();
         
-        // Show success notification
-        if (typeof showNotification === 'function') {
-            showNotification('Cart cleared successfully', 'success');
+        if (cartView) {
+            cartView.items = cartView.items.filter(line => line.cart_id !== cartId);
+            cartView.confirmed.delete(cartId);
         }
+        redrawCart();
         
-        // Reload cart display
-        await loadCart();
+        // The mini-cart and the other open tabs refresh too
+        announceCartChange('save');
         
-        // Update cart badge
-        await updateCartBadge();
+        showNotification(`${item.product.name} saved for later`, 'success');
         
-        return response.data;
+    } catch (error) {
+        console.error('Error saving for later:', error);
+        
+        showNotification(error.message || 'Failed to save the item for later', 'error');
+        
+        throw error;
+    }
+}
+
+/**
+ * Moves a saved item back into the cart
+ * 
+ * The price and stock are checked again first: the customer is told when
+ * the price changed, and gets at most what is in stock. Out-of-stock items
+ * stay in the saved list.
+ * 
+ * @param {number} productId - Product ID of the saved item
+ * @returns {Promise<void>}
+ * 
+ * Example usage:
+ *   await moveToCart(12);
+ */
+export async function moveToCart(productId) {
+    const savedItem = savedList.find(item => item.product.id === productId);
+    if (!savedItem) {
+        return;
+    }
+    const name = savedItem.product.name;
+    
+    try {
+        const { price, stock, priceChanged } = await revalidateSavedItem(savedItem);
+        
+        if (stock <= 0) {
+            showNotification(`${name} is out of stock - it stays in your saved items`, 'warning');
+            return;
+        }
+        
+        const quantity = Math.min(savedItem.quantity, stock);
+        if (isLoggedIn()) {
+            await apiCall('/cart/add.php', 'POST', { product_id: productId, quantity });
+        } else {
+            await addGuestCartItem(productId, quantity);
+        }
+        
+        await removeSavedItem(productId);
+        savedList = savedList.filter(item => item.product.id !== productId);
+        
+        // The mini-cart and the other open tabs refresh too
+        announceCartChange('move');
+        
+        // Tell what changed since the item was saved
+        const notes = [`${name} moved to your cart`];
+        if (quantity < savedItem.quantity) {
+            notes.push(`only ${quantity} of ${savedItem.quantity} available`);
+        }
+        if (priceChanged) {
+            notes.push(`price is now ${formatPrice(price)} (was ${formatPrice(savedItem.saved_price)})`);
+        }
+        const changed = notes.length > 1;
+        showNotification(notes.join(' - '), changed ? 'warning' : 'success', changed ? 6000 : 4000);
+        
+        // The moved line gets a cart ID from the server: load the cart again
+        if (cartView && document.getElementById(cartView.containerId)) {
+            await loadCart(cartView.containerId);
+        } else {
+            await updateCartBadge();
+        }
         
     } catch (error) {
-        console.error('Error clearing cart:', error);
+        console.error('Error moving to cart:', error);
+        
+        let message = error.message || 'Failed to move the item to your cart';
+        if (error.code === API_ERROR_CODES.INSUFFICIENT_STOCK) {
+            message = error.errors.quantity || error.errors.message || message;
+            invalidateApiCache();
+        }
+        
+        showNotification(message, 'error');
+        
+        throw error;
+    }
+}
+
+/**
+ * Deletes an item from the "Saved for later" list
+ * 
+ * @param {number} productId - Product ID of the saved item
+ * @returns {Promise<void>}
+ */
+export async function removeFromSaved(productId) {
+    const removed = savedList.find(item => item.product.id === productId);
+    
+    try {
+        await removeSavedItem(productId);
+        savedList = savedList.filter(item => item !== removed);
+        redrawCart();
         
-        if (typeof showNotification === 'function') {
-            showNotification(error.message || 'Failed to clear cart', 'error');
+        // The cart page of the other open tabs shows the list too
+        broadcastTabEvent('cart');
+        
+        if (removed) {
+            showNotification(`${removed.product.name} removed from your saved items`, 'success');
         }
         
+    } catch (error) {
+        console.error('Error removing saved item:', error);
+        
+        showNotification(error.message || 'Failed to remove the saved item', 'error');
+        
         throw error;
     }
 }
 
+// ============================================================================
+// PROMO CODE
+// ============================================================================
+
+/**
+ * Promo code shown in the cart summary
+ * 
+ * - quote: last answer of /coupons/validate.php for this cart (null = no discount)
+ * - request: increases with every quote asked for, so a late answer for
+ *   an older cart never overwrites a newer one
+ */
+const cartCoupon = {
+    quote: null,
+    request: 0
+};
+
+/**
+ * Builds the promo code field of the cart summary
+ * 
+ * @returns {SafeHtml} - Markup (a login link for guests)
+ */
+function renderCouponBox() {
+    if (!isLoggedIn()) {
+        return html`
+            <div class="cart-coupon">
+                <p class="coupon-login">
+                    <a href="login.html?redirect=cart.html">Log in</a> to use a promo code.
+                </p>
+            </div>
+        `;
+    }
+    
+    return html`
+        <div class="cart-coupon">
+            <form class="coupon-form" novalidate>
+                <label for="coupon-code">Promo code</label>
+                <div class="coupon-input">
+                    <input type="text" 
+                           id="coupon-code" 
+                           name="code" 
+                           autocomplete="off" 
+                           spellcheck="false"
+                           value="${getAppliedCouponCode() || ''}"
+                           aria-describedby="coupon-message">
+                    <button type="submit" class="btn btn-secondary">Apply</button>
+                </div>
+            </form>
+            <div class="coupon-applied" hidden>
+                <span class="coupon-applied-label"></span>
+                <button type="button" class="btn-remove-coupon" data-action="remove-coupon">
+                    Remove
+                </button>
+            </div>
+            <p class="coupon-message" id="coupon-message" role="status" aria-live="polite"></p>
+        </div>
+    `;
+}
+
+/**
+ * Cart total minus the discount of the applied promo code
+ * 
+ * @param {number} cartTotal - Sum of the cart lines
+ * @returns {number}
+ */
+function discountedTotal(cartTotal) {
+    const discount = cartCoupon.quote ? cartCoupon.quote.discount_amount_numeric : 0;
+    return Math.max(0, cartTotal - discount);
+}
+
+/**
+ * Shows the applied promo code (or its absence) in the cart summary
+ */
+function showCouponQuote() {
+    const container = cartView ? document.getElementById(cartView.containerId) : null;
+    const discountRow = container ? container.querySelector('.summary-discount') : null;
+    if (!discountRow) {
+        return;
+    }
+    
+    const quote = cartCoupon.quote;
+    const form = container.querySelector('.coupon-form');
+    const applied = container.querySelector('.coupon-applied');
+    
+    discountRow.hidden = !quote || quote.discount_amount_numeric <= 0;
+    if (quote) {
+        const { coupon } = quote;
+        const details = [coupon.description, coupon.category ? `${coupon.category.name} only` : '']
+            .filter(Boolean)
+            .join(' - ');
+        
+        container.querySelector('.summary-coupon-code').textContent = coupon.code;
+        container.querySelector('.summary-discount-amount').textContent = '-' + formatPrice(quote.discount_amount_numeric);
+        applied.querySelector('.coupon-applied-label').textContent = details ? `${coupon.code}: ${details}` : coupon.code;
+    }
+    
+    if (form && applied) {
+        form.hidden = Boolean(quote);
+        applied.hidden = !quote;
+    }
+    
+    container.querySelector('.summary-total').textContent =
+        formatPrice(discountedTotal(summarizeCart(cartView.items).cart_total));
+}
+
+/**
+ * Shows a message under the promo code field
+ * 
+ * @param {string} message - Text ('' to clear)
+ */
+function showCouponMessage(message) {
+    const container = cartView ? document.getElementById(cartView.containerId) : null;
+    const element = container ? container.querySelector('.coupon-message') : null;
+    if (element) {
+        element.textContent = message;
+    }
+}
+
+/**
+ * Prices the cart again with the applied promo code
+ * 
+ * A code that no longer applies is removed, and the customer told why.
+ * 
+ * @returns {Promise<void>}
+ */
+async function refreshCouponQuote() {
+    if (!cartView || cartView.items.length === 0 || !getAppliedCouponCode()) {
+        cartCoupon.quote = null;
+        return;
+    }
+    
+    const request = ++cartCoupon.request;
+    let applied;
+    try {
+        applied = await quoteAppliedCoupon();
+    } catch (error) {
+        // Keep showing the last discount, the order checks the code again anyway
+        console.warn('Could not refresh the promo code:', error);
+        return;
+    }
+    
+    if (request !== cartCoupon.request) {
+        return;
+    }
+    
+    cartCoupon.quote = applied ? applied.quote : null;
+    showCouponQuote();
+    
+    if (applied && applied.rejected) {
+        showCouponMessage(applied.rejected);
+        showNotification(applied.rejected, 'error');
+    }
+}
+
+/**
+ * Applies the promo code typed in the cart summary
+ * 
+ * @param {HTMLFormElement} form - The promo code form
+ * @returns {Promise<void>}
+ */
+async function submitCoupon(form) {
+    const input = form.elements.code;
+    const button = form.querySelector('button[type="submit"]');
+    const code = input.value.trim();
+    
+    if (code === '') {
+        input.setAttribute('aria-invalid', 'true');
+        showCouponMessage('Please enter a promo code.');
+        return;
+    }
+    
+    button.disabled = true;
+    try {
+        const request = ++cartCoupon.request;
+        const quote = await applyCoupon(code);
+        
+        if (request === cartCoupon.request) {
+            cartCoupon.quote = quote;
+        }
+        input.removeAttribute('aria-invalid');
+        showCouponMessage('');
+        showCouponQuote();
+        showNotification(`Promo code ${quote.coupon.code} applied`, 'success');
+        
+    } catch (error) {
+        input.setAttribute('aria-invalid', 'true');
+        showCouponMessage(error.message);
+        
+    } finally {
+        button.disabled = false;
+    }
+}
+
+/**
+ * Removes the applied promo code from the cart summary
+ */
+function removeAppliedCoupon() {
+    removeCoupon();
+    cartCoupon.quote = null;
+    cartCoupon.request++;
+    
+    showCouponMessage('');
+    showCouponQuote();
+    
+    const input = cartView ? document.querySelector(`#${cartView.containerId} .coupon-form input`) : null;
+    if (input) {
+        input.value = '';
+        input.focus();
+    }
+}
+
+// ============================================================================
+// UNDO
+// ============================================================================
+
+/**
+ * How long removed items can be restored (milliseconds)
+ */
+const CART_UNDO_DURATION = 6000;
+
+/**
+ * Shows a notification with an "Undo" button that puts the items back
+ * 
+ * The snapshot keeps what is needed to add each line again (product and
+ * quantity): the server deleted the rows, so their cart IDs are gone.
+ * 
+ * @param {string} message - Notification text
+ * @param {array} items - Cart items that were removed
+ */
+function offerUndo(message, items) {
+    const snapshot = {
+        lines: items.map(item => ({
+            product_id: item.product.id,
+            name: item.product.name,
+            quantity: item.quantity
+        })),
+        expiresAt: Date.now() + CART_UNDO_DURATION,
+        restored: false
+    };
+    
+    showNotification(message, 'success', CART_UNDO_DURATION, [
+        { label: 'Undo', onClick: () => restoreCartSnapshot(snapshot) }
+    ]);
+}
+
+/**
+ * Adds the lines of a snapshot back to the cart with their previous quantities
+ * 
+ * Stock may have gone down meanwhile: lines that can't be restored are
+ * listed in an error notification, the others are restored anyway.
+ * 
+ * @param {object} snapshot - Snapshot made by offerUndo()
+ */
+async function restoreCartSnapshot(snapshot) {
+    // Only once, and only while the notification could still be shown
+    if (snapshot.restored || Date.now() > snapshot.expiresAt) {
+        return;
+    }
+    snapshot.restored = true;
+    
+    const failed = [];
+    
+    // One at a time, in the order they were in the cart
+    for (const line of snapshot.lines) {
+        try {
+            if (isLoggedIn()) {
+                await apiCall('/cart/add.php', 'POST', { product_id: line.product_id, quantity: line.quantity });
+            } else {
+                await addGuestCartItem(line.product_id, line.quantity);
+            }
+        } catch (error) {
+            failed.push(`${line.name} (${error.errors?.quantity || error.message})`);
+        }
+    }
+    
+    // The mini-cart and the other open tabs refresh too
+    announceCartChange('restore');
+    
+    // Restored lines get new cart IDs: render the cart again
+    if (cartView && document.getElementById(cartView.containerId)) {
+        await loadCart(cartView.containerId);
+    } else {
+        await updateCartBadge();
+    }
+    
+    if (failed.length > 0) {
+        showNotification(`Could not restore: ${failed.join(', ')}`, 'error', 6000);
+    } else {
+        const message = snapshot.lines.length === 1
+            ? `${snapshot.lines[0].name} is back in your cart`
+            : 'Your cart was restored';
+        showNotification(message, 'success');
+    }
+}
+
 // ============================================================================
 // CART COUNT BADGE
 // ============================================================================
 
+/**
+ * Batches cart count lookups made in the same tick into one /cart/count.php call
+ */
+const cartCountLoader = createBatchLoader(async (keys) => {
+    const response = await apiCall('/cart/count.php', 'GET');
+    const count = response.data.count || 0;
+    return keys.map(() => count);
+});
+
 /**
  * Gets the current cart count
  * 
@@ -514,16 +1477,15 @@ async function clearCart() {
  * Example usage:
  *   const count = await getCartCount();
  */
-async function getCartCount() {
+export async function getCartCount() {
     try {
-        // Only check if user is logged in
+        // Guests: count the local cart, no request needed
         if (!isLoggedIn()) {
-            return 0;
+            return getGuestCartCount();
         }
         
-        // Call API
-        const response = await apiCall('/cart/count.php', 'GET');
-        return response.data.count || 0;
+        // Header, page entry and cart actions may all ask at once: one request for all of them
+        return await cartCountLoader.load();
         
     } catch (error) {
         console.error('Error getting cart count:', error);
@@ -540,29 +1502,37 @@ async function getCartCount() {
  * Example usage:
  *   await updateCartBadge();
  */
-async function updateCartBadge() {
+export async function updateCartBadge() {
     try {
         const count = await getCartCount();
-        
-        // Find cart badge element
-        const badge = document.getElementById('cart-count') || 
-                     document.querySelector('.cart-count');
-        
-        if (badge) {
-            if (count > 0) {
-                badge.textContent = count;
-                badge.style.display = 'inline-block';
-            } else {
-                badge.textContent = '0';
-                badge.style.display = 'none';
-            }
-        }
+        showCartCount(count);
         
     } catch (error) {
         console.error('Error updating cart badge:', error);
     }
 }
 
+/**
+ * Shows a count in the cart badge (hidden at 0)
+ * 
+ * @param {number} count - Number of items in cart
+ */
+function showCartCount(count) {
+    // Find cart badge element
+    const badge = document.getElementById('cart-count') || 
+                 document.querySelector('.cart-count');
+    
+    if (badge) {
+        if (count > 0) {
+            badge.textContent = count;
+            badge.style.display = 'inline-block';
+        } else {
+            badge.textContent = '0';
+            badge.style.display = 'none';
+        }
+    }
+}
+
 // ============================================================================
 // CHECKOUT
 // ============================================================================
@@ -571,19 +1541,24 @@ async function updateCartBadge() {
  * Proceeds to checkout page
  * 
  * Validates that cart is not empty before redirecting.
+ * Guests log in first: their cart is merged, then they land on checkout.
  * 
  * Example usage:
  *   proceedToCheckout();
  */
-async function proceedToCheckout() {
+export async function proceedToCheckout() {
     try {
         // Get cart count
         const count = await getCartCount();
         
         if (count === 0) {
-            if (typeof showNotification === 'function') {
-                showNotification('Your cart is empty', 'error');
-            }
+            showNotification('Your cart is empty', 'error');
+            return;
+        }
+        
+        if (!isLoggedIn()) {
+            showNotification('Please log in to checkout - your cart will be kept', 'info');
+            window.location.href = 'login.html?redirect=checkout.html';
             return;
         }
         
@@ -593,29 +1568,10 @@ async function proceedToCheckout() {
     } catch (error) {
         console.error('Error proceeding to checkout:', error);
         
-        if (typeof showNotification === 'function') {
-            showNotification('Failed to proceed to checkout', 'error');
-        }
+        showNotification('Failed to proceed to checkout', 'error');
     }
 }
 
-// ============================================================================
-// AUTO-INITIALIZATION
-// ============================================================================
-
-/**
- * Initialize cart functionality when DOM is ready
- */
-document.addEventListener('DOMContentLoaded', function() {
-    // Update cart badge on all pages
-    updateCartBadge();
-    
-    // If we're on the cart page, load cart contents
-    if (document.getElementById('cart-container')) {
-        loadCart();
-    }
-});
-
 // ============================================================================
 // USAGE NOTES
 // ============================================================================
@@ -623,21 +1579,15 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * HOW TO USE IN HTML:
  * 
- * 1. Include required scripts:
- *    <script src="js/api.js"></script>
- *    <script src="js/ui.js"></script>
- *    <script src="js/cart.js"></script>
+ * 1. Import what the page needs in its entry module (js/pages/*.js):
+ *    import { addToCart, loadCart } from '../cart.js';
  * 
- * 2. Add cart badge to header:
+ * 2. Add cart badge to header (initPage() in app.js keeps it up to date):
  *    <a href="cart.html">
  *        Cart <span id="cart-count" class="badge">0</span>
  *    </a>
  * 
- * 3. Add "Add to Cart" buttons:
- *    <button onclick="addToCart(1, 1)">Add to Cart</button>
- * 
- * 4. Create cart page with:
+ * 3. Create cart page with:
  *    <div id="cart-container"></div>
- * 
- * The cart will load automatically when the page loads.
+ *    and call loadCart() from its entry (js/pages/cart.js).
  */
@@ -0,0 +1,284 @@
+/**
+ * Catalogue URL State Module for Carthage Tech E-commerce
+ * 
+ * Keeps what the customer is looking at in the address bar: the page of
+ * the grid, the category, the search query, the filters and the sort
+ * order. The browser's back and forward buttons then walk through them,
+ * and a filtered page can be bookmarked or sent to someone:
+ * 
+ *   ordinateurs.html?brand=Lenovo,HP&max_price=3000&sort=price_asc&page=2
+ * 
+ * The parameter names are the ones the API takes (see
+ * backend/utils/ProductFilters.php), so catalogueFilterParams() builds
+ * both the address bar and the API query strings.
+ * 
+ * Pages push a new history entry when the customer changes something
+ * (pushCatalogueState), read the URL when they load (readCatalogueState)
+ * and reload their grid when the customer goes back or forward
+ * (onCatalogueNavigation). Grids that grow as the customer scrolls also
+ * keep the scroll position in the history entry (rememberScrollPosition).
+ * 
+ * Dependencies: none
+ */
+
+// ============================================================================
+// FILTER PARAMETERS
+// ============================================================================
+
+/**
+ * Sort orders the API accepts ('newest' is the default and stays out of URLs)
+ */
+export const CATALOGUE_SORTS = ['newest', 'popularity', 'price_asc', 'price_desc', 'rating'];
+
+/**
+ * Filters with nothing selected (same keys as data.filters in the API response)
+ * 
+ * @returns {object} - { brand, min_price, max_price, in_stock, min_rating, sort }
+ */
+export function emptyCatalogueFilters() {
+    return {
+        brand: [],
+        min_price: null,
+        max_price: null,
+        in_stock: false,
+        min_rating: null,
+        sort: 'newest'
+    };
+}
+
+/**
+ * Turns catalogue filters into query string parameters
+ * 
+ * Empty filters and the default sort are left out, so an unfiltered
+ * grid keeps a clean URL.
+ * 
+ * @param {object} filters - { brand: [], min_price, max_price, in_stock, min_rating, sort }
+ * @returns {URLSearchParams}
+ * 
+ * Example usage:
+ *   catalogueFilterParams({ brand: ['Lenovo', 'HP'], sort: 'price_asc' }).toString();
+ *   // Returns "brand=Lenovo%2CHP&sort=price_asc"
+ */
+export function catalogueFilterParams(filters = {}) {
+    const params = new URLSearchParams();
+    
+    if (Array.isArray(filters.brand) && filters.brand.length > 0) {
+        params.set('brand', filters.brand.join(','));
+    }
+    for (const key of ['min_price', 'max_price', 'min_rating']) {
+        if (filters[key] !== null && filters[key] !== undefined && filters[key] !== '') {
+            params.set(key, filters[key]);
+        }
+    }
+    if (filters.in_stock) {
+        params.set('in_stock', '1');
+    }
+    if (filters.sort && filters.sort !== 'newest') {
+        params.set('sort', filters.sort);
+    }
+    
+    return params;
+}
+
+/**
+ * Reads catalogue filters from query string parameters
+ * 
+ * The URL may have been typed or edited by hand: values the API would
+ * refuse (negative price, unknown sort, ...) are dropped rather than
+ * turned into an error page.
+ * 
+ * @param {URLSearchParams} params - Query string parameters
+ * @returns {object} - Filters, same shape as emptyCatalogueFilters()
+ */
+function parseCatalogueFilters(params) {
+    const filters = emptyCatalogueFilters();
+    
+    if (params.has('brand')) {
+        filters.brand = [...new Set(params.get('brand').split(',').map((brand) => brand.trim()).filter(Boolean))];
+    }
+    
+    for (const key of ['min_price', 'max_price']) {
+        const value = params.get(key);
+        if (value !== null && value.trim() !== '' && Number(value) >= 0) {
+            filters[key] = Number(value);
+        }
+    }
+    if (filters.min_price !== null && filters.max_price !== null && filters.min_price > filters.max_price) {
+        filters.max_price = null;
+    }
+    
+    const rating = Number(params.get('min_rating'));
+    if (params.has('min_rating') && rating >= 1 && rating <= 5) {
+        filters.min_rating = rating;
+    }
+    
+    filters.in_stock = ['1', 'true', 'yes'].includes(params.get('in_stock'));
+    
+    if (CATALOGUE_SORTS.includes(params.get('sort'))) {
+        filters.sort = params.get('sort');
+    }
+    
+    return filters;
+}
+
+// ============================================================================
+// ADDRESS BAR
+// ============================================================================
+
+/**
+ * Reads the catalogue state from the address bar
+ * 
+ * @param {string} search - Query string (default: the current URL's)
+ * @returns {object} - { page, category, q, filters }
+ * 
+ * Example usage:
+ *   const { page, filters } = readCatalogueState();
+ *   loadProductsByCategory('ordinateurs', page, 20, 'ordinateurs-products', filters);
+ */
+export function readCatalogueState(search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const page = parseInt(params.get('page'), 10);
+    
+    return {
+        page: page > 0 ? page : 1,
+        category: params.get('category'),
+        q: (params.get('q') || '').trim(),
+        filters: parseCatalogueFilters(params)
+    };
+}
+
+/**
+ * Builds the URL of the current page with part of the catalogue state changed
+ * 
+ * Parameters that are not part of the catalogue state (id, share, ...)
+ * are kept as they are.
+ * 
+ * @param {object} changes - Any of { page, category, q, filters }; null removes it
+ * @returns {string} - Relative URL ("ordinateurs.html?brand=HP&page=2")
+ */
+function catalogueUrl(changes) {
+    const url = new URL(window.location.href);
+    const params = url.searchParams;
+    
+    for (const key of ['category', 'q']) {
+        if (key in changes) {
+            if (changes[key]) {
+                params.set(key, changes[key]);
+            } else {
+                params.delete(key);
+            }
+        }
+    }
+    
+    if ('filters' in changes) {
+        for (const key of ['brand', 'min_price', 'max_price', 'in_stock', 'min_rating', 'sort']) {
+            params.delete(key);
+        }
+        for (const [key, value] of catalogueFilterParams(changes.filters || {})) {
+            params.set(key, value);
+        }
+    }
+    
+    // Page 1 is the default; a new query or new filters start over from it
+    if ('page' in changes) {
+        if (changes.page > 1) {
+            params.set('page', changes.page);
+        } else {
+            params.delete('page');
+        }
+    }
+    
+    // Commas are left readable in the address bar (brand=Lenovo,HP)
+    const query = params.toString().replace(/%2C/gi, ',');
+    return url.pathname + (query ? `?${query}` : '') + url.hash;
+}
+
+/**
+ * Puts part of the catalogue state in the address bar
+ * 
+ * A new history entry is added (so the back button returns to the
+ * previous state) unless `replace` is set - for changes that happen
+ * while the customer types, which would otherwise add one entry per
+ * keystroke. Nothing is added when the URL doesn't change.
+ * 
+ * @param {object} changes - Any of { page, category, q, filters }; null removes it
+ * @param {object} options - { replace: true } to update the current entry instead
+ * 
+ * Example usage:
+ *   pushCatalogueState({ filters, page: 1 });
+ *   pushCatalogueState({ q: 'souris' }, { replace: true });
+ */
+export function pushCatalogueState(changes, { replace = false } = {}) {
+    const url = catalogueUrl(changes);
+    const current = window.location.pathname + window.location.search + window.location.hash;
+    
+    if (replace || url === current) {
+        // Keeps what else the entry holds (scroll position, see rememberScrollPosition)
+        window.history.replaceState({ ...window.history.state, catalogue: true }, '', url);
+    } else {
+        window.history.pushState({ catalogue: true }, '', url);
+    }
+}
+
+/**
+ * Calls back when the customer goes back or forward through the catalogue
+ * 
+ * @param {Function} callback - Receives readCatalogueState() of the new URL
+ * 
+ * Example usage:
+ *   onCatalogueNavigation((state) => loadProductsByCategory(slug, state.page, 20, containerId, state.filters));
+ */
+export function onCatalogueNavigation(callback) {
+    window.addEventListener('popstate', () => callback(readCatalogueState()));
+}
+
+// ============================================================================
+// SCROLL POSITION
+// ============================================================================
+
+/**
+ * True once rememberScrollPosition() is listening
+ */
+let rememberingScroll = false;
+
+/**
+ * Keeps the scroll position in the current history entry
+ * 
+ * Grids that load more products as the customer scrolls (load-more and
+ * infinite modes, see products.js) are rebuilt when the customer comes
+ * back to them, after the browser has already tried to restore the
+ * scroll position on a page that was still empty. They take over: the
+ * position is saved while scrolling and put back by the grid once its
+ * products are shown (savedScrollPosition()).
+ * 
+ * Safe to call more than once.
+ */
+export function rememberScrollPosition() {
+    if (rememberingScroll) {
+        return;
+    }
+    rememberingScroll = true;
+    
+    if ('scrollRestoration' in window.history) {
+        window.history.scrollRestoration = 'manual';
+    }
+    
+    // Saved once scrolling stops: browsers limit how often history can change
+    let timer = null;
+    window.addEventListener('scroll', () => {
+        clearTimeout(timer);
+        timer = setTimeout(() => {
+            window.history.replaceState({ ...window.history.state, scrollY: window.scrollY }, '');
+        }, 200);
+    }, { passive: true });
+}
+
+/**
+ * Returns the scroll position saved in the current history entry
+ * 
+ * @returns {number|null} - Pixels from the top, or null if none was saved
+ */
+export function savedScrollPosition() {
+    const state = window.history.state;
+    return state && typeof state.scrollY === 'number' ? state.scrollY : null;
+}
@@ -0,0 +1,248 @@
+/**
+ * Configuration Module for Carthage Tech E-commerce
+ * 
+ * This file works out where the backend API lives and which environment
+ * (dev, staging, prod) the storefront is running in, so nobody has to
+ * edit api.js by hand when the project folder or host changes.
+ * 
+ * The API root is resolved in this order (first match wins):
+ * 1. A global config object defined before the page's entry module:
+ *      <script>window.CARTHAGE_TECH_CONFIG = { apiBaseUrl: 'https://api.example.com' };</script>
+ * 2. A <meta> tag in the page:
+ *      <meta name="api-base-url" content="http://localhost/ChTechbackend/backend/api">
+ * 3. The apiBaseUrl of the named environment (if it defines one)
+ * 4. The current origin: pages served from /<project>/frontend/pages/
+ *    talk to /<project>/backend/api on the same host
+ * 
+ * The environment is picked from CARTHAGE_TECH_CONFIG.env, then
+ * <meta name="app-env" content="staging">, then the hostname
+ * (localhost / 127.0.0.1 → dev, anything else → prod).
+ * 
+ * The transport ('fetch' = the PHP backend, 'mock' = js/mock/mock-backend.js)
+ * is picked from CARTHAGE_TECH_CONFIG.transport, then
+ * <meta name="api-transport" content="mock">, then
+ * localStorage.apiTransport (handy to switch every page at once from the
+ * browser console), then the environment.
+ * 
+ * The client-side search index (js/search-index.js) is turned on with
+ * CARTHAGE_TECH_CONFIG.searchIndex = true or
+ * <meta name="search-index" content="on">, and is off otherwise.
+ * 
+ * Dependencies: none
+ */
+
+// ============================================================================
+// ENVIRONMENTS
+// ============================================================================
+
+/**
+ * Settings for each named environment
+ * 
+ * - apiBaseUrl: API root (null = derive it from the current origin)
+ * - apiTimeout: default request timeout in milliseconds
+ * - debug: whether extra logging is enabled (off everywhere; turn it on for one
+ *   page with CARTHAGE_TECH_CONFIG.debug = true)
+ * - transport: 'fetch' (real backend) or 'mock' (in-browser mock backend)
+ * - searchIndex: whether searches go through the client-side index (search-index.js)
+ */
+const APP_ENVIRONMENTS = {
+    dev: {
+        apiBaseUrl: null,
+        apiTimeout: 15000,
+        debug: false,
+        transport: 'fetch',
+        searchIndex: false
+    },
+    staging: {
+        apiBaseUrl: null,
+        apiTimeout: 10000,
+        debug: false,
+        transport: 'fetch',
+        searchIndex: false
+    },
+    prod: {
+        apiBaseUrl: null,
+        apiTimeout: 10000,
+        debug: false,
+        transport: 'fetch',
+        searchIndex: false
+    }
+};
+
+/**
+ * API root used when it cannot be derived from the page URL
+ * (e.g., the page was opened with file://)
+ */
+const FALLBACK_API_BASE_URL = 'http://localhost/ChTechbackend/backend/api';
+
+// ============================================================================
+// RESOLUTION
+// ============================================================================
+
+/**
+ * Reads the content of a <meta name="..."> tag
+ * 
+ * @param {string} name - Meta tag name
+ * @returns {string|null} - Trimmed content, or null if missing/empty
+ */
+function readMetaConfig(name) {
+    const meta = document.querySelector(`meta[name="${name}"]`);
+    const content = meta ? meta.getAttribute('content') : null;
+    return content && content.trim() ? content.trim() : null;
+}
+
+/**
+ * Picks the environment name
+ * 
+ * @param {object} globalConfig - window.CARTHAGE_TECH_CONFIG (or {})
+ * @returns {string} - 'dev', 'staging' or 'prod'
+ */
+function resolveEnvironmentName(globalConfig) {
+    const requested = globalConfig.env || readMetaConfig('app-env');
+    
+    if (requested) {
+        if (APP_ENVIRONMENTS[requested]) {
+            return requested;
+        }
+        console.warn(`Unknown environment "${requested}", falling back to hostname detection`);
+    }
+    
+    const host = window.location.hostname;
+    return host === 'localhost' || host === '127.0.0.1' || host === '' ? 'dev' : 'prod';
+}
+
+/**
+ * Derives the API root from the URL of the current page
+ * 
+ * Example: http://localhost/ChTechbackend/frontend/pages/cart.html
+ *       → http://localhost/ChTechbackend/backend/api
+ * 
+ * @returns {string|null} - API root, or null if the page is not served over HTTP
+ */
+function deriveApiBaseUrlFromOrigin() {
+    const { protocol, origin, pathname } = window.location;
+    
+    if (protocol !== 'http:' && protocol !== 'https:') {
+        return null;
+    }
+    
+    // Everything before /frontend/ is the project folder on the server
+    const frontendIndex = pathname.indexOf('/frontend/');
+    const projectPath = frontendIndex !== -1 ? pathname.slice(0, frontendIndex) : '';
+    
+    return origin + projectPath + '/backend/api';
+}
+
+/**
+ * Picks the API transport
+ * 
+ * @param {object} globalConfig - window.CARTHAGE_TECH_CONFIG (or {})
+ * @param {object} envConfig - Settings of the resolved environment
+ * @returns {string} - 'fetch' or 'mock'
+ */
+function resolveTransport(globalConfig, envConfig) {
+    let stored = null;
+    try {
+        stored = localStorage.getItem('apiTransport');
+    } catch (error) {
+        // localStorage can be blocked (privacy settings); ignore it then
+    }
+    
+    const requested = globalConfig.transport || readMetaConfig('api-transport') || stored || envConfig.transport;
+    
+    if (requested !== 'fetch' && requested !== 'mock') {
+        console.warn(`Unknown API transport "${requested}", using fetch`);
+        return 'fetch';
+    }
+    return requested;
+}
+
+/**
+ * Tells whether the client-side search index is turned on
+ * 
+ * @param {object} globalConfig - window.CARTHAGE_TECH_CONFIG (or {})
+ * @param {object} envConfig - Settings of the resolved environment
+ * @returns {boolean}
+ */
+function resolveSearchIndex(globalConfig, envConfig) {
+    if (typeof globalConfig.searchIndex === 'boolean') {
+        return globalConfig.searchIndex;
+    }
+    
+    const meta = readMetaConfig('search-index');
+    if (meta) {
+        return ['on', 'true', '1'].includes(meta.toLowerCase());
+    }
+    return envConfig.searchIndex;
+}
+
+/**
+ * Builds the resolved application configuration
+ * 
+ * @returns {object} - { env, apiBaseUrl, apiTimeout, debug, transport, searchIndex, source }
+ */
+function resolveAppConfig() {
+    const globalConfig = window.CARTHAGE_TECH_CONFIG || {};
+    const env = resolveEnvironmentName(globalConfig);
+    const envConfig = APP_ENVIRONMENTS[env];
+    
+    // Find the API root and remember where it came from (handy for debugging)
+    let apiBaseUrl = null;
+    let source = null;
+    
+    if (globalConfig.apiBaseUrl) {
+        apiBaseUrl = globalConfig.apiBaseUrl;
+        source = 'global';
+    } else if (readMetaConfig('api-base-url')) {
+        apiBaseUrl = readMetaConfig('api-base-url');
+        source = 'meta';
+    } else if (envConfig.apiBaseUrl) {
+        apiBaseUrl = envConfig.apiBaseUrl;
+        source = 'environment';
+    } else if (deriveApiBaseUrlFromOrigin()) {
+        apiBaseUrl = deriveApiBaseUrlFromOrigin();
+        source = 'origin';
+    } else {
+        apiBaseUrl = FALLBACK_API_BASE_URL;
+        source = 'fallback';
+    }
+    
+    return {
+        ...envConfig,
+        ...globalConfig,
+        env,
+        // No trailing slash: endpoints start with '/'
+        apiBaseUrl: apiBaseUrl.replace(/\/+$/, ''),
+        transport: resolveTransport(globalConfig, envConfig),
+        searchIndex: resolveSearchIndex(globalConfig, envConfig),
+        source
+    };
+}
+
+// ============================================================================
+// PUBLIC CONFIG
+// ============================================================================
+
+/**
+ * Resolved configuration, shared by every module
+ * 
+ * Frozen so no script can change the API root halfway through a page.
+ */
+const APP_CONFIG = Object.freeze(resolveAppConfig());
+
+/**
+ * Returns the resolved application configuration
+ * 
+ * @returns {object} - { env, apiBaseUrl, apiTimeout, debug, transport, searchIndex, source }
+ * 
+ * Example usage:
+ *   const { env, apiBaseUrl } = getAppConfig();
+ *   console.log(`Running in ${env}, API at ${apiBaseUrl}`);
+ */
+export function getAppConfig() {
+    return APP_CONFIG;
+}
+
+if (APP_CONFIG.debug) {
+    console.log(`[config] ${APP_CONFIG.env} environment, API at ${APP_CONFIG.apiBaseUrl} (from ${APP_CONFIG.source}), transport: ${APP_CONFIG.transport}`);
+}
@@ -0,0 +1,144 @@
+/**
+ * Promo Code Module for Carthage Tech E-commerce
+ * 
+ * Remembers the promo code the customer applied in the cart and asks
+ * /coupons/validate.php what it is worth for the current cart, so the cart
+ * and the checkout page show the same discount the order will get.
+ * 
+ * The code is only redeemed when the order is placed: createOrder()
+ * (orders.js) sends it as coupon_code, and /orders/create.php checks it
+ * again. Promo codes need an account (the discount is computed from the
+ * server-side cart), so guests are asked to log in first.
+ * 
+ * The code is remembered per account (localStorage 'appliedCoupon:<user id>'),
+ * so another customer logging in on the same browser doesn't get it.
+ * 
+ * The page is told about changes with a 'coupon:changed' event on window
+ * (detail: { code }, null when the code was removed).
+ * 
+ * Dependencies: api.js
+ */
+
+import { apiCall, API_ERROR_CODES, isLoggedIn, getCurrentUser } from './api.js';
+
+/**
+ * localStorage key prefix of the applied code (followed by the user ID)
+ */
+const APPLIED_COUPON_KEY_PREFIX = 'appliedCoupon:';
+
+/**
+ * Key of the current user's applied code
+ * 
+ * @returns {string|null} - null for guests (promo codes need an account)
+ */
+function appliedCouponKey() {
+    const user = getCurrentUser();
+    return user && user.id ? APPLIED_COUPON_KEY_PREFIX + user.id : null;
+}
+
+/**
+ * Returns the promo code applied in the cart
+ * 
+ * @returns {string|null} - Code in upper case, or null
+ */
+export function getAppliedCouponCode() {
+    const key = appliedCouponKey();
+    return key ? localStorage.getItem(key) : null;
+}
+
+/**
+ * Stores (or forgets) the applied code and tells the page
+ * 
+ * @param {string|null} code - Code to remember, null to forget it
+ */
+function storeAppliedCouponCode(code) {
+    const key = appliedCouponKey();
+    if (key && code) {
+        localStorage.setItem(key, code);
+    } else if (key) {
+        localStorage.removeItem(key);
+    }
+    window.dispatchEvent(new CustomEvent('coupon:changed', { detail: { code: code || null } }));
+}
+
+/**
+ * Asks the backend what a promo code is worth for the current cart
+ * 
+ * @param {string} code - Promo code as typed by the customer
+ * @returns {Promise<object>} - { coupon, discount_amount_numeric, total_price_numeric, ... }
+ *                              (see /coupons/validate.php)
+ * @throws {ApiError} - COUPON_INVALID with the reason as message, CART_EMPTY, ...
+ */
+export async function validateCoupon(code) {
+    const response = await apiCall('/coupons/validate.php', 'POST', { code: code.trim() });
+    return response.data;
+}
+
+/**
+ * Checks a promo code and applies it if it can be used
+ * 
+ * @param {string} code - Promo code as typed by the customer
+ * @returns {Promise<object>} - Quote from validateCoupon()
+ * @throws {ApiError} - The code was not applied (error.message says why)
+ * 
+ * Example usage:
+ *   try {
+ *       const quote = await applyCoupon('bienvenue10');
+ *   } catch (error) {
+ *       showNotification(error.message, 'error');
+ *   }
+ */
+export async function applyCoupon(code) {
+    const quote = await validateCoupon(code);
+    storeAppliedCouponCode(quote.coupon.code);
+    return quote;
+}
+
+/**
+ * Removes the applied promo code
+ */
+export function removeCoupon() {
+    if (getAppliedCouponCode() !== null) {
+        storeAppliedCouponCode(null);
+    }
+}
+
+/**
+ * Prices the current cart with the applied promo code
+ * 
+ * A code that no longer applies (expired, cart under the minimum, no
+ * product of its category left, ...) is removed, and the reason returned
+ * so the page can tell the customer.
+ * 
+ * @returns {Promise<object|null>} - null without a code (or for guests),
+ *                                   otherwise { quote, rejected } where quote is
+ *                                   null and rejected the reason when it was removed
+ * @throws {ApiError} - Any other failure (the code is kept)
+ * 
+ * Example usage:
+ *   const applied = await quoteAppliedCoupon();
+ *   if (applied && applied.rejected) showNotification(applied.rejected, 'error');
+ */
+export async function quoteAppliedCoupon() {
+    const code = getAppliedCouponCode();
+    if (!code || !isLoggedIn()) {
+        return null;
+    }
+    
+    try {
+        return { quote: await validateCoupon(code), rejected: null };
+    
+    } catch (error) {
+        if (error.code === API_ERROR_CODES.COUPON_INVALID) {
+            removeCoupon();
+            return { quote: null, rejected: `Promo code ${code} removed: ${error.message}` };
+        }
+        
+        // Nothing to discount yet; keep the code for when the cart fills up again
+        if (error.code === API_ERROR_CODES.CART_EMPTY) {
+            return null;
+        }
+        
+        throw error;
+    }
+}
@@ -0,0 +1,366 @@
+/**
+ * Guest Cart Module for Carthage Tech E-commerce
+ * 
+ * The server cart (/cart/*.php) needs a session, so logged-out visitors
+ * used to be sent to the login page as soon as they clicked "Add to Cart".
+ * Their cart now lives in localStorage instead, and is moved into their
+ * account right after they log in.
+ * 
+ * Only product IDs, quantities and a copy of the product fields the cart
+ * page shows are stored. getGuestCart() returns the same shape as
+ * /cart/view.php, so renderCart() can show either cart:
+ *   { cart_items: [{ cart_id, product: {...}, quantity, stock_available, ... }],
+ *     summary: { total_items, total_unique_products, cart_total, ... } }
+ * 
+ * Guest lines have no row in the cart table: their cart_id is the product ID.
+ * 
+ * Dependencies: api.js, tab-sync.js
+ */
+
+import { apiCall, ApiError, API_ERROR_CODES } from './api.js';
+import { broadcastTabEvent } from './tab-sync.js';
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * localStorage key holding the guest cart lines
+ */
+const GUEST_CART_KEY = 'guestCart';
+
+/**
+ * Reads the stored lines
+ * 
+ * @returns {array} - [{ product_id, quantity, product, stock_available, added_at }]
+ */
+function readGuestLines() {
+    try {
+        const lines = JSON.parse(localStorage.getItem(GUEST_CART_KEY) || '[]');
+        return Array.isArray(lines) ? lines : [];
+    } catch (error) {
+        // Corrupted value: start again with an empty cart
+        console.warn('Ignoring unreadable guest cart:', error);
+        return [];
+    }
+}
+
+/**
+ * Stores the lines (removes the key when the cart is empty)
+ * 
+ * @param {array} lines - Lines to store
+ */
+function writeGuestLines(lines) {
+    if (lines.length === 0) {
+        localStorage.removeItem(GUEST_CART_KEY);
+    } else {
+        localStorage.setItem(GUEST_CART_KEY, JSON.stringify(lines));
+    }
+}
+
+/**
+ * Fetches the product and turns it into the fields a cart line keeps
+ * 
+ * @param {number} productId - Product ID
+ * @returns {Promise<object>} - { product, stock_available }
+ */
+async function fetchGuestProduct(productId) {
+    const response = await apiCall(`/products/detail.php?id=${productId}`, 'GET');
+    const product = response.data.product;
+    
+    return {
+        product: {
+            id: product.id,
+            name: product.name,
+            brand: product.brand,
+            price: product.price,
+            price_numeric: Number(product.price_numeric ?? product.price),
+            image_url: product.main_image
+        },
+        stock_available: product.stock.quantity
+    };
+}
+
+// ============================================================================
+// READING THE CART
+// ============================================================================
+
+/**
+ * Returns the guest cart in the shape of /cart/view.php
+ * 
+ * @returns {object} - { cart_items, summary }
+ * 
+ * Example usage:
+ *   const { cart_items, summary } = getGuestCart();
+ *   renderCart(cart_items, summary);
+ */
+export function getGuestCart() {
+    let totalItems = 0;
+    let cartTotal = 0;
+    
+    const cartItems = readGuestLines().map(line => {
+        const subtotal = line.product.price_numeric * line.quantity;
+        totalItems += line.quantity;
+        cartTotal += subtotal;
+        
+        return {
+            cart_id: line.product_id,
+            product: line.product,
+            quantity: line.quantity,
+            stock_available: line.stock_available,
+            in_stock: line.stock_available > 0,
+            subtotal: subtotal.toFixed(2),
+            subtotal_numeric: subtotal,
+            added_at: line.added_at
+        };
+    });
+    
+    return {
+        cart_items: cartItems,
+        summary: {
+            total_items: totalItems,
+            total_unique_products: cartItems.length,
+            cart_total: cartTotal.toFixed(2),
+            cart_total_numeric: cartTotal
+        }
+    };
+}
+
+/**
+ * Number of items in the guest cart (sum of quantities, like /cart/count.php)
+ * 
+ * @returns {number}
+ */
+export function getGuestCartCount() {
+    return readGuestLines().reduce((count, line) => count + line.quantity, 0);
+}
+
+/**
+ * Updates the stored price and stock of every line from the API
+ * 
+ * Products that no longer exist are dropped. Quantities are kept even
+ * when they exceed the stock: renderCart() shows the available stock and
+ * the merge on login reports the conflict.
+ * 
+ * @returns {Promise<object>} - The refreshed cart (see getGuestCart)
+ */
+export async function refreshGuestCart() {
+    const lines = readGuestLines();
+    
+    const refreshed = await Promise.all(lines.map(async (line) => {
+        try {
+            return { ...line, ...await fetchGuestProduct(line.product_id) };
+        } catch (error) {
+            if (error.code === API_ERROR_CODES.NOT_FOUND) {
+                return null;
+            }
+            // Offline or server error: keep what we had
+            return line;
+        }
+    }));
+    
+    writeGuestLines(refreshed.filter(Boolean));
+    return getGuestCart();
+}
+
+// ============================================================================
+// CHANGING THE CART
+// ============================================================================
+
+/**
+ * Adds a product to the guest cart (or increases its quantity)
+ * 
+ * Checks the stock like /cart/add.php and throws the same kind of error
+ * (ApiError with code INSUFFICIENT_STOCK), so callers handle both carts alike.
+ * 
+ * @param {number} productId - Product ID
+ * @param {number} quantity - Quantity to add
+ * @returns {Promise<object>} - Same fields as /cart/add.php: { action, product, new_quantity }
+ */
+export async function addGuestCartItem(productId, quantity) {
+    const details = await fetchGuestProduct(productId);
+    const lines = readGuestLines();
+    const existing = lines.find(line => line.product_id === productId);
+    const currentQuantity = existing ? existing.quantity : 0;
+    const newQuantity = currentQuantity + quantity;
+    
+    if (newQuantity > details.stock_available) {
+        throw new ApiError('Insufficient stock.', {
+            code: API_ERROR_CODES.INSUFFICIENT_STOCK,
+            errors: {
+                quantity: currentQuantity > 0
+                    ? `You already have ${currentQuantity} in cart. Maximum available: ${details.stock_available}`
+                    : `Only ${details.stock_available} unit(s) available in stock.`
+            }
+        });
+    }
+    
+    if (existing) {
+        Object.assign(existing, details, { quantity: newQuantity });
+    } else {
+        lines.unshift({ product_id: productId, quantity: newQuantity, ...details, added_at: new Date().toISOString() });
+    }
+    writeGuestLines(lines);
+    
+    return {
+        action: existing ? 'updated' : 'added',
+        product: { id: productId, name: details.product.name },
+        new_quantity: newQuantity
+    };
+}
+
+/**
+ * Sets the quantity of a guest cart line
+ * 
+ * @param {number} productId - Product ID (the cart_id of guest lines)
+ * @param {number} quantity - New quantity (at least 1)
+ * @returns {object} - { item, summary } like /cart/update.php
+ */
+export function updateGuestCartItem(productId, quantity) {
+    const lines = readGuestLines();
+    const line = lines.find(row => row.product_id === productId);
+    if (!line) {
+        throw new ApiError('Cart item not found.', { code: API_ERROR_CODES.NOT_FOUND });
+    }
+    
+    if (quantity > line.stock_available) {
+        throw new ApiError('Insufficient stock.', {
+            code: API_ERROR_CODES.INSUFFICIENT_STOCK,
+            errors: { quantity: `Only ${line.stock_available} unit(s) available in stock.` }
+        });
+    }
+    
+    line.quantity = quantity;
+    writeGuestLines(lines);
+    
+    const cart = getGuestCart();
+    return {
+        item: cart.cart_items.find(item => item.cart_id === productId),
+        summary: cart.summary
+    };
+}
+
+/**
+ * Removes a line from the guest cart
+ * 
+ * @param {number} productId - Product ID (the cart_id of guest lines)
+ */
+export function removeGuestCartItem(productId) {
+    writeGuestLines(readGuestLines().filter(line => line.product_id !== productId));
+}
+
+/**
+ * Empties the guest cart
+ */
+export function clearGuestCart() {
+    writeGuestLines([]);
+}
+
+// ============================================================================
+// MERGE ON LOGIN
+// ============================================================================
+
+/**
+ * Moves the guest cart into the server cart of the user who just logged in
+ * 
+ * Each line is sent to /cart/add.php, which adds to the quantity already
+ * in the account's cart. When the stock can't cover the total, as many
+ * units as possible are added and the line is reported as adjusted.
+ * Lines that could not be sent at all (network error...) stay in the
+ * guest cart so nothing is lost.
+ * 
+ * @returns {Promise<object>} - { merged, adjusted, failed }
+ *   - merged: names of the products added with their full quantity
+ *   - adjusted: [{ name, requested, added }] - limited by the stock
+ *   - failed: [{ name, reason }] - not added
+ * 
+ * Example usage (right after login):
+ *   const report = await mergeGuestCart();
+ *   if (report.adjusted.length || report.failed.length) { ... }
+ */
+export async function mergeGuestCart() {
+    const report = { merged: [], adjusted: [], failed: [] };
+    const remaining = [];
+    
+    // One at a time: every add changes what the next one may add
+    for (const line of readGuestLines()) {
+        const name = line.product.name;
+        
+        try {
+            const { added, cartIsFull } = await addWithinStock(line.product_id, line.quantity);
+            
+            if (added === line.quantity) {
+                report.merged.push(name);
+            } else if (added > 0) {
+                report.adjusted.push({ name, requested: line.quantity, added });
+            } else {
+                report.failed.push({
+                    name,
+                    reason: cartIsFull ? 'already in the cart at the maximum quantity' : 'out of stock'
+                });
+            }
+        } catch (error) {
+            if (error.code === API_ERROR_CODES.NOT_FOUND) {
+                report.failed.push({ name, reason: 'no longer available' });
+            } else {
+                // Network or server error: keep the line for next time
+                report.failed.push({ name, reason: error.message });
+                remaining.push(line);
+            }
+        }
+    }
+    
+    writeGuestLines(remaining);
+    
+    // The account's cart changed in the other tabs too
+    if (report.merged.length > 0 || report.adjusted.length > 0) {
+        broadcastTabEvent('cart');
+    }
+    
+    return report;
+}
+
+/**
+ * Adds a product to the server cart, lowering the quantity to what the stock allows
+ * 
+ * /cart/add.php refuses quantities above the stock (counting what the
+ * account's cart already holds) and tells how much is available.
+ * 
+ * @param {number} productId - Product ID
+ * @param {number} quantity - Quantity wanted
+ * @returns {Promise<object>} - { added, cartIsFull }
+ *   - added: quantity actually added (0 if none)
+ *   - cartIsFull: the product is in stock but the account's cart already holds all of it
+ */
+async function addWithinStock(productId, quantity) {
+    let cartIsFull = false;
+    
+    // The first refusal may not count the account's cart yet, hence a few attempts
+    for (let attempt = 0; attempt < 3 && quantity > 0; attempt++) {
+        try {
+            await apiCall('/cart/add.php', 'POST', { product_id: productId, quantity });
+            return { added: quantity, cartIsFull: false };
+        } catch (error) {
+            if (error.code !== API_ERROR_CODES.INSUFFICIENT_STOCK) {
+                throw error;
+            }
+            
+            const available = Number(error.errors.stock_available ?? error.errors.available ?? 0);
+            const inCart = Number(error.errors.current_in_cart ?? 0);
+            cartIsFull = available > 0 && inCart >= available;
+            quantity = Math.min(quantity - 1, available - inCart);
+        }
+    }
+    
+    return { added: 0, cartIsFull };
+}
+
+// ============================================================================
+// USAGE NOTES
+// ============================================================================
+
+/**
+ * cart.js switches to these functions when isLoggedIn() is false, so
+ * pages keep calling addToCart(), loadCart() and updateCartBadge() as
+ * before. auth.js calls mergeGuestCart() after a successful login.
+ */
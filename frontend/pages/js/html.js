@@ -0,0 +1,139 @@
+/**
+ * HTML Templating Module for Carthage Tech E-commerce
+ * 
+ * Every renderer builds its markup with template literals and hands it to
+ * innerHTML. Product names, descriptions, brands, addresses and error
+ * messages come from the API (and ultimately from users), so putting them
+ * into markup as-is lets a product called <img src=x onerror=alert(1)> run
+ * script on every page that lists it.
+ * 
+ * The html`` tag escapes every interpolated value by default. Only values
+ * that are already safe markup are inserted as they are:
+ * - the result of another html`` template (nested templates)
+ * - strings explicitly marked with raw() - for markup written in the code,
+ *   never for data from the API
+ * 
+ * Example usage:
+ *   container.innerHTML = html`
+ *       <h3 class="name">${product.name}</h3>
+ *       ${product.brand ? html`<p class="brand">${product.brand}</p>` : ''}
+ *       <ul>${products.map(p => html`<li>${p.name}</li>`)}</ul>
+ *   `;
+ * 
+ * Dependencies: none
+ */
+
+// ============================================================================
+// SAFE MARKUP
+// ============================================================================
+
+/**
+ * Characters that change meaning in HTML text and attribute values
+ */
+const HTML_ESCAPES = {
+    '&': '&amp;',
+    '<': '&lt;',
+    '>': '&gt;',
+    '"': '&quot;',
+    "'": '&#39;',
+    '`': '&#96;'
+};
+
+/**
+ * A piece of markup that is known to be safe
+ * 
+ * Produced by html`` and raw(); anything else interpolated into
+ * html`` is treated as text and escaped.
+ */
+class SafeHtml {
+    constructor(markup) {
+        this.markup = markup;
+    }
+    
+    // Lets element.innerHTML = html`...` and string concatenation work directly
+    toString() {
+        return this.markup;
+    }
+}
+
+/**
+ * Escapes a value so it displays as text inside HTML
+ * 
+ * @param {any} value - Value to escape (null/undefined become '')
+ * @returns {string} - Escaped string, safe in element content and quoted attributes
+ * 
+ * Example usage:
+ *   escapeHtml('<b>Dell & HP</b>'); // Returns "&lt;b&gt;Dell &amp; HP&lt;/b&gt;"
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value).replace(/[&<>"'`]/g, (char) => HTML_ESCAPES[char]);
+}
+
+/**
+ * Marks a string as trusted markup, inserted into html`` without escaping
+ * 
+ * Only use it for markup written in the code (icons, static fragments).
+ * Never pass it data coming from the API or from the user.
+ * 
+ * @param {string} markup - Trusted HTML
+ * @returns {SafeHtml}
+ */
+export function raw(markup) {
+    return new SafeHtml(String(markup));
+}
+
+/**
+ * Turns one interpolated value into markup
+ * 
+ * @param {any} value - Value from a ${...} placeholder
+ * @returns {string} - Markup (escaped unless the value was SafeHtml)
+ */
+function renderValue(value) {
+    if (value instanceof SafeHtml) {
+        return value.markup;
+    }
+    if (Array.isArray(value)) {
+        // Lists from .map(): no commas, each item rendered on its own
+        return value.map(renderValue).join('');
+    }
+    if (value === null || value === undefined || value === false) {
+        // Lets ${condition && html`...`} render nothing
+        return '';
+    }
+    return escapeHtml(value);
+}
+
+/**
+ * Tagged template building escaped markup
+ * 
+ * @param {string[]} strings - Literal parts of the template (trusted)
+ * @param {...any} values - Interpolated values (escaped unless SafeHtml)
+ * @returns {SafeHtml} - Markup ready for innerHTML or another html`` template
+ * 
+ * Example usage:
+ *   element.innerHTML = html`<p class="error-message">${error.message}</p>`;
+ */
+export function html(strings, ...values) {
+    let markup = strings[0];
+    values.forEach((value, index) => {
+        markup += renderValue(value) + strings[index + 1];
+    });
+    return new SafeHtml(markup);
+}
+
+/**
+ * Joins values with a separator, escaping each value
+ * 
+ * @param {array} values - Values to join (escaped unless SafeHtml)
+ * @param {SafeHtml|string} separator - Separator, e.g. html`<br>` (plain strings are escaped too)
+ * @returns {SafeHtml}
+ * 
+ * Example usage:
+ *   showMessage(joinHtml(validation.errors, html`<br>`), 'error');
+ */
+export function joinHtml(values, separator) {
+    return new SafeHtml(values.map(renderValue).join(renderValue(separator)));
+}
@@ -0,0 +1,329 @@
+/**
+ * Mini-Cart Drawer for Carthage Tech E-commerce
+ * 
+ * Clicking the cart icon in the header used to leave the page for
+ * cart.html. It now slides in a drawer showing the same data as
+ * /cart/view.php (or the guest cart), where quantities can be changed
+ * and lines removed without leaving the page. The drawer also opens by
+ * itself when a product is added to the cart.
+ * 
+ * The cart page is still one click away ("View cart"), and Ctrl/Cmd-click
+ * on the cart icon still opens it in a new tab.
+ * 
+ * All changes go through cart.js (updateQuantity, removeFromCart), which
+ * fires 'cart:changed' on window when they succeed; the drawer redraws
+ * itself then.
+ * 
+ * Dependencies: api.js, html.js, actions.js, cart.js, tab-sync.js
+ */
+
+import { formatPrice } from './api.js';
+import { html } from './html.js';
+import { bindActions } from './actions.js';
+import { getCart, updateQuantity, removeFromCart, proceedToCheckout } from './cart.js';
+import { onTabEvent } from './tab-sync.js';
+
+// ============================================================================
+// DRAWER
+// ============================================================================
+
+/**
+ * The drawer elements (null until initMiniCart() created them)
+ */
+let drawer = null;
+
+/**
+ * Element that had focus before the drawer opened (focus goes back there)
+ */
+let focusBeforeOpen = null;
+
+/**
+ * Number of the latest refresh, so a slow answer can't overwrite a newer one
+ */
+let refreshCount = 0;
+
+/**
+ * Creates the drawer (hidden) at the end of <body>
+ * 
+ * @returns {object} - { root, panel, body }
+ */
+function createDrawer() {
+    const root = document.createElement('div');
+    root.id = 'mini-cart';
+    root.className = 'mini-cart';
+    root.hidden = true;
+    
+    root.innerHTML = html`
+        <div class="mini-cart-overlay" data-action="close-mini-cart"></div>
+        <aside class="mini-cart-panel" role="dialog" aria-modal="true" aria-labelledby="mini-cart-title" tabindex="-1">
+            <div class="mini-cart-header">
+                <h2 id="mini-cart-title">Your Cart</h2>
+                <button type="button" class="mini-cart-close" data-action="close-mini-cart" aria-label="Close cart">✕</button>
+            </div>
+            <div class="mini-cart-body" aria-live="polite"></div>
+        </aside>
+    `;
+    
+    document.body.appendChild(root);
+    
+    // Buttons: one delegated listener on the drawer (see actions.js)
+    bindActions(root, {
+        'close-mini-cart': () => closeMiniCart(),
+        'decrease-quantity': (button) => changeLine(button, () => updateQuantity(Number(button.dataset.cartId), Number(button.dataset.quantity) - 1)),
+        'increase-quantity': (button) => changeLine(button, () => updateQuantity(Number(button.dataset.cartId), Number(button.dataset.quantity) + 1)),
+        'remove-item': (button) => changeLine(button, () => removeFromCart(Number(button.dataset.cartId))),
+        'checkout': () => proceedToCheckout()
+    });
+    
+    return {
+        root,
+        panel: root.querySelector('.mini-cart-panel'),
+        body: root.querySelector('.mini-cart-body')
+    };
+}
+
+/**
+ * Runs a change on one line, with its buttons disabled until it is done
+ * 
+ * On success cart.js fires 'cart:changed' and the drawer redraws itself;
+ * on failure cart.js shows the error and the drawer redraws what the
+ * cart really contains.
+ * 
+ * @param {HTMLElement} button - Clicked button (inside a .mini-cart-item)
+ * @param {function} change - () => Promise
+ * @returns {Promise}
+ */
+function changeLine(button, change) {
+    const line = button.closest('.mini-cart-item');
+    line.querySelectorAll('button').forEach(lineButton => {
+        lineButton.disabled = true;
+    });
+    
+    return change().catch((error) => {
+        refreshMiniCart();
+        throw error;
+    });
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Draws the cart lines and the total into the drawer
+ * 
+ * @param {array} cartItems - Items from /cart/view.php
+ * @param {object} summary - Summary from /cart/view.php
+ */
+function renderMiniCart(cartItems, summary) {
+    if (!cartItems || cartItems.length === 0) {
+        drawer.body.innerHTML = html`
+            <div class="mini-cart-empty">
+                <p>Your cart is empty</p>
+                <a href="index.html" class="btn btn-primary">Continue Shopping</a>
+            </div>
+        `;
+        return;
+    }
+    
+    drawer.body.innerHTML = html`
+        <ul class="mini-cart-items">
+            ${cartItems.map(item => html`
+                <li class="mini-cart-item" data-cart-id="${item.cart_id}">
+                    <img src="${item.product.image_url}"
+                         alt="${item.product.name}"
+                         data-fallback-src="images/placeholder.jpg">
+                    <div class="mini-cart-item-info">
+                        <h3>${item.product.name}</h3>
+                        <p class="mini-cart-item-price">${formatPrice(item.product.price)}</p>
+                        <div class="mini-cart-quantity">
+                            <button type="button"
+                                    data-action="decrease-quantity"
+                                    data-cart-id="${item.cart_id}"
+                                    data-quantity="${item.quantity}"
+                                    aria-label="Decrease quantity of ${item.product.name}"
+                                    ${item.quantity <= 1 ? 'disabled' : ''}>-</button>
+                            <span class="mini-cart-qty">${item.quantity}</span>
+                            <button type="button"
+                                    data-action="increase-quantity"
+                                    data-cart-id="${item.cart_id}"
+                                    data-quantity="${item.quantity}"
+                                    aria-label="Increase quantity of ${item.product.name}"
+                                    ${item.quantity >= item.stock_available ? 'disabled' : ''}>+</button>
+                        </div>
+                    </div>
+                    <div class="mini-cart-item-side">
+                        <strong>${formatPrice(item.subtotal)}</strong>
+                        <button type="button"
+                                class="mini-cart-remove"
+                                data-action="remove-item"
+                                data-cart-id="${item.cart_id}"
+                                aria-label="Remove ${item.product.name} from cart">Remove</button>
+                    </div>
+                </li>
+            `)}
+        </ul>
+        
+        <div class="mini-cart-footer">
+            <div class="mini-cart-total">
+                <span>Total (${summary.total_items} items)</span>
+                <strong>${formatPrice(summary.cart_total)}</strong>
+            </div>
+            <a href="cart.html" class="btn btn-secondary">View Cart</a>
+            <button type="button" class="btn btn-primary" data-action="checkout">Checkout</button>
+        </div>
+    `;
+}
+
+/**
+ * Loads the cart and redraws the drawer
+ * 
+ * @returns {Promise<void>}
+ */
+export async function refreshMiniCart() {
+    if (!drawer) {
+        return;
+    }
+    
+    const refresh = ++refreshCount;
+    
+    try {
+        const { cart_items, summary } = await getCart();
+        
+        // A newer refresh started meanwhile: its answer wins
+        if (refresh === refreshCount) {
+            renderMiniCart(cart_items, summary);
+        }
+    
+    } catch (error) {
+        console.error('Error loading mini-cart:', error);
+        
+        if (refresh === refreshCount) {
+            drawer.body.innerHTML = html`
+                <div class="error-message">
+                    <p>Failed to load cart. Please try again.</p>
+                    <p>${error.message}</p>
+                </div>
+            `;
+        }
+    }
+}
+
+// ============================================================================
+// OPENING AND CLOSING
+// ============================================================================
+
+/**
+ * Whether the drawer is currently shown
+ * 
+ * @returns {boolean}
+ */
+export function isMiniCartOpen() {
+    return Boolean(drawer && !drawer.root.hidden);
+}
+
+/**
+ * Slides the drawer in and loads the cart
+ * 
+ * Example usage:
+ *   openMiniCart();
+ */
+export function openMiniCart() {
+    if (!drawer) {
+        return;
+    }
+    
+    refreshMiniCart();
+    
+    if (isMiniCartOpen()) {
+        return;
+    }
+    
+    focusBeforeOpen = document.activeElement;
+    drawer.root.hidden = false;
+    document.body.classList.add('mini-cart-open');
+    
+    // Next frame, so the slide-in transition runs
+    requestAnimationFrame(() => {
+        drawer.root.classList.add('is-open');
+        drawer.panel.focus();
+    });
+}
+
+/**
+ * Slides the drawer out and gives focus back to where it was
+ */
+export function closeMiniCart() {
+    if (!isMiniCartOpen()) {
+        return;
+    }
+    
+    drawer.root.classList.remove('is-open');
+    document.body.classList.remove('mini-cart-open');
+    
+    // Hide once the slide-out transition is over
+    setTimeout(() => {
+        if (!drawer.root.classList.contains('is-open')) {
+            drawer.root.hidden = true;
+        }
+    }, 250);
+    
+    if (focusBeforeOpen && typeof focusBeforeOpen.focus === 'function') {
+        focusBeforeOpen.focus();
+    }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Turns the header cart icon into a mini-cart toggle
+ * 
+ * Called by initPage() (app.js). Pages without the header cart icon
+ * (login, register) get no drawer.
+ * 
+ * Example usage:
+ *   initMiniCart();
+ */
+export function initMiniCart() {
+    const cartLink = document.querySelector('a.cart[href="cart.html"]');
+    if (!cartLink || drawer) {
+        return;
+    }
+    
+    drawer = createDrawer();
+    
+    cartLink.setAttribute('aria-haspopup', 'dialog');
+    cartLink.setAttribute('aria-controls', 'mini-cart');
+    cartLink.addEventListener('click', (event) => {
+        // Ctrl/Cmd/Shift-click or middle-click: let the browser open cart.html
+        if (event.ctrlKey || event.metaKey || event.shiftKey || event.button !== 0) {
+            return;
+        }
+        
+        event.preventDefault();
+        openMiniCart();
+    });
+    
+    // Added to cart: show it. Other changes: keep an open drawer up to date
+    window.addEventListener('cart:changed', (event) => {
+        if (event.detail.action === 'add') {
+            openMiniCart();
+        } else if (isMiniCartOpen()) {
+            refreshMiniCart();
+        }
+    });
+    
+    onTabEvent(() => {
+        if (isMiniCartOpen()) {
+            refreshMiniCart();
+        }
+    });
+    
+    document.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape' && isMiniCartOpen()) {
+            closeMiniCart();
+        }
+    });
+}
@@ -0,0 +1,183 @@
+/**
+ * Mock Backend Fixtures for Carthage Tech E-commerce
+ * 
+ * Seed data for the mock backend (mock-backend.js): the same rows the
+ * carthage_tech_bd database would hold, so every page has something to show
+ * without WAMP or MySQL.
+ * 
+ * Column names follow the SQL tables (snake_case) on purpose: the mock
+ * formats them into API responses exactly like the PHP endpoints do.
+ * 
+ * Test accounts (same as database/setup_users.sql):
+ * - admin@carthagetech.com / admin123 (admin)
+ * - customer@test.com / password123 (customer)
+ * 
+ * Dependencies: none
+ */
+
+export const MOCK_FIXTURES = {
+    users: [
+        {
+            id: 1,
+            email: 'admin@carthagetech.com',
+            password: 'admin123',
+            first_name: 'Admin',
+            last_name: 'Carthage',
+            phone: '+216 71 000 000',
+            address: null,
+            city: 'Tunis',
+            postal_code: '1000',
+            role: 'admin',
+            created_at: '2025-11-01 09:00:00'
+        },
+        {
+            id: 2,
+            email: 'customer@test.com',
+            password: 'password123',
+            first_name: 'Test',
+            last_name: 'Customer',
+            phone: '+216 22 345 678',
+            address: '12 Avenue Habib Bourguiba',
+            city: 'Tunis',
+            postal_code: '1001',
+            role: 'customer',
+            created_at: '2025-11-02 14:30:00'
+        }
+    ],
+    
+    categories: [
+        { id: 1, name: 'Ordinateurs', slug: 'ordinateurs', description: 'Portables, PC de bureau et stations de travail', is_active: 1 },
+        { id: 2, name: 'Accessoires', slug: 'accessoires', description: 'Souris, claviers, casques et périphériques', is_active: 1 },
+        { id: 3, name: 'Réseaux', slug: 'reseaux', description: 'Routeurs, switchs et équipements Wi-Fi', is_active: 1 },
+        { id: 4, name: 'Logiciels', slug: 'logiciels', description: 'Systèmes d\'exploitation et suites bureautiques', is_active: 1 }
+    ],
+    
+    products: [
+        {
+            id: 1, category_id: 1, name: 'Lenovo IdeaPad 5 15"', slug: 'lenovo-ideapad-5-15',
+            description: 'Intel Core i7-1255U, 16 Go RAM, SSD 512 Go, écran Full HD 15,6 pouces.',
+            price: 2899.00, brand: 'Lenovo', image_url: null, stock_quantity: 8,
+            is_featured: 1, is_bestseller: 1, is_new: 0, rating: 4.5, review_count: 34,
+            created_at: '2025-10-02 10:00:00', updated_at: '2025-11-15 08:20:00'
+        },
+        {
+            id: 2, category_id: 1, name: 'HP Pavilion 14', slug: 'hp-pavilion-14',
+            description: 'AMD Ryzen 5 7530U, 8 Go RAM, SSD 512 Go, 14 pouces.',
+            price: 1999.00, brand: 'HP', image_url: null, stock_quantity: 12,
+            is_featured: 0, is_bestseller: 1, is_new: 0, rating: 4.2, review_count: 21,
+            created_at: '2025-09-18 11:30:00', updated_at: '2025-11-10 16:00:00'
+        },
+        {
+            id: 3, category_id: 1, name: 'ASUS ROG Strix G16', slug: 'asus-rog-strix-g16',
+            description: 'Intel Core i7-13650HX, RTX 4060, 16 Go RAM, SSD 1 To, écran 165 Hz.',
+            price: 5499.00, brand: 'ASUS', image_url: null, stock_quantity: 3,
+            is_featured: 1, is_bestseller: 0, is_new: 1, rating: 4.8, review_count: 9,
+            created_at: '2025-11-12 09:15:00', updated_at: '2025-11-12 09:15:00'
+        },
+        {
+            id: 4, category_id: 1, name: 'Dell OptiPlex 7010 Tour', slug: 'dell-optiplex-7010',
+            description: 'PC de bureau Intel Core i5-13500, 16 Go RAM, SSD 512 Go.',
+            price: 2450.00, brand: 'Dell', image_url: null, stock_quantity: 0,
+            is_featured: 0, is_bestseller: 0, is_new: 0, rating: 4.0, review_count: 5,
+            created_at: '2025-08-25 14:00:00', updated_at: '2025-11-01 10:00:00'
+        },
+        {
+            id: 5, category_id: 1, name: 'Apple MacBook Air M2', slug: 'apple-macbook-air-m2',
+            description: 'Puce Apple M2, 8 Go RAM, SSD 256 Go, écran Liquid Retina 13,6 pouces.',
+            price: 4199.00, brand: 'Apple', image_url: null, stock_quantity: 5,
+            is_featured: 1, is_bestseller: 1, is_new: 0, rating: 4.9, review_count: 41,
+            created_at: '2025-10-20 12:00:00', updated_at: '2025-11-18 09:00:00'
+        },
+        {
+            id: 6, category_id: 2, name: 'Logitech MX Master 3S', slug: 'logitech-mx-master-3s',
+            description: 'Souris sans fil ergonomique, capteur 8000 DPI, clics silencieux.',
+            price: 379.00, brand: 'Logitech', image_url: null, stock_quantity: 25,
+            is_featured: 1, is_bestseller: 1, is_new: 0, rating: 4.7, review_count: 58,
+            created_at: '2025-09-05 10:00:00', updated_at: '2025-11-05 10:00:00'
+        },
+        {
+            id: 7, category_id: 2, name: 'Clavier mécanique Redragon K552', slug: 'redragon-k552',
+            description: 'Clavier mécanique TKL rétroéclairé, switchs rouges, disposition AZERTY.',
+            price: 159.00, brand: 'Redragon', image_url: null, stock_quantity: 40,
+            is_featured: 0, is_bestseller: 1, is_new: 0, rating: 4.3, review_count: 27,
+            created_at: '2025-08-14 15:45:00', updated_at: '2025-10-30 11:00:00'
+        },
+        {
+            id: 8, category_id: 2, name: 'Casque HyperX Cloud II', slug: 'hyperx-cloud-ii',
+            description: 'Casque gaming son surround 7.1 virtuel, micro amovible.',
+            price: 289.00, brand: 'HyperX', image_url: null, stock_quantity: 2,
+            is_featured: 0, is_bestseller: 0, is_new: 1, rating: 4.6, review_count: 14,
+            created_at: '2025-11-10 08:00:00', updated_at: '2025-11-10 08:00:00'
+        },
+        {
+            id: 9, category_id: 2, name: 'Écran Samsung 27" Odyssey G5', slug: 'samsung-odyssey-g5-27',
+            description: 'Écran incurvé QHD 144 Hz, 1 ms, FreeSync Premium.',
+            price: 1149.00, brand: 'Samsung', image_url: null, stock_quantity: 6,
+            is_featured: 1, is_bestseller: 0, is_new: 1, rating: 4.4, review_count: 11,
+            created_at: '2025-11-08 13:00:00', updated_at: '2025-11-08 13:00:00'
+        },
+        {
+            id: 10, category_id: 3, name: 'Routeur TP-Link Archer AX55', slug: 'tp-link-archer-ax55',
+            description: 'Routeur Wi-Fi 6 double bande AX3000, 4 ports Gigabit.',
+            price: 329.00, brand: 'TP-Link', image_url: null, stock_quantity: 15,
+            is_featured: 1, is_bestseller: 1, is_new: 0, rating: 4.5, review_count: 19,
+            created_at: '2025-09-22 10:30:00', updated_at: '2025-11-02 10:30:00'
+        },
+        {
+            id: 11, category_id: 3, name: 'Switch Netgear GS308 8 ports', slug: 'netgear-gs308',
+            description: 'Switch Gigabit non administrable 8 ports, boîtier métal.',
+            price: 119.00, brand: 'Netgear', image_url: null, stock_quantity: 30,
+            is_featured: 0, is_bestseller: 1, is_new: 0, rating: 4.6, review_count: 22,
+            created_at: '2025-07-30 09:00:00', updated_at: '2025-10-15 09:00:00'
+        },
+        {
+            id: 12, category_id: 3, name: 'Kit Mesh Deco X20 (2 unités)', slug: 'tp-link-deco-x20',
+            description: 'Système Wi-Fi 6 maillé, couverture jusqu\'à 370 m².',
+            price: 599.00, brand: 'TP-Link', image_url: null, stock_quantity: 4,
+            is_featured: 0, is_bestseller: 0, is_new: 1, rating: 4.4, review_count: 6,
+            created_at: '2025-11-14 11:00:00', updated_at: '2025-11-14 11:00:00'
+        },
+        {
+            id: 13, category_id: 4, name: 'Microsoft Office Famille et Étudiant 2021', slug: 'office-2021-famille-etudiant',
+            description: 'Licence perpétuelle Word, Excel et PowerPoint pour 1 PC ou Mac.',
+            price: 449.00, brand: 'Microsoft', image_url: null, stock_quantity: 50,
+            is_featured: 0, is_bestseller: 0, is_new: 0, rating: null, review_count: 0,
+            created_at: '2025-06-10 10:00:00', updated_at: '2025-06-10 10:00:00'
+        }
+    ],
+    
+    productImages: [
+        { id: 1, product_id: 1, image_url: 'images/products/lenovo-ideapad-5-front.jpg', is_primary: 1, display_order: 1 },
+        { id: 2, product_id: 1, image_url: 'images/products/lenovo-ideapad-5-side.jpg', is_primary: 0, display_order: 2 },
+        { id: 3, product_id: 5, image_url: 'images/products/macbook-air-m2.jpg', is_primary: 1, display_order: 1 }
+    ],
+    
+    // Same codes as the sample INSERT in the README (plus an expired one)
+    coupons: [
+        {
+            id: 1, code: 'BIENVENUE10', description: '10% de bienvenue', type: 'percentage', value: 10,
+            category_id: null, min_order_amount: null, starts_at: null, expires_at: null,
+            single_use: 1, is_active: 1, created_at: '2025-11-01 09:00:00'
+        },
+        {
+            id: 2, code: 'MOINS50', description: '50 TND dès 500 TND d\'achat', type: 'fixed', value: 50,
+            category_id: null, min_order_amount: 500, starts_at: null, expires_at: null,
+            single_use: 0, is_active: 1, created_at: '2025-11-01 09:00:00'
+        },
+        {
+            id: 3, code: 'LIVRAISON', description: 'Livraison offerte', type: 'free_shipping', value: 0,
+            category_id: null, min_order_amount: null, starts_at: null, expires_at: null,
+            single_use: 0, is_active: 1, created_at: '2025-11-01 09:00:00'
+        },
+        {
+            id: 4, code: 'ACCESS15', description: '15% sur les accessoires', type: 'percentage', value: 15,
+            category_id: 2, min_order_amount: null, starts_at: null, expires_at: null,
+            single_use: 0, is_active: 1, created_at: '2025-11-01 09:00:00'
+        },
+        {
+            id: 5, code: 'NOEL2024', description: '20% pour Noël', type: 'percentage', value: 20,
+            category_id: null, min_order_amount: null, starts_at: '2024-12-01 00:00:00', expires_at: '2024-12-31 23:59:59',
+            single_use: 0, is_active: 1, created_at: '2024-11-25 09:00:00'
+        }
+    ]
+};
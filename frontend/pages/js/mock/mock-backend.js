@@ -0,0 +1,2086 @@
+/**
+ * Mock Backend for Carthage Tech E-commerce
+ * 
+ * An in-browser (or Node) stand-in for the PHP API, so the storefront can
+ * run without WAMP and the carthage_tech_bd database. It answers the same
+ * endpoints (/auth/*, /cart/*, /saved-items/*, /wishlist/*, /coupons/*, /products/*, /orders/*) with the same JSON
+ * envelope, validation messages, HTTP status codes and error codes as the
+ * PHP files, working on an in-memory copy of the fixtures (fixtures.js).
+ * 
+ * It plugs in as an API transport: a function with the same signature as
+ * fetch(url, init) that resolves with a Response.
+ * 
+ * Enabling it in the browser (api.js imports this module on demand):
+ *   localStorage.setItem('apiTransport', 'mock');       // then reload
+ *   <meta name="api-transport" content="mock">          // per page
+ *   window.CARTHAGE_TECH_CONFIG = { transport: 'mock' } // before the page's entry
+ * 
+ * The running instance is exposed as window.mockBackend, e.g.:
+ *   mockBackend.injectFailure({ endpoint: '/cart/add.php', type: 'http', status: 500 });
+ *   mockBackend.reset(); // Back to the fixtures (empty carts, no orders)
+ * 
+ * In automated tests:
+ *   import { createMockBackend } from './mock/mock-backend.js';
+ *   const backend = createMockBackend({ latency: 0, storage: null });
+ *   setApiTransport(backend.transport);
+ * 
+ * Dependencies: fixtures.js
+ */
+
+import { MOCK_FIXTURES } from './fixtures.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Default options for createMockBackend()
+ * 
+ * - latency: { min, max } milliseconds added to every response (0 = instant)
+ * - failureRate: probability (0-1) that any request fails with a 500
+ * - storage: where the database is saved between page loads
+ *   (localStorage in the browser, null = memory only)
+ * - storageKey: key used in that storage
+ */
+const MOCK_BACKEND_DEFAULTS = {
+    latency: { min: 120, max: 450 },
+    failureRate: 0,
+    storage: typeof localStorage !== 'undefined' ? localStorage : null,
+    storageKey: 'carthage-tech:mock-db'
+};
+
+/**
+ * Same values as APP_NAME / APP_VERSION in backend/config/config.php
+ */
+const MOCK_APP_METADATA = {
+    name: 'Carthage Tech Backend',
+    version: '0.1.0'
+};
+
+/**
+ * Same values as TAX_RATE / SHIPPING_FEE in backend/config/config.php
+ */
+const MOCK_ORDER_PRICING = {
+    taxRate: 0.19,
+    shippingFee: 0
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Thrown by handlers to send an error response (like Response::error())
+ */
+class MockResponseError extends Error {
+    /**
+     * @param {string} message - Human-readable error message
+     * @param {object|array|null} errors - Detailed errors (e.g., validation errors)
+     * @param {number} status - HTTP status code
+     * @param {string|null} code - Machine-readable error code
+     */
+    constructor(message, errors = [], status = 400, code = null) {
+        super(message);
+        this.name = 'MockResponseError';
+        this.errors = errors;
+        this.status = status;
+        this.code = code;
+    }
+}
+
+/**
+ * Sends an error response from a handler (never returns)
+ */
+function mockFail(message, errors = [], status = 400, code = null) {
+    throw new MockResponseError(message, errors, status, code);
+}
+
+/**
+ * Rejects requests whose method is not in the allowed list
+ */
+function mockAllowMethods(request, methods, message) {
+    if (!methods.includes(request.method)) {
+        mockFail(message, [], 405);
+    }
+}
+
+/**
+ * PHP's (int) cast: "12abc" → 12, "abc" → 0, null → 0
+ */
+function mockToInt(value) {
+    const number = parseInt(value, 10);
+    return Number.isNaN(number) ? 0 : number;
+}
+
+/**
+ * number_format($value, 2, '.', '') → "2899.00"
+ */
+function mockMoney(value) {
+    return Number(value).toFixed(2);
+}
+
+/**
+ * number_format($value, 2) → "2,899.00" (used by the orders endpoints)
+ */
+function mockMoneyGrouped(value) {
+    return Number(value).toLocaleString('en-US', { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+}
+
+/**
+ * MySQL DATETIME string for a date: "2025-11-21 10:30:00"
+ */
+function mockSqlDateTime(date = new Date()) {
+    const pad = (number) => String(number).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} `
+        + `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+/**
+ * PHP date('F j, Y, g:i a') for a DATETIME string: "November 21, 2025, 3:04 pm"
+ */
+function mockLongDate(sqlDateTime) {
+    const date = new Date(sqlDateTime.replace(' ', 'T'));
+    const month = date.toLocaleString('en-US', { month: 'long' });
+    const hours = date.getHours() % 12 || 12;
+    const minutes = String(date.getMinutes()).padStart(2, '0');
+    const meridiem = date.getHours() < 12 ? 'am' : 'pm';
+    return `${month} ${date.getDate()}, ${date.getFullYear()}, ${hours}:${minutes} ${meridiem}`;
+}
+
+/**
+ * Sorts rows newest first (ORDER BY created_at DESC), newest id first on ties
+ */
+function mockNewestFirst(rows) {
+    return [...rows].sort((a, b) => b.created_at.localeCompare(a.created_at) || b.id - a.id);
+}
+
+/**
+ * Reads page/limit query parameters the way list.php and category.php do
+ */
+function mockPagination(query, defaultLimit, maxLimit) {
+    let page = query.has('page') ? mockToInt(query.get('page')) : 1;
+    let limit = query.has('limit') ? mockToInt(query.get('limit')) : defaultLimit;
+    
+    if (page < 1) {
+        page = 1;
+    }
+    if (limit < 1) {
+        limit = defaultLimit;
+    } else if (limit > maxLimit) {
+        limit = maxLimit;
+    }
+    
+    return { page, limit, offset: (page - 1) * limit };
+}
+
+/**
+ * Builds the pagination block shared by the product listings
+ */
+function mockPaginationInfo(total, count, page, limit) {
+    const totalPages = Math.ceil(total / limit);
+    return {
+        total,
+        count,
+        per_page: limit,
+        current_page: page,
+        total_pages: totalPages,
+        has_next: page < totalPages,
+        has_prev: page > 1
+    };
+}
+
+/**
+ * Waits for a number of milliseconds, rejecting like fetch() if the signal aborts
+ */
+function mockDelay(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const abortError = () => new DOMException('The operation was aborted.', 'AbortError');
+        
+        if (signal && signal.aborted) {
+            reject(abortError());
+            return;
+        }
+        
+        const timer = ms === Infinity ? null : setTimeout(resolve, ms);
+        
+        if (signal) {
+            signal.addEventListener('abort', () => {
+                clearTimeout(timer);
+                reject(abortError());
+            }, { once: true });
+        }
+    });
+}
+
+// ============================================================================
+// DATABASE
+// ============================================================================
+
+/**
+ * Creates a fresh database from the fixtures
+ * 
+ * @param {object} fixtures - { users, categories, products, productImages, coupons }
+ * @returns {object} - Mutable database (tables + auto-increment counters + session)
+ */
+function createMockDatabase(fixtures) {
+    // Deep copy so mutations never touch the fixtures themselves
+    const db = JSON.parse(JSON.stringify({
+        users: fixtures.users,
+        categories: fixtures.categories,
+        products: fixtures.products,
+        productImages: fixtures.productImages || [],
+        coupons: fixtures.coupons || [],
+        couponRedemptions: [],
+        cart: [],
+        savedItems: [],
+        wishlist: [],
+        orders: [],
+        orderItems: []
+    }));
+    
+    db.nextId = {
+        users: Math.max(0, ...db.users.map((user) => user.id)) + 1,
+        cart: 1,
+        savedItems: 1,
+        wishlist: 1,
+        couponRedemptions: 1,
+        orders: 1,
+        orderItems: 1
+    };
+    
+    // Stands in for the PHP session cookie: { user_id, login_time, session_id }
+    db.session = null;
+    
+    return db;
+}
+
+/**
+ * Formats a product row like list.php / search.php (category included)
+ */
+function mockFormatProduct(db, product, { withCategory = true, withCreatedAt = true } = {}) {
+    const category = db.categories.find((row) => row.id === product.category_id) || {};
+    
+    const formatted = {
+        id: product.id,
+        name: product.name,
+        description: product.description,
+        price: mockMoney(product.price)
+    };
+    
+    if (withCategory) {
+        formatted.category = { id: product.category_id, name: category.name || null, slug: category.slug || null };
+    }
+    
+    Object.assign(formatted, {
+        image_url: product.image_url,
+        stock_quantity: product.stock_quantity,
+        in_stock: product.stock_quantity > 0,
+        is_featured: Boolean(product.is_featured),
+        is_bestseller: Boolean(product.is_bestseller),
+        is_new: Boolean(product.is_new),
+        brand: product.brand,
+        rating: product.rating ? Number(product.rating) : null,
+        review_count: product.review_count
+    });
+    
+    if (withCreatedAt) {
+        formatted.created_at = product.created_at;
+    }
+    
+    return formatted;
+}
+
+/**
+ * Public user fields (never the password)
+ */
+function mockPublicUser(user) {
+    return {
+        id: user.id,
+        email: user.email,
+        first_name: user.first_name,
+        last_name: user.last_name,
+        phone: user.phone,
+        role: user.role
+    };
+}
+
+/**
+ * requireAuth() from middleware/auth.php
+ */
+function mockRequireAuth(db) {
+    const user = db.session && db.users.find((row) => row.id === db.session.user_id);
+    
+    if (!user) {
+        mockFail(
+            'Authentication required. Please log in to access this resource.',
+            { auth: 'No valid session found' },
+            401,
+            'AUTH_REQUIRED'
+        );
+    }
+    
+    return user;
+}
+
+/**
+ * requireAdmin() from middleware/admin.php
+ */
+function mockRequireAdmin(db) {
+    const user = db.session && db.users.find((row) => row.id === db.session.user_id);
+    
+    if (!user) {
+        mockFail('Authentication required. Please log in first.', null, 401);
+    }
+    if (user.role !== 'admin') {
+        mockFail(
+            'Access denied. This action requires administrator privileges.',
+            {
+                required_role: 'admin',
+                current_role: user.role,
+                message: 'Contact administrator if you believe this is an error.'
+            },
+            403
+        );
+    }
+    
+    return user;
+}
+
+/**
+ * Returns the parsed JSON body, or fails like the PHP endpoints on invalid JSON
+ */
+function mockJsonBody(request, errorKey = 'json_error') {
+    if (request.bodyError) {
+        mockFail('Invalid JSON data.', { [errorKey]: 'Syntax error' }, 400);
+    }
+    return request.body || {};
+}
+
+// ============================================================================
+// ENDPOINTS: AUTH
+// ============================================================================
+
+const MOCK_AUTH_ROUTES = {
+    '/auth/register.php'(request, db) {
+        mockAllowMethods(request, ['POST'], 'Method not allowed. Please use POST request.');
+        
+        const data = request.body || {};
+        const email = String(data.email || '').trim();
+        const password = String(data.password || '');
+        const firstName = String(data.first_name || '').trim();
+        const lastName = String(data.last_name || '').trim();
+        const phone = String(data.phone || '').trim();
+        
+        const errors = {};
+        if (!email) {
+            errors.email = 'Email is required.';
+        } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            errors.email = 'Invalid email format.';
+        }
+        if (!password) {
+            errors.password = 'Password is required.';
+        } else if (password.length < 8) {
+            errors.password = 'Password must be at least 8 characters long.';
+        }
+        if (!firstName) {
+            errors.first_name = 'First name is required.';
+        }
+        if (!lastName) {
+            errors.last_name = 'Last name is required.';
+        }
+        if (!phone) {
+            errors.phone = 'Phone number is required.';
+        }
+        if (Object.keys(errors).length > 0) {
+            mockFail('Validation failed. Please check your input.', errors, 422);
+        }
+        
+        if (db.users.some((user) => user.email.toLowerCase() === email.toLowerCase())) {
+            mockFail(
+                'Registration failed.',
+                { email: 'This email is already registered. Please use a different email or try logging in.' },
+                422,
+                'EMAIL_TAKEN'
+            );
+        }
+        
+        const user = {
+            id: db.nextId.users++,
+            email,
+            password,
+            first_name: firstName,
+            last_name: lastName,
+            phone,
+            address: null,
+            city: null,
+            postal_code: null,
+            role: 'customer',
+            created_at: mockSqlDateTime()
+        };
+        db.users.push(user);
+        
+        return {
+            message: 'Registration successful! You can now log in with your credentials.',
+            data: { user: mockPublicUser(user) }
+        };
+    },
+    
+    '/auth/login.php'(request, db) {
+        mockAllowMethods(request, ['POST'], 'Method not allowed. Please use POST request.');
+        
+        const data = request.body || {};
+        const email = String(data.email || '').trim();
+        const password = String(data.password || '');
+        
+        const errors = {};
+        if (!email) {
+            errors.email = 'Email is required.';
+        } else if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) {
+            errors.email = 'Invalid email format.';
+        }
+        if (!password) {
+            errors.password = 'Password is required.';
+        }
+        if (Object.keys(errors).length > 0) {
+            mockFail('Validation failed. Please check your input.', errors, 400);
+        }
+        
+        const user = db.users.find((row) => row.email.toLowerCase() === email.toLowerCase());
+        if (!user) {
+            mockFail('Invalid credentials.', { auth: 'No account found with this email address.' }, 401, 'INVALID_CREDENTIALS');
+        }
+        if (user.password !== password) {
+            mockFail('Invalid credentials.', { auth: 'The password you entered is incorrect.' }, 401, 'INVALID_CREDENTIALS');
+        }
+        
+        db.session = {
+            user_id: user.id,
+            login_time: Math.floor(Date.now() / 1000),
+            session_id: 'mock' + Math.random().toString(36).slice(2, 18)
+        };
+        
+        return {
+            message: `Login successful! Welcome back, ${user.first_name}!`,
+            data: { user: mockPublicUser(user), session_id: db.session.session_id }
+        };
+    },
+    
+    '/auth/logout.php'(request, db) {
+        const wasLoggedIn = db.session !== null;
+        db.session = null;
+        
+        if (wasLoggedIn) {
+            return {
+                message: 'Logout successful. You have been logged out.',
+                data: { logged_out: true, message: 'Your session has been terminated. Come back soon!' }
+            };
+        }
+        return {
+            message: 'No active session found.',
+            data: { logged_out: false, message: 'You were not logged in.' }
+        };
+    },
+    
+    '/auth/me.php'(request, db) {
+        mockAllowMethods(request, ['GET', 'POST'], 'Method not allowed. Please use GET or POST request.');
+        
+        const user = mockRequireAuth(db);
+        const loginTime = db.session.login_time;
+        
+        return {
+            message: 'User data retrieved successfully.',
+            data: {
+                user: {
+                    ...mockPublicUser(user),
+                    address: user.address,
+                    city: user.city,
+                    postal_code: user.postal_code,
+                    created_at: user.created_at
+                },
+                session: {
+                    session_id: db.session.session_id,
+                    login_time: loginTime,
+                    session_duration: (Math.floor(Date.now() / 1000) - loginTime) + ' seconds'
+                },
+                authenticated: true
+            }
+        };
+    }
+};
+
+// ============================================================================
+// ENDPOINTS: PRODUCTS
+// ============================================================================
+
+/**
+ * ProductFilters::SORTS (each comparator breaks ties newest first, like the ORDER BY)
+ */
+const MOCK_PRODUCT_SORTS = {
+    newest: () => 0,
+    price_asc: (a, b) => a.price - b.price,
+    price_desc: (a, b) => b.price - a.price,
+    popularity: (a, b) => (b.is_bestseller - a.is_bestseller)
+        || (b.review_count - a.review_count)
+        || ((b.rating ?? -1) - (a.rating ?? -1)),
+    rating: (a, b) => ((b.rating ?? -1) - (a.rating ?? -1)) || (b.review_count - a.review_count)
+};
+
+const MOCK_RATING_STEPS = [4, 3, 2];
+
+/**
+ * ProductFilters::fromQuery() + validate(): fails with 400 on nonsense values
+ */
+function mockProductFilters(query) {
+    const brands = [...new Set(query.getAll('brand')
+        .flatMap((value) => value.split(','))
+        .map((brand) => brand.trim())
+        .filter(Boolean))];
+    
+    const number = (key) => {
+        const value = (query.get(key) || '').trim();
+        if (value === '') return null;
+        return /^[+-]?(\d+\.?\d*|\.\d+)([eE][+-]?\d+)?$/.test(value) ? Number(value) : NaN;
+    };
+    
+    const filters = {
+        brands,
+        min_price: number('min_price'),
+        max_price: number('max_price'),
+        in_stock: ['1', 'true', 'yes'].includes(query.get('in_stock')),
+        min_rating: number('min_rating'),
+        sort: (query.get('sort') || '').trim().toLowerCase() || 'newest'
+    };
+    
+    const errors = {};
+    if (!MOCK_PRODUCT_SORTS[filters.sort]) {
+        errors.sort = 'Sort must be one of: ' + Object.keys(MOCK_PRODUCT_SORTS).join(', ');
+    }
+    for (const key of ['min_price', 'max_price']) {
+        if (filters[key] !== null && (Number.isNaN(filters[key]) || filters[key] < 0)) {
+            errors[key] = 'Price must be a positive number.';
+        }
+    }
+    if (!errors.min_price && !errors.max_price
+        && filters.min_price !== null && filters.max_price !== null
+        && filters.min_price > filters.max_price) {
+        errors.max_price = 'Maximum price must be greater than the minimum price.';
+    }
+    if (filters.min_rating !== null
+        && (Number.isNaN(filters.min_rating) || filters.min_rating < 1 || filters.min_rating > 5)) {
+        errors.min_rating = 'Rating must be between 1 and 5.';
+    }
+    if (brands.length > 20) {
+        errors.brand = 'Please select at most 20 brands.';
+    }
+    
+    if (Object.keys(errors).length > 0) {
+        mockFail('Invalid filter parameters.', errors, 400);
+    }
+    
+    return filters;
+}
+
+/**
+ * ProductFilters::where(): the products matching the filters (but the `except` one)
+ */
+function mockFilterProducts(products, filters, except = null) {
+    return products.filter((product) => {
+        if (except !== 'brand' && filters.brands.length > 0 && !filters.brands.includes(product.brand)) {
+            return false;
+        }
+        if (except !== 'price') {
+            if (filters.min_price !== null && product.price < filters.min_price) return false;
+            if (filters.max_price !== null && product.price > filters.max_price) return false;
+        }
+        if (except !== 'in_stock' && filters.in_stock && product.stock_quantity <= 0) {
+            return false;
+        }
+        if (except !== 'rating' && filters.min_rating !== null
+            && (product.rating === null || product.rating < filters.min_rating)) {
+            return false;
+        }
+        return true;
+    });
+}
+
+/**
+ * ProductFilters::where() + orderBy(): filtered and sorted
+ */
+function mockMatchingProducts(products, filters) {
+    const sort = MOCK_PRODUCT_SORTS[filters.sort];
+    return mockNewestFirst(mockFilterProducts(products, filters))
+        .map((product, index) => ({ product, index }))
+        .sort((a, b) => sort(a.product, b.product) || a.index - b.index)
+        .map(({ product }) => product);
+}
+
+/**
+ * ProductFilters::facets(): each facet ignores its own filter
+ */
+function mockProductFacets(products, filters) {
+    const brandCounts = new Map();
+    for (const product of mockFilterProducts(products, filters, 'brand')) {
+        if (product.brand) {
+            brandCounts.set(product.brand, (brandCounts.get(product.brand) || 0) + 1);
+        }
+    }
+    for (const brand of filters.brands) {
+        if (!brandCounts.has(brand)) {
+            brandCounts.set(brand, 0);
+        }
+    }
+    
+    const prices = mockFilterProducts(products, filters, 'price').map((product) => product.price);
+    const availability = mockFilterProducts(products, filters, 'in_stock');
+    const rated = mockFilterProducts(products, filters, 'rating');
+    const inStock = availability.filter((product) => product.stock_quantity > 0).length;
+    
+    return {
+        brands: [...brandCounts.keys()]
+            .sort((a, b) => a.localeCompare(b))
+            .map((value) => ({ value, count: brandCounts.get(value), selected: filters.brands.includes(value) })),
+        price: {
+            min: prices.length > 0 ? Math.min(...prices) : null,
+            max: prices.length > 0 ? Math.max(...prices) : null
+        },
+        availability: { in_stock: inStock, out_of_stock: availability.length - inStock },
+        ratings: MOCK_RATING_STEPS.map((step) => ({
+            min: step,
+            count: rated.filter((product) => product.rating !== null && product.rating >= step).length
+        }))
+    };
+}
+
+/**
+ * ProductFilters::describe()
+ */
+function mockDescribeFilters(filters) {
+    return {
+        brand: filters.brands,
+        min_price: filters.min_price,
+        max_price: filters.max_price,
+        in_stock: filters.in_stock,
+        min_rating: filters.min_rating,
+        sort: filters.sort
+    };
+}
+
+const MOCK_PRODUCT_ROUTES = {
+    '/products/list.php'(request, db) {
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Please use GET request.');
+        
+        const { page, limit, offset } = mockPagination(request.query, 20, 100);
+        const categoryId = request.query.has('category_id') ? mockToInt(request.query.get('category_id')) : null;
+        const filters = mockProductFilters(request.query);
+        
+        const base = db.products.filter((product) => categoryId === null || product.category_id === categoryId);
+        const matching = mockMatchingProducts(base, filters);
+        const products = matching.slice(offset, offset + limit).map((product) => mockFormatProduct(db, product));
+        
+        const data = {
+            products,
+            pagination: mockPaginationInfo(matching.length, products.length, page, limit),
+            filters: { ...(categoryId !== null ? { category_id: categoryId } : {}), ...mockDescribeFilters(filters) },
+            facets: mockProductFacets(base, filters)
+        };
+        
+        return { message: 'Products retrieved successfully.', data };
+    },
+    
+    '/products/category.php'(request, db) {
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Please use GET request.');
+        
+        const slug = (request.query.get('slug') || '').trim();
+        if (!slug) {
+            mockFail('Category slug is required.', { slug: 'Please provide a category slug (e.g., ?slug=ordinateurs)' }, 400);
+        }
+        if (!/^[a-z0-9-]+$/i.test(slug)) {
+            mockFail('Invalid category slug format.', { slug: 'Slug must contain only letters, numbers, and hyphens.' }, 400);
+        }
+        
+        const { page, limit, offset } = mockPagination(request.query, 20, 100);
+        const filters = mockProductFilters(request.query);
+        
+        const category = db.categories.find((row) => row.slug === slug && row.is_active);
+        if (!category) {
+            mockFail('Category not found.', { slug: `No active category found with slug '${slug}'` }, 404);
+        }
+        
+        const base = db.products.filter((product) => product.category_id === category.id);
+        const matching = mockMatchingProducts(base, filters);
+        const products = matching
+            .slice(offset, offset + limit)
+            .map((product) => mockFormatProduct(db, product, { withCategory: false }));
+        
+        return {
+            message: `Found ${matching.length} product(s) in category "${category.name}"`,
+            data: {
+                category: { id: category.id, name: category.name, slug: category.slug, description: category.description },
+                products,
+                pagination: mockPaginationInfo(matching.length, products.length, page, limit),
+                filters: mockDescribeFilters(filters),
+                facets: mockProductFacets(base, filters)
+            }
+        };
+    },
+    
+    '/products/featured.php'(request, db) {
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Please use GET request.');
+        
+        const { page, limit, offset } = mockPagination(request.query, 12, 50);
+        
+        const type = request.query.has('type') ? request.query.get('type').trim().toLowerCase() : null;
+        if (type !== null && !['featured', 'bestseller', 'new'].includes(type)) {
+            mockFail('Invalid type parameter.', { type: 'Type must be one of: featured, bestseller, new' }, 400);
+        }
+        
+        const matches = (product) => {
+            if (type === 'featured') return Boolean(product.is_featured);
+            if (type === 'bestseller') return Boolean(product.is_bestseller);
+            if (type === 'new') return Boolean(product.is_new);
+            return Boolean(product.is_featured || product.is_bestseller || product.is_new);
+        };
+        
+        const matching = mockNewestFirst(db.products).filter(matches);
+        const products = matching.slice(offset, offset + limit).map((product) => {
+            const formatted = mockFormatProduct(db, product);
+            const labels = [];
+            if (product.is_featured) labels.push('featured');
+            if (product.is_bestseller) labels.push('bestseller');
+            if (product.is_new) labels.push('new');
+            
+            // featured.php groups the flags instead of listing them at the top level
+            const { is_featured, is_bestseller, is_new, ...rest } = formatted;
+            return { ...rest, flags: { is_featured, is_bestseller, is_new, labels } };
+        });
+        
+        return {
+            message: `Found ${products.length} ${type || 'featured'} product(s)`,
+            data: {
+                products,
+                count: products.length,
+                filter: { type, limit },
+                pagination: mockPaginationInfo(matching.length, products.length, page, limit)
+            }
+        };
+    },
+    
+    '/products/search.php'(request, db) {
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Please use GET request.');
+        
+        const query = (request.query.get('q') || '').trim();
+        if (!query) {
+            mockFail('Search query is required.', { q: 'Please provide a search term (e.g., ?q=laptop)' }, 400);
+        }
+        if (query.length < 2) {
+            mockFail('Search query too short.', { q: 'Please enter at least 2 characters to search.' }, 400);
+        }
+        
+        let limit = request.query.has('limit') ? mockToInt(request.query.get('limit')) : 50;
+        if (limit < 1) {
+            limit = 50;
+        } else if (limit > 100) {
+            limit = 100;
+        }
+        
+        // MySQL LIKE with the default collation is case-insensitive
+        const needle = query.toLowerCase();
+        const rank = (product) => {
+            const name = product.name.toLowerCase();
+            if (name === needle) return 1;
+            if (name.includes(needle)) return 2;
+            return 3;
+        };
+        
+        const products = mockNewestFirst(db.products)
+            .filter((product) => product.name.toLowerCase().includes(needle)
+                || (product.description || '').toLowerCase().includes(needle))
+            .sort((a, b) => rank(a) - rank(b))
+            .slice(0, limit)
+            .map((product) => mockFormatProduct(db, product, { withCreatedAt: false }));
+        
+        return {
+            message: products.length > 0
+                ? `Found ${products.length} product(s) matching "${query}"`
+                : `No products found matching "${query}"`,
+            data: { query, count: products.length, products }
+        };
+    },
+    
+    '/products/detail.php'(request, db) {
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Please use GET request.');
+        
+        const rawId = request.query.get('id');
+        if (!rawId || rawId === '0') {
+            mockFail('Product ID is required.', { id: 'Please provide a product ID in the URL (e.g., ?id=5)' }, 400);
+        }
+        
+        const productId = mockToInt(rawId);
+        if (productId <= 0) {
+            mockFail('Invalid product ID.', { id: 'Product ID must be a positive number.' }, 400);
+        }
+        
+        const product = db.products.find((row) => row.id === productId);
+        if (!product) {
+            mockFail('Product not found.', { id: `No product found with ID ${productId}` }, 404);
+        }
+        
+        const category = db.categories.find((row) => row.id === product.category_id) || {};
+        const images = db.productImages
+            .filter((image) => image.product_id === productId)
+            .sort((a, b) => b.is_primary - a.is_primary || a.display_order - b.display_order)
+            .map((image) => ({
+                id: image.id,
+                url: image.image_url,
+                is_primary: Boolean(image.is_primary),
+                display_order: image.display_order
+            }));
+        
+        return {
+            message: 'Product details retrieved successfully.',
+            data: {
+                product: {
+                    id: product.id,
+                    name: product.name,
+                    description: product.description,
+                    price: mockMoney(product.price),
+                    price_numeric: Number(product.price),
+                    category: { id: product.category_id, name: category.name || null, slug: category.slug || null },
+                    main_image: product.image_url,
+                    images,
+                    stock: {
+                        quantity: product.stock_quantity,
+                        in_stock: product.stock_quantity > 0,
+                        status: product.stock_quantity > 0 ? 'available' : 'out_of_stock'
+                    },
+                    flags: {
+                        is_featured: Boolean(product.is_featured),
+                        is_bestseller: Boolean(product.is_bestseller),
+                        is_new: Boolean(product.is_new)
+                    },
+                    brand: product.brand,
+                    rating: {
+                        average: product.rating ? Number(product.rating) : null,
+                        count: product.review_count
+                    },
+                    timestamps: { created_at: product.created_at, updated_at: product.updated_at }
+                }
+            }
+        };
+    }
+};
+
+// ============================================================================
+// ENDPOINTS: CART
+// ============================================================================
+
+const MOCK_CART_ROUTES = {
+    '/cart/add.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['POST'], 'Method not allowed. Please use POST request.');
+        
+        const data = mockJsonBody(request);
+        const productId = data.product_id !== undefined ? mockToInt(data.product_id) : 0;
+        const quantity = data.quantity !== undefined ? mockToInt(data.quantity) : 1;
+        
+        const errors = {};
+        if (productId <= 0) {
+            errors.product_id = 'Valid product ID is required.';
+        }
+        if (quantity <= 0) {
+            errors.quantity = 'Quantity must be at least 1.';
+        }
+        if (Object.keys(errors).length > 0) {
+            mockFail('Validation failed.', errors, 422);
+        }
+        
+        const product = db.products.find((row) => row.id === productId);
+        if (!product) {
+            mockFail('Product not found.', { product_id: 'Product does not exist.' }, 404);
+        }
+        
+        const stockAvailable = product.stock_quantity;
+        if (quantity > stockAvailable) {
+            mockFail(
+                'Insufficient stock.',
+                { quantity: `Only ${stockAvailable} unit(s) available in stock.`, available: stockAvailable, requested: quantity },
+                400,
+                'INSUFFICIENT_STOCK'
+            );
+        }
+        
+        const existing = db.cart.find((row) => row.user_id === user.id && row.product_id === productId);
+        
+        if (existing) {
+            const currentQuantity = existing.quantity;
+            const newQuantity = currentQuantity + quantity;
+            
+            if (newQuantity > stockAvailable) {
+                mockFail(
+                    'Cannot add that many items.',
+                    {
+                        message: `You already have ${currentQuantity} in cart. Maximum available: ${stockAvailable}`,
+                        current_in_cart: currentQuantity,
+                        trying_to_add: quantity,
+                        would_be: newQuantity,
+                        stock_available: stockAvailable
+                    },
+                    400,
+                    'INSUFFICIENT_STOCK'
+                );
+            }
+            
+            existing.quantity = newQuantity;
+            
+            return {
+                message: 'Cart updated successfully.',
+                data: {
+                    action: 'updated',
+                    product: { id: productId, name: product.name },
+                    previous_quantity: currentQuantity,
+                    added_quantity: quantity,
+                    new_quantity: newQuantity
+                }
+            };
+        }
+        
+        db.cart.push({
+            id: db.nextId.cart++,
+            user_id: user.id,
+            product_id: productId,
+            quantity,
+            created_at: mockSqlDateTime()
+        });
+        
+        return {
+            message: 'Product added to cart successfully.',
+            data: {
+                action: 'added',
+                product: { id: productId, name: product.name, price: mockMoney(product.price) },
+                quantity
+            }
+        };
+    },
+    
+    '/cart/view.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Please use GET request.');
+        
+        let totalItems = 0;
+        let cartTotal = 0;
+        
+        // INNER JOIN: rows whose product disappeared are skipped
+        const cartItems = mockNewestFirst(db.cart.filter((row) => row.user_id === user.id))
+            .map((row) => ({ row, product: db.products.find((product) => product.id === row.product_id) }))
+            .filter(({ product }) => product)
+            .map(({ row, product }) => {
+                const price = Number(product.price);
+                const subtotal = price * row.quantity;
+                totalItems += row.quantity;
+                cartTotal += subtotal;
+                
+                return {
+                    cart_id: row.id,
+                    product: {
+                        id: product.id,
+                        name: product.name,
+                        slug: product.slug,
+                        brand: product.brand,
+                        price: mockMoney(price),
+                        price_numeric: price,
+                        image_url: product.image_url
+                    },
+                    quantity: row.quantity,
+                    stock_available: product.stock_quantity,
+                    in_stock: product.stock_quantity > 0,
+                    subtotal: mockMoney(subtotal),
+                    subtotal_numeric: subtotal,
+                    added_at: row.created_at
+                };
+            });
+        
+        return {
+            message: cartItems.length > 0
+                ? `Cart retrieved successfully. You have ${totalItems} item(s) in your cart.`
+                : 'Your cart is empty.',
+            data: {
+                cart_items: cartItems,
+                summary: {
+                    total_items: totalItems,
+                    total_unique_products: cartItems.length,
+                    cart_total: mockMoney(cartTotal),
+                    cart_total_numeric: cartTotal
+                },
+                user_id: user.id
+            }
+        };
+    },
+    
+    '/cart/update.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['POST', 'PUT'], 'Method not allowed. Use PUT or POST.');
+        
+        const data = mockJsonBody(request);
+        const cartId = data.cart_id !== undefined ? mockToInt(data.cart_id) : 0;
+        const quantity = data.quantity !== undefined ? mockToInt(data.quantity) : 0;
+        
+        const errors = {};
+        if (cartId <= 0) {
+            errors.cart_id = 'Valid cart item ID is required.';
+        }
+        if (quantity <= 0) {
+            errors.quantity = 'Quantity must be at least 1.';
+        }
+        if (Object.keys(errors).length > 0) {
+            mockFail('Validation failed.', errors, 422);
+        }
+        
+        const row = db.cart.find((item) => item.id === cartId && item.user_id === user.id);
+        const product = row && db.products.find((item) => item.id === row.product_id);
+        if (!product) {
+            mockFail('Cart item not found.', { cart_id: 'This cart item does not exist or does not belong to you.' }, 404);
+        }
+        
+        if (quantity > product.stock_quantity) {
+            mockFail(
+                'Insufficient stock.',
+                { quantity: `Only ${product.stock_quantity} unit(s) available in stock.`, requested: quantity, available: product.stock_quantity },
+                400,
+                'INSUFFICIENT_STOCK'
+            );
+        }
+        
+        const previousQuantity = row.quantity;
+        row.quantity = quantity;
+        
+        return {
+            message: 'Cart item updated successfully.',
+            data: {
+                cart_id: cartId,
+                product: { id: product.id, name: product.name },
+                previous_quantity: previousQuantity,
+                new_quantity: quantity,
+                new_subtotal: mockMoney(Number(product.price) * quantity)
+            }
+        };
+    },
+    
+    '/cart/remove.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['POST', 'DELETE'], 'Method not allowed. Use DELETE or POST.');
+        
+        const data = mockJsonBody(request);
+        const cartId = data.cart_id !== undefined ? mockToInt(data.cart_id) : 0;
+        if (cartId <= 0) {
+            mockFail('Validation failed.', { cart_id: 'Valid cart item ID is required.' }, 422);
+        }
+        
+        const index = db.cart.findIndex((item) => item.id === cartId && item.user_id === user.id);
+        const product = index !== -1 && db.products.find((item) => item.id === db.cart[index].product_id);
+        if (!product) {
+            mockFail('Cart item not found.', { cart_id: 'This item does not exist in your cart.' }, 404);
+        }
+        
+        db.cart.splice(index, 1);
+        
+        return {
+            message: 'Item removed from cart successfully.',
+            data: { cart_id: cartId, product_name: product.name, removed: true }
+        };
+    },
+    
+    '/cart/clear.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['POST', 'DELETE'], 'Method not allowed. Use DELETE or POST.');
+        
+        const rows = db.cart.filter((item) => item.user_id === user.id);
+        const totalQuantity = rows.reduce((sum, item) => sum + item.quantity, 0);
+        db.cart = db.cart.filter((item) => item.user_id !== user.id);
+        
+        return {
+            message: rows.length > 0
+                ? `Cart cleared successfully. Removed ${rows.length} item(s) (${totalQuantity} total quantity).`
+                : 'Cart was already empty.',
+            data: { items_removed: rows.length, total_quantity_removed: totalQuantity, cleared: true }
+        };
+    },
+    
+    '/cart/count.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Please use GET request.');
+        
+        const rows = db.cart.filter((item) => item.user_id === user.id);
+        const totalItems = rows.reduce((sum, item) => sum + item.quantity, 0);
+        
+        return {
+            message: 'Cart count retrieved successfully.',
+            data: {
+                count: totalItems,
+                total_items: totalItems,
+                unique_products: rows.length,
+                is_empty: totalItems === 0
+            }
+        };
+    }
+};
+
+// ============================================================================
+// ENDPOINTS: SAVED FOR LATER
+// ============================================================================
+
+/**
+ * The saved_items table (created on the fly in databases saved before it existed)
+ */
+function mockSavedItemsTable(db) {
+    if (!db.savedItems) {
+        db.savedItems = [];
+        db.nextId.savedItems = 1;
+    }
+    return db.savedItems;
+}
+
+const MOCK_SAVED_ITEMS_ROUTES = {
+    '/saved-items/view.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Please use GET request.');
+        
+        // INNER JOIN: rows whose product disappeared are skipped
+        const items = mockNewestFirst(mockSavedItemsTable(db).filter((row) => row.user_id === user.id))
+            .map((row) => ({ row, product: db.products.find((product) => product.id === row.product_id) }))
+            .filter(({ product }) => product)
+            .map(({ row, product }) => ({
+                saved_id: row.id,
+                product: {
+                    id: product.id,
+                    name: product.name,
+                    slug: product.slug,
+                    brand: product.brand,
+                    price: mockMoney(product.price),
+                    price_numeric: Number(product.price),
+                    image_url: product.image_url
+                },
+                quantity: row.quantity,
+                saved_price: mockMoney(row.saved_price),
+                saved_price_numeric: Number(row.saved_price),
+                stock_available: product.stock_quantity,
+                in_stock: product.stock_quantity > 0,
+                saved_at: row.created_at
+            }));
+        
+        return {
+            message: items.length > 0
+                ? `Saved items retrieved successfully. You have ${items.length} saved product(s).`
+                : 'You have no saved items.',
+            data: { items, count: items.length }
+        };
+    },
+    
+    '/saved-items/add.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['POST'], 'Method not allowed. Please use POST request.');
+        
+        const data = mockJsonBody(request);
+        const productId = data.product_id !== undefined ? mockToInt(data.product_id) : 0;
+        const quantity = data.quantity !== undefined ? mockToInt(data.quantity) : 1;
+        
+        const errors = {};
+        if (productId <= 0) {
+            errors.product_id = 'Valid product ID is required.';
+        }
+        if (quantity <= 0) {
+            errors.quantity = 'Quantity must be at least 1.';
+        }
+        if (Object.keys(errors).length > 0) {
+            mockFail('Validation failed.', errors, 422);
+        }
+        
+        const product = db.products.find((row) => row.id === productId);
+        if (!product) {
+            mockFail('Product not found.', { product_id: 'Product does not exist.' }, 404);
+        }
+        
+        // INSERT ... ON DUPLICATE KEY UPDATE on UNIQUE (user_id, product_id)
+        const savedItems = mockSavedItemsTable(db);
+        const existing = savedItems.find((row) => row.user_id === user.id && row.product_id === productId);
+        if (existing) {
+            existing.quantity += quantity;
+            existing.saved_price = Number(product.price);
+        } else {
+            savedItems.push({
+                id: db.nextId.savedItems++,
+                user_id: user.id,
+                product_id: productId,
+                quantity,
+                saved_price: Number(product.price),
+                created_at: mockSqlDateTime()
+            });
+        }
+        
+        return {
+            message: existing ? 'Saved quantity updated.' : 'Product saved for later.',
+            data: {
+                action: existing ? 'updated' : 'added',
+                product: { id: productId, name: product.name },
+                quantity,
+                saved_price: mockMoney(product.price)
+            }
+        };
+    },
+    
+    '/saved-items/remove.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['POST', 'DELETE'], 'Method not allowed. Use DELETE or POST.');
+        
+        const data = mockJsonBody(request);
+        const productId = data.product_id !== undefined ? mockToInt(data.product_id) : 0;
+        if (productId <= 0) {
+            mockFail('Validation failed.', { product_id: 'Valid product ID is required.' }, 422);
+        }
+        
+        const savedItems = mockSavedItemsTable(db);
+        db.savedItems = savedItems.filter((row) => !(row.user_id === user.id && row.product_id === productId));
+        const removed = db.savedItems.length < savedItems.length;
+        
+        return {
+            message: removed ? 'Product removed from your saved items.' : 'Product was not in your saved items.',
+            data: { product_id: productId, removed }
+        };
+    }
+};
+
+// ============================================================================
+// ENDPOINTS: WISHLIST
+// ============================================================================
+
+/**
+ * The wishlist table (created on the fly in databases saved before it existed)
+ */
+function mockWishlistTable(db) {
+    if (!db.wishlist) {
+        db.wishlist = [];
+        db.nextId.wishlist = 1;
+    }
+    return db.wishlist;
+}
+
+const MOCK_WISHLIST_ROUTES = {
+    '/wishlist/view.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Please use GET request.');
+        
+        // INNER JOIN: rows whose product disappeared are skipped
+        const items = mockNewestFirst(mockWishlistTable(db).filter((row) => row.user_id === user.id))
+            .map((row) => ({ row, product: db.products.find((product) => product.id === row.product_id) }))
+            .filter(({ product }) => product)
+            .map(({ row, product }) => ({
+                wishlist_id: row.id,
+                product: {
+                    id: product.id,
+                    name: product.name,
+                    slug: product.slug,
+                    brand: product.brand,
+                    price: mockMoney(product.price),
+                    price_numeric: Number(product.price),
+                    image_url: product.image_url
+                },
+                stock_available: product.stock_quantity,
+                in_stock: product.stock_quantity > 0,
+                added_at: row.created_at
+            }));
+        
+        return {
+            message: items.length > 0
+                ? `Wishlist retrieved successfully. You have ${items.length} saved product(s).`
+                : 'Your wishlist is empty.',
+            data: { items, count: items.length }
+        };
+    },
+    
+    '/wishlist/add.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['POST'], 'Method not allowed. Please use POST request.');
+        
+        const data = mockJsonBody(request);
+        const productId = data.product_id !== undefined ? mockToInt(data.product_id) : 0;
+        if (productId <= 0) {
+            mockFail('Validation failed.', { product_id: 'Valid product ID is required.' }, 422);
+        }
+        
+        const product = db.products.find((row) => row.id === productId);
+        if (!product) {
+            mockFail('Product not found.', { product_id: 'Product does not exist.' }, 404);
+        }
+        
+        // INSERT IGNORE on UNIQUE (user_id, product_id)
+        const wishlist = mockWishlistTable(db);
+        const added = !wishlist.some((row) => row.user_id === user.id && row.product_id === productId);
+        if (added) {
+            wishlist.push({
+                id: db.nextId.wishlist++,
+                user_id: user.id,
+                product_id: productId,
+                created_at: mockSqlDateTime()
+            });
+        }
+        
+        return {
+            message: added ? 'Product added to wishlist.' : 'Product is already in your wishlist.',
+            data: {
+                action: added ? 'added' : 'unchanged',
+                product: { id: productId, name: product.name }
+            }
+        };
+    },
+    
+    '/wishlist/remove.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['POST', 'DELETE'], 'Method not allowed. Use DELETE or POST.');
+        
+        const data = mockJsonBody(request);
+        const productId = data.product_id !== undefined ? mockToInt(data.product_id) : 0;
+        if (productId <= 0) {
+            mockFail('Validation failed.', { product_id: 'Valid product ID is required.' }, 422);
+        }
+        
+        const wishlist = mockWishlistTable(db);
+        db.wishlist = wishlist.filter((row) => !(row.user_id === user.id && row.product_id === productId));
+        const removed = db.wishlist.length < wishlist.length;
+        
+        return {
+            message: removed ? 'Product removed from wishlist.' : 'Product was not in your wishlist.',
+            data: { product_id: productId, removed }
+        };
+    }
+};
+
+// ============================================================================
+// ENDPOINTS: PROMO CODES
+// ============================================================================
+
+/**
+ * The coupon tables (created on the fly in databases saved before they existed)
+ */
+function mockCouponTables(db) {
+    if (!db.coupons) {
+        db.coupons = JSON.parse(JSON.stringify(MOCK_FIXTURES.coupons));
+    }
+    if (!db.couponRedemptions) {
+        db.couponRedemptions = [];
+        db.nextId.couponRedemptions = 1;
+    }
+    return db;
+}
+
+/**
+ * date('d/m/Y', ...) → "31/12/2024"
+ */
+function mockShortDate(sqlDateTime) {
+    const [year, month, day] = sqlDateTime.slice(0, 10).split('-');
+    return `${day}/${month}/${year}`;
+}
+
+/**
+ * CouponEngine::totals()
+ */
+function mockOrderTotals(subtotal, discount = 0, freeShipping = false) {
+    const taxable = Math.max(0, subtotal - discount);
+    const shipping = freeShipping ? 0 : MOCK_ORDER_PRICING.shippingFee;
+    const taxAmount = taxable * MOCK_ORDER_PRICING.taxRate;
+    
+    return {
+        subtotal,
+        shipping_amount: shipping,
+        tax_rate: MOCK_ORDER_PRICING.taxRate,
+        tax_amount: taxAmount,
+        total_price: taxable + taxAmount + shipping
+    };
+}
+
+/**
+ * CouponEngine::quote(): fails with 422 COUPON_INVALID when the code can't be used
+ * 
+ * @param {Array} cartItems - [{ row, product }] as built by the cart and order handlers
+ * @param {string} errorKey - Field the reason is reported under (code / coupon_code)
+ */
+function mockCouponQuote(db, rawCode, userId, cartItems, errorKey) {
+    const invalid = (message) => mockFail(message, { [errorKey]: message }, 422, 'COUPON_INVALID');
+    
+    const code = String(rawCode).trim().toUpperCase();
+    if (code === '') {
+        invalid('Please enter a promo code.');
+    }
+    
+    const coupon = mockCouponTables(db).coupons.find((row) => row.code === code);
+    if (!coupon || !coupon.is_active) {
+        invalid('This promo code does not exist.');
+    }
+    
+    const now = Date.now();
+    if (coupon.starts_at && new Date(coupon.starts_at.replace(' ', 'T')).getTime() > now) {
+        invalid(`This promo code can be used from ${mockShortDate(coupon.starts_at)}.`);
+    }
+    if (coupon.expires_at && new Date(coupon.expires_at.replace(' ', 'T')).getTime() < now) {
+        invalid(`This promo code expired on ${mockShortDate(coupon.expires_at)}.`);
+    }
+    
+    let subtotal = 0;
+    let eligibleSubtotal = 0;
+    cartItems.forEach(({ row, product }) => {
+        const lineTotal = Number(product.price) * row.quantity;
+        subtotal += lineTotal;
+        if (coupon.category_id === null || product.category_id === coupon.category_id) {
+            eligibleSubtotal += lineTotal;
+        }
+    });
+    
+    const minOrder = coupon.min_order_amount !== null ? Number(coupon.min_order_amount) : 0;
+    if (subtotal < minOrder) {
+        invalid(`This promo code requires an order of at least ${mockMoney(minOrder)} TND (your cart: ${mockMoney(subtotal)} TND).`);
+    }
+    
+    const category = coupon.category_id !== null
+        ? db.categories.find((row) => row.id === coupon.category_id) || null
+        : null;
+    if (coupon.category_id !== null && eligibleSubtotal <= 0) {
+        invalid(`This promo code only applies to products in ${category ? category.name : 'another category'}.`);
+    }
+    
+    if (coupon.single_use && db.couponRedemptions.some((row) => row.coupon_id === coupon.id && row.user_id === userId)) {
+        invalid('You have already used this promo code.');
+    }
+    
+    const value = Number(coupon.value);
+    let discount = 0;
+    if (coupon.type === 'percentage') {
+        discount = Math.round(eligibleSubtotal * Math.min(value, 100)) / 100;
+    } else if (coupon.type === 'fixed') {
+        discount = Math.min(value, eligibleSubtotal);
+    } else if (coupon.type !== 'free_shipping') {
+        invalid('This promo code does not exist.');
+    }
+    const freeShipping = coupon.type === 'free_shipping';
+    
+    return {
+        coupon: {
+            id: coupon.id,
+            code: coupon.code,
+            type: coupon.type,
+            value,
+            description: coupon.description,
+            category: category ? { id: category.id, name: category.name } : null,
+            expires_at: coupon.expires_at
+        },
+        eligible_subtotal: eligibleSubtotal,
+        discount_amount: discount,
+        free_shipping: freeShipping,
+        ...mockOrderTotals(subtotal, discount, freeShipping)
+    };
+}
+
+const MOCK_COUPON_ROUTES = {
+    '/coupons/validate.php'(request, db) {
+        const user = mockRequireAuth(db);
+        mockAllowMethods(request, ['POST'], 'Method not allowed. Please use POST request.');
+        
+        const data = mockJsonBody(request);
+        const code = data.code !== undefined && data.code !== null ? String(data.code).trim() : '';
+        if (code === '') {
+            mockFail('Validation failed.', { code: 'Please enter a promo code.' }, 422);
+        }
+        
+        const cartItems = db.cart
+            .filter((row) => row.user_id === user.id)
+            .map((row) => ({ row, product: db.products.find((product) => product.id === row.product_id) }))
+            .filter(({ product }) => product);
+        if (cartItems.length === 0) {
+            mockFail('Your cart is empty.', [], 400, 'CART_EMPTY');
+        }
+        
+        const quote = mockCouponQuote(db, code, user.id, cartItems, 'code');
+        
+        return {
+            message: quote.discount_amount > 0
+                ? `Promo code applied: -${mockMoney(quote.discount_amount)} TND.`
+                : 'Promo code applied.',
+            data: {
+                coupon: quote.coupon,
+                free_shipping: quote.free_shipping,
+                eligible_subtotal: mockMoney(quote.eligible_subtotal),
+                subtotal: mockMoney(quote.subtotal),
+                subtotal_numeric: quote.subtotal,
+                discount_amount: mockMoney(quote.discount_amount),
+                discount_amount_numeric: quote.discount_amount,
+                shipping_amount: mockMoney(quote.shipping_amount),
+                shipping_amount_numeric: quote.shipping_amount,
+                tax_rate: (quote.tax_rate * 100) + '%',
+                tax_amount: mockMoney(quote.tax_amount),
+                tax_amount_numeric: quote.tax_amount,
+                total_price: mockMoney(quote.total_price),
+                total_price_numeric: quote.total_price
+            }
+        };
+    }
+};
+
+// ============================================================================
+// ENDPOINTS: ORDERS
+// ============================================================================
+
+const MOCK_ORDER_ROUTES = {
+    '/orders/create.php'(request, db) {
+        mockAllowMethods(request, ['POST'], 'Method not allowed. Use POST.');
+        const user = mockRequireAuth(db);
+        
+        const data = mockJsonBody(request, 'error');
+        
+        const errors = {};
+        if (!data.shipping_address) {
+            errors.shipping_address = 'Shipping address is required.';
+        }
+        if (!data.shipping_city) {
+            errors.shipping_city = 'Shipping city is required.';
+        }
+        if (!data.shipping_postal_code) {
+            errors.shipping_postal_code = 'Postal code is required.';
+        }
+        
+        const paymentMethod = data.payment_method || 'cash_on_delivery';
+        if (!['cash_on_delivery', 'bank_transfer', 'card'].includes(paymentMethod)) {
+            errors.payment_method = 'Invalid payment method. Must be: cash_on_delivery, bank_transfer, or card.';
+        }
+        const couponCode = data.coupon_code !== undefined && data.coupon_code !== null ? String(data.coupon_code).trim() : '';
+        if (Object.keys(errors).length > 0) {
+            mockFail('Validation failed.', errors, 400);
+        }
+        
+        const cartItems = db.cart
+            .filter((row) => row.user_id === user.id)
+            .map((row) => ({ row, product: db.products.find((product) => product.id === row.product_id) }))
+            .filter(({ product }) => product);
+        
+        if (cartItems.length === 0) {
+            mockFail('Cart is empty. Add products to cart before creating an order.', null, 400, 'CART_EMPTY');
+        }
+        
+        const stockErrors = cartItems
+            .filter(({ row, product }) => row.quantity > product.stock_quantity)
+            .map(({ row, product }) => ({ product_name: product.name, requested: row.quantity, available: product.stock_quantity }));
+        
+        if (stockErrors.length > 0) {
+            mockFail(
+                'Insufficient stock for one or more items.',
+                { items_with_insufficient_stock: stockErrors, message: 'Please reduce quantities or remove items.' },
+                400,
+                'INSUFFICIENT_STOCK'
+            );
+        }
+        
+        const subtotal = cartItems.reduce((sum, { row, product }) => sum + Number(product.price) * row.quantity, 0);
+        
+        // Checked again at order time, like orders/create.php
+        const couponQuote = couponCode !== '' ? mockCouponQuote(db, couponCode, user.id, cartItems, 'coupon_code') : null;
+        const totals = couponQuote || mockOrderTotals(subtotal);
+        const discountAmount = couponQuote ? couponQuote.discount_amount : 0;
+        const taxRate = totals.tax_rate;
+        const taxAmount = totals.tax_amount;
+        const totalPrice = totals.total_price;
+        
+        const now = mockSqlDateTime();
+        const orderNumber = 'CT' + now.slice(0, 10).replace(/-/g, '') + String(Math.floor(Math.random() * 10000)).padStart(4, '0');
+        
+        const order = {
+            id: db.nextId.orders++,
+            user_id: user.id,
+            order_number: orderNumber,
+            subtotal,
+            coupon_code: couponQuote ? couponQuote.coupon.code : null,
+            discount_amount: discountAmount,
+            shipping_amount: totals.shipping_amount,
+            tax_amount: taxAmount,
+            total_price: totalPrice,
+            status: 'pending',
+            payment_method: paymentMethod,
+            payment_status: 'pending',
+            shipping_address: data.shipping_address,
+            shipping_city: data.shipping_city,
+            shipping_postal_code: data.shipping_postal_code,
+            created_at: now,
+            updated_at: now
+        };
+        db.orders.push(order);
+        
+        if (couponQuote) {
+            db.couponRedemptions.push({
+                id: db.nextId.couponRedemptions++,
+                coupon_id: couponQuote.coupon.id,
+                user_id: user.id,
+                order_id: order.id,
+                discount_amount: discountAmount,
+                created_at: now
+            });
+        }
+        
+        // Same steps as the PHP transaction: copy items, decrement stock, clear the cart
+        cartItems.forEach(({ row, product }) => {
+            db.orderItems.push({
+                id: db.nextId.orderItems++,
+                order_id: order.id,
+                product_id: product.id,
+                quantity: row.quantity,
+                price_at_purchase: Number(product.price)
+            });
+            product.stock_quantity -= row.quantity;
+        });
+        db.cart = db.cart.filter((row) => row.user_id !== user.id);
+        
+        return {
+            message: 'Order created successfully.',
+            data: {
+                order_id: order.id,
+                order_number: orderNumber,
+                subtotal: mockMoneyGrouped(subtotal),
+                coupon_code: order.coupon_code,
+                discount_amount: mockMoneyGrouped(discountAmount),
+                shipping_amount: mockMoneyGrouped(totals.shipping_amount),
+                tax_amount: mockMoneyGrouped(taxAmount),
+                tax_rate: (taxRate * 100) + '%',
+                total_price: mockMoneyGrouped(totalPrice),
+                status: 'pending',
+                payment_method: paymentMethod,
+                items_count: cartItems.length,
+                shipping_info: {
+                    address: data.shipping_address,
+                    city: data.shipping_city,
+                    postal_code: data.shipping_postal_code
+                },
+                message: 'Your order has been placed. Order number: ' + orderNumber
+            }
+        };
+    },
+    
+    '/orders/list.php'(request, db) {
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Use GET.');
+        const user = mockRequireAuth(db);
+        
+        const page = request.query.has('page') ? Math.max(1, mockToInt(request.query.get('page'))) : 1;
+        const limit = request.query.has('limit') ? Math.min(100, Math.max(1, mockToInt(request.query.get('limit')))) : 10;
+        const offset = (page - 1) * limit;
+        
+        const orders = mockNewestFirst(db.orders.filter((order) => order.user_id === user.id));
+        const totalPages = Math.ceil(orders.length / limit);
+        
+        const formatted = orders.slice(offset, offset + limit).map((order) => {
+            const items = db.orderItems.filter((item) => item.order_id === order.id);
+            return {
+                id: order.id,
+                order_number: order.order_number,
+                subtotal: mockMoneyGrouped(order.subtotal),
+                tax_amount: mockMoneyGrouped(order.tax_amount),
+                total_price: mockMoneyGrouped(order.total_price),
+                total_price_numeric: order.total_price,
+                status: order.status,
+                status_label: order.status.charAt(0).toUpperCase() + order.status.slice(1),
+                payment_method: order.payment_method,
+                payment_status: order.payment_status,
+                shipping: {
+                    address: order.shipping_address,
+                    city: order.shipping_city,
+                    postal_code: order.shipping_postal_code
+                },
+                item_count: items.length,
+                total_quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+                created_at: order.created_at,
+                created_at_formatted: mockLongDate(order.created_at),
+                updated_at: order.updated_at
+            };
+        });
+        
+        return {
+            message: 'Orders retrieved successfully.',
+            data: {
+                orders: formatted,
+                pagination: {
+                    current_page: page,
+                    per_page: limit,
+                    total_orders: orders.length,
+                    total_pages: totalPages,
+                    has_more: page < totalPages,
+                    showing_from: offset + 1,
+                    showing_to: Math.min(offset + limit, orders.length)
+                }
+            }
+        };
+    },
+    
+    '/orders/detail.php'(request, db) {
+        mockAllowMethods(request, ['GET'], 'Method not allowed. Use GET.');
+        const user = mockRequireAuth(db);
+        
+        const rawId = request.query.get('id');
+        if (!rawId || rawId === '0') {
+            mockFail('Order ID is required.', { parameter: 'id' }, 400);
+        }
+        
+        const orderId = mockToInt(rawId);
+        if (orderId <= 0) {
+            mockFail('Invalid order ID.', { parameter: 'id' }, 400);
+        }
+        
+        const order = db.orders.find((row) => row.id === orderId && row.user_id === user.id);
+        if (!order) {
+            mockFail(
+                'Order not found.',
+                { message: 'The order does not exist or you do not have permission to view it.', order_id: orderId },
+                404
+            );
+        }
+        
+        const items = db.orderItems
+            .filter((item) => item.order_id === order.id)
+            .map((item) => ({ item, product: db.products.find((product) => product.id === item.product_id) }))
+            .filter(({ product }) => product)
+            .map(({ item, product }) => ({
+                order_item_id: item.id,
+                product: {
+                    id: product.id,
+                    name: product.name,
+                    slug: product.slug,
+                    brand: product.brand,
+                    image_url: product.image_url
+                },
+                quantity: item.quantity,
+                price_at_purchase: mockMoneyGrouped(item.price_at_purchase),
+                price_at_purchase_numeric: item.price_at_purchase,
+                subtotal: mockMoneyGrouped(item.price_at_purchase * item.quantity),
+                subtotal_numeric: item.price_at_purchase * item.quantity
+            }));
+        
+        return {
+            message: 'Order details retrieved successfully.',
+            data: {
+                order: {
+                    id: order.id,
+                    order_number: order.order_number,
+                    pricing: {
+                        subtotal: mockMoneyGrouped(order.subtotal),
+                        subtotal_numeric: order.subtotal,
+                        // Orders placed before promo codes existed have none of these
+                        coupon_code: order.coupon_code || null,
+                        discount_amount: mockMoneyGrouped(order.discount_amount || 0),
+                        discount_amount_numeric: order.discount_amount || 0,
+                        shipping_amount: mockMoneyGrouped(order.shipping_amount || 0),
+                        shipping_amount_numeric: order.shipping_amount || 0,
+                        tax_amount: mockMoneyGrouped(order.tax_amount),
+                        tax_amount_numeric: order.tax_amount,
+                        tax_rate: '19%',
+                        total_price: mockMoneyGrouped(order.total_price),
+                        total_price_numeric: order.total_price
+                    },
+                    status: {
+                        order_status: order.status,
+                        order_status_label: order.status.charAt(0).toUpperCase() + order.status.slice(1),
+                        payment_status: order.payment_status,
+                        payment_method: order.payment_method
+                    },
+                    shipping: {
+                        address: order.shipping_address,
+                        city: order.shipping_city,
+                        postal_code: order.shipping_postal_code,
+                        full_address: `${order.shipping_address}, ${order.shipping_city} ${order.shipping_postal_code}`
+                    },
+                    items,
+                    items_count: items.length,
+                    total_quantity: items.reduce((sum, item) => sum + item.quantity, 0),
+                    dates: {
+                        created_at: order.created_at,
+                        created_at_formatted: mockLongDate(order.created_at),
+                        updated_at: order.updated_at,
+                        updated_at_formatted: mockLongDate(order.updated_at)
+                    }
+                }
+            }
+        };
+    },
+    
+    '/orders/update-status.php'(request, db) {
+        mockAllowMethods(request, ['POST'], 'Method not allowed. Use POST.');
+        const admin = mockRequireAdmin(db);
+        
+        const data = mockJsonBody(request, 'error');
+        const validStatuses = ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'];
+        const errors = {};
+        let orderId = 0;
+        let status = '';
+        
+        if (!data.order_id) {
+            errors.order_id = 'Order ID is required.';
+        } else {
+            orderId = mockToInt(data.order_id);
+            if (orderId <= 0) {
+                errors.order_id = 'Invalid order ID.';
+            }
+        }
+        
+        if (!data.status) {
+            errors.status = 'Status is required.';
+        } else {
+            status = String(data.status).trim().toLowerCase();
+            if (!validStatuses.includes(status)) {
+                errors.status = 'Invalid status. Valid statuses: ' + validStatuses.join(', ');
+            }
+        }
+        
+        if (Object.keys(errors).length > 0) {
+            mockFail('Validation failed.', errors, 400);
+        }
+        
+        const order = db.orders.find((row) => row.id === orderId);
+        if (!order) {
+            mockFail('Order not found.', { order_id: orderId }, 404);
+        }
+        
+        const currentStatus = order.status;
+        if (currentStatus === status) {
+            mockFail(
+                'Order already has this status.',
+                { order_id: orderId, order_number: order.order_number, current_status: currentStatus, requested_status: status },
+                400
+            );
+        }
+        
+        order.status = status;
+        order.updated_at = mockSqlDateTime();
+        
+        return {
+            message: 'Order status updated successfully.',
+            data: {
+                order_id: orderId,
+                order_number: order.order_number,
+                previous_status: currentStatus,
+                new_status: status,
+                updated_by: { admin_id: admin.id, admin_email: admin.email },
+                message: `Order #${order.order_number} status changed from '${currentStatus}' to '${status}'`
+            }
+        };
+    }
+};
+
+/**
+ * Every endpoint the mock knows, by path relative to the API root
+ */
+export const MOCK_ROUTES = {
+    ...MOCK_AUTH_ROUTES,
+    ...MOCK_PRODUCT_ROUTES,
+    ...MOCK_CART_ROUTES,
+    ...MOCK_SAVED_ITEMS_ROUTES,
+    ...MOCK_WISHLIST_ROUTES,
+    ...MOCK_COUPON_ROUTES,
+    ...MOCK_ORDER_ROUTES
+};
+
+// ============================================================================
+// MOCK BACKEND
+// ============================================================================
+
+/**
+ * Creates a mock backend instance
+ * 
+ * @param {object} options - Overrides for MOCK_BACKEND_DEFAULTS, plus:
+ *   - fixtures {object}: seed data (default: MOCK_FIXTURES from fixtures.js)
+ *   - latency {number|object}: fixed delay in ms, or { min, max }
+ * @returns {object} - {
+ *     transport(url, init): fetch-compatible function to give to setApiTransport(),
+ *     injectFailure(failure): make matching requests fail (returns a remove function),
+ *     clearFailures(): remove all injected failures,
+ *     reset(): restore the fixtures and forget the session,
+ *     db: the live database (for assertions in tests)
+ *   }
+ * 
+ * Failure descriptions for injectFailure():
+ *   - endpoint {string|RegExp}: '/cart/add.php', /^\/orders\//, or '*' (default)
+ *   - method {string}: only fail this HTTP method (optional)
+ *   - type {string}: 'network' (fetch rejects), 'timeout' (never answers),
+ *     'http' (error status, default) or 'invalid-json' (200 with an HTML body)
+ *   - status {number}: HTTP status for 'http' failures (default 500)
+ *   - times {number}: how many requests to fail (default 1, Infinity = always)
+ * 
+ * Example usage:
+ *   const backend = createMockBackend({ latency: 0 });
+ *   backend.injectFailure({ endpoint: '/orders/create.php', type: 'network' });
+ *   setApiTransport(backend.transport);
+ */
+export function createMockBackend(options = {}) {
+    const settings = { ...MOCK_BACKEND_DEFAULTS, ...options };
+    const fixtures = options.fixtures || MOCK_FIXTURES;
+    
+    let failures = [];
+    let db = loadDatabase();
+    
+    /**
+     * Restores the saved database, or starts from the fixtures
+     */
+    function loadDatabase() {
+        if (settings.storage) {
+            try {
+                const saved = settings.storage.getItem(settings.storageKey);
+                if (saved) {
+                    return JSON.parse(saved);
+                }
+            } catch (error) {
+                console.warn('Mock backend: saved database is unreadable, starting from fixtures', error);
+            }
+        }
+        return createMockDatabase(fixtures);
+    }
+    
+    /**
+     * Saves the database so carts and sessions survive page navigation
+     */
+    function saveDatabase() {
+        if (settings.storage) {
+            settings.storage.setItem(settings.storageKey, JSON.stringify(db));
+        }
+    }
+    
+    /**
+     * Picks a latency for one response
+     */
+    function pickLatency() {
+        const { latency } = settings;
+        if (typeof latency === 'number') {
+            return latency;
+        }
+        return latency.min + Math.random() * (latency.max - latency.min);
+    }
+    
+    /**
+     * Finds (and consumes) the injected failure matching a request, if any
+     */
+    function takeFailure(path, method) {
+        const failure = failures.find((candidate) => {
+            const endpoint = candidate.endpoint || '*';
+            const endpointMatches = endpoint === '*'
+                || (endpoint instanceof RegExp ? endpoint.test(path) : path === endpoint);
+            return endpointMatches && (!candidate.method || candidate.method === method);
+        });
+        
+        if (failure) {
+            failure.remaining--;
+            if (failure.remaining <= 0) {
+                failures = failures.filter((candidate) => candidate !== failure);
+            }
+            return failure;
+        }
+        
+        if (settings.failureRate > 0 && Math.random() < settings.failureRate) {
+            return { type: 'http', status: 500 };
+        }
+        return null;
+    }
+    
+    /**
+     * Builds a Response with the envelope of backend/utils/Response.php
+     */
+    function jsonResponse(status, payload) {
+        const body = { ...payload, app: MOCK_APP_METADATA, timestamp: new Date().toISOString() };
+        return new Response(JSON.stringify(body), {
+            status,
+            headers: { 'Content-Type': 'application/json; charset=utf-8' }
+        });
+    }
+    
+    /**
+     * fetch()-compatible entry point
+     * 
+     * @param {string} url - Full request URL (the API root is ignored)
+     * @param {object} init - fetch() options (method, body, signal, ...)
+     * @returns {Promise<Response>}
+     */
+    async function transport(url, init = {}) {
+        const method = (init.method || 'GET').toUpperCase();
+        const parsedUrl = new URL(url, 'http://mock.local');
+        const path = Object.keys(MOCK_ROUTES).find((route) => parsedUrl.pathname.endsWith(route)) || parsedUrl.pathname;
+        
+        await mockDelay(pickLatency(), init.signal);
+        
+        const failure = takeFailure(path, method);
+        if (failure) {
+            if (failure.type === 'network') {
+                throw new TypeError('Failed to fetch');
+            }
+            if (failure.type === 'timeout') {
+                // Hang until the caller gives up (apiCall's timeout aborts the signal)
+                await mockDelay(Infinity, init.signal);
+            }
+            if (failure.type === 'invalid-json') {
+                return new Response('<br /><b>Fatal error</b>: mock failure', { status: 200 });
+            }
+            return jsonResponse(failure.status || 500, {
+                success: false,
+                message: 'Mock backend: injected failure.',
+                code: null,
+                errors: []
+            });
+        }
+        
+        const handler = MOCK_ROUTES[path];
+        if (!handler) {
+            // What Apache answers for a PHP file that doesn't exist
+            return new Response('<h1>Not Found</h1>', { status: 404, headers: { 'Content-Type': 'text/html' } });
+        }
+        
+        // Body is parsed like json_decode(file_get_contents('php://input'), true)
+        const request = { method, query: parsedUrl.searchParams, body: null, bodyError: false };
+        if (init.body) {
+            try {
+                request.body = JSON.parse(init.body);
+            } catch (error) {
+                request.bodyError = true;
+            }
+        }
+        
+        try {
+            const { message, data } = handler(request, db);
+            if (method !== 'GET') {
+                saveDatabase();
+            }
+            return jsonResponse(200, { success: true, message, data });
+        
+        } catch (error) {
+            if (!(error instanceof MockResponseError)) {
+                throw error;
+            }
+            return jsonResponse(error.status, {
+                success: false,
+                message: error.message,
+                code: error.code,
+                errors: error.errors ?? []
+            });
+        }
+    }
+    
+    return {
+        transport,
+        
+        injectFailure(failure = {}) {
+            const entry = { ...failure, remaining: failure.times !== undefined ? failure.times : 1 };
+            failures.push(entry);
+            return () => {
+                failures = failures.filter((candidate) => candidate !== entry);
+            };
+        },
+        
+        clearFailures() {
+            failures = [];
+        },
+        
+        reset() {
+            db = createMockDatabase(fixtures);
+            saveDatabase();
+        },
+        
+        get db() {
+            return db;
+        }
+    };
+}
@@ -7,9 +7,18 @@
  * - Viewing order details
  * - Order status management
  * 
- * Dependencies: api.js, ui.js (must be loaded first)
+ * Dependencies: api.js, api-cache.js, html.js, actions.js, ui.js, cart.js, coupons.js, tab-sync.js
  */
 
+import { apiCall, API_ERROR_CODES, isLoggedIn, formatPrice, formatDate } from './api.js';
+import { invalidateApiCache } from './api-cache.js';
+import { html } from './html.js';
+import { bindActions } from './actions.js';
+import { showNotification, protectPage, showLoading } from './ui.js';
+import { updateCartBadge } from './cart.js';
+import { getAppliedCouponCode, removeCoupon } from './coupons.js';
+import { broadcastTabEvent } from './tab-sync.js';
+
 // ============================================================================
 // CREATE ORDER (CHECKOUT)
 // ============================================================================
@@ -28,16 +37,15 @@
  *     shipping_address: '123 Main St',
  *     shipping_city: 'Tunis',
  *     shipping_postal_code: '1000',
- *     payment_method: 'cash_on_delivery'
+ *     payment_method: 'cash_on_delivery',
+ *     coupon_code: 'BIENVENUE10' // optional
  *   });
  */
-async function createOrder(shippingData) {
+export async function createOrder(shippingData) {
     try {
         // Check if user is logged in
         if (!isLoggedIn()) {
-            if (typeof protectPage === 'function') {
-                protectPage();
-            }
+            protectPage();
             return;
         }
         
@@ -48,26 +56,29 @@ async function createOrder(shippingData) {
         }
         
         // Show loading state
-        if (typeof showNotification === 'function') {
-            showNotification('Creating your order...', 'info');
-        }
+        showNotification('Creating your order...', 'info');
         
         // Call API to create order
         const response = await apiCall('/orders/create.php', 'POST', shippingData);
         const order = response.data;
         
+        // Stock went down: cached product lists are now out of date
+        invalidateApiCache();
+        
+        // The promo code was used by this order
+        removeCoupon();
+        
+        // Other open tabs empty their cart and drop their cached stock too
+        broadcastTabEvent('order', { orderId: order.order_id });
+        
         // Show success message
-        if (typeof showNotification === 'function') {
-            showNotification(
-                `Order ${order.order_number} created successfully!`, 
-                'success'
-            );
-        }
+        showNotification(
+            `Order ${order.order_number} created successfully!`, 
+            'success'
+        );
         
         // Clear cart badge since cart is now empty
-        if (typeof updateCartBadge === 'function') {
-            await updateCartBadge();
-        }
+        await updateCartBadge();
         
         // Redirect to order confirmation page after 2 seconds
         setTimeout(() => {
@@ -82,20 +93,36 @@ async function createOrder(shippingData) {
         // Handle specific error cases
         let errorMessage = error.message;
         
-        if (error.message.includes('Cart is empty')) {
-            errorMessage = 'Your cart is empty. Please add items before checkout.';
-        } else if (error.message.includes('Insufficient stock')) {
-            errorMessage = 'Some items in your cart are out of stock. Please update your cart.';
-        } else if (error.message.includes('Authentication required')) {
-            errorMessage = 'Please log in to complete your order.';
-            setTimeout(() => {
-                window.location.href = 'login.html?redirect=checkout.html';
-            }, 2000);
+        switch (error.code) {
+            case API_ERROR_CODES.CART_EMPTY:
+                errorMessage = 'Your cart is empty. Please add items before checkout.';
+                break;
+            case API_ERROR_CODES.INSUFFICIENT_STOCK:
+                errorMessage = 'Some items in your cart are out of stock. Please update your cart.';
+                // The stock we showed was wrong, drop it so the next page load refetches
+                invalidateApiCache();
+                break;
+            case API_ERROR_CODES.COUPON_INVALID:
+                // Drop it so the summary shows the full price before trying again
+                errorMessage = `${error.message} The promo code was removed, please check the new total.`;
+                removeCoupon();
+                break;
+            case API_ERROR_CODES.AUTH_REQUIRED:
+                errorMessage = 'Please log in to complete your order.';
+                setTimeout(() => {
+                    window.location.href = 'login.html?redirect=checkout.html';
+                }, 2000);
+                break;
+            case API_ERROR_CODES.VALIDATION_FAILED:
+            case API_ERROR_CODES.BAD_REQUEST:
+                // Show the field-level messages returned by the backend, if any
+                if (Object.keys(error.errors).length > 0) {
+                    errorMessage = Object.values(error.errors).join(', ');
+                }
+                break;
         }
         
-        if (typeof showNotification === 'function') {
-            showNotification(errorMessage, 'error');
-        }
+        showNotification(errorMessage, 'error');
         
         throw error;
     }
@@ -107,7 +134,7 @@ async function createOrder(shippingData) {
  * @param {object} data - Shipping data object
  * @returns {object} - { valid: boolean, errors: array }
  */
-function validateShippingData(data) {
+export function validateShippingData(data) {
     const errors = [];
     
     // Validate shipping address
@@ -143,7 +170,7 @@ function validateShippingData(data) {
  * 
  * @param {Event} event - Form submit event
  */
-async function handleCheckout(event) {
+export async function handleCheckout(event) {
     // Prevent default form submission
     event.preventDefault();
     
@@ -159,6 +186,12 @@ async function handleCheckout(event) {
         payment_method: formDataObj.get('payment_method') || 'cash_on_delivery'
     };
     
+    // Promo code applied in the cart (checked again by the backend)
+    const couponCode = getAppliedCouponCode();
+    if (couponCode) {
+        shippingData.coupon_code = couponCode;
+    }
+    
     // Disable submit button
     const submitBtn = form.querySelector('button[type="submit"]');
     const originalBtnText = submitBtn.textContent;
@@ -191,13 +224,11 @@ async function handleCheckout(event) {
  * Example usage:
  *   await loadOrderHistory(1, 10, 'orders-container');
  */
-async function loadOrderHistory(page = 1, limit = 10, containerId = 'orders-container') {
+export async function loadOrderHistory(page = 1, limit = 10, containerId = 'orders-container') {
     try {
         // Check if user is logged in
         if (!isLoggedIn()) {
-            if (typeof protectPage === 'function') {
-                protectPage();
-            }
+            protectPage();
             return;
         }
         
@@ -220,7 +251,7 @@ async function loadOrderHistory(page = 1, limit = 10, containerId = 'orders-cont
         
         const container = document.getElementById(containerId);
         if (container) {
-            container.innerHTML = `
+            container.innerHTML = html`
                 <div class="error-message">
                     <p>Failed to load order history. Please try again.</p>
                     <p>${error.message}</p>
@@ -239,13 +270,13 @@ async function loadOrderHistory(page = 1, limit = 10, containerId = 'orders-cont
  * @param {object} pagination - Pagination info
  * @param {string} containerId - Container element ID
  */
-function renderOrderHistory(orders, pagination, containerId) {
+export function renderOrderHistory(orders, pagination, containerId) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
     // If no orders
     if (!orders || orders.length === 0) {
-        container.innerHTML = `
+        container.innerHTML = html`
             <div class="no-orders">
                 <h2>No orders yet</h2>
                 <p>You haven't placed any orders yet.</p>
@@ -256,7 +287,7 @@ function renderOrderHistory(orders, pagination, containerId) {
     }
     
     // Generate HTML
-    const html = `
+    container.innerHTML = html`
         <div class="orders-content">
             <h2>My Orders</h2>
             
@@ -273,7 +304,7 @@ function renderOrderHistory(orders, pagination, containerId) {
                     </tr>
                 </thead>
                 <tbody>
-                    ${orders.map(order => `
+                    ${orders.map(order => html`
                         <tr class="order-row" data-order-id="${order.id}">
                             <td class="order-number">
                                 <strong>${order.order_number}</strong>
@@ -312,7 +343,7 @@ function renderOrderHistory(orders, pagination, containerId) {
                                 </a>
                             </td>
                         </tr>
-                    `).join('')}
+                    `)}
                 </tbody>
             </table>
             
@@ -320,50 +351,44 @@ function renderOrderHistory(orders, pagination, containerId) {
         </div>
     `;
     
-    container.innerHTML = html;
+    bindActions(container, {
+        'go-to-page': (button) => loadOrderHistory(Number(button.dataset.page), pagination.per_page, containerId)
+    });
 }
 
 /**
  * Renders pagination for orders
  * 
  * @param {object} pagination - Pagination info
- * @returns {string} - HTML string
+ * @returns {object} - Markup built with html`` (empty when there is a single page)
  */
 function renderOrdersPagination(pagination) {
     if (!pagination || pagination.total_pages <= 1) return '';
     
-    let html = '<div class="pagination-controls">';
-    
-    // Previous button
-    if (pagination.current_page > 1) {
-        html += `
-            <button class="btn-pagination" 
-                    onclick="loadOrderHistory(${pagination.current_page - 1})">
-                Previous
-            </button>
-        `;
-    }
-    
-    // Page info
-    html += `
-        <span class="page-info">
-            Page ${pagination.current_page} of ${pagination.total_pages}
-            (${pagination.total_orders} orders)
-        </span>
+    return html`
+        <div class="pagination-controls">
+            ${pagination.current_page > 1 ? html`
+                <button class="btn-pagination" 
+                        data-action="go-to-page"
+                        data-page="${pagination.current_page - 1}">
+                    Previous
+                </button>
+            ` : ''}
+            
+            <span class="page-info">
+                Page ${pagination.current_page} of ${pagination.total_pages}
+                (${pagination.total_orders} orders)
+            </span>
+            
+            ${pagination.has_more ? html`
+                <button class="btn-pagination" 
+                        data-action="go-to-page"
+                        data-page="${pagination.current_page + 1}">
+                    Next
+                </button>
+            ` : ''}
+        </div>
     `;
-    
-    // Next button
-    if (pagination.has_more) {
-        html += `
-            <button class="btn-pagination" 
-                    onclick="loadOrderHistory(${pagination.current_page + 1})">
-                Next
-            </button>
-        `;
-    }
-    
-    html += '</div>';
-    return html;
 }
 
 // ============================================================================
@@ -380,13 +405,11 @@ function renderOrdersPagination(pagination) {
  * Example usage:
  *   await loadOrderDetail(15, 'order-detail-container');
  */
-async function loadOrderDetail(orderId, containerId = 'order-detail') {
+export async function loadOrderDetail(orderId, containerId = 'order-detail') {
     try {
         // Check if user is logged in
         if (!isLoggedIn()) {
-            if (typeof protectPage === 'function') {
-                protectPage();
-            }
+            protectPage();
             return;
         }
         
@@ -407,7 +430,7 @@ async function loadOrderDetail(orderId, containerId = 'order-detail') {
         
         const container = document.getElementById(containerId);
         if (container) {
-            container.innerHTML = `
+            container.innerHTML = html`
                 <div class="error-message">
                     <p>Failed to load order details. Please try again.</p>
                     <p>${error.message}</p>
@@ -425,11 +448,11 @@ async function loadOrderDetail(orderId, containerId = 'order-detail') {
  * @param {object} order - Order data
  * @param {string} containerId - Container element ID
  */
-function renderOrderDetail(order, containerId) {
+export function renderOrderDetail(order, containerId) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
-    const html = `
+    container.innerHTML = html`
         <div class="order-detail-content">
             <div class="order-header">
                 <h1>Order ${order.order_number}</h1>
@@ -468,15 +491,15 @@ function renderOrderDetail(order, containerId) {
                         </tr>
                     </thead>
                     <tbody>
-                        ${order.items.map(item => `
+                        ${order.items.map(item => html`
                             <tr>
                                 <td class="product-info">
                                     <img src="${item.product.image_url}" 
                                          alt="${item.product.name}"
-                                         onerror="this.src='images/placeholder.jpg'">
+                                         data-fallback-src="images/placeholder.jpg">
                                     <div>
                                         <h4>${item.product.name}</h4>
-                                        ${item.product.brand ? `<p class="brand">${item.product.brand}</p>` : ''}
+                                        ${item.product.brand ? html`<p class="brand">${item.product.brand}</p>` : ''}
                                     </div>
                                 </td>
                                 
@@ -492,7 +515,7 @@ function renderOrderDetail(order, containerId) {
                                     <strong>${formatPrice(item.subtotal)}</strong>
                                 </td>
                             </tr>
-                        `).join('')}
+                        `)}
                     </tbody>
                 </table>
             </div>
@@ -505,6 +528,20 @@ function renderOrderDetail(order, containerId) {
                     <span>${formatPrice(order.pricing.subtotal)}</span>
                 </div>
                 
+                ${order.pricing.discount_amount_numeric > 0 ? html`
+                    <div class="summary-row">
+                        <span>Discount (${order.pricing.coupon_code}):</span>
+                        <span>-${formatPrice(order.pricing.discount_amount_numeric)}</span>
+                    </div>
+                ` : ''}
+                
+                ${order.pricing.shipping_amount_numeric > 0 ? html`
+                    <div class="summary-row">
+                        <span>Shipping:</span>
+                        <span>${formatPrice(order.pricing.shipping_amount_numeric)}</span>
+                    </div>
+                ` : ''}
+                
                 <div class="summary-row">
                     <span>Tax (${order.pricing.tax_rate}):</span>
                     <span>${formatPrice(order.pricing.tax_amount)}</span>
@@ -518,12 +555,14 @@ function renderOrderDetail(order, containerId) {
             
             <div class="order-actions">
                 <a href="orders.html" class="btn btn-secondary">Back to Orders</a>
-                <button onclick="window.print()" class="btn btn-secondary">Print Order</button>
+                <button data-action="print" class="btn btn-secondary">Print Order</button>
             </div>
         </div>
     `;
     
-    container.innerHTML = html;
+    bindActions(container, {
+        'print': () => window.print()
+    });
 }
 
 // ============================================================================
@@ -536,7 +575,7 @@ function renderOrderDetail(order, containerId) {
  * @param {string} method - Payment method code
  * @returns {string} - Formatted payment method
  */
-function formatPaymentMethod(method) {
+export function formatPaymentMethod(method) {
     const methods = {
         'cash_on_delivery': 'Cash on Delivery',
         'bank_transfer': 'Bank Transfer',
@@ -552,7 +591,7 @@ function formatPaymentMethod(method) {
  * @param {string} status - Order status
  * @returns {string} - CSS class name
  */
-function getStatusClass(status) {
+export function getStatusClass(status) {
     const classes = {
         'pending': 'status-pending',
         'confirmed': 'status-confirmed',
@@ -566,13 +605,19 @@ function getStatusClass(status) {
 }
 
 // ============================================================================
-// AUTO-INITIALIZATION
+// PAGE SETUP
 // ============================================================================
 
 /**
- * Initialize orders functionality when DOM is ready
+ * Wires up the order features present on the current page
+ * 
+ * - Checkout form (#checkout-form)
+ * - Order history (#orders-container)
+ * - Order detail (#order-detail) for ?id=... or ?order_id=...
+ * 
+ * Called by the entry modules of the order pages (js/pages/*.js).
  */
-document.addEventListener('DOMContentLoaded', function() {
+export function initOrderPage() {
     // If we're on checkout page, attach form handler
     const checkoutForm = document.getElementById('checkout-form');
     if (checkoutForm) {
@@ -591,7 +636,7 @@ document.addEventListener('DOMContentLoaded', function() {
     if (orderId && document.getElementById('order-detail')) {
         loadOrderDetail(orderId);
     }
-});
+}
 
 // ============================================================================
 // USAGE NOTES
@@ -600,10 +645,8 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * HOW TO USE IN HTML:
  * 
- * 1. Include required scripts:
- *    <script src="js/api.js"></script>
- *    <script src="js/ui.js"></script>
- *    <script src="js/orders.js"></script>
+ * 1. Load the page's entry module, which calls initOrderPage():
+ *    <script type="module" src="js/pages/checkout.js"></script>
  * 
  * 2. Checkout form (checkout.html):
  *    <form id="checkout-form">
@@ -623,6 +666,4 @@ document.addEventListener('DOMContentLoaded', function() {
  * 
  * 4. Order detail page (order-detail.html):
  *    <div id="order-detail"></div>
- * 
- * The scripts will automatically load data when the page loads.
  */
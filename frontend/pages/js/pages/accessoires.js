@@ -0,0 +1,21 @@
+/**
+ * Entry module for accessoires.html (Accessoires category)
+ * 
+ * Dependencies: app.js, products.js, product-filters.js, main.js
+ */
+
+import '../../main.js';
+import { initPage } from '../app.js';
+import { initProductPage } from '../products.js';
+import { initProductFilters } from '../product-filters.js';
+
+initPage();
+initProductPage();
+
+// Load products for 'accessoires' category, with the filter sidebar
+initProductFilters({
+    slug: 'accessoires',
+    containerId: 'accessoires-products',
+    sidebarId: 'accessoires-filters',
+    activeFiltersId: 'accessoires-active-filters'
+});
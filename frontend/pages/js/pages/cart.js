@@ -0,0 +1,18 @@
+/**
+ * Entry module for cart.html
+ * 
+ * Dependencies: app.js, cart.js, cart-share.js, main.js
+ */
+
+import '../../main.js';
+import { initPage } from '../app.js';
+import { loadCart } from '../cart.js';
+import { initCartSharing } from '../cart-share.js';
+
+initPage();
+
+// Logged-out visitors see their guest cart
+loadCart();
+
+// Share / export buttons, and the cart of a shared link (?share=...)
+initCartSharing();
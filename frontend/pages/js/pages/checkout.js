@@ -0,0 +1,147 @@
+/**
+ * Entry module for checkout.html
+ * 
+ * Dependencies: api.js, html.js, actions.js, app.js, ui.js, orders.js, coupons.js, tab-sync.js, main.js
+ */
+
+import '../../main.js';
+import { apiCall, formatPrice } from '../api.js';
+import { html } from '../html.js';
+import { bindActions } from '../actions.js';
+import { initPage } from '../app.js';
+import { protectPage, showNotification } from '../ui.js';
+import { initOrderPage } from '../orders.js';
+import { quoteAppliedCoupon } from '../coupons.js';
+import { onTabEvent } from '../tab-sync.js';
+
+/**
+ * Loads the cart totals into the order summary box
+ * 
+ * With a promo code applied in the cart, the totals are the backend's
+ * quote (discount, tax on the discounted amount, shipping), i.e. what the
+ * order will charge. Sends the user back to the cart when there is nothing
+ * to order.
+ */
+async function loadOrderSummary() {
+    try {
+        const response = await apiCall('/cart/view.php', 'GET');
+        const { cart_items, summary } = response.data;
+        
+        if (!cart_items || cart_items.length === 0) {
+            showNotification('Your cart is empty', 'error');
+            setTimeout(() => {
+                window.location.href = 'cart.html';
+            }, 2000);
+            return;
+        }
+        
+        const applied = await quoteAppliedCoupon().catch((error) => {
+            console.warn('Could not check the promo code:', error);
+            return null;
+        });
+        if (applied && applied.rejected) {
+            showNotification(applied.rejected, 'error');
+        }
+        const quote = applied ? applied.quote : null;
+        
+        const summaryHtml = quote ? html`
+            <div class="summary-row">
+                <span>Items:</span>
+                <span>${summary.total_items}</span>
+            </div>
+            <div class="summary-row">
+                <span>Subtotal:</span>
+                <span>${formatPrice(quote.subtotal_numeric)}</span>
+            </div>
+            ${quote.discount_amount_numeric > 0 ? html`
+                <div class="summary-row summary-discount">
+                    <span>Discount (${quote.coupon.code}):</span>
+                    <span>-${formatPrice(quote.discount_amount_numeric)}</span>
+                </div>
+            ` : ''}
+            ${quote.free_shipping || quote.shipping_amount_numeric > 0 ? html`
+                <div class="summary-row">
+                    <span>Shipping${quote.free_shipping ? html` (${quote.coupon.code})` : ''}:</span>
+                    <span>${quote.free_shipping ? 'Free' : formatPrice(quote.shipping_amount_numeric)}</span>
+                </div>
+            ` : ''}
+            <div class="summary-row">
+                <span>Tax (${quote.tax_rate}):</span>
+                <span>${formatPrice(quote.tax_amount_numeric)}</span>
+            </div>
+            <div class="summary-row total">
+                <strong>Total:</strong>
+                <strong>${formatPrice(quote.total_price_numeric)}</strong>
+            </div>
+        ` : html`
+            <div class="summary-row">
+                <span>Items:</span>
+                <span>${summary.total_items}</span>
+            </div>
+            <div class="summary-row">
+                <span>Subtotal:</span>
+                <span>${formatPrice(summary.cart_total)}</span>
+            </div>
+            <div class="summary-row">
+                <span>Tax (19%):</span>
+                <span>${formatPrice(summary.cart_total * 0.19)}</span>
+            </div>
+            <div class="summary-row total">
+                <strong>Total:</strong>
+                <strong>${formatPrice(summary.cart_total * 1.19)}</strong>
+            </div>
+        `;
+        
+        document.getElementById('order-summary-content').innerHTML = summaryHtml;
+    
+    } catch (error) {
+        console.error('Error loading order summary:', error);
+        document.getElementById('order-summary-content').innerHTML =
+            html`<p class="error-message">Failed to load order summary</p>`;
+    }
+}
+
+/**
+ * Highlights the payment option the user clicked (first one by default)
+ */
+function setupPaymentOptions() {
+    const paymentOptions = document.querySelectorAll('.payment-option');
+    paymentOptions.forEach(option => {
+        option.addEventListener('click', function() {
+            paymentOptions.forEach(opt => opt.classList.remove('selected'));
+            this.classList.add('selected');
+        });
+    });
+    
+    // Select first option by default
+    if (paymentOptions.length > 0) {
+        paymentOptions[0].classList.add('selected');
+    }
+}
+
+initPage();
+
+// Check if user is logged in
+if (protectPage('checkout.html')) {
+    loadOrderSummary();
+    
+    // The cart was changed (or ordered) in another tab: show what will really be ordered
+    onTabEvent((type) => {
+        if (type === 'cart' || type === 'order') {
+            loadOrderSummary();
+        }
+    });
+    
+    // The order refused the promo code (see createOrder()): show the full price again
+    window.addEventListener('coupon:changed', () => loadOrderSummary());
+}
+
+// Attach the checkout form handler
+initOrderPage();
+setupPaymentOptions();
+
+bindActions(document.querySelector('.order-summary'), {
+    'back-to-cart': () => {
+        window.location.href = 'cart.html';
+    }
+});
@@ -0,0 +1,15 @@
+/**
+ * Entry module for index.html (homepage)
+ * 
+ * Dependencies: app.js, products.js, main.js
+ */
+
+import '../../main.js';
+import { initPage } from '../app.js';
+import { initProductPage, loadFeaturedProducts } from '../products.js';
+
+initPage();
+initProductPage();
+
+// Load featured products on homepage
+loadFeaturedProducts('featured', 12, 'featured-products');
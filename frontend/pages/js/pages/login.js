@@ -0,0 +1,11 @@
+/**
+ * Entry module for login.html
+ * 
+ * Dependencies: app.js, auth.js
+ */
+
+import { initPage } from '../app.js';
+import { initAuthForms } from '../auth.js';
+
+initPage();
+initAuthForms();
@@ -0,0 +1,23 @@
+/**
+ * Entry module for nouveautes.html (new products)
+ * 
+ * The grid grows as the customer scrolls (infinite mode, see GRID_MODES
+ * in products.js); the number of pages shown is kept in ?page=.
+ * 
+ * Dependencies: app.js, products.js, catalogue-state.js, main.js
+ */
+
+import '../../main.js';
+import { initPage } from '../app.js';
+import { initProductPage, loadFeaturedProducts } from '../products.js';
+import { readCatalogueState, onCatalogueNavigation } from '../catalogue-state.js';
+
+initPage();
+initProductPage();
+
+// Load new products
+const loadGrid = ({ page }) => loadFeaturedProducts('new', 20, 'nouveautes-products', { mode: 'infinite', page });
+loadGrid(readCatalogueState());
+
+// Back/forward between numbered pages (browsers without IntersectionObserver)
+onCatalogueNavigation(loadGrid);
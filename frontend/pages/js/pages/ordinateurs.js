@@ -0,0 +1,21 @@
+/**
+ * Entry module for ordinateurs.html (Ordinateurs category)
+ * 
+ * Dependencies: app.js, products.js, product-filters.js, main.js
+ */
+
+import '../../main.js';
+import { initPage } from '../app.js';
+import { initProductPage } from '../products.js';
+import { initProductFilters } from '../product-filters.js';
+
+initPage();
+initProductPage();
+
+// Load products for 'ordinateurs' category, with the filter sidebar
+initProductFilters({
+    slug: 'ordinateurs',
+    containerId: 'ordinateurs-products',
+    sidebarId: 'ordinateurs-filters',
+    activeFiltersId: 'ordinateurs-active-filters'
+});
@@ -0,0 +1,29 @@
+/**
+ * Entry module for recherche.html (search results)
+ * 
+ * The query comes from ?q=... (header search box, bookmarks); the page's
+ * own form refines it, with results updated as you type.
+ * 
+ * Dependencies: app.js, products.js, search-autocomplete.js, catalogue-state.js, main.js
+ */
+
+import '../../main.js';
+import { initPage } from '../app.js';
+import { initProductPage } from '../products.js';
+import { addRecentSearch } from '../search-autocomplete.js';
+import { readCatalogueState } from '../catalogue-state.js';
+
+initPage();
+
+// Runs the search of ?q=... into #search-results (see setupSearchForm)
+initProductPage();
+
+const { q } = readCatalogueState();
+if (q.length < 2) {
+    document.getElementById('search-results-info').textContent = 'Saisissez au moins 2 caractères pour lancer une recherche.';
+}
+
+// Searches made on this page are offered again in the header box
+document.getElementById('search-form').addEventListener('submit', () => {
+    addRecentSearch(document.getElementById('search-input').value);
+});
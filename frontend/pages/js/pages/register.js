@@ -0,0 +1,22 @@
+/**
+ * Entry module for register.html
+ * 
+ * Dependencies: app.js, auth.js
+ */
+
+import { initPage } from '../app.js';
+import { initAuthForms } from '../auth.js';
+
+initPage();
+initAuthForms();
+
+// Grid hover effect (keep existing animation)
+const gridElements = document.querySelectorAll('.grid-element');
+gridElements.forEach(element => {
+    element.addEventListener('mouseenter', function() {
+        this.classList.add('hover-effect');
+    });
+    element.addEventListener('mouseleave', function() {
+        this.classList.remove('hover-effect');
+    });
+});
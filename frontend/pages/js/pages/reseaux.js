@@ -0,0 +1,21 @@
+/**
+ * Entry module for reseaux.html (Réseaux category)
+ * 
+ * Dependencies: app.js, products.js, product-filters.js, main.js
+ */
+
+import '../../main.js';
+import { initPage } from '../app.js';
+import { initProductPage } from '../products.js';
+import { initProductFilters } from '../product-filters.js';
+
+initPage();
+initProductPage();
+
+// Load products for 'reseaux' category, with the filter sidebar
+initProductFilters({
+    slug: 'reseaux',
+    containerId: 'reseaux-products',
+    sidebarId: 'reseaux-filters',
+    activeFiltersId: 'reseaux-active-filters'
+});
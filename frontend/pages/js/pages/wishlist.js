@@ -0,0 +1,14 @@
+/**
+ * Entry module for wishlist.html
+ * 
+ * Dependencies: app.js, wishlist.js, main.js
+ */
+
+import '../../main.js';
+import { initPage } from '../app.js';
+import { loadWishlist } from '../wishlist.js';
+
+initPage();
+
+// Guests see the wishlist kept in this browser
+loadWishlist();
@@ -0,0 +1,398 @@
+/**
+ * Catalogue Filters Module for Carthage Tech E-commerce
+ * 
+ * Filter sidebar of the category pages (ordinateurs.html, accessoires.html,
+ * reseaux.html): brand, price range, stock availability and rating, plus
+ * the sort order of the grid.
+ * 
+ * The choices and their counts come from the "facets" that
+ * /products/category.php returns with the products, so the sidebar never
+ * offers a brand the category doesn't have. Each count already takes the
+ * other active filters into account (ticking "Lenovo" still shows how many
+ * HP laptops there are in the same price range).
+ * 
+ * Every change reloads the first page of the grid with
+ * loadProductsByCategory(); the pagination it renders keeps the filters.
+ * The active filters are also listed above the grid, each with a button to
+ * remove it.
+ * 
+ * The filters and the page are kept in the address bar (catalogue-state.js):
+ * each change is a history entry the back button returns from, and a
+ * filtered grid can be bookmarked or shared.
+ * 
+ * Dependencies: products.js, catalogue-state.js, html.js, actions.js, api.js
+ */
+
+import { formatPrice } from './api.js';
+import { html } from './html.js';
+import { bindActions } from './actions.js';
+import { loadProductsByCategory } from './products.js';
+import { emptyCatalogueFilters, readCatalogueState, pushCatalogueState, onCatalogueNavigation } from './catalogue-state.js';
+
+// ============================================================================
+// FILTER STATE
+// ============================================================================
+
+/**
+ * Sort options of the sidebar (values of the API's sort parameter)
+ */
+const SORT_OPTIONS = [
+    { value: 'newest', label: 'Nouveautés' },
+    { value: 'popularity', label: 'Popularité' },
+    { value: 'price_asc', label: 'Prix croissant' },
+    { value: 'price_desc', label: 'Prix décroissant' },
+    { value: 'rating', label: 'Meilleures notes' }
+];
+
+/**
+ * Tells whether any filter narrows the grid (the sort order doesn't)
+ * 
+ * @param {object} filters - Current filters
+ * @returns {boolean}
+ */
+function hasActiveFilters(filters) {
+    return filters.brand.length > 0
+        || filters.min_price !== null
+        || filters.max_price !== null
+        || filters.in_stock
+        || filters.min_rating !== null;
+}
+
+/**
+ * Reads the filters from the sidebar form
+ * 
+ * @param {HTMLFormElement} form - Sidebar form
+ * @returns {object} - Filters, same shape as emptyCatalogueFilters()
+ */
+function readFilterForm(form) {
+    const price = (name) => {
+        const value = form.elements[name].value.trim();
+        return value === '' ? null : Number(value);
+    };
+    const rating = form.querySelector('input[name="min_rating"]:checked');
+    
+    return {
+        brand: [...form.querySelectorAll('input[name="brand"]:checked')].map((input) => input.value),
+        min_price: price('min_price'),
+        max_price: price('max_price'),
+        in_stock: form.elements.in_stock.checked,
+        min_rating: rating && rating.value !== '' ? Number(rating.value) : null,
+        sort: form.elements.sort.value
+    };
+}
+
+/**
+ * Checks the price range typed by the customer
+ * 
+ * @param {object} filters - Filters read from the form
+ * @returns {string|null} - Message to show, or null when the range is fine
+ */
+function priceRangeError(filters) {
+    const { min_price: min, max_price: max } = filters;
+    
+    if ((min !== null && (Number.isNaN(min) || min < 0)) || (max !== null && (Number.isNaN(max) || max < 0))) {
+        return 'Veuillez saisir un prix positif.';
+    }
+    if (min !== null && max !== null && min > max) {
+        return 'Le prix minimum doit être inférieur au prix maximum.';
+    }
+    return null;
+}
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Renders the filter sidebar from the facets of the last response
+ * 
+ * @param {HTMLElement} sidebar - Sidebar container
+ * @param {object} filters - Active filters
+ * @param {object} facets - data.facets from /products/category.php
+ */
+function renderFilterSidebar(sidebar, filters, facets) {
+    const id = sidebar.id;
+    const price = facets.price || {};
+    
+    sidebar.innerHTML = html`
+        <form class="filter-form" novalidate>
+            <div class="filter-group">
+                <label class="filter-title" for="${id}-sort">Trier par</label>
+                <select id="${id}-sort" name="sort" class="filter-sort">
+                    ${SORT_OPTIONS.map((option) => html`
+                        <option value="${option.value}" ${option.value === filters.sort ? 'selected' : ''}>${option.label}</option>
+                    `)}
+                </select>
+            </div>
+            
+            ${facets.brands.length > 0 ? html`
+                <fieldset class="filter-group">
+                    <legend class="filter-title">Marque</legend>
+                    ${facets.brands.map((brand) => html`
+                        <label class="filter-option ${brand.count === 0 ? 'is-empty' : ''}">
+                            <input type="checkbox" name="brand" value="${brand.value}"
+                                   ${brand.selected ? 'checked' : ''}
+                                   ${brand.count === 0 && !brand.selected ? 'disabled' : ''}>
+                            <span>${brand.value}</span>
+                            <span class="filter-count">(${brand.count})</span>
+                        </label>
+                    `)}
+                </fieldset>
+            ` : ''}
+            
+            <fieldset class="filter-group">
+                <legend class="filter-title">Prix (TND)</legend>
+                <div class="filter-price">
+                    <input type="number" name="min_price" min="0" step="1" inputmode="numeric"
+                           aria-label="Prix minimum"
+                           placeholder="${price.min !== null && price.min !== undefined ? Math.floor(price.min) : 'Min'}"
+                           value="${filters.min_price ?? ''}">
+                    <span aria-hidden="true">–</span>
+                    <input type="number" name="max_price" min="0" step="1" inputmode="numeric"
+                           aria-label="Prix maximum"
+                           placeholder="${price.max !== null && price.max !== undefined ? Math.ceil(price.max) : 'Max'}"
+                           value="${filters.max_price ?? ''}">
+                    <button type="submit" class="btn-filter-apply">OK</button>
+                </div>
+                <p class="filter-error" role="alert" hidden></p>
+            </fieldset>
+            
+            <fieldset class="filter-group">
+                <legend class="filter-title">Disponibilité</legend>
+                <label class="filter-option">
+                    <input type="checkbox" name="in_stock" ${filters.in_stock ? 'checked' : ''}>
+                    <span>En stock uniquement</span>
+                    <span class="filter-count">(${facets.availability.in_stock})</span>
+                </label>
+            </fieldset>
+            
+            <fieldset class="filter-group">
+                <legend class="filter-title">Note</legend>
+                <label class="filter-option">
+                    <input type="radio" name="min_rating" value="" ${filters.min_rating === null ? 'checked' : ''}>
+                    <span>Toutes les notes</span>
+                </label>
+                ${facets.ratings.map((rating) => html`
+                    <label class="filter-option ${rating.count === 0 ? 'is-empty' : ''}">
+                        <input type="radio" name="min_rating" value="${rating.min}"
+                               ${filters.min_rating === rating.min ? 'checked' : ''}>
+                        <span>${rating.min} ★ et plus</span>
+                        <span class="filter-count">(${rating.count})</span>
+                    </label>
+                `)}
+            </fieldset>
+            
+            ${hasActiveFilters(filters) ? html`
+                <button type="button" class="btn-clear-filters" data-action="clear-filters">
+                    Effacer les filtres
+                </button>
+            ` : ''}
+        </form>
+    `;
+}
+
+/**
+ * Lists the active filters above the grid, each with a remove button
+ * 
+ * @param {HTMLElement|null} bar - Container above the grid
+ * @param {object} filters - Active filters
+ * @param {object} pagination - data.pagination (for the number of matches)
+ */
+function renderActiveFilters(bar, filters, pagination) {
+    if (!bar) {
+        return;
+    }
+    
+    if (!hasActiveFilters(filters)) {
+        bar.hidden = true;
+        bar.innerHTML = '';
+        return;
+    }
+    
+    const chips = [
+        ...filters.brand.map((brand) => ({ filter: 'brand', value: brand, label: brand })),
+        filters.min_price !== null ? { filter: 'min_price', value: '', label: `Dès ${formatPrice(filters.min_price)}` } : null,
+        filters.max_price !== null ? { filter: 'max_price', value: '', label: `Jusqu'à ${formatPrice(filters.max_price)}` } : null,
+        filters.in_stock ? { filter: 'in_stock', value: '', label: 'En stock' } : null,
+        filters.min_rating !== null ? { filter: 'min_rating', value: '', label: `${filters.min_rating} ★ et plus` } : null
+    ].filter(Boolean);
+    
+    const total = pagination ? pagination.total : 0;
+    
+    bar.hidden = false;
+    bar.innerHTML = html`
+        <span class="active-filters-count">${total} produit${total > 1 ? 's' : ''} :</span>
+        ${chips.map((chip) => html`
+            <button type="button" class="filter-chip" data-action="remove-filter"
+                    data-filter="${chip.filter}" data-value="${chip.value}"
+                    aria-label="Retirer le filtre ${chip.label}">
+                ${chip.label} <span aria-hidden="true">×</span>
+            </button>
+        `)}
+        <button type="button" class="btn-clear-filters" data-action="clear-filters">Tout effacer</button>
+    `;
+}
+
+/**
+ * Re-renders the sidebar without losing the keyboard focus
+ * 
+ * The sidebar is rebuilt after every change (the counts change), which
+ * would otherwise send a keyboard user back to the top of the page.
+ */
+function renderSidebarKeepingFocus(sidebar, filters, facets) {
+    const focused = document.activeElement;
+    const focusKey = focused && sidebar.contains(focused) && focused.name
+        ? { name: focused.name, value: focused.value, type: focused.type }
+        : null;
+    
+    renderFilterSidebar(sidebar, filters, facets);
+    
+    if (focusKey) {
+        const candidates = [...sidebar.querySelectorAll(`[name="${focusKey.name}"]`)];
+        const target = candidates.find((element) => element.type !== 'checkbox' && element.type !== 'radio')
+            || candidates.find((element) => element.value === focusKey.value);
+        if (target && !target.disabled) {
+            target.focus();
+        }
+    }
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Loads a category grid with its filter sidebar
+ * 
+ * Replaces the page's loadProductsByCategory() call: it loads the page
+ * and filters found in the URL, then the sidebar reloads the grid
+ * whenever a filter changes. Without a sidebar element on the page, the
+ * grid still follows the filters of the URL.
+ * 
+ * @param {object} options
+ * @param {string} options.slug - Category slug (e.g. 'ordinateurs')
+ * @param {string} options.containerId - Products grid ID
+ * @param {string} options.sidebarId - Sidebar container ID
+ * @param {string} options.activeFiltersId - Active filter list ID (above the grid)
+ * @param {number} options.limit - Products per page
+ * @param {string} options.mode - How the other pages are shown: 'pages' (default),
+ *                                'load-more' or 'infinite' (see GRID_MODES in products.js)
+ * @returns {Promise<object|null>} - Data of the first page loaded (see loadProductsByCategory)
+ * 
+ * Example usage:
+ *   initProductFilters({
+ *       slug: 'ordinateurs',
+ *       containerId: 'ordinateurs-products',
+ *       sidebarId: 'ordinateurs-filters',
+ *       activeFiltersId: 'ordinateurs-active-filters'
+ *   });
+ */
+export function initProductFilters({ slug, containerId, sidebarId, activeFiltersId, limit = 20, mode = 'pages' }) {
+    const sidebar = document.getElementById(sidebarId);
+    const activeBar = document.getElementById(activeFiltersId);
+    
+    // Bookmarked, reloaded or shared page: start from its URL
+    const initial = readCatalogueState();
+    let filters = initial.filters;
+    
+    // Loads a page of the grid with the current filters
+    const reload = async (page = 1) => {
+        let data;
+        try {
+            data = await loadProductsByCategory(slug, page, limit, containerId, filters, { mode });
+        } catch (error) {
+            // The grid already shows the error; keep the sidebar as it is
+            return null;
+        }
+        
+        // null: a newer change replaced this request
+        if (!data) {
+            return null;
+        }
+        
+        // A bookmarked ?page=5 that the filters no longer reach: show the last page
+        // (load-more grids already stop at the last one)
+        const { pagination } = data;
+        if (pagination && pagination.total_pages > 0 && pagination.current_page > pagination.total_pages) {
+            pushCatalogueState({ page: pagination.total_pages }, { replace: true });
+            return reload(pagination.total_pages);
+        }
+        
+        // The API echoes the filters it applied (trimmed brands, defaults...)
+        if (data.filters) {
+            filters = { ...emptyCatalogueFilters(), ...data.filters };
+        }
+        
+        if (sidebar && data.facets) {
+            renderSidebarKeepingFocus(sidebar, filters, data.facets);
+        }
+        renderActiveFilters(activeBar, filters, pagination);
+        
+        return data;
+    };
+    
+    // A change made by the customer: new history entry, back to the first page
+    const applyFilters = (next) => {
+        filters = next;
+        pushCatalogueState({ filters, page: null });
+        return reload();
+    };
+    
+    // Back/forward: the filters and page of that history entry
+    onCatalogueNavigation((state) => {
+        filters = state.filters;
+        reload(state.page);
+    });
+    
+    const clearFilters = () => applyFilters({ ...emptyCatalogueFilters(), sort: filters.sort });
+    
+    if (sidebar) {
+        const applyForm = (form) => {
+            const next = readFilterForm(form);
+            const error = priceRangeError(next);
+            
+            const errorBox = form.querySelector('.filter-error');
+            errorBox.textContent = error || '';
+            errorBox.hidden = !error;
+            if (error) {
+                return;
+            }
+            
+            applyFilters(next);
+        };
+        
+        // Checkboxes, radios and the sort select apply at once; the price
+        // inputs wait for Enter or the OK button (typing "2500" is four changes)
+        sidebar.addEventListener('change', (event) => {
+            if (event.target.type === 'number') {
+                return;
+            }
+            applyForm(event.target.form);
+        });
+        
+        sidebar.addEventListener('submit', (event) => {
+            event.preventDefault();
+            applyForm(event.target);
+        });
+        
+        bindActions(sidebar, {
+            'clear-filters': clearFilters
+        });
+    }
+    
+    if (activeBar) {
+        bindActions(activeBar, {
+            'clear-filters': clearFilters,
+            'remove-filter': (button) => {
+                const { filter, value } = button.dataset;
+                if (filter === 'brand') {
+                    applyFilters({ ...filters, brand: filters.brand.filter((brand) => brand !== value) });
+                } else {
+                    applyFilters({ ...filters, [filter]: emptyCatalogueFilters()[filter] });
+                }
+            }
+        });
+    }
+    
+    return reload(initial.page);
+}
@@ -2,19 +2,47 @@
  * Products Module for Carthage Tech E-commerce
  * 
  * This file handles all product-related functionality:
- * - Loading product lists with pagination
+ * - Loading product lists with pagination, a "load more" button or infinite scroll
  * - Loading featured/bestseller/new products
- * - Product search
+ * - Product search (on the server, or typo-tolerant with search-index.js)
  * - Product detail display
  * - Category filtering
+ * - Wishlist heart buttons on cards and on the detail (wishlist.js)
+ * - Keeping the page, search query and filters in the address bar (catalogue-state.js)
  * 
- * Dependencies: api.js (must be loaded first)
+ * Dependencies: api.js, html.js, actions.js, ui.js, cart.js, wishlist.js, catalogue-state.js, search-index.js
  */
 
+import { apiCall, API_ERROR_CODES, formatPrice } from './api.js';
+import { html, raw } from './html.js';
+import { bindActions } from './actions.js';
+import { showLoading } from './ui.js';
+import { addToCart } from './cart.js';
+import { renderWishlistButton, toggleWishlist } from './wishlist.js';
+import {
+    catalogueFilterParams, readCatalogueState, pushCatalogueState, onCatalogueNavigation,
+    rememberScrollPosition, savedScrollPosition
+} from './catalogue-state.js';
+import { findProducts, isSearchIndexEnabled, minSearchLength } from './search-index.js';
+
 // ============================================================================
 // PRODUCT LISTING
 // ============================================================================
 
+/**
+ * Turns catalogue filters into query string parameters
+ * 
+ * The keys are the ones the API echoes back in data.filters, so a
+ * response's filters can be passed to the next request as they are.
+ * 
+ * @param {object} filters - { brand: [], min_price, max_price, in_stock, min_rating, sort }
+ * @returns {string} - "&brand=Lenovo%2CHP&sort=price_asc", or '' without filters
+ */
+function filterQuery(filters = {}) {
+    const query = catalogueFilterParams(filters).toString();
+    return query ? `&${query}` : '';
+}
+
 /**
  * Loads products with pagination and optional category filter
  * 
@@ -22,24 +50,51 @@
  * @param {number} limit - Products per page (default: 20)
  * @param {number|null} categoryId - Category ID to filter by (optional)
  * @param {string} containerId - ID of container element (default: 'products-container')
- * @returns {Promise<object>} - Product data and pagination info
+ * @param {object} filters - Brand, price, stock, rating filters and sort order (optional,
+ *                           see product-filters.js)
+ * @param {object} options - { mode } how the other pages are shown (see GRID_MODES)
+ * @returns {Promise<object|null>} - Product data, pagination info, active filters and facets
+ *                                   (null when a newer load of the grid replaced this one)
  * 
  * Example usage:
  *   loadProducts(1, 20, null, 'products-container');
+ *   loadProducts(1, 20, 2, 'products-container', { brand: ['Logitech'], sort: 'price_asc' });
+ *   loadProducts(1, 20, null, 'products-container', {}, { mode: 'infinite' });
  */
-async function loadProducts(page = 1, limit = 20, categoryId = null, containerId = 'products-container') {
+export async function loadProducts(page = 1, limit = 20, categoryId = null, containerId = 'products-container', filters = {}, { mode = 'pages' } = {}) {
     try {
         // Show loading indicator
         showLoading(containerId);
         
         // Build API endpoint with query parameters
-        let endpoint = `/products/list.php?page=${page}&limit=${limit}`;
-        if (categoryId) {
-            endpoint += `&category_id=${categoryId}`;
+        const endpointFor = (pageNumber) => {
+            let endpoint = `/products/list.php?page=${pageNumber}&limit=${limit}`;
+            if (categoryId) {
+                endpoint += `&category_id=${categoryId}`;
+            }
+            return endpoint + filterQuery(filters);
+        };
+        
+        const gridMode = resolveGridMode(mode);
+        if (gridMode !== 'pages') {
+            let category = null;
+            const data = await loadAppendedGrid(page, containerId, gridMode, async (pageNumber, signal) => {
+                const { data } = await apiCall(endpointFor(pageNumber), 'GET', null, { signal });
+                if (pageNumber === 1) {
+                    category = data.category;
+                }
+                return data;
+            });
+            
+            // The later pages are added under the first one, so the info stays on top
+            if (data) {
+                renderCategoryInfo(category, containerId);
+            }
+            return data;
         }
         
         // Call API
-        const response = await apiCall(endpoint, 'GET');
+        const response = await apiCall(endpointFor(page), 'GET');
         
         // Extract data
         const { products, pagination } = response.data;
@@ -47,18 +102,24 @@ async function loadProducts(page = 1, limit = 20, categoryId = null, containerId
         // Render products
         renderProducts(products, containerId);
         
-        // Render pagination controls
+        // Render pagination controls (the other pages keep the same filters)
         if (pagination) {
-            renderPagination(pagination, categoryId, containerId);
+            renderPagination(pagination, categoryId, containerId,
+                (nextPage) => loadProducts(nextPage, pagination.per_page, categoryId, containerId, filters, { mode }));
         }
         
         return response.data;
         
     } catch (error) {
+        // A newer load of the grid replaced this one - leave the container to it
+        if (error.code === API_ERROR_CODES.ABORTED) {
+            return null;
+        }
+        
         console.error('Error loading products:', error);
         const container = document.getElementById(containerId);
         if (container) {
-            container.innerHTML = `
+            container.innerHTML = html`
                 <div class="error-message">
                     <p>Failed to load products. Please try again.</p>
                     <p>${error.message}</p>
@@ -69,6 +130,11 @@ async function loadProducts(page = 1, limit = 20, categoryId = null, containerId
     }
 }
 
+/**
+ * Picture shown on product cards without an image (trusted, static markup)
+ */
+const PLACEHOLDER_ICON = raw('<svg xmlns="http://www.w3.org/2000/svg" width="56" height="56" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>');
+
 /**
  * Renders products as HTML cards
  * 
@@ -77,8 +143,10 @@ async function loadProducts(page = 1, limit = 20, categoryId = null, containerId
  * 
  * @param {array} products - Array of product objects
  * @param {string} containerId - ID of container element
+ * @param {object} options - { append: true } to add the cards after the ones
+ *                           already shown (next page of a load-more grid)
  */
-function renderProducts(products, containerId = 'products-container') {
+export function renderProducts(products, containerId = 'products-container', { append = false } = {}) {
     const container = document.getElementById(containerId);
     if (!container) {
         console.error('Container not found:', containerId);
@@ -87,65 +155,77 @@ function renderProducts(products, containerId = 'products-container') {
     
     // If no products, show message
     if (!products || products.length === 0) {
-        container.innerHTML = '<p class="no-products">No products found.</p>';
+        if (!append) {
+            container.innerHTML = html`<p class="no-products">No products found.</p>`;
+        }
         return;
     }
     
-    // Generate HTML for each product
-    const html = products.map(product => `
+    // Generate HTML for each product (names, brands... are escaped by html``)
+    const cards = html`${products.map(product => html`
         <article class="product-card" data-product-id="${product.id}" aria-label="Produit ${product.name}">
+            ${renderWishlistButton(product)}
+            
             <div class="media" aria-hidden="true">
-                ${product.image_url ? `
+                ${product.image_url ? html`
                     <img src="${product.image_url}" alt="${product.name}" 
-                         onerror="this.style.display='none'; this.nextElementSibling.style.display='flex';">
+                         data-fallback="placeholder">
                     <div class="placeholder-icon" style="display:none;">
-                        <svg xmlns="http://www.w3.org/2000/svg" width="56" height="56" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>
+                        ${PLACEHOLDER_ICON}
                     </div>
-                ` : `
+                ` : html`
                     <div class="placeholder-icon">
-                        <svg xmlns="http://www.w3.org/2000/svg" width="56" height="56" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>
+                        ${PLACEHOLDER_ICON}
                     </div>
                 `}
                 
-                ${product.is_featured ? '<span class="badge badge-featured">★ Vedette</span>' : ''}
-                ${product.is_bestseller ? '<span class="badge badge-bestseller">🔥 Best Seller</span>' : ''}
-                ${product.is_new ? '<span class="badge badge-new">✨ Nouveau</span>' : ''}
+                ${product.is_featured ? html`<span class="badge badge-featured">★ Vedette</span>` : ''}
+                ${product.is_bestseller ? html`<span class="badge badge-bestseller">🔥 Best Seller</span>` : ''}
+                ${product.is_new ? html`<span class="badge badge-new">✨ Nouveau</span>` : ''}
             </div>
             
             <div class="content">
                 <h3 class="name">${product.name}</h3>
                 
-                ${product.brand ? `<p class="brand" style="color: #6b7280; font-size: 0.9em; margin: 5px 0;">${product.brand}</p>` : ''}
+                ${product.brand ? html`<p class="brand" style="color: #6b7280; font-size: 0.9em; margin: 5px 0;">${product.brand}</p>` : ''}
                 
                 <div class="meta">
                     <span class="price">${formatPrice(product.price)}</span>
                 </div>
                 
-                ${product.in_stock ? `
+                ${product.in_stock ? html`
                     <button class="btn btn-primary add-to-cart-btn" 
-                            onclick="addToCartFromList(${product.id}, 1)"
+                            data-action="add-to-cart"
                             data-product-id="${product.id}"
                             aria-label="Ajouter ${product.name} au panier">
                         🛒 Ajouter au panier
                     </button>
-                ` : `
+                ` : html`
                     <span class="out-of-stock" style="color: #dc3545; font-weight: 600;">Rupture de stock</span>
                 `}
             </div>
         </article>
-    `).join('');
+    `)}`;
+    
+    if (append) {
+        container.insertAdjacentHTML('beforeend', cards);
+    } else {
+        container.innerHTML = cards;
+    }
     
-    container.innerHTML = html;
+    bindActions(container, {
+        'add-to-cart': (button) => addToCartFromList(Number(button.dataset.productId), 1),
+        'toggle-wishlist': (button) => toggleWishlist(Number(button.dataset.productId), button.dataset.productName)
+    });
 }
 
 /**
- * Renders pagination controls
+ * Returns the element under the grid that holds its pagination
  * 
- * @param {object} pagination - Pagination info from API
- * @param {number|null} categoryId - Category filter (if any)
  * @param {string} containerId - Products container ID
+ * @returns {HTMLElement} - #pagination-container (created after the grid if missing)
  */
-function renderPagination(pagination, categoryId = null, containerId = 'products-container') {
+function getPaginationContainer(containerId) {
     // Look for pagination container (create if doesn't exist)
     let paginationContainer = document.getElementById('pagination-container');
     if (!paginationContainer) {
@@ -161,113 +241,405 @@ function renderPagination(pagination, categoryId = null, containerId = 'products
             );
         }
     }
+    return paginationContainer;
+}
+
+/**
+ * Renders pagination controls
+ * 
+ * The page is also put in the address bar (?page=2), so the back button
+ * returns to the previous page of the grid.
+ * 
+ * @param {object} pagination - Pagination info from API
+ * @param {number|null} categoryId - Category filter (if any)
+ * @param {string} containerId - Products container ID
+ * @param {Function|null} loadPage - Loads another page: (page) => Promise (optional,
+ *                                   defaults to loadProducts() with the category filter)
+ */
+export function renderPagination(pagination, categoryId = null, containerId = 'products-container', loadPage = null) {
+    const paginationContainer = getPaginationContainer(containerId);
+    stopInfiniteScroll(containerId);
     
-    let html = '<div class="pagination-controls">';
+    paginationContainer.innerHTML = html`
+        <div class="pagination-controls">
+            ${pagination.has_prev ? html`
+                <button class="btn-pagination" 
+                        data-action="go-to-page"
+                        data-page="${pagination.current_page - 1}">
+                    Previous
+                </button>
+            ` : ''}
+            
+            <span class="page-info">
+                Page ${pagination.current_page} of ${pagination.total_pages} 
+                (${pagination.total} products)
+            </span>
+            
+            ${pagination.has_next ? html`
+                <button class="btn-pagination" 
+                        data-action="go-to-page"
+                        data-page="${pagination.current_page + 1}">
+                    Next
+                </button>
+            ` : ''}
+        </div>
+    `;
+    
+    const goToPage = loadPage || ((page) => loadProducts(page, pagination.per_page, categoryId, containerId));
     
-    // Previous button
-    if (pagination.has_prev) {
-        html += `
-            <button class="btn-pagination" 
-                    onclick="loadProducts(${pagination.current_page - 1}, ${pagination.per_page}, ${categoryId}, '${containerId}')">
-                Previous
-            </button>
-        `;
+    bindActions(paginationContainer, {
+        'go-to-page': (button) => {
+            const page = Number(button.dataset.page);
+            pushCatalogueState({ page });
+            goToPage(page);
+        }
+    });
+}
+
+// ============================================================================
+// LOAD MORE / INFINITE SCROLL
+// ============================================================================
+
+/**
+ * How a product grid shows its other pages (opt-in, 'pages' by default):
+ * - 'pages': numbered pages that replace the grid (renderPagination)
+ * - 'load-more': a "Charger plus de produits" button adds the next page
+ *   under the products already shown (renderLoadMore)
+ * - 'infinite': the same button, pressed on its own when it scrolls into
+ *   view; browsers without IntersectionObserver get numbered pages
+ * 
+ * In the last two modes the address bar keeps the last page added
+ * (?page=3), so reloading the page or coming back to it shows pages 1
+ * to 3 again and scrolls back to where the customer was.
+ */
+export const GRID_MODES = ['pages', 'load-more', 'infinite'];
+
+/**
+ * Latest load of each load-more grid (containerId → AbortController), so a
+ * grid reloaded with other filters never receives a page of the old ones
+ */
+const gridLoads = new Map();
+
+/**
+ * Observer of each infinite grid's button (containerId → IntersectionObserver)
+ */
+const gridObservers = new Map();
+
+/**
+ * The saved scroll position is only put back by the first grid load of the page
+ */
+let gridScrollRestored = false;
+
+/**
+ * Picks the mode a grid can actually use in this browser
+ * 
+ * @param {string} mode - One of GRID_MODES
+ * @returns {string} - The mode, or 'pages' when it can't be used
+ */
+function resolveGridMode(mode) {
+    if (!GRID_MODES.includes(mode)) {
+        console.warn(`Unknown grid mode "${mode}", using numbered pages`);
+        return 'pages';
     }
+    if (mode === 'infinite' && typeof IntersectionObserver === 'undefined') {
+        return 'pages';
+    }
+    return mode;
+}
+
+/**
+ * Stops watching a grid's "load more" button (it is about to be replaced)
+ * 
+ * @param {string} containerId - Products container ID
+ */
+function stopInfiniteScroll(containerId) {
+    const observer = gridObservers.get(containerId);
+    if (observer) {
+        observer.disconnect();
+        gridObservers.delete(containerId);
+    }
+}
+
+/**
+ * Renders the "load more" button under a grid
+ * 
+ * The button is also there in infinite mode: it shows that more is
+ * coming, works from the keyboard, and offers to try again when a page
+ * failed to load.
+ * 
+ * @param {object} pagination - Pagination info of the last page shown
+ * @param {string} containerId - Products container ID
+ * @param {Function} loadMore - Adds the next page: () => Promise
+ * @param {string} mode - 'load-more', or 'infinite' to press the button
+ *                        when it comes into view
+ */
+export function renderLoadMore(pagination, containerId, loadMore, mode = 'load-more') {
+    const paginationContainer = getPaginationContainer(containerId);
+    const hadFocus = paginationContainer.contains(document.activeElement);
+    stopInfiniteScroll(containerId);
+    
+    const shown = Math.min(pagination.current_page * pagination.per_page, pagination.total);
     
-    // Page info
-    html += `
-        <span class="page-info">
-            Page ${pagination.current_page} of ${pagination.total_pages} 
-            (${pagination.total} products)
-        </span>
+    paginationContainer.innerHTML = html`
+        <div class="load-more">
+            <p class="load-more-status" role="status">${shown} produit(s) affiché(s) sur ${pagination.total}</p>
+            ${pagination.has_next ? html`
+                <button type="button" class="btn btn-soft btn-load-more" data-action="load-more">
+                    Charger plus de produits
+                </button>
+            ` : ''}
+        </div>
     `;
     
-    // Next button
-    if (pagination.has_next) {
-        html += `
-            <button class="btn-pagination" 
-                    onclick="loadProducts(${pagination.current_page + 1}, ${pagination.per_page}, ${categoryId}, '${containerId}')">
-                Next
-            </button>
-        `;
+    const button = paginationContainer.querySelector('.btn-load-more');
+    if (!button) {
+        return;
+    }
+    
+    const status = paginationContainer.querySelector('.load-more-status');
+    
+    const run = async () => {
+        if (button.disabled) {
+            return;
+        }
+        button.disabled = true;
+        button.textContent = 'Chargement…';
+        
+        try {
+            await loadMore();
+        } catch (error) {
+            // The grid was reloaded meanwhile (other filters): it renders its own button
+            if (error.code === API_ERROR_CODES.ABORTED) {
+                return;
+            }
+            console.error('Error loading more products:', error);
+            button.disabled = false;
+            button.textContent = 'Réessayer';
+            status.textContent = 'Impossible de charger la suite des produits.';
+        }
+    };
+    
+    bindActions(paginationContainer, {
+        'load-more': run
+    });
+    
+    // Keyboard users who pressed the button stay on it for the next page
+    if (hadFocus) {
+        button.focus();
+    }
+    
+    if (mode === 'infinite') {
+        // Starts loading a little before the customer reaches the end of the grid
+        const observer = new IntersectionObserver((entries) => {
+            if (entries.some((entry) => entry.isIntersecting)) {
+                run();
+            }
+        }, { rootMargin: '400px 0px' });
+        observer.observe(button);
+        gridObservers.set(containerId, observer);
+    }
+}
+
+/**
+ * Loads a grid in load-more or infinite mode
+ * 
+ * Pages 1 to `page` are shown one after the other (?page=3 in the address
+ * bar means the customer had added three pages), followed by the button
+ * for the next one.
+ * 
+ * @param {number} page - Last page to show
+ * @param {string} containerId - Products container ID
+ * @param {string} mode - 'load-more' or 'infinite'
+ * @param {Function} fetchPage - (page, signal) => Promise<{ products, pagination, ... }>
+ * @returns {Promise<object|null>} - Data of the last page shown, with the products of
+ *                                   every page shown (null when a newer load replaced this one)
+ */
+async function loadAppendedGrid(page, containerId, mode, fetchPage) {
+    if (gridLoads.has(containerId)) {
+        gridLoads.get(containerId).abort();
+    }
+    const controller = new AbortController();
+    gridLoads.set(containerId, controller);
+    
+    rememberScrollPosition();
+    
+    const shown = [];
+    let data = null;
+    
+    for (let current = 1; current <= page; current++) {
+        data = await fetchPage(current, controller.signal);
+        if (gridLoads.get(containerId) !== controller) {
+            return null;
+        }
+        
+        renderProducts(data.products, containerId, { append: current > 1 });
+        shown.push(...data.products);
+        
+        if (!data.pagination || !data.pagination.has_next) {
+            break;
+        }
+    }
+    
+    // A bookmarked page past the end: the URL shows the last one
+    if (data.pagination && data.pagination.current_page < page) {
+        pushCatalogueState({ page: data.pagination.current_page }, { replace: true });
+    }
+    
+    const showLoadMore = (pagination) => {
+        renderLoadMore(pagination, containerId, async () => {
+            const next = await fetchPage(pagination.current_page + 1, controller.signal);
+            if (gridLoads.get(containerId) !== controller) {
+                return;
+            }
+            
+            renderProducts(next.products, containerId, { append: true });
+            
+            // No new history entry: the back button leaves the grid, as with a long page
+            pushCatalogueState({ page: next.pagination.current_page }, { replace: true });
+            showLoadMore(next.pagination);
+        }, mode);
+    };
+    
+    // Without pagination info (older API) there is nothing more to load
+    if (data.pagination) {
+        showLoadMore(data.pagination);
+    }
+    
+    // Coming back to the grid: where the customer was
+    if (!gridScrollRestored) {
+        gridScrollRestored = true;
+        const scrollY = savedScrollPosition();
+        if (scrollY !== null) {
+            window.scrollTo(0, scrollY);
+        }
     }
     
-    html += '</div>';
-    paginationContainer.innerHTML = html;
+    return { ...data, products: shown };
 }
 
 // ============================================================================
 // FEATURED PRODUCTS
 // ============================================================================
 
+/**
+ * Fetches a page of featured, bestseller, or new products
+ * 
+ * Falls back to list.php when featured.php is missing or broken.
+ * 
+ * @param {string|null} type - 'featured', 'bestseller', 'new', or null for all
+ * @param {number} limit - Products per page
+ * @param {number} page - Page number
+ * @param {AbortSignal|null} signal - Cancels the request
+ * @returns {Promise<object>} - { products, pagination } (pagination is null if the API has none)
+ */
+async function fetchFeaturedPage(type, limit, page, signal = null) {
+    // Try featured.php endpoint first
+    let endpoint = `/products/featured.php?limit=${limit}&page=${page}`;
+    if (type) {
+        endpoint += `&type=${type}`;
+    }
+    
+    try {
+        // Call API
+        const response = await apiCall(endpoint, 'GET', null, { signal });
+        return {
+            products: response.data.products || response.data || [],
+            pagination: response.data.pagination || null
+        };
+    } catch (featuredError) {
+        // Only fall back when the endpoint itself is missing or broken.
+        // Timeouts and network errors would fail the same way on list.php.
+        const fallbackCodes = [
+            API_ERROR_CODES.NOT_FOUND,
+            API_ERROR_CODES.METHOD_NOT_ALLOWED,
+            API_ERROR_CODES.SERVER_ERROR,
+            API_ERROR_CODES.INVALID_RESPONSE
+        ];
+        if (!fallbackCodes.includes(featuredError.code)) {
+            throw featuredError;
+        }
+        
+        console.warn('Featured endpoint not available, trying alternative...', featuredError);
+        
+        // Fallback: Use list.php with filters
+        let fallbackEndpoint = `/products/list.php?limit=${limit}&page=${page}`;
+        
+        // Map type to filter parameter
+        if (type === 'new') {
+            fallbackEndpoint += '&is_new=1';
+        } else if (type === 'bestseller') {
+            fallbackEndpoint += '&is_bestseller=1';
+        } else if (type === 'featured') {
+            fallbackEndpoint += '&is_featured=1';
+        }
+        
+        const fallbackResponse = await apiCall(fallbackEndpoint, 'GET', null, { signal });
+        
+        // Handle different response structures
+        let products = [];
+        if (fallbackResponse.data.products) {
+            products = fallbackResponse.data.products;
+        } else if (Array.isArray(fallbackResponse.data)) {
+            products = fallbackResponse.data;
+        } else if (fallbackResponse.products) {
+            products = fallbackResponse.products;
+        }
+        
+        return { products, pagination: fallbackResponse.data.pagination || null };
+    }
+}
+
 /**
  * Loads featured, bestseller, or new products
  * 
+ * Without a mode, shows one fixed selection (home page). With one, the
+ * grid also offers the next products (see GRID_MODES).
+ * 
  * @param {string} type - 'featured', 'bestseller', 'new', or null for all
- * @param {number} limit - Max products to load (default: 12)
+ * @param {number} limit - Max products to load (default: 12), per page with a mode
  * @param {string} containerId - Container element ID
+ * @param {object} options - { mode, page } to page through the products (optional)
  * @returns {Promise<array>} - Array of products
  * 
  * Example usage:
  *   loadFeaturedProducts('featured', 8, 'featured-container');
+ *   loadFeaturedProducts('new', 20, 'nouveautes-products', { mode: 'infinite', page: 1 });
  */
-async function loadFeaturedProducts(type = null, limit = 12, containerId = 'featured-products') {
+export async function loadFeaturedProducts(type = null, limit = 12, containerId = 'featured-products', { mode = null, page = 1 } = {}) {
     try {
         showLoading(containerId);
         
-        // Try featured.php endpoint first
-        let endpoint = `/products/featured.php?limit=${limit}`;
-        if (type) {
-            endpoint += `&type=${type}`;
+        const gridMode = mode ? resolveGridMode(mode) : null;
+        
+        if (gridMode === 'load-more' || gridMode === 'infinite') {
+            const data = await loadAppendedGrid(page, containerId, gridMode,
+                (pageNumber, signal) => fetchFeaturedPage(type, limit, pageNumber, signal));
+            return data ? data.products : [];
         }
         
-        try {
-            // Call API
-            const response = await apiCall(endpoint, 'GET');
-            const products = response.data.products || response.data || [];
-            
-            // Render products
-            renderProducts(products, containerId);
-            
-            return products;
-        } catch (featuredError) {
-            console.warn('Featured endpoint not available, trying alternative...', featuredError);
-            
-            // Fallback: Use list.php with filters
-            let fallbackEndpoint = `/products/list.php?limit=${limit}&page=1`;
-            
-            // Map type to filter parameter
-            if (type === 'new') {
-                fallbackEndpoint += '&is_new=1';
-            } else if (type === 'bestseller') {
-                fallbackEndpoint += '&is_bestseller=1';
-            } else if (type === 'featured') {
-                fallbackEndpoint += '&is_featured=1';
-            }
-            
-            const fallbackResponse = await apiCall(fallbackEndpoint, 'GET');
-            
-            // Handle different response structures
-            let products = [];
-            if (fallbackResponse.data.products) {
-                products = fallbackResponse.data.products;
-            } else if (Array.isArray(fallbackResponse.data)) {
-                products = fallbackResponse.data;
-            } else if (fallbackResponse.products) {
-                products = fallbackResponse.products;
-            }
-            
-            // Render products
-            renderProducts(products, containerId);
-            
-            return products;
+        const { products, pagination } = await fetchFeaturedPage(type, limit, gridMode ? page : 1);
+        
+        // Render products
+        renderProducts(products, containerId);
+        
+        // Numbered pages only when a mode was asked for
+        if (gridMode === 'pages' && pagination) {
+            renderPagination(pagination, null, containerId,
+                (nextPage) => loadFeaturedProducts(type, limit, containerId, { mode, page: nextPage }));
         }
         
+        return products;
+        
     } catch (error) {
+        // A newer load of the grid replaced this one - leave the container to it
+        if (error.code === API_ERROR_CODES.ABORTED) {
+            return [];
+        }
+        
         console.error('Error loading featured products:', error);
         const container = document.getElementById(containerId);
         if (container) {
-            container.innerHTML = `
+            container.innerHTML = html`
                 <div style="text-align: center; padding: 40px; color: #dc3545;">
                     <p class="error-message">⚠️ Impossible de charger les produits.</p>
                     <p style="font-size: 0.9em; color: #6b7280;">Vérifiez que le backend est démarré et que des produits avec le flag "${type || 'featured'}" existent dans la base de données.</p>
@@ -283,40 +655,67 @@ async function loadFeaturedProducts(type = null, limit = 12, containerId = 'feat
 // PRODUCT SEARCH
 // ============================================================================
 
+/**
+ * Controller for the search request currently in flight
+ * 
+ * Each new search aborts the previous one, so results from an older
+ * (slower) query can never overwrite the results of the latest query.
+ */
+let searchController = null;
+
 /**
  * Searches for products by query
  * 
+ * Any previous search that is still loading is cancelled first.
+ * 
  * @param {string} query - Search term
  * @param {number} limit - Max results (default: 50)
  * @param {string} containerId - Container element ID
+ * @param {object} options - { useIndex } to search the client-side index
+ *                           (default: on when enabled in config.js)
  * @returns {Promise<array>} - Array of matching products
  * 
  * Example usage:
  *   searchProducts('laptop', 20, 'search-results');
+ *   searchProducts('assus rg', 20, 'search-results', { useIndex: true });
  */
-async function searchProducts(query, limit = 50, containerId = 'search-results') {
+export async function searchProducts(query, limit = 50, containerId = 'search-results', { useIndex = isSearchIndexEnabled() } = {}) {
     try {
-        // Validate query
-        if (!query || query.trim().length < 2) {
-            throw new Error('Search query must be at least 2 characters');
+        // Validate query (the index also completes a single letter)
+        const minLength = minSearchLength(useIndex);
+        if (!query || query.trim().length < minLength) {
+            throw new Error(`Search query must be at least ${minLength} character${minLength > 1 ? 's' : ''}`);
+        }
+        
+        // Cancel the previous search if it is still running
+        if (searchController) {
+            searchController.abort();
         }
+        const controller = new AbortController();
+        searchController = controller;
         
         showLoading(containerId);
         
-        // Encode query for URL
-        const encodedQuery = encodeURIComponent(query.trim());
-        const endpoint = `/products/search.php?q=${encodedQuery}&limit=${limit}`;
+        const products = await findProducts(query.trim(), limit, { signal: controller.signal, useIndex });
         
-        // Call API
-        const response = await apiCall(endpoint, 'GET');
-        const products = response.data.products;
+        // A newer search started while the index was loading
+        if (controller.signal.aborted) {
+            return [];
+        }
+        if (searchController === controller) {
+            searchController = null;
+        }
         
-        // Show search info
+        // Show search info (above the grid when the page has a place for it,
+        // e.g. #search-results-info on recherche.html)
+        const info = document.getElementById(`${containerId}-info`);
         const container = document.getElementById(containerId);
-        if (container) {
-            const infoHtml = `
+        if (info) {
+            info.textContent = `${products.length} résultat(s) pour « ${query.trim()} »`;
+        } else if (container) {
+            const infoHtml = html`
                 <div class="search-info">
-                    <p>Found ${response.data.count} result(s) for "${query}"</p>
+                    <p>Found ${products.length} result(s) for "${query}"</p>
                 </div>
             `;
             container.innerHTML = infoHtml;
@@ -328,10 +727,15 @@ async function searchProducts(query, limit = 50, containerId = 'search-results')
         return products;
         
     } catch (error) {
+        // A newer search replaced this one - leave the container to the newer search
+        if (error.code === API_ERROR_CODES.ABORTED) {
+            return [];
+        }
+        
         console.error('Error searching products:', error);
         const container = document.getElementById(containerId);
         if (container) {
-            container.innerHTML = `<p class="error-message">${error.message}</p>`;
+            container.innerHTML = html`<p class="error-message">${error.message}</p>`;
         }
         throw error;
     }
@@ -343,11 +747,16 @@ async function searchProducts(query, limit = 50, containerId = 'search-results')
  * Debouncing delays API call until user stops typing.
  * This prevents too many API calls while typing.
  * 
+ * The query is kept in the address bar (?q=...), so a search can be
+ * bookmarked, is run again when the page is reloaded, and the back
+ * button returns to the previous search. While the customer types, only
+ * one history entry is added for the whole word, not one per keystroke.
+ * 
  * @param {string} formId - Search form ID
  * @param {string} inputId - Search input ID
  * @param {string} resultsId - Results container ID
  */
-function setupSearchForm(formId = 'search-form', inputId = 'search-input', resultsId = 'search-results') {
+export function setupSearchForm(formId = 'search-form', inputId = 'search-input', resultsId = 'search-results') {
     const form = document.getElementById(formId);
     const input = document.getElementById(inputId);
     
@@ -355,11 +764,17 @@ function setupSearchForm(formId = 'search-form', inputId = 'search-input', resul
     
     let debounceTimer;
     
+    // True once the current history entry belongs to what is being typed
+    let typingEntry = false;
+    
     // Handle form submit
     form.addEventListener('submit', (e) => {
         e.preventDefault();
+        clearTimeout(debounceTimer);
         const query = input.value;
-        if (query.trim().length >= 2) {
+        if (query.trim().length >= minSearchLength()) {
+            pushCatalogueState({ q: query.trim(), page: null }, { replace: typingEntry });
+            typingEntry = false;
             searchProducts(query, 50, resultsId);
         }
     });
@@ -369,67 +784,157 @@ function setupSearchForm(formId = 'search-form', inputId = 'search-input', resul
         clearTimeout(debounceTimer);
         const query = e.target.value;
         
-        if (query.trim().length >= 2) {
+        if (query.trim().length >= minSearchLength()) {
             debounceTimer = setTimeout(() => {
+                pushCatalogueState({ q: query.trim(), page: null }, { replace: typingEntry });
+                typingEntry = true;
                 searchProducts(query, 50, resultsId);
             }, 300); // Wait 300ms after user stops typing
         }
     });
+    
+    // Back/forward: show the search of that history entry
+    const showSearch = ({ q }) => {
+        clearTimeout(debounceTimer);
+        typingEntry = false;
+        input.value = q;
+        
+        if (q.length >= minSearchLength()) {
+            searchProducts(q, 50, resultsId);
+        } else {
+            const container = document.getElementById(resultsId);
+            if (container) {
+                container.innerHTML = '';
+            }
+        }
+    };
+    onCatalogueNavigation(showSearch);
+    
+    // A bookmarked or reloaded search (?q=...) runs again
+    const { q } = readCatalogueState();
+    if (q) {
+        showSearch({ q });
+    }
 }
 
 // ============================================================================
 // CATEGORY PRODUCTS
 // ============================================================================
 
+/**
+ * Current category request (AbortController), cancelled when the filters
+ * or the page change before it answered
+ */
+let categoryController = null;
+
+/**
+ * Shows the category name and description above its products
+ * 
+ * @param {object|null} category - Category from category.php (nothing is shown without it)
+ * @param {string} containerId - Products container ID (the cards are already in it)
+ */
+function renderCategoryInfo(category, containerId) {
+    const container = document.getElementById(containerId);
+    if (!container || !category) {
+        return;
+    }
+    
+    container.insertAdjacentHTML('afterbegin', html`
+        <div class="category-info">
+            <h2>${category.name}</h2>
+            ${category.description ? html`<p>${category.description}</p>` : ''}
+        </div>
+    `);
+}
+
 /**
  * Loads products by category slug
  * 
+ * Any previous category request that is still loading is cancelled first,
+ * so clicking through the filters quickly can't leave an older grid.
+ * 
  * @param {string} slug - Category slug (e.g., 'ordinateurs')
  * @param {number} page - Page number
  * @param {number} limit - Products per page
  * @param {string} containerId - Container element ID
- * @returns {Promise<object>} - Category data and products
+ * @param {object} filters - Brand, price, stock, rating filters and sort order (optional,
+ *                           see product-filters.js)
+ * @param {object} options - { mode } how the other pages are shown (see GRID_MODES)
+ * @returns {Promise<object|null>} - Category data, products, active filters and facets
+ *                                   (null when a newer request replaced this one)
  * 
  * Example usage:
  *   loadProductsByCategory('ordinateurs', 1, 20, 'category-products');
+ *   loadProductsByCategory('ordinateurs', 1, 20, 'category-products', { in_stock: true });
+ *   loadProductsByCategory('ordinateurs', 1, 20, 'category-products', {}, { mode: 'load-more' });
  */
-async function loadProductsByCategory(slug, page = 1, limit = 20, containerId = 'category-products') {
+export async function loadProductsByCategory(slug, page = 1, limit = 20, containerId = 'category-products', filters = {}, { mode = 'pages' } = {}) {
     try {
+        // Cancel the previous request if it is still running
+        if (categoryController) {
+            categoryController.abort();
+            categoryController = null;
+        }
+        
         showLoading(containerId);
         
-        const endpoint = `/products/category.php?slug=${slug}&page=${page}&limit=${limit}`;
+        const endpointFor = (pageNumber) => `/products/category.php?slug=${slug}&page=${pageNumber}&limit=${limit}${filterQuery(filters)}`;
+        
+        // Load-more grids cancel their own older loads (see loadAppendedGrid)
+        const gridMode = resolveGridMode(mode);
+        if (gridMode !== 'pages') {
+            let category = null;
+            const data = await loadAppendedGrid(page, containerId, gridMode, async (pageNumber, signal) => {
+                const { data } = await apiCall(endpointFor(pageNumber), 'GET', null, { signal });
+                if (pageNumber === 1) {
+                    category = data.category;
+                }
+                return data;
+            });
+            
+            // The later pages are added under the first one, so the info stays on top
+            if (data) {
+                renderCategoryInfo(category, containerId);
+            }
+            return data;
+        }
+        
+        const controller = new AbortController();
+        categoryController = controller;
         
         // Call API
-        const response = await apiCall(endpoint, 'GET');
+        const response = await apiCall(endpointFor(page), 'GET', null, { signal: controller.signal });
         const { category, products, pagination } = response.data;
         
-        // Show category info
-        const container = document.getElementById(containerId);
-        if (container && category) {
-            const infoHtml = `
-                <div class="category-info">
-                    <h2>${category.name}</h2>
-                    ${category.description ? `<p>${category.description}</p>` : ''}
-                </div>
-            `;
-            container.innerHTML = infoHtml;
+        if (categoryController === controller) {
+            categoryController = null;
         }
         
-        // Render products
+        // Render products, under the category info
         renderProducts(products, containerId);
+        renderCategoryInfo(category, containerId);
         
-        // Render pagination
+        // Render pagination (the other pages keep the category and the filters)
         if (pagination) {
-            renderPagination(pagination, null, containerId);
+            renderPagination(pagination, null, containerId,
+                (nextPage) => loadProductsByCategory(slug, nextPage, pagination.per_page, containerId, filters, { mode }));
         }
         
         return response.data;
         
     } catch (error) {
+        // A newer request replaced this one - leave the container to it
+        if (error.code === API_ERROR_CODES.ABORTED) {
+            return null;
+        }
+        
         console.error('Error loading category products:', error);
         const container = document.getElementById(containerId);
         if (container) {
-            container.innerHTML = `<p class="error-message">${error.message}</p>`;
+            const message = error.code === API_ERROR_CODES.NOT_FOUND
+                ? 'Cette catégorie n\'existe pas ou n\'est plus disponible.'
+                : error.message;
+            container.innerHTML = html`<p class="error-message">${message}</p>`;
         }
         throw error;
     }
@@ -449,7 +954,7 @@ async function loadProductsByCategory(slug, page = 1, limit = 20, containerId =
  * Example usage:
  *   loadProductDetail(1, 'product-detail-container');
  */
-async function loadProductDetail(productId, containerId = 'product-detail') {
+export async function loadProductDetail(productId, containerId = 'product-detail') {
     try {
         showLoading(containerId);
         
@@ -468,7 +973,10 @@ async function loadProductDetail(productId, containerId = 'product-detail') {
         console.error('Error loading product detail:', error);
         const container = document.getElementById(containerId);
         if (container) {
-            container.innerHTML = `<p class="error-message">${error.message}</p>`;
+            const message = error.code === API_ERROR_CODES.NOT_FOUND
+                ? 'Product not found.'
+                : error.message;
+            container.innerHTML = html`<p class="error-message">${message}</p>`;
         }
         throw error;
     }
@@ -480,50 +988,53 @@ async function loadProductDetail(productId, containerId = 'product-detail') {
  * @param {object} product - Product data
  * @param {string} containerId - Container element ID
  */
-function renderProductDetail(product, containerId) {
+export function renderProductDetail(product, containerId) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
-    const html = `
+    container.innerHTML = html`
         <div class="product-detail-content">
             <div class="product-images">
                 <div class="main-image">
                     <img src="${product.main_image}" alt="${product.name}" 
                          id="main-product-image"
-                         onerror="this.src='images/placeholder.jpg'">
+                         data-fallback-src="images/placeholder.jpg">
                 </div>
                 
-                ${product.images && product.images.length > 1 ? `
+                ${product.images && product.images.length > 1 ? html`
                     <div class="image-thumbnails">
-                        ${product.images.map((img, idx) => `
+                        ${product.images.map((img, idx) => html`
                             <img src="${img.url}" alt="${product.name} ${idx + 1}"
-                                 onclick="document.getElementById('main-product-image').src='${img.url}'"
+                                 data-action="show-image"
                                  class="thumbnail ${img.is_primary ? 'active' : ''}">
-                        `).join('')}
+                        `)}
                     </div>
                 ` : ''}
             </div>
             
             <div class="product-details">
-                <h1>${product.name}</h1>
+                <div class="product-title">
+                    <h1>${product.name}</h1>
+                    ${renderWishlistButton(product)}
+                </div>
                 
-                ${product.brand ? `<p class="brand">Brand: <strong>${product.brand}</strong></p>` : ''}
+                ${product.brand ? html`<p class="brand">Brand: <strong>${product.brand}</strong></p>` : ''}
                 
-                ${product.category ? `<p class="category">Category: ${product.category.name}</p>` : ''}
+                ${product.category ? html`<p class="category">Category: ${product.category.name}</p>` : ''}
                 
                 <div class="product-price-section">
                     <p class="price">${formatPrice(product.price)}</p>
                 </div>
                 
                 <div class="product-stock">
-                    ${product.stock.in_stock ? `
+                    ${product.stock.in_stock ? html`
                         <span class="in-stock">✓ In Stock (${product.stock.quantity} available)</span>
-                    ` : `
+                    ` : html`
                         <span class="out-of-stock">✗ Out of Stock</span>
                     `}
                 </div>
                 
-                ${product.rating ? `
+                ${product.rating ? html`
                     <div class="product-rating">
                         <span class="stars">${'★'.repeat(Math.floor(product.rating.average))}${'☆'.repeat(5 - Math.floor(product.rating.average))}</span>
                         <span class="rating-text">${product.rating.average}/5 (${product.rating.count} reviews)</span>
@@ -535,13 +1046,14 @@ function renderProductDetail(product, containerId) {
                     <p>${product.description}</p>
                 </div>
                 
-                ${product.stock.in_stock ? `
+                ${product.stock.in_stock ? html`
                     <div class="add-to-cart-section">
                         <label for="quantity">Quantity:</label>
                         <input type="number" id="quantity" value="1" min="1" max="${product.stock.quantity}">
                         
                         <button class="btn btn-primary" 
-                                onclick="addToCartFromDetail(${product.id})">
+                                data-action="add-to-cart"
+                                data-product-id="${product.id}">
                             Add to Cart
                         </button>
                     </div>
@@ -550,7 +1062,13 @@ function renderProductDetail(product, containerId) {
         </div>
     `;
     
-    container.innerHTML = html;
+    bindActions(container, {
+        'show-image': (thumbnail) => {
+            document.getElementById('main-product-image').src = thumbnail.src;
+        },
+        'add-to-cart': (button) => addToCartFromDetail(Number(button.dataset.productId)),
+        'toggle-wishlist': (button) => toggleWishlist(Number(button.dataset.productId), button.dataset.productName)
+    });
 }
 
 // ============================================================================
@@ -564,7 +1082,7 @@ function renderProductDetail(product, containerId) {
  * @param {number} maxLength - Maximum length
  * @returns {string} - Truncated text with ellipsis
  */
-function truncateText(text, maxLength = 100) {
+export function truncateText(text, maxLength = 100) {
     if (!text) return '';
     if (text.length <= maxLength) return text;
     return text.substring(0, maxLength) + '...';
@@ -572,19 +1090,13 @@ function truncateText(text, maxLength = 100) {
 
 /**
  * Adds product to cart from product list
- * Called by "Add to Cart" button in product cards
+ * Called by the "Add to Cart" button (data-action="add-to-cart") in product cards
  * 
  * @param {number} productId - Product ID
  * @param {number} quantity - Quantity to add
  */
-async function addToCartFromList(productId, quantity) {
-    // This function is defined in cart.js
-    // It's called from the product card buttons
-    if (typeof addToCart === 'function') {
-        await addToCart(productId, quantity);
-    } else {
-        console.error('addToCart function not found. Make sure cart.js is loaded.');
-    }
+export async function addToCartFromList(productId, quantity) {
+    await addToCart(productId, quantity);
 }
 
 /**
@@ -593,25 +1105,28 @@ async function addToCartFromList(productId, quantity) {
  * 
  * @param {number} productId - Product ID
  */
-async function addToCartFromDetail(productId) {
+export async function addToCartFromDetail(productId) {
     const quantityInput = document.getElementById('quantity');
     const quantity = quantityInput ? parseInt(quantityInput.value) : 1;
     
-    if (typeof addToCart === 'function') {
-        await addToCart(productId, quantity);
-    } else {
-        console.error('addToCart function not found. Make sure cart.js is loaded.');
-    }
+    await addToCart(productId, quantity);
 }
 
 // ============================================================================
-// AUTO-INITIALIZATION
+// PAGE SETUP
 // ============================================================================
 
 /**
- * Auto-setup when DOM is ready
+ * Wires up the product features present on the current page
+ * 
+ * - Search form (#search-form) with debounced search, restored from ?q=...
+ * - Product detail (#product-detail) for ?id=...
+ * - Category listing (#category-products) for ?category=..., on the page
+ *   and with the filters of the URL (see catalogue-state.js)
+ * 
+ * Called by the entry modules of the catalogue pages (js/pages/*.js).
  */
-document.addEventListener('DOMContentLoaded', function() {
+export function initProductPage() {
     // Setup search form if it exists
     setupSearchForm();
     
@@ -626,6 +1141,13 @@ document.addEventListener('DOMContentLoaded', function() {
     // Check if we're on category page
     const categorySlug = urlParams.get('category');
     if (categorySlug && document.getElementById('category-products')) {
-        loadProductsByCategory(categorySlug);
+        // loadProductsByCategory() already shows the error in the grid
+        const loadCategory = ({ category, page, filters }) =>
+            loadProductsByCategory(category || categorySlug, page, 20, 'category-products', filters).catch(() => {});
+        
+        loadCategory(readCatalogueState());
+        
+        // Back/forward between pages of the grid
+        onCatalogueNavigation(loadCategory);
     }
-});
+}
@@ -0,0 +1,198 @@
+/**
+ * Save-for-Later Module for Carthage Tech E-commerce
+ * 
+ * Lets customers park a cart line without losing it: the line leaves the
+ * cart (so it is not in the checkout totals nor in the order created by
+ * /orders/create.php) and goes to a "Saved for later" list shown below
+ * the cart, from where it can be moved back.
+ * 
+ * Where the list lives (like the wishlist, see wishlist.js):
+ * - Logged-in users: on the server (/saved-items/view.php, add.php, remove.php),
+ *   so it follows them to other browsers and devices
+ * - Guests: in localStorage, sent to the server when they log in
+ *   (mergeGuestSavedItems, called by auth.js like mergeGuestCart)
+ * 
+ * Each saved item keeps the price it had when saved, so moving it back
+ * can tell the customer when the price changed.
+ * 
+ * Dependencies: api.js, tab-sync.js
+ */
+
+import { apiCall, callWithPostFallback, API_ERROR_CODES, isLoggedIn } from './api.js';
+import { broadcastTabEvent } from './tab-sync.js';
+
+// ============================================================================
+// GUEST STORAGE
+// ============================================================================
+
+/**
+ * localStorage key holding the guest list
+ */
+const GUEST_SAVED_ITEMS_KEY = 'savedForLater:guest';
+
+/**
+ * Reads the guest list
+ * 
+ * @returns {array} - [{ product, quantity, saved_price, saved_at }], most recent first
+ */
+function readGuestSavedItems() {
+    try {
+        const items = JSON.parse(localStorage.getItem(GUEST_SAVED_ITEMS_KEY) || '[]');
+        return Array.isArray(items) ? items : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable saved items:', error);
+        return [];
+    }
+}
+
+/**
+ * Stores the guest list (removes the key when it is empty)
+ * 
+ * @param {array} items - Saved items
+ */
+function writeGuestSavedItems(items) {
+    if (items.length === 0) {
+        localStorage.removeItem(GUEST_SAVED_ITEMS_KEY);
+    } else {
+        localStorage.setItem(GUEST_SAVED_ITEMS_KEY, JSON.stringify(items));
+    }
+}
+
+// ============================================================================
+// READING AND CHANGING THE LIST
+// ============================================================================
+
+/**
+ * Fetches the current user's saved items, most recent first
+ * 
+ * @returns {Promise<array>} - [{ product: { id, name, brand, price, image_url }, quantity, saved_price, saved_at }]
+ * 
+ * Example usage:
+ *   const saved = await getSavedItems();
+ */
+export async function getSavedItems() {
+    if (isLoggedIn()) {
+        const response = await apiCall('/saved-items/view.php', 'GET');
+        return response.data.items;
+    }
+    
+    return readGuestSavedItems();
+}
+
+/**
+ * Adds a cart line to the saved list
+ * 
+ * Saving a product that is already in the list adds up the quantities.
+ * 
+ * @param {object} cartItem - Cart item (as rendered by renderCart)
+ * @returns {Promise<void>}
+ */
+export async function saveItem(cartItem) {
+    if (isLoggedIn()) {
+        await apiCall('/saved-items/add.php', 'POST', {
+            product_id: cartItem.product.id,
+            quantity: cartItem.quantity
+        });
+        return;
+    }
+    
+    const items = readGuestSavedItems();
+    const existing = items.find(item => item.product.id === cartItem.product.id);
+    
+    if (existing) {
+        existing.quantity += cartItem.quantity;
+        existing.saved_price = cartItem.product.price;
+    } else {
+        items.unshift({
+            product: {
+                id: cartItem.product.id,
+                name: cartItem.product.name,
+                brand: cartItem.product.brand,
+                price: cartItem.product.price,
+                image_url: cartItem.product.image_url
+            },
+            quantity: cartItem.quantity,
+            saved_price: cartItem.product.price,
+            saved_at: new Date().toISOString()
+        });
+    }
+    
+    writeGuestSavedItems(items);
+}
+
+/**
+ * Removes a product from the saved list
+ * 
+ * @param {number} productId - Product ID
+ * @returns {Promise<void>}
+ */
+export async function removeSavedItem(productId) {
+    if (isLoggedIn()) {
+        await callWithPostFallback('/saved-items/remove.php', 'DELETE', { product_id: productId });
+        return;
+    }
+    
+    writeGuestSavedItems(readGuestSavedItems().filter(item => item.product.id !== productId));
+}
+
+/**
+ * Fetches the current price and stock of a saved product
+ * 
+ * Bypasses the product cache: the answer decides what goes into the cart.
+ * 
+ * @param {object} savedItem - Saved item
+ * @returns {Promise<object>} - { price, stock, priceChanged }
+ */
+export async function revalidateSavedItem(savedItem) {
+    const response = await apiCall(`/products/detail.php?id=${savedItem.product.id}`, 'GET', null, { cache: 'reload' });
+    const product = response.data.product;
+    
+    return {
+        price: product.price,
+        stock: product.stock.quantity,
+        priceChanged: Number(product.price) !== Number(savedItem.saved_price)
+    };
+}
+
+// ============================================================================
+// MERGE ON LOGIN
+// ============================================================================
+
+/**
+ * Sends the list saved while logged out to the account of the user who just logged in
+ * 
+ * /saved-items/add.php adds up the quantities of products the account
+ * already saved, and records today's price as the saved price. Items that
+ * could not be sent (network error...) stay in the guest list for next
+ * time; products that no longer exist are dropped.
+ * 
+ * @returns {Promise<number>} - Number of items sent
+ * 
+ * Example usage (right after login):
+ *   await mergeGuestSavedItems();
+ */
+export async function mergeGuestSavedItems() {
+    const remaining = [];
+    let merged = 0;
+    
+    // Oldest first, so the account's list keeps the same order (most recent first)
+    for (const item of readGuestSavedItems().reverse()) {
+        try {
+            await apiCall('/saved-items/add.php', 'POST', { product_id: item.product.id, quantity: item.quantity });
+            merged++;
+        } catch (error) {
+            if (error.code !== API_ERROR_CODES.NOT_FOUND) {
+                remaining.unshift(item);
+            }
+        }
+    }
+    
+    writeGuestSavedItems(remaining);
+    
+    // The saved list is shown on the cart page of the other tabs
+    if (merged > 0) {
+        broadcastTabEvent('cart');
+    }
+    
+    return merged;
+}
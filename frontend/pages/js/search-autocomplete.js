@@ -0,0 +1,550 @@
+/**
+ * Header Search Autocomplete Module for Carthage Tech E-commerce
+ * 
+ * Turns the search box of the header (form.search) into a combobox.
+ * While the customer types, a dropdown suggests:
+ * - products (thumbnail, name and price) from /products/search.php, or
+ *   from the client-side index when it is enabled (search-index.js)
+ * - categories whose name matches, or that contain matching products
+ * - the customer's recent searches (also shown on focus, before typing)
+ * 
+ * It follows the WAI-ARIA combobox pattern: the focus stays in the input,
+ * which points at the highlighted suggestion with aria-activedescendant
+ * so screen readers announce it. Keys:
+ * - ↓ / ↑: move through the suggestions (↓ also opens the list)
+ * - Enter: open the highlighted suggestion, or search for what was typed
+ * - Escape: close the list; a second Escape clears the box
+ * 
+ * Full queries go to the results page (recherche.html?q=...). The header
+ * forms submit there natively too, so searching also works before this
+ * module has loaded.
+ * 
+ * Dependencies: api.js, html.js, actions.js, search-index.js
+ */
+
+import { API_ERROR_CODES, formatPrice } from './api.js';
+import { html, raw } from './html.js';
+import { bindActions } from './actions.js';
+import { findProducts, foldText, minSearchLength } from './search-index.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * Results page of full queries
+ */
+const SEARCH_PAGE = 'recherche.html';
+
+/**
+ * Wait after the last keystroke before asking for suggestions (ms)
+ */
+const SUGGEST_DELAY = 250;
+
+/**
+ * Number of product suggestions
+ */
+const SUGGESTED_PRODUCTS = 5;
+
+/**
+ * localStorage key and size of the recent searches
+ */
+const RECENT_SEARCHES_KEY = 'recentSearches';
+const RECENT_SEARCHES_LIMIT = 5;
+
+/**
+ * Categories that have a page, with the words customers use for them
+ */
+const CATEGORY_PAGES = [
+    { slug: 'ordinateurs', name: 'Ordinateurs', href: 'ordinateurs.html', keywords: ['ordinateur', 'pc', 'portable', 'laptop'] },
+    { slug: 'accessoires', name: 'Accessoires', href: 'accessoires.html', keywords: ['accessoire', 'souris', 'clavier', 'casque', 'webcam'] },
+    { slug: 'reseaux', name: 'Réseaux', href: 'reseaux.html', keywords: ['reseau', 'routeur', 'wifi', 'switch', 'network'] }
+];
+
+const THUMBNAIL_ICON = raw('<svg xmlns="http://www.w3.org/2000/svg" width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><rect x="3" y="3" width="18" height="18" rx="2"/><circle cx="8.5" cy="8.5" r="1.5"/><path d="M21 15l-5-5L5 21"/></svg>');
+const RECENT_ICON = raw('<svg xmlns="http://www.w3.org/2000/svg" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" aria-hidden="true"><circle cx="12" cy="12" r="9"/><path d="M12 7v5l3 3"/></svg>');
+
+// ============================================================================
+// RECENT SEARCHES
+// ============================================================================
+
+/**
+ * Returns the customer's recent searches, most recent first
+ * 
+ * @returns {string[]}
+ */
+export function getRecentSearches() {
+    try {
+        const searches = JSON.parse(localStorage.getItem(RECENT_SEARCHES_KEY));
+        return Array.isArray(searches) ? searches.filter((search) => typeof search === 'string') : [];
+    } catch (error) {
+        return [];
+    }
+}
+
+/**
+ * Remembers a search (moved to the top when it was already there)
+ * 
+ * @param {string} query - What the customer searched for
+ */
+export function addRecentSearch(query) {
+    const search = String(query || '').trim();
+    if (search.length < minSearchLength()) {
+        return;
+    }
+    
+    const searches = getRecentSearches().filter((previous) => previous.toLowerCase() !== search.toLowerCase());
+    searches.unshift(search);
+    localStorage.setItem(RECENT_SEARCHES_KEY, JSON.stringify(searches.slice(0, RECENT_SEARCHES_LIMIT)));
+}
+
+/**
+ * Forgets the recent searches
+ */
+export function clearRecentSearches() {
+    localStorage.removeItem(RECENT_SEARCHES_KEY);
+}
+
+/**
+ * URL of the results page for a query
+ * 
+ * @param {string} query - Search query
+ * @returns {string} - "recherche.html?q=..."
+ */
+export function searchPageUrl(query) {
+    return `${SEARCH_PAGE}?q=${encodeURIComponent(query.trim())}`;
+}
+
+// ============================================================================
+// SUGGESTIONS
+// ============================================================================
+
+/**
+ * Puts the part of a name that matches the query in <mark>
+ * 
+ * @param {string} text - Product or category name
+ * @param {string} query - What was typed
+ * @returns {SafeHtml}
+ */
+function highlightMatch(text, query) {
+    const folded = foldText(text);
+    const start = folded.indexOf(foldText(query).trim());
+    
+    // Folding keeps the length of composed text; anything else is shown as is
+    if (start === -1 || folded.length !== text.length || !query.trim()) {
+        return html`${text}`;
+    }
+    const end = start + foldText(query).trim().length;
+    return html`${text.slice(0, start)}<mark>${text.slice(start, end)}</mark>${text.slice(end)}`;
+}
+
+/**
+ * Categories to suggest: the ones whose name matches, then the ones that
+ * contain the suggested products
+ * 
+ * @param {string} query - What was typed
+ * @param {Array} products - Suggested products (with their category)
+ * @returns {Array} - [{ name, href, count }]
+ */
+function matchingCategories(query, products) {
+    const needle = foldText(query).trim();
+    
+    return CATEGORY_PAGES
+        .map((category) => ({
+            ...category,
+            count: products.filter((product) => product.category && product.category.slug === category.slug).length,
+            named: [category.name, category.slug, ...category.keywords].some((word) => {
+                const folded = foldText(word);
+                return folded.startsWith(needle) || needle.startsWith(folded);
+            })
+        }))
+        .filter((category) => category.named || category.count > 0)
+        .sort((a, b) => Number(b.named) - Number(a.named) || b.count - a.count);
+}
+
+/**
+ * Builds the suggestion list shown for a query
+ * 
+ * @param {string} query - What was typed
+ * @param {Array} products - Products from /products/search.php or the index ([] under minSearchLength())
+ * @returns {Array} - Groups: [{ id, label, options: [{ kind, label, query?, href?, product? }] }]
+ */
+function buildSuggestions(query, products) {
+    const typed = query.trim();
+    const groups = [];
+    
+    // Too short to search: recent searches only (what the customer might want again)
+    const recent = getRecentSearches()
+        .filter((search) => !typed || foldText(search).startsWith(foldText(typed)))
+        .slice(0, typed ? 3 : RECENT_SEARCHES_LIMIT);
+    
+    if (typed.length >= minSearchLength()) {
+        if (products.length > 0) {
+            groups.push({
+                id: 'products',
+                label: 'Produits',
+                options: products.map((product) => ({ kind: 'product', label: product.name, product }))
+            });
+        }
+        
+        const categories = matchingCategories(typed, products);
+        if (categories.length > 0) {
+            groups.push({
+                id: 'categories',
+                label: 'Catégories',
+                options: categories.map((category) => ({
+                    kind: 'category',
+                    label: category.name,
+                    href: category.href,
+                    count: category.count
+                }))
+            });
+        }
+    }
+    
+    if (recent.length > 0) {
+        groups.push({
+            id: 'recent',
+            label: 'Recherches récentes',
+            options: [
+                ...recent.map((search) => ({ kind: 'recent', label: search, query: search })),
+                ...(typed ? [] : [{ kind: 'clear-recent', label: 'Effacer les recherches récentes' }])
+            ]
+        });
+    }
+    
+    if (typed.length >= minSearchLength()) {
+        groups.push({
+            id: 'all',
+            label: 'Recherche',
+            options: [{ kind: 'all', label: `Voir tous les résultats pour « ${typed} »`, query: typed }]
+        });
+    }
+    
+    return groups;
+}
+
+/**
+ * Renders one suggestion
+ * 
+ * @param {object} option - Suggestion from buildSuggestions()
+ * @param {string} id - Element ID (for aria-activedescendant)
+ * @param {number} index - Position in the flat list
+ * @param {string} query - What was typed (highlighted in names)
+ * @returns {SafeHtml}
+ */
+function renderOption(option, id, index, query) {
+    const attributes = html`id="${id}" role="option" aria-selected="false" data-action="open-suggestion" data-index="${index}"`;
+    
+    if (option.kind === 'product') {
+        const { product } = option;
+        return html`
+            <div ${attributes} class="suggestion suggestion-product">
+                <span class="suggestion-thumb" aria-hidden="true">
+                    ${product.image_url ? html`<img src="${product.image_url}" alt="" loading="lazy">` : THUMBNAIL_ICON}
+                </span>
+                <span class="suggestion-name">${highlightMatch(product.name, query)}</span>
+                <span class="suggestion-price">${formatPrice(product.price)}</span>
+            </div>
+        `;
+    }
+    
+    if (option.kind === 'category') {
+        return html`
+            <div ${attributes} class="suggestion suggestion-category">
+                <span class="suggestion-name">${highlightMatch(option.label, query)}</span>
+                ${option.count > 0 ? html`<span class="suggestion-count">${option.count} produit${option.count > 1 ? 's' : ''}</span>` : ''}
+            </div>
+        `;
+    }
+    
+    if (option.kind === 'recent') {
+        return html`
+            <div ${attributes} class="suggestion suggestion-recent">
+                <span class="suggestion-icon" aria-hidden="true">${RECENT_ICON}</span>
+                <span class="suggestion-name">${option.label}</span>
+            </div>
+        `;
+    }
+    
+    return html`<div ${attributes} class="suggestion suggestion-${option.kind}">${option.label}</div>`;
+}
+
+// ============================================================================
+// COMBOBOX
+// ============================================================================
+
+/**
+ * Goes to another page (kept apart so it is the only way out of the module)
+ * 
+ * @param {string} url
+ */
+function navigateTo(url) {
+    window.location.assign(url);
+}
+
+/**
+ * Adds search-as-you-type suggestions to the header search box
+ * 
+ * Called by initPage() (app.js) on every page; does nothing on pages
+ * without the header search form.
+ * 
+ * @param {string} formSelector - Search form (default: the header's form.search)
+ * 
+ * Example usage:
+ *   initHeaderSearch();
+ */
+export function initHeaderSearch(formSelector = 'form.search') {
+    const form = document.querySelector(formSelector);
+    const input = form ? form.querySelector('input[type="search"]') : null;
+    if (!form || !input || form.dataset.autocomplete === 'on') {
+        return;
+    }
+    form.dataset.autocomplete = 'on';
+    
+    const listId = 'header-search-suggestions';
+    
+    const listbox = document.createElement('div');
+    listbox.id = listId;
+    listbox.className = 'search-suggestions';
+    listbox.setAttribute('role', 'listbox');
+    listbox.setAttribute('aria-label', 'Suggestions de recherche');
+    listbox.hidden = true;
+    
+    const status = document.createElement('div');
+    status.className = 'sr-only';
+    status.setAttribute('role', 'status');
+    status.setAttribute('aria-live', 'polite');
+    
+    form.classList.add('has-suggestions');
+    form.append(listbox, status);
+    
+    input.setAttribute('role', 'combobox');
+    input.setAttribute('aria-autocomplete', 'list');
+    input.setAttribute('aria-expanded', 'false');
+    input.setAttribute('aria-controls', listId);
+    input.setAttribute('autocomplete', 'off');
+    
+    // What the list currently offers
+    let options = [];
+    let activeIndex = -1;
+    let lastProducts = [];
+    let lastQuery = '';
+    
+    let debounceTimer = null;
+    let controller = null;
+    
+    const isOpen = () => !listbox.hidden;
+    
+    const close = () => {
+        listbox.hidden = true;
+        input.setAttribute('aria-expanded', 'false');
+        input.removeAttribute('aria-activedescendant');
+        activeIndex = -1;
+    };
+    
+    const setActive = (index) => {
+        const previous = listbox.querySelector('[aria-selected="true"]');
+        if (previous) {
+            previous.setAttribute('aria-selected', 'false');
+        }
+        
+        activeIndex = index;
+        if (index < 0) {
+            input.removeAttribute('aria-activedescendant');
+            return;
+        }
+        
+        const element = document.getElementById(`${listId}-${index}`);
+        element.setAttribute('aria-selected', 'true');
+        input.setAttribute('aria-activedescendant', element.id);
+        if (element.scrollIntoView) {
+            element.scrollIntoView({ block: 'nearest' });
+        }
+    };
+    
+    const render = (query, products) => {
+        const groups = buildSuggestions(query, products);
+        options = groups.flatMap((group) => group.options);
+        activeIndex = -1;
+        input.removeAttribute('aria-activedescendant');
+        
+        if (options.length === 0) {
+            close();
+            return;
+        }
+        
+        let index = 0;
+        listbox.innerHTML = html`${groups.map((group) => html`
+            <div role="group" aria-labelledby="${listId}-${group.id}" class="suggestion-group">
+                <div role="presentation" id="${listId}-${group.id}" class="suggestion-heading">${group.label}</div>
+                ${group.options.map((option) => {
+                    const rendered = renderOption(option, `${listId}-${index}`, index, query);
+                    index += 1;
+                    return rendered;
+                })}
+            </div>
+        `)}`;
+        
+        listbox.hidden = false;
+        input.setAttribute('aria-expanded', 'true');
+        
+        const productCount = products.length;
+        status.textContent = query.trim().length >= minSearchLength()
+            ? `${productCount} produit${productCount > 1 ? 's' : ''} suggéré${productCount > 1 ? 's' : ''}. Utilisez les flèches pour parcourir les suggestions.`
+            : 'Recherches récentes disponibles. Utilisez les flèches pour les parcourir.';
+    };
+    
+    // Asks for product suggestions once the customer pauses
+    const suggest = async (query) => {
+        if (controller) {
+            controller.abort();
+            controller = null;
+        }
+        
+        if (query.trim().length < minSearchLength()) {
+            lastQuery = query;
+            lastProducts = [];
+            render(query, []);
+            return;
+        }
+        
+        const current = new AbortController();
+        controller = current;
+        
+        try {
+            // The index, or the server when it can't be loaded
+            lastProducts = await findProducts(query.trim(), SUGGESTED_PRODUCTS, { signal: current.signal });
+        } catch (error) {
+            // A newer keystroke replaced this request
+            if (error.code === API_ERROR_CODES.ABORTED) {
+                return;
+            }
+            // Suggestions are a convenience: still offer the full search
+            lastProducts = [];
+        }
+        
+        if (controller === current) {
+            controller = null;
+        }
+        
+        // The box may have changed or lost the focus in the meantime
+        if (input.value !== query || document.activeElement !== input) {
+            return;
+        }
+        
+        lastQuery = query;
+        render(query, lastProducts);
+    };
+    
+    const activate = (option) => {
+        close();
+        const typed = input.value.trim();
+        
+        switch (option.kind) {
+            case 'clear-recent':
+                clearRecentSearches();
+                input.focus();
+                status.textContent = 'Recherches récentes effacées.';
+                return;
+            case 'recent':
+            case 'all':
+                addRecentSearch(option.query);
+                navigateTo(searchPageUrl(option.query));
+                return;
+            case 'product':
+                // No product page yet: the results page shows it with its Add to cart button
+                addRecentSearch(typed);
+                navigateTo(searchPageUrl(option.product.name));
+                return;
+            case 'category':
+                addRecentSearch(typed);
+                navigateTo(option.href);
+                return;
+        }
+    };
+    
+    input.addEventListener('input', () => {
+        clearTimeout(debounceTimer);
+        const query = input.value;
+        debounceTimer = setTimeout(() => suggest(query), SUGGEST_DELAY);
+    });
+    
+    // Recent searches as soon as the box gets the focus
+    input.addEventListener('focus', () => {
+        if (!isOpen() && input.value.trim().length < minSearchLength()) {
+            render(input.value, []);
+        }
+    });
+    
+    input.addEventListener('keydown', (event) => {
+        switch (event.key) {
+            case 'ArrowDown':
+                event.preventDefault();
+                if (!isOpen()) {
+                    render(input.value, lastQuery === input.value ? lastProducts : []);
+                    if (!isOpen()) {
+                        return;
+                    }
+                }
+                setActive(activeIndex + 1 >= options.length ? 0 : activeIndex + 1);
+                break;
+            
+            case 'ArrowUp':
+                if (isOpen()) {
+                    event.preventDefault();
+                    setActive(activeIndex <= 0 ? options.length - 1 : activeIndex - 1);
+                }
+                break;
+            
+            case 'Enter':
+                if (isOpen() && activeIndex >= 0) {
+                    event.preventDefault();
+                    activate(options[activeIndex]);
+                }
+                break;
+            
+            case 'Escape':
+                if (isOpen()) {
+                    event.preventDefault();
+                    close();
+                } else if (input.value) {
+                    event.preventDefault();
+                    input.value = '';
+                }
+                break;
+            
+            case 'Tab':
+                close();
+                break;
+        }
+    });
+    
+    // Full query: remembered, then the form goes to the results page
+    form.addEventListener('submit', (event) => {
+        const query = input.value.trim();
+        if (!query) {
+            return; // main.js asks for a search term
+        }
+        
+        event.preventDefault();
+        clearTimeout(debounceTimer);
+        close();
+        addRecentSearch(query);
+        navigateTo(searchPageUrl(query));
+    });
+    
+    // Clicking a suggestion must not take the focus away from the box first
+    listbox.addEventListener('mousedown', (event) => event.preventDefault());
+    
+    bindActions(listbox, {
+        'open-suggestion': (element) => activate(options[Number(element.dataset.index)])
+    });
+    
+    // Leaving the search box closes the list
+    form.addEventListener('focusout', (event) => {
+        if (!form.contains(event.relatedTarget)) {
+            close();
+        }
+    });
+}
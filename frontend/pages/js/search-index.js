@@ -0,0 +1,621 @@
+/**
+ * Client-side Search Index for Carthage Tech E-commerce
+ * 
+ * /products/search.php only finds products whose name or description
+ * contains the query as typed. Customers don't always type that way:
+ * "assus rg" for "Asus ROG", "reseau" for "Réseau", "laptop" for an
+ * "Ordinateur portable". This module searches the catalogue in the
+ * browser instead, so results come back instantly and forgive:
+ * - typos: one wrong, missing, extra or swapped letter (two in long
+ *   words, none under 4 letters except a missing one: "rg" → "rog")
+ * - accents and case: "ecran" finds "Écran"
+ * - unfinished words: "lapt" finds "laptop" while the customer types,
+ *   from the first letter
+ * - French / English: "ordinateur portable" ↔ "laptop", "souris" ↔ "mouse", ...
+ * 
+ * The index is the product list (/products/list.php, every page of it),
+ * kept in IndexedDB so it is only downloaded again once it is older than
+ * SEARCH_INDEX_MAX_AGE. Without IndexedDB (private browsing, file://) it
+ * is rebuilt once per page load.
+ * 
+ * Results are ranked by where the words were found (name and brand
+ * first, then category name, slug and description, then product
+ * description), how closely they matched,
+ * and then bestsellers and ratings.
+ * 
+ * The index is optional: findProducts() - behind searchProducts()
+ * (products.js) and the header suggestions - uses it when
+ * isSearchIndexEnabled(), i.e. when the page or the site sets it on:
+ *   <meta name="search-index" content="on">
+ *   <script>window.CARTHAGE_TECH_CONFIG = { searchIndex: true };</script>
+ * 
+ * Dependencies: api.js, config.js
+ */
+
+import { apiCall } from './api.js';
+import { getAppConfig } from './config.js';
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * IndexedDB database holding the downloaded product list
+ */
+const SEARCH_INDEX_DB = {
+    name: 'carthage-tech-search-index',
+    version: 1,
+    store: 'indexes',
+    key: 'products'
+};
+
+/**
+ * Milliseconds a downloaded product list is searched before it is downloaded again
+ */
+const SEARCH_INDEX_MAX_AGE = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Products per request while building the index (list.php's maximum),
+ * and how many pages at most (a catalogue bigger than that should be
+ * searched by the server)
+ */
+const SEARCH_INDEX_PAGE_SIZE = 100;
+const SEARCH_INDEX_MAX_PAGES = 20;
+
+/**
+ * How much a word found in each field counts
+ */
+const SEARCH_FIELD_WEIGHTS = {
+    name: 3,
+    brand: 3,
+    category: 2,
+    description: 1
+};
+
+/**
+ * Shortest query searched: /products/search.php refuses a single letter,
+ * the index completes it ("a" → "Asus", "Apple", ...)
+ */
+const SEARCH_MIN_LENGTH = { server: 2, index: 1 };
+
+/**
+ * Words and phrases that mean the same thing (written folded: lower
+ * case, no accents). A query containing one also finds the others.
+ * 
+ * Product names rarely say "portable" or "bureau": laptops and desktops
+ * are found through their category, "ordinateurs".
+ */
+const SEARCH_SYNONYMS = [
+    ['ordinateur portable', 'pc portable', 'portable', 'laptop', 'notebook', 'ordinateurs'],
+    ['ordinateur de bureau', 'pc de bureau', 'pc fixe', 'desktop', 'ordinateurs'],
+    ['ordinateur', 'ordi', 'pc', 'computer'],
+    ['souris', 'mouse'],
+    ['clavier', 'keyboard'],
+    ['ecran', 'moniteur', 'monitor', 'screen'],
+    ['casque', 'ecouteurs', 'headset', 'headphones'],
+    ['haut parleur', 'enceinte', 'speaker'],
+    ['routeur', 'router'],
+    ['commutateur', 'switch'],
+    ['point d acces', 'access point'],
+    ['reseau', 'reseaux', 'network', 'networking'],
+    ['sans fil', 'wireless', 'wifi', 'wi fi'],
+    ['cable', 'cordon', 'cord'],
+    ['chargeur', 'alimentation', 'charger', 'adaptateur secteur'],
+    ['disque dur', 'hard drive', 'hdd'],
+    ['cle usb', 'usb key', 'flash drive'],
+    ['carte graphique', 'graphics card', 'gpu'],
+    ['imprimante', 'printer'],
+    ['tablette', 'tablet'],
+    ['sacoche', 'sac', 'bag'],
+    ['manette', 'controller', 'gamepad'],
+    ['jeu', 'jeux', 'gaming', 'gamer']
+];
+
+/**
+ * Where synonym phrases are looked up: first word → phrases starting with it
+ */
+const SEARCH_SYNONYM_PHRASES = new Map();
+for (const group of SEARCH_SYNONYMS) {
+    for (const phrase of group) {
+        const words = phrase.split(' ');
+        if (!SEARCH_SYNONYM_PHRASES.has(words[0])) {
+            SEARCH_SYNONYM_PHRASES.set(words[0], []);
+        }
+        SEARCH_SYNONYM_PHRASES.get(words[0]).push({ words, group });
+    }
+}
+
+/**
+ * Index of this page, once loaded (Promise, so parallel searches share it)
+ */
+let searchIndexPromise = null;
+
+// ============================================================================
+// TEXT
+// ============================================================================
+
+/**
+ * Lower case without accents, so "reseau" finds "Réseaux"
+ * 
+ * @param {string} text
+ * @returns {string}
+ */
+export function foldText(text) {
+    return String(text || '').normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+}
+
+/**
+ * Splits text into folded words ("Écran 27\" Full-HD" → ['ecran', '27', 'full', 'hd'])
+ * 
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+    return foldText(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Number of typos allowed in a word of that length
+ * 
+ * @param {number} length - Length of the typed word
+ * @returns {number}
+ */
+function allowedTypos(length) {
+    if (length < 4) return 0;
+    if (length < 6) return 1;
+    return 2;
+}
+
+/**
+ * Tells whether a short word is a catalogue word with one letter left
+ * out after the first: "rg" → "rog", but not "hp" → "hd"
+ * 
+ * @param {string} typed - Folded word of the query
+ * @param {string} word - Folded word of a product
+ * @returns {boolean}
+ */
+function isMissingLetter(typed, word) {
+    if (word.length !== typed.length + 1 || typed[0] !== word[0]) {
+        return false;
+    }
+    for (let i = 1; i < word.length; i++) {
+        if (word.slice(0, i) + word.slice(i + 1) === typed) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Edit distance between two words, counting a swap of two neighbouring
+ * letters as one typo (optimal string alignment)
+ * 
+ * Gives up early and returns max + 1 once the distance is known to be
+ * bigger than max.
+ * 
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max - Largest distance of interest
+ * @returns {number}
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) {
+        return max + 1;
+    }
+    
+    let previousRow = null;
+    let row = Array.from({ length: b.length + 1 }, (_, j) => j);
+    
+    for (let i = 1; i <= a.length; i++) {
+        const nextRow = [i];
+        let rowMin = i;
+        
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let distance = Math.min(row[j] + 1, nextRow[j - 1] + 1, row[j - 1] + cost);
+            
+            if (previousRow && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                distance = Math.min(distance, previousRow[j - 2] + 1);
+            }
+            
+            nextRow.push(distance);
+            rowMin = Math.min(rowMin, distance);
+        }
+        
+        if (rowMin > max) {
+            return max + 1;
+        }
+        previousRow = row;
+        row = nextRow;
+    }
+    
+    return row[b.length];
+}
+
+/**
+ * How well a typed word matches a word of the catalogue
+ * 
+ * @param {string} typed - Folded word of the query
+ * @param {string} word - Folded word of a product
+ * @returns {number} - 1 for the same word, down to 0 for no match
+ */
+function wordMatchScore(typed, word) {
+    if (typed === word) {
+        return 1;
+    }
+    
+    // Still being typed: "lapt" → "laptop", "a" → "asus"
+    if (word.startsWith(typed)) {
+        return 0.8;
+    }
+    
+    const typos = allowedTypos(typed.length);
+    if (typos === 0) {
+        return typed.length >= 2 && isMissingLetter(typed, word) ? 0.6 : 0;
+    }
+    
+    const distance = editDistance(typed, word, typos);
+    if (distance <= typos) {
+        return distance === 1 ? 0.6 : 0.45;
+    }
+    
+    // A typo in a word still being typed: "lpato" → "laptop"
+    if (typed.length >= 4 && word.length > typed.length
+        && editDistance(typed, word.slice(0, typed.length), 1) <= 1) {
+        return 0.4;
+    }
+    
+    return 0;
+}
+
+// ============================================================================
+// QUERIES
+// ============================================================================
+
+/**
+ * Turns a query into terms, each with the phrases that satisfy it
+ * 
+ * A word or phrase from SEARCH_SYNONYMS is replaced by its whole group:
+ * "ordinateur portable asus" gives two terms,
+ * [ordinateur portable | pc portable | laptop | ...] and [asus].
+ * 
+ * @param {string} query - What the customer typed
+ * @returns {Array<Array<string[]>>} - Terms → alternative phrases → words
+ */
+function parseQuery(query) {
+    const words = tokenize(query);
+    const terms = [];
+    
+    for (let i = 0; i < words.length;) {
+        // Longest synonym phrase starting here
+        const candidates = (SEARCH_SYNONYM_PHRASES.get(words[i]) || [])
+            .filter(({ words: phrase }) => phrase.every((word, offset) => words[i + offset] === word))
+            .sort((a, b) => b.words.length - a.words.length);
+        
+        if (candidates.length > 0) {
+            terms.push(candidates[0].group.map((phrase) => phrase.split(' ')));
+            i += candidates[0].words.length;
+        } else {
+            terms.push([[words[i]]]);
+            i += 1;
+        }
+    }
+    
+    return terms;
+}
+
+/**
+ * Words of a product, by field
+ * 
+ * @param {object} product - Product as returned by list.php
+ * @returns {object} - { name: string[], brand: string[], category: string[], description: string[] }
+ */
+function productFields(product) {
+    const category = product.category || {};
+    
+    return {
+        name: tokenize(product.name),
+        brand: tokenize(product.brand),
+        category: tokenize([category.name, category.slug, category.description].join(' ')),
+        description: tokenize(product.description)
+    };
+}
+
+/**
+ * Prepares a downloaded product list for searching
+ * 
+ * @param {Array} products - Products as returned by list.php
+ * @param {number} builtAt - When they were downloaded (timestamp)
+ * @returns {object} - { builtAt, products, documents, vocabulary }
+ */
+function createIndex(products, builtAt) {
+    const documents = products.map((product) => ({
+        product,
+        fields: productFields(product),
+        name: foldText(product.name)
+    }));
+    
+    const vocabulary = new Set();
+    for (const document of documents) {
+        for (const words of Object.values(document.fields)) {
+            words.forEach((word) => vocabulary.add(word));
+        }
+    }
+    
+    return { builtAt, products, documents, vocabulary: [...vocabulary] };
+}
+
+/**
+ * Searches an index
+ * 
+ * Every term of the query must be found in the product (in any field);
+ * products are then sorted by score.
+ * 
+ * @param {object} index - Index from loadSearchIndex()
+ * @param {string} query - What the customer typed
+ * @param {number} limit - Max results (default: 50)
+ * @returns {Array} - Matching products, best first
+ * 
+ * Example usage:
+ *   const index = await loadSearchIndex();
+ *   querySearchIndex(index, 'assus rg', 10);   // Asus ROG laptops first
+ */
+export function querySearchIndex(index, query, limit = 50) {
+    const terms = parseQuery(query);
+    if (terms.length === 0) {
+        return [];
+    }
+    
+    // Each typed word is compared once with every word of the catalogue,
+    // not once per product
+    const wordScores = new Map();
+    const scoresOf = (typed) => {
+        if (!wordScores.has(typed)) {
+            const scores = new Map();
+            for (const word of index.vocabulary) {
+                const score = wordMatchScore(typed, word);
+                if (score > 0) {
+                    scores.set(word, score);
+                }
+            }
+            wordScores.set(typed, scores);
+        }
+        return wordScores.get(typed);
+    };
+    
+    // Best score of one word in one document (weighted by field)
+    const wordInDocument = (typed, document) => {
+        const scores = scoresOf(typed);
+        let best = 0;
+        for (const [field, words] of Object.entries(document.fields)) {
+            for (const word of words) {
+                const score = (scores.get(word) || 0) * SEARCH_FIELD_WEIGHTS[field];
+                best = Math.max(best, score);
+            }
+        }
+        return best;
+    };
+    
+    const foldedQuery = tokenize(query).join(' ');
+    const results = [];
+    
+    for (const document of index.documents) {
+        let total = 0;
+        
+        const allTermsFound = terms.every((alternatives) => {
+            // A phrase counts when all its words are found; keep its weakest word
+            const best = Math.max(...alternatives.map((phrase) => Math.min(...phrase.map((typed) => wordInDocument(typed, document)))));
+            total += best;
+            return best > 0;
+        });
+        
+        if (!allTermsFound) {
+            continue;
+        }
+        
+        // The whole query in the name, as typed: the closest match there is
+        if (foldedQuery && tokenize(document.name).join(' ').includes(foldedQuery)) {
+            total += 2;
+        }
+        
+        results.push({ product: document.product, score: total });
+    }
+    
+    return results
+        .sort((a, b) => b.score - a.score
+            || Number(b.product.is_bestseller) - Number(a.product.is_bestseller)
+            || (b.product.rating || 0) - (a.product.rating || 0)
+            || a.product.name.localeCompare(b.product.name))
+        .slice(0, limit)
+        .map((result) => result.product);
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Runs an operation on the index object store
+ * 
+ * Failures are logged and swallowed: without IndexedDB the index is
+ * simply rebuilt on every page load.
+ * 
+ * @param {string} mode - 'readonly' or 'readwrite'
+ * @param {function} operation - Receives the object store, returns an IDBRequest
+ * @returns {Promise<any>} - The request's result, or null on failure
+ */
+function withSearchIndexStore(mode, operation) {
+    return new Promise((resolve) => {
+        if (typeof indexedDB === 'undefined') {
+            resolve(null);
+            return;
+        }
+        
+        const fail = (error) => {
+            console.warn('Search index: IndexedDB unavailable', error);
+            resolve(null);
+        };
+        
+        let openRequest;
+        try {
+            openRequest = indexedDB.open(SEARCH_INDEX_DB.name, SEARCH_INDEX_DB.version);
+        } catch (error) {
+            // Some browsers throw instead of failing the request (e.g. file://)
+            resolve(null);
+            return;
+        }
+        
+        openRequest.onupgradeneeded = () => {
+            openRequest.result.createObjectStore(SEARCH_INDEX_DB.store, { keyPath: 'key' });
+        };
+        openRequest.onerror = () => fail(openRequest.error);
+        openRequest.onsuccess = () => {
+            const database = openRequest.result;
+            try {
+                const idbRequest = operation(database.transaction(SEARCH_INDEX_DB.store, mode).objectStore(SEARCH_INDEX_DB.store));
+                idbRequest.onsuccess = () => {
+                    resolve(idbRequest.result);
+                    database.close();
+                };
+                idbRequest.onerror = () => {
+                    fail(idbRequest.error);
+                    database.close();
+                };
+            } catch (error) {
+                fail(error);
+                database.close();
+            }
+        };
+    });
+}
+
+/**
+ * Downloads the whole product list, page by page
+ * 
+ * @returns {Promise<Array>} - Products as returned by list.php
+ */
+async function downloadProducts() {
+    const products = [];
+    
+    for (let page = 1; page <= SEARCH_INDEX_MAX_PAGES; page++) {
+        const response = await apiCall(`/products/list.php?page=${page}&limit=${SEARCH_INDEX_PAGE_SIZE}`);
+        products.push(...response.data.products);
+        
+        if (!response.data.pagination || page >= response.data.pagination.total_pages) {
+            return products;
+        }
+    }
+    
+    console.warn(`Search index: catalogue bigger than ${SEARCH_INDEX_MAX_PAGES * SEARCH_INDEX_PAGE_SIZE} products, the rest is not indexed`);
+    return products;
+}
+
+/**
+ * Loads the search index: from this page, then IndexedDB, then the API
+ * 
+ * @param {object} options - { refresh: true } to download the product list again
+ * @returns {Promise<object>} - Index to pass to querySearchIndex()
+ * 
+ * Example usage:
+ *   const index = await loadSearchIndex();
+ *   const products = querySearchIndex(index, 'routeur wifi');
+ */
+export function loadSearchIndex({ refresh = false } = {}) {
+    if (searchIndexPromise && !refresh) {
+        return searchIndexPromise;
+    }
+    
+    const loading = (async () => {
+        const stored = refresh
+            ? null
+            : await withSearchIndexStore('readonly', (store) => store.get(SEARCH_INDEX_DB.key));
+        
+        if (stored && Date.now() - stored.builtAt < SEARCH_INDEX_MAX_AGE) {
+            return createIndex(stored.products, stored.builtAt);
+        }
+        
+        const products = await downloadProducts();
+        const builtAt = Date.now();
+        await withSearchIndexStore('readwrite', (store) => store.put({ key: SEARCH_INDEX_DB.key, builtAt, products }));
+        
+        return createIndex(products, builtAt);
+    })();
+    
+    searchIndexPromise = loading;
+    
+    // A failed download is tried again by the next search
+    loading.catch(() => {
+        if (searchIndexPromise === loading) {
+            searchIndexPromise = null;
+        }
+    });
+    
+    return loading;
+}
+
+/**
+ * Forgets the downloaded product list (the next search downloads it again)
+ * 
+ * @returns {Promise<void>}
+ */
+export async function clearSearchIndex() {
+    searchIndexPromise = null;
+    await withSearchIndexStore('readwrite', (store) => store.delete(SEARCH_INDEX_DB.key));
+}
+
+/**
+ * Finds the products matching a query
+ * 
+ * Uses the index when asked to, so typos and synonyms are forgiven;
+ * falls back to /products/search.php when the index can't be loaded.
+ * The server refuses single letters: a query that short then finds
+ * nothing instead of failing.
+ * 
+ * @param {string} query - Search term (trimmed)
+ * @param {number} limit - Max results
+ * @param {object} options - { signal } cancels the API request,
+ *                           { useIndex } searches the index (default: when enabled)
+ * @returns {Promise<Array>} - Matching products, best first
+ * 
+ * Example usage:
+ *   const products = await findProducts('assus rg', 5, { signal: controller.signal });
+ */
+export async function findProducts(query, limit, { signal = null, useIndex = isSearchIndexEnabled() } = {}) {
+    if (useIndex) {
+        try {
+            return querySearchIndex(await loadSearchIndex(), query, limit);
+        } catch (error) {
+            console.warn('Search index unavailable, searching on the server:', error);
+        }
+        
+        if (query.length < minSearchLength(false)) {
+            return [];
+        }
+    }
+    
+    const endpoint = `/products/search.php?q=${encodeURIComponent(query)}&limit=${limit}`;
+    const response = await apiCall(endpoint, 'GET', null, { signal });
+    return response.data.products || [];
+}
+
+/**
+ * Shortest query worth searching
+ * 
+ * @param {boolean} useIndex - Whether the search goes through the index (default: when enabled)
+ * @returns {number} - 1 with the index, 2 on the server
+ */
+export function minSearchLength(useIndex = isSearchIndexEnabled()) {
+    return useIndex ? SEARCH_MIN_LENGTH.index : SEARCH_MIN_LENGTH.server;
+}
+
+/**
+ * Tells whether searches should go through the client-side index
+ * 
+ * Set by CARTHAGE_TECH_CONFIG.searchIndex or <meta name="search-index" content="on">
+ * (see config.js).
+ * 
+ * @returns {boolean}
+ */
+export function isSearchIndexEnabled() {
+    return getAppConfig().searchIndex === true;
+}
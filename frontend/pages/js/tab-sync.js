@@ -0,0 +1,136 @@
+/**
+ * Cross-Tab Synchronisation for Carthage Tech E-commerce
+ * 
+ * The session and the cart are shared by every open storefront tab (same
+ * PHP session cookie, same localStorage), but each tab only redraws its
+ * header and cart when something happens in that tab. After logging out
+ * in one tab, the others kept showing "Hello, name" and an old cart count
+ * until they were reloaded.
+ * 
+ * Now the tab where something happens announces it:
+ *   broadcastTabEvent('cart');
+ * and the other tabs react:
+ *   onTabEvent((type, detail) => { if (type === 'cart') updateCartBadge(); });
+ * 
+ * Event types used by the storefront:
+ * - 'session' { loggedIn }  - login or logout (api.js)
+ * - 'cart'                  - the cart changed (cart.js)
+ * - 'wishlist'              - a product was added to or removed from the wishlist (wishlist.js)
+ * - 'order' { orderId }     - an order was placed, so the cart is empty and stock changed (orders.js)
+ * 
+ * Messages go through a BroadcastChannel. Browsers without it get them
+ * through the 'storage' event, which localStorage fires in the other tabs.
+ * Neither delivers a message to the tab that sent it.
+ * 
+ * Dependencies: none
+ */
+
+// ============================================================================
+// CONFIGURATION
+// ============================================================================
+
+/**
+ * BroadcastChannel name (all storefront pages of the same origin share it)
+ */
+const TAB_SYNC_CHANNEL = 'carthage-tech-sync';
+
+/**
+ * localStorage key used to pass messages when BroadcastChannel is missing
+ */
+const TAB_SYNC_STORAGE_KEY = 'tabSyncMessage';
+
+// ============================================================================
+// SENDING
+// ============================================================================
+
+/**
+ * Channel shared with the other tabs (null when BroadcastChannel is unavailable)
+ */
+const channel = typeof BroadcastChannel === 'function' ? new BroadcastChannel(TAB_SYNC_CHANNEL) : null;
+
+/**
+ * Functions registered with onTabEvent()
+ */
+const tabListeners = new Set();
+
+/**
+ * Tells the other open tabs that something changed
+ * 
+ * @param {string} type - Event type ('session', 'cart', 'wishlist', 'order')
+ * @param {object} detail - Extra data (must be JSON-serialisable)
+ * 
+ * Example usage:
+ *   broadcastTabEvent('session', { loggedIn: false });
+ */
+export function broadcastTabEvent(type, detail = {}) {
+    const message = { type, detail, sentAt: Date.now() };
+    
+    try {
+        if (channel) {
+            channel.postMessage(message);
+        } else {
+            // Setting then removing the key is enough to fire 'storage' in the other tabs
+            localStorage.setItem(TAB_SYNC_STORAGE_KEY, JSON.stringify(message));
+            localStorage.removeItem(TAB_SYNC_STORAGE_KEY);
+        }
+    } catch (error) {
+        // Syncing is a convenience: never let it break the action itself
+        console.warn('Could not notify other tabs:', error);
+    }
+}
+
+// ============================================================================
+// RECEIVING
+// ============================================================================
+
+/**
+ * Calls every listener with a message from another tab
+ * 
+ * @param {object} message - { type, detail, sentAt }
+ */
+function deliverTabMessage(message) {
+    if (!message || typeof message.type !== 'string') {
+        return;
+    }
+    
+    tabListeners.forEach(listener => {
+        try {
+            listener(message.type, message.detail || {});
+        } catch (error) {
+            console.error('Tab sync listener failed:', error);
+        }
+    });
+}
+
+if (channel) {
+    channel.addEventListener('message', (event) => deliverTabMessage(event.data));
+} else if (typeof window !== 'undefined') {
+    window.addEventListener('storage', (event) => {
+        // newValue is null for the removeItem() that follows each message
+        if (event.key !== TAB_SYNC_STORAGE_KEY || !event.newValue) {
+            return;
+        }
+        
+        try {
+            deliverTabMessage(JSON.parse(event.newValue));
+        } catch (error) {
+            console.warn('Ignoring unreadable tab sync message:', error);
+        }
+    });
+}
+
+/**
+ * Registers a function called when another tab broadcasts an event
+ * 
+ * @param {function} listener - (type, detail) => void
+ * @returns {function} - Call it to stop listening
+ * 
+ * Example usage:
+ *   const stop = onTabEvent((type) => {
+ *       if (type === 'order') { ... }
+ *   });
+ */
+export function onTabEvent(listener) {
+    tabListeners.add(listener);
+    return () => tabListeners.delete(listener);
+}
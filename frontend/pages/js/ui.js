@@ -3,14 +3,17 @@
  * 
  * This file provides UI-related utility functions:
  * - Authentication state UI updates
- * - Cart badge management
  * - Toast notifications
  * - Page protection (login required)
  * - Loading indicators
  * 
- * Dependencies: api.js (must be loaded first)
+ * Dependencies: api.js, html.js, actions.js
  */
 
+import { isLoggedIn, getCurrentUser, logout } from './api.js';
+import { html } from './html.js';
+import { bindActions } from './actions.js';
+
 // ============================================================================
 // AUTHENTICATION UI UPDATES
 // ============================================================================
@@ -18,14 +21,14 @@
 /**
  * Updates UI elements based on authentication state
  * 
- * This function should be called on every page load.
- * It updates the header to show/hide login/logout buttons
- * and displays the user's name if logged in.
+ * This function should be called on every page load (initPage() in
+ * app.js does it). It updates the header to show/hide login/logout
+ * buttons and displays the user's name if logged in.
  * 
  * Example usage:
  *   updateAuthUI();
  */
-async function updateAuthUI() {
+export function updateAuthUI() {
     try {
         // Check if user is logged in
         const user = getCurrentUser();
@@ -63,11 +66,6 @@ async function updateAuthUI() {
                 userMenuEl.style.display = 'block';
             }
             
-            // Update cart badge
-            if (typeof updateCartBadge === 'function') {
-                await updateCartBadge();
-            }
-            
         } else {
             // USER IS NOT LOGGED IN
             
@@ -99,7 +97,7 @@ async function updateAuthUI() {
  * 
  * Call this function on page load to enable logout button.
  */
-function setupLogoutButton() {
+export function setupLogoutButton() {
     const logoutBtn = document.getElementById('logout-btn') || 
                      document.querySelector('.logout-btn');
     
@@ -109,7 +107,7 @@ function setupLogoutButton() {
             
             const confirmed = confirm('Are you sure you want to log out?');
             if (confirmed) {
-                await logout(true); // Defined in api.js
+                await logout(true);
             }
         });
     }
@@ -119,21 +117,30 @@ function setupLogoutButton() {
 // TOAST NOTIFICATIONS
 // ============================================================================
 
+/**
+ * Action buttons of each notification (notification → [{ label, onClick }])
+ */
+const notificationActions = new WeakMap();
+
 /**
  * Displays a toast notification to the user
  * 
  * Creates a temporary message that appears on screen
  * and automatically disappears after a few seconds.
  * 
- * @param {string} message - Message text
+ * @param {string} message - Message text (escaped, shown as plain text)
  * @param {string} type - 'success', 'error', 'info', 'warning'
  * @param {number} duration - How long to show (milliseconds, default: 4000)
+ * @param {array} actions - Buttons shown next to the message: [{ label, onClick }].
+ *                          Clicking one closes the notification, then calls onClick.
+ * @returns {HTMLElement} - The notification (e.g. to remove() it early)
  * 
  * Example usage:
  *   showNotification('Product added to cart!', 'success');
  *   showNotification('Please log in first', 'error');
+ *   showNotification('Item removed', 'success', 6000, [{ label: 'Undo', onClick: restoreItem }]);
  */
-function showNotification(message, type = 'info', duration = 4000) {
+export function showNotification(message, type = 'info', duration = 4000, actions = []) {
     // Check if notification container exists
     let container = document.getElementById('notification-container');
     
@@ -149,6 +156,16 @@ function showNotification(message, type = 'info', duration = 4000) {
             max-width: 400px;
         `;
         document.body.appendChild(container);
+        
+        bindActions(container, {
+            'dismiss': (button) => button.closest('.notification').remove(),
+            'notification-action': (button) => {
+                const notification = button.closest('.notification');
+                const action = (notificationActions.get(notification) || [])[Number(button.dataset.index)];
+                notification.remove();
+                return action ? action.onClick() : undefined;
+            }
+        });
     }
     
     // Create notification element
@@ -196,14 +213,26 @@ function showNotification(message, type = 'info', duration = 4000) {
     `;
     
     // Set message content
-    notification.innerHTML = `
+    notification.innerHTML = html`
         <span>${message}</span>
-        <button onclick="this.parentElement.remove()" 
-                style="background: none; border: none; color: ${textColor}; 
-                       font-size: 18px; cursor: pointer; margin-left: 15px;">
-            ✕
-        </button>
+        <span style="display: flex; align-items: center;">
+            ${actions.map((action, index) => html`
+                <button data-action="notification-action" 
+                        data-index="${index}"
+                        style="background: none; border: 1px solid ${textColor}; color: ${textColor}; 
+                               border-radius: 3px; padding: 2px 10px; font-weight: bold; 
+                               cursor: pointer; margin-left: 15px;">
+                    ${action.label}
+                </button>
+            `)}
+            <button data-action="dismiss" 
+                    style="background: none; border: none; color: ${textColor}; 
+                           font-size: 18px; cursor: pointer; margin-left: 15px;">
+                ✕
+            </button>
+        </span>
     `;
+    notificationActions.set(notification, actions);
     
     // Add to container
     container.appendChild(notification);
@@ -215,6 +244,8 @@ function showNotification(message, type = 'info', duration = 4000) {
             notification.remove();
         }, 300);
     }, duration);
+    
+    return notification;
 }
 
 // Add CSS animations for notifications
@@ -251,6 +282,11 @@ if (!document.getElementById('notification-styles')) {
 // PAGE PROTECTION
 // ============================================================================
 
+/**
+ * Whether this page called protectPage(), and with which redirect URL
+ */
+let protectedPage = null;
+
 /**
  * Protects a page by requiring authentication
  * 
@@ -264,7 +300,10 @@ if (!document.getElementById('notification-styles')) {
  *   protectPage(); // Uses current page URL
  *   protectPage('checkout.html'); // Custom redirect
  */
-function protectPage(redirectUrl = null) {
+export function protectPage(redirectUrl = null) {
+    // Remembered so the page can be checked again (see recheckPageProtection)
+    protectedPage = { redirectUrl };
+    
     if (!isLoggedIn()) {
         // Build redirect URL
         const returnUrl = redirectUrl || window.location.pathname + window.location.search;
@@ -284,12 +323,26 @@ function protectPage(redirectUrl = null) {
     return true;
 }
 
+/**
+ * Applies protectPage() again, e.g. after logging out in another tab
+ * 
+ * Does nothing on pages that never called protectPage().
+ * 
+ * Example usage:
+ *   onTabEvent((type) => { if (type === 'session') recheckPageProtection(); });
+ */
+export function recheckPageProtection() {
+    if (protectedPage) {
+        protectPage(protectedPage.redirectUrl);
+    }
+}
+
 /**
  * Protects admin-only pages
  * 
  * @returns {boolean} - true if user is admin, false otherwise
  */
-function protectAdminPage() {
+export function protectAdminPage() {
     const user = getCurrentUser();
     
     if (!user) {
@@ -321,11 +374,11 @@ function protectAdminPage() {
  * Example usage:
  *   showLoading('products-container', 'Loading products...');
  */
-function showLoading(containerId, message = 'Loading...') {
+export function showLoading(containerId, message = 'Loading...') {
     const container = document.getElementById(containerId);
     if (!container) return;
     
-    container.innerHTML = `
+    container.innerHTML = html`
         <div class="loading-container" style="
             display: flex;
             flex-direction: column;
@@ -365,7 +418,7 @@ if (!document.getElementById('spinner-styles')) {
  * 
  * @param {string} containerId - Container element ID
  */
-function hideLoading(containerId) {
+export function hideLoading(containerId) {
     const container = document.getElementById(containerId);
     if (!container) return;
     
@@ -375,61 +428,6 @@ function hideLoading(containerId) {
     }
 }
 
-// ============================================================================
-// CART BADGE
-// ============================================================================
-
-/**
- * Updates cart count badge in header
- * 
- * This function is also defined in cart.js but included here
- * for pages that don't load cart.js.
- */
-async function updateCartBadge() {
-    try {
-        // Only update if user is logged in
-        if (!isLoggedIn()) {
-            const badge = document.getElementById('cart-count');
-            if (badge) badge.style.display = 'none';
-            return;
-        }
-        
-        // Get cart count (requires cart.js or direct API call)
-        let count = 0;
-        
-        if (typeof getCartCount === 'function') {
-            // Use cart.js function if available
-            count = await getCartCount();
-        } else {
-            // Direct API call
-            try {
-                const response = await apiCall('/cart/count.php', 'GET');
-                count = response.data.count || 0;
-            } catch (error) {
-                console.error('Error getting cart count:', error);
-                count = 0;
-            }
-        }
-        
-        // Update badge
-        const badge = document.getElementById('cart-count') || 
-                     document.querySelector('.cart-count');
-        
-        if (badge) {
-            if (count > 0) {
-                badge.textContent = count;
-                badge.style.display = 'inline-block';
-            } else {
-                badge.textContent = '0';
-                badge.style.display = 'none';
-            }
-        }
-        
-    } catch (error) {
-        console.error('Error updating cart badge:', error);
-    }
-}
-
 // ============================================================================
 // MODAL UTILITIES
 // ============================================================================
@@ -437,17 +435,17 @@ async function updateCartBadge() {
 /**
  * Shows a modal dialog
  * 
- * @param {string} title - Modal title
- * @param {string} content - Modal content (HTML)
+ * @param {string} title - Modal title (plain text)
+ * @param {string|object} content - Modal content: plain text, or markup built with html``
  * @param {array} buttons - Array of button objects { text, onClick, className }
  * 
  * Example usage:
- *   showModal('Confirm Delete', 'Are you sure?', [
+ *   showModal('Confirm Delete', html`Remove <strong>${product.name}</strong>?`, [
  *       { text: 'Cancel', onClick: () => closeModal() },
  *       { text: 'Delete', onClick: () => deleteItem(), className: 'btn-danger' }
  *   ]);
  */
-function showModal(title, content, buttons = []) {
+export function showModal(title, content, buttons = []) {
     // Remove existing modal if any
     const existingModal = document.getElementById('custom-modal');
     if (existingModal) existingModal.remove();
@@ -478,7 +476,7 @@ function showModal(title, content, buttons = []) {
         box-shadow: 0 4px 20px rgba(0,0,0,0.2);
     `;
     
-    modalContent.innerHTML = `
+    modalContent.innerHTML = html`
         <h2 style="margin-top: 0;">${title}</h2>
         <div class="modal-body">${content}</div>
         <div class="modal-buttons" style="
@@ -514,31 +512,11 @@ function showModal(title, content, buttons = []) {
 /**
  * Closes the current modal
  */
-function closeModal() {
+export function closeModal() {
     const modal = document.getElementById('custom-modal');
     if (modal) modal.remove();
 }
 
-// ============================================================================
-// AUTO-INITIALIZATION
-// ============================================================================
-
-/**
- * Initialize UI utilities when DOM is ready
- * 
- * This function runs automatically on every page.
- */
-document.addEventListener('DOMContentLoaded', function() {
-    // Update authentication UI
-    updateAuthUI();
-    
-    // Setup logout button
-    setupLogoutButton();
-    
-    // Update cart badge
-    updateCartBadge();
-});
-
 // ============================================================================
 // USAGE NOTES
 // ============================================================================
@@ -546,9 +524,9 @@ document.addEventListener('DOMContentLoaded', function() {
 /**
  * HOW TO USE IN HTML:
  * 
- * 1. Include this file in all pages:
- *    <script src="js/api.js"></script>
- *    <script src="js/ui.js"></script>
+ * 1. Every page loads a single entry module, which calls initPage()
+ *    from app.js (auth UI, logout button and cart badge):
+ *    <script type="module" src="js/pages/index.js"></script>
  * 
  * 2. Add these elements to your header/navbar:
  *    <a href="login.html" id="login-btn">Login</a>
@@ -557,11 +535,10 @@ document.addEventListener('DOMContentLoaded', function() {
  *    <span id="user-name" style="display:none;"></span>
  *    <a href="cart.html">Cart <span id="cart-count" class="badge">0</span></a>
  * 
- * 3. For protected pages (cart, checkout, orders), add at top of page:
- *    <script>protectPage();</script>
+ * 3. For protected pages (cart, checkout, orders), call at the top of the entry:
+ *    protectPage();
  * 
- * 4. Show notifications from any page:
+ * 4. Show notifications from any module:
+ *    import { showNotification } from './ui.js';
  *    showNotification('Item added!', 'success');
- * 
- * All UI updates happen automatically when the page loads.
  */
@@ -0,0 +1,581 @@
+/**
+ * Wishlist Module for Carthage Tech E-commerce
+ * 
+ * Lets customers bookmark products with the heart button shown on product
+ * cards (renderProducts) and on the product detail (renderProductDetail),
+ * and lists them on wishlist.html with their current price and stock.
+ * 
+ * Where the wishlist lives:
+ * - Logged-in users: on the server (/wishlist/view.php, add.php, remove.php)
+ * - Guests: product IDs in localStorage, sent to the server when they log in
+ *   (mergeGuestWishlist, called by auth.js like mergeGuestCart)
+ * 
+ * Only product IDs are stored for guests: prices and stock are always
+ * fetched again, so the wishlist page never shows a stale price.
+ * 
+ * Dependencies: api.js, html.js, actions.js, ui.js, cart.js, tab-sync.js
+ */
+
+import { apiCall, callWithPostFallback, API_ERROR_CODES, isLoggedIn, getCurrentUser, formatPrice } from './api.js';
+import { html } from './html.js';
+import { bindActions } from './actions.js';
+import { showNotification, showLoading } from './ui.js';
+import { addToCart } from './cart.js';
+import { broadcastTabEvent, onTabEvent } from './tab-sync.js';
+
+// ============================================================================
+// GUEST STORAGE
+// ============================================================================
+
+/**
+ * localStorage key holding the guest wishlist
+ */
+const GUEST_WISHLIST_KEY = 'guestWishlist';
+
+/**
+ * Reads the guest wishlist
+ * 
+ * @returns {array} - [{ product_id, added_at }], most recent first
+ */
+function readGuestWishlist() {
+    try {
+        const entries = JSON.parse(localStorage.getItem(GUEST_WISHLIST_KEY) || '[]');
+        return Array.isArray(entries) ? entries : [];
+    } catch (error) {
+        console.warn('Ignoring unreadable guest wishlist:', error);
+        return [];
+    }
+}
+
+/**
+ * Stores the guest wishlist (removes the key when it is empty)
+ * 
+ * @param {array} entries - Entries to store
+ */
+function writeGuestWishlist(entries) {
+    if (entries.length === 0) {
+        localStorage.removeItem(GUEST_WISHLIST_KEY);
+    } else {
+        localStorage.setItem(GUEST_WISHLIST_KEY, JSON.stringify(entries));
+    }
+}
+
+// ============================================================================
+// WISHED PRODUCTS
+// ============================================================================
+
+/**
+ * Product IDs in the wishlist, for drawing the heart buttons
+ * 
+ * - owner: user ID (or 'guest') the IDs belong to
+ * - ids: Set of product IDs
+ * - loading: Promise of the request in progress (null when none)
+ */
+let wished = { owner: null, ids: new Set(), loading: null };
+
+/**
+ * Who the wishlist currently belongs to
+ * 
+ * @returns {string}
+ */
+function wishlistOwner() {
+    const user = getCurrentUser();
+    return isLoggedIn() && user ? String(user.id) : 'guest';
+}
+
+/**
+ * Fetches the IDs of the wishlisted products
+ * 
+ * @param {string} owner - User ID, or 'guest'
+ * @returns {Promise<array>} - Product IDs
+ */
+async function fetchWishlistIds(owner) {
+    if (owner === 'guest') {
+        return readGuestWishlist().map(entry => entry.product_id);
+    }
+    
+    const response = await apiCall('/wishlist/view.php', 'GET');
+    return response.data.items.map(item => item.product.id);
+}
+
+/**
+ * Loads the IDs of the wishlisted products (once per page and user)
+ * 
+ * @param {boolean} reload - Ask again even if they are already known
+ * @returns {Promise<void>}
+ */
+export function loadWishlistIds(reload = false) {
+    const owner = wishlistOwner();
+    if (!reload && wished.owner === owner) {
+        return wished.loading || Promise.resolve();
+    }
+    
+    const loading = fetchWishlistIds(owner).then((ids) => {
+        // A newer load started meanwhile: its answer wins
+        if (wished.loading === loading) {
+            wished = { owner, ids: new Set(ids), loading: null };
+        }
+    }, (error) => {
+        if (wished.loading === loading) {
+            // Try again next time
+            wished = { owner: null, ids: wished.ids, loading: null };
+        }
+        throw error;
+    });
+    
+    wished = { owner, ids: wished.ids, loading };
+    return loading;
+}
+
+/**
+ * Whether a product is in the wishlist (as far as this page knows)
+ * 
+ * @param {number} productId - Product ID
+ * @returns {boolean}
+ */
+export function isInWishlist(productId) {
+    return wished.owner === wishlistOwner() && wished.ids.has(Number(productId));
+}
+
+// ============================================================================
+// HEART BUTTONS
+// ============================================================================
+
+/**
+ * Accessible name of a heart button
+ * 
+ * @param {string} name - Product name
+ * @param {boolean} active - Whether the product is in the wishlist
+ * @returns {string}
+ */
+function wishlistButtonLabel(name, active) {
+    return active
+        ? `Retirer ${name} de la liste d'envies`
+        : `Ajouter ${name} à la liste d'envies`;
+}
+
+/**
+ * Builds the heart button of a product
+ * 
+ * The container rendering it binds 'toggle-wishlist' to toggleWishlist()
+ * (see renderProducts and renderProductDetail in products.js).
+ * 
+ * @param {object} product - Product ({ id, name })
+ * @returns {SafeHtml} - Button markup
+ * 
+ * Example usage:
+ *   html`<div class="media">${renderWishlistButton(product)}</div>`
+ */
+export function renderWishlistButton(product) {
+    const active = isInWishlist(product.id);
+    
+    return html`
+        <button type="button"
+                class="wishlist-toggle ${active ? 'is-active' : ''}"
+                data-action="toggle-wishlist"
+                data-product-id="${product.id}"
+                data-product-name="${product.name}"
+                aria-pressed="${active ? 'true' : 'false'}"
+                aria-label="${wishlistButtonLabel(product.name, active)}">${active ? '♥' : '♡'}</button>
+    `;
+}
+
+/**
+ * Redraws the heart buttons from the current wishlist
+ * 
+ * The cards are rendered before the wishlist has loaded: their hearts are
+ * switched on here once it has.
+ * 
+ * @param {ParentNode} root - Where to look for buttons (default: the whole page)
+ */
+export function refreshWishlistButtons(root = document) {
+    root.querySelectorAll('[data-action="toggle-wishlist"]').forEach(button => {
+        const active = isInWishlist(button.dataset.productId);
+        button.classList.toggle('is-active', active);
+        button.setAttribute('aria-pressed', active ? 'true' : 'false');
+        button.setAttribute('aria-label', wishlistButtonLabel(button.dataset.productName || '', active));
+        button.textContent = active ? '♥' : '♡';
+    });
+}
+
+// ============================================================================
+// CHANGING THE WISHLIST
+// ============================================================================
+
+/**
+ * Tells this page and the other open tabs that the wishlist changed
+ */
+function announceWishlistChange() {
+    window.dispatchEvent(new CustomEvent('wishlist:changed'));
+    broadcastTabEvent('wishlist');
+}
+
+/**
+ * Saves the presence of a product in the wishlist (server or guest storage)
+ * 
+ * @param {number} productId - Product ID
+ * @param {boolean} add - true to add, false to remove
+ * @returns {Promise<void>}
+ */
+async function storeWishlistChange(productId, add) {
+    if (isLoggedIn()) {
+        if (add) {
+            await apiCall('/wishlist/add.php', 'POST', { product_id: productId });
+        } else {
+            await callWithPostFallback('/wishlist/remove.php', 'DELETE', { product_id: productId });
+        }
+        return;
+    }
+    
+    const entries = readGuestWishlist().filter(entry => entry.product_id !== productId);
+    if (add) {
+        entries.unshift({ product_id: productId, added_at: new Date().toISOString() });
+    }
+    writeGuestWishlist(entries);
+}
+
+/**
+ * Adds a product to the wishlist, or removes it if it is already there
+ * 
+ * The heart changes right away and goes back if the server refuses.
+ * 
+ * @param {number} productId - Product ID
+ * @param {string} productName - Name for the notification (optional)
+ * @returns {Promise<boolean>} - true if the product is now in the wishlist
+ * 
+ * Example usage:
+ *   await toggleWishlist(12, 'Logitech MX Master 3S');
+ */
+export async function toggleWishlist(productId, productName = '') {
+    // Know the current state before flipping it
+    try {
+        await loadWishlistIds();
+    } catch (error) {
+        console.error('Error loading wishlist:', error);
+    }
+    
+    const add = !isInWishlist(productId);
+    const owner = wishlistOwner();
+    
+    const setWished = (present) => {
+        if (wished.owner === owner) {
+            if (present) {
+                wished.ids.add(productId);
+            } else {
+                wished.ids.delete(productId);
+            }
+        }
+        refreshWishlistButtons();
+    };
+    
+    setWished(add);
+    
+    try {
+        await storeWishlistChange(productId, add);
+        announceWishlistChange();
+        
+        const name = productName || 'Product';
+        showNotification(add ? `${name} added to your wishlist` : `${name} removed from your wishlist`, 'success');
+        
+        return add;
+    
+    } catch (error) {
+        console.error('Error updating wishlist:', error);
+        
+        setWished(!add);
+        showNotification(error.message || 'Failed to update your wishlist', 'error');
+        
+        throw error;
+    }
+}
+
+/**
+ * Removes a product from the wishlist
+ * 
+ * @param {number} productId - Product ID
+ * @returns {Promise<void>}
+ */
+export async function removeFromWishlist(productId) {
+    await storeWishlistChange(productId, false);
+    
+    if (wished.owner === wishlistOwner()) {
+        wished.ids.delete(productId);
+    }
+    refreshWishlistButtons();
+    announceWishlistChange();
+}
+
+// ============================================================================
+// WISHLIST PAGE
+// ============================================================================
+
+/**
+ * Fetches the wishlist with the current price and stock of every product
+ * 
+ * @returns {Promise<array>} - Items in the shape of /wishlist/view.php:
+ *   [{ product: { id, name, brand, price, image_url }, stock_available, in_stock, added_at }]
+ */
+export async function getWishlist() {
+    if (isLoggedIn()) {
+        const response = await apiCall('/wishlist/view.php', 'GET');
+        return response.data.items;
+    }
+    
+    const entries = readGuestWishlist();
+    
+    const items = await Promise.all(entries.map(async (entry) => {
+        try {
+            // Bypass the product cache: the page promises live prices
+            const response = await apiCall(`/products/detail.php?id=${entry.product_id}`, 'GET', null, { cache: 'reload' });
+            const product = response.data.product;
+            
+            return {
+                product: {
+                    id: product.id,
+                    name: product.name,
+                    brand: product.brand,
+                    price: product.price,
+                    image_url: product.main_image
+                },
+                stock_available: product.stock.quantity,
+                in_stock: product.stock.in_stock,
+                added_at: entry.added_at
+            };
+        } catch (error) {
+            if (error.code === API_ERROR_CODES.NOT_FOUND) {
+                // No longer sold: forget it
+                writeGuestWishlist(readGuestWishlist().filter(row => row.product_id !== entry.product_id));
+                return null;
+            }
+            throw error;
+        }
+    }));
+    
+    return items.filter(Boolean);
+}
+
+/**
+ * Loads and displays the wishlist page
+ * 
+ * @param {string} containerId - Container element ID (default: 'wishlist-container')
+ * @returns {Promise<array>} - Wishlist items
+ * 
+ * Example usage:
+ *   loadWishlist('wishlist-container');
+ */
+export async function loadWishlist(containerId = 'wishlist-container') {
+    try {
+        showLoading(containerId);
+        
+        const items = await getWishlist();
+        
+        wished = { owner: wishlistOwner(), ids: new Set(items.map(item => item.product.id)), loading: null };
+        renderWishlist(items, containerId);
+        
+        return items;
+    
+    } catch (error) {
+        console.error('Error loading wishlist:', error);
+        const container = document.getElementById(containerId);
+        if (container) {
+            container.innerHTML = html`
+                <div class="error-message">
+                    <p>Failed to load your wishlist. Please try again.</p>
+                    <p>${error.message}</p>
+                </div>
+            `;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Renders the wishlist items
+ * 
+ * @param {array} items - Items from getWishlist()
+ * @param {string} containerId - Container element ID
+ */
+export function renderWishlist(items, containerId = 'wishlist-container') {
+    const container = document.getElementById(containerId);
+    if (!container) {
+        console.error('Container not found:', containerId);
+        return;
+    }
+    
+    if (items.length === 0) {
+        container.innerHTML = html`
+            <div class="empty-wishlist">
+                <p>Your wishlist is empty</p>
+                <p>Tap the ♡ on a product to keep it here.</p>
+                <a href="index.html" class="btn btn-primary">Continue Shopping</a>
+            </div>
+        `;
+        return;
+    }
+    
+    container.innerHTML = html`
+        <p class="wishlist-count">${items.length} saved product(s)</p>
+        
+        <ul class="wishlist-items">
+            ${items.map(item => html`
+                <li class="wishlist-item" data-product-id="${item.product.id}">
+                    <img src="${item.product.image_url}"
+                         alt="${item.product.name}"
+                         data-fallback-src="images/placeholder.jpg">
+                    
+                    <div class="wishlist-item-info">
+                        <h3>${item.product.name}</h3>
+                        ${item.product.brand ? html`<p class="brand">${item.product.brand}</p>` : ''}
+                        <p class="price">${formatPrice(item.product.price)}</p>
+                        ${item.in_stock ? html`
+                            <span class="in-stock">✓ In Stock (${item.stock_available} available)</span>
+                        ` : html`
+                            <span class="out-of-stock">✗ Out of Stock</span>
+                        `}
+                    </div>
+                    
+                    <div class="wishlist-item-actions">
+                        <button type="button"
+                                class="btn btn-primary"
+                                data-action="move-to-cart"
+                                data-product-id="${item.product.id}"
+                                ${item.in_stock ? '' : 'disabled'}>
+                            Move to Cart
+                        </button>
+                        <button type="button"
+                                class="btn-remove"
+                                data-action="remove-from-wishlist"
+                                data-product-id="${item.product.id}"
+                                aria-label="Remove ${item.product.name} from wishlist">
+                            🗑️ Remove
+                        </button>
+                    </div>
+                </li>
+            `)}
+        </ul>
+    `;
+    
+    // Buttons: one delegated listener on the container (see actions.js)
+    bindActions(container, {
+        'move-to-cart': (button) => moveWishlistItemToCart(Number(button.dataset.productId), containerId),
+        'remove-from-wishlist': (button) => removeWishlistItem(Number(button.dataset.productId), containerId)
+    });
+}
+
+/**
+ * Moves a wishlist item into the cart (one unit)
+ * 
+ * addToCart() checks the stock and reports errors; the item only leaves
+ * the wishlist once it is in the cart.
+ * 
+ * @param {number} productId - Product ID
+ * @param {string} containerId - Wishlist container ID
+ * @returns {Promise<void>}
+ */
+export async function moveWishlistItemToCart(productId, containerId = 'wishlist-container') {
+    try {
+        await addToCart(productId, 1);
+    } catch (error) {
+        // addToCart() told the user; show the current stock
+        await loadWishlist(containerId);
+        throw error;
+    }
+    
+    try {
+        await removeFromWishlist(productId);
+    } catch (error) {
+        console.error('Error removing moved item from wishlist:', error);
+    }
+    
+    await loadWishlist(containerId);
+}
+
+/**
+ * Removes an item from the wishlist page
+ * 
+ * @param {number} productId - Product ID
+ * @param {string} containerId - Wishlist container ID
+ * @returns {Promise<void>}
+ */
+export async function removeWishlistItem(productId, containerId = 'wishlist-container') {
+    try {
+        await removeFromWishlist(productId);
+        showNotification('Removed from your wishlist', 'success');
+        await loadWishlist(containerId);
+    
+    } catch (error) {
+        console.error('Error removing from wishlist:', error);
+        showNotification(error.message || 'Failed to update your wishlist', 'error');
+        throw error;
+    }
+}
+
+// ============================================================================
+// MERGE ON LOGIN
+// ============================================================================
+
+/**
+ * Sends the guest wishlist to the account of the user who just logged in
+ * 
+ * /wishlist/add.php ignores products that are already saved, so nothing
+ * is duplicated. Products that could not be sent (network error...) stay
+ * in the guest wishlist for next time; products that no longer exist are
+ * dropped.
+ * 
+ * @returns {Promise<number>} - Number of products sent
+ * 
+ * Example usage (right after login):
+ *   await mergeGuestWishlist();
+ */
+export async function mergeGuestWishlist() {
+    const remaining = [];
+    let merged = 0;
+    
+    for (const entry of readGuestWishlist()) {
+        try {
+            await apiCall('/wishlist/add.php', 'POST', { product_id: entry.product_id });
+            merged++;
+        } catch (error) {
+            if (error.code !== API_ERROR_CODES.NOT_FOUND) {
+                remaining.push(entry);
+            }
+        }
+    }
+    
+    writeGuestWishlist(remaining);
+    
+    if (merged > 0) {
+        broadcastTabEvent('wishlist');
+    }
+    
+    return merged;
+}
+
+// ============================================================================
+// INITIALIZATION
+// ============================================================================
+
+/**
+ * Loads the wishlist so the heart buttons show it, and keeps them up to date
+ * 
+ * Called by initPage() (app.js).
+ */
+export function initWishlist() {
+    loadWishlistIds()
+        .then(() => refreshWishlistButtons())
+        .catch(error => console.error('Error loading wishlist:', error));
+    
+    onTabEvent((type) => {
+        if (type !== 'wishlist' && type !== 'session') {
+            return;
+        }
+        
+        if (document.getElementById('wishlist-container')) {
+            loadWishlist().then(() => refreshWishlistButtons()).catch(() => {});
+        } else {
+            loadWishlistIds(true)
+                .then(() => refreshWishlistButtons())
+                .catch(error => console.error('Error loading wishlist:', error));
+        }
+    });
+}
@@ -1,4 +1,4 @@
-// Minimal enhancement: prevent empty search submissions and demo handling
+// Minimal enhancement: prevent empty search submissions
 document.addEventListener('DOMContentLoaded', () => {
 	// Hamburger Menu Toggle
 	const menuToggle = document.querySelector('.menu-toggle');
@@ -57,9 +57,7 @@ document.addEventListener('DOMContentLoaded', () => {
 				return;
 			}
 
-			// Demo: prevent navigation and log query. Replace with real search handling.
-			e.preventDefault();
-			console.log('Recherche:', q);
+			// Otherwise the form goes to recherche.html (suggestions: js/search-autocomplete.js)
 		});
 
 		input.addEventListener('input', () => {
@@ -0,0 +1,46 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { apiCall, saveUserData, isLoggedIn, API_ERROR_CODES } from '../pages/js/api.js';
+import { useMockBackend, loginCustomer, stubLocation, CUSTOMER } from './helpers.js';
+
+let backend;
+let location;
+
+beforeEach(() => {
+    localStorage.clear();
+    backend = useMockBackend();
+    location = stubLocation('http://localhost/frontend/pages/cart.html?step=1');
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('expired session (401)', () => {
+    it('forgets the user and sends them to the login page', async () => {
+        // Stored user, but no session on the server
+        saveUserData({ id: CUSTOMER.id, email: CUSTOMER.email });
+        
+        await expect(apiCall('/cart/view.php', 'GET')).rejects.toMatchObject({
+            code: API_ERROR_CODES.AUTH_REQUIRED,
+            status: 401
+        });
+        
+        expect(isLoggedIn()).toBe(false);
+        expect(location.href).toBe(
+            'login.html?redirect=' + encodeURIComponent('http://localhost/frontend/pages/cart.html?step=1')
+        );
+    });
+
+    it('does not redirect on other errors', async () => {
+        await loginCustomer();
+        backend.injectFailure({ endpoint: '/cart/view.php', type: 'http', status: 404 });
+        
+        await expect(apiCall('/cart/view.php', 'GET')).rejects.toMatchObject({ status: 404 });
+        
+        expect(isLoggedIn()).toBe(true);
+        expect(location.href).toBe('http://localhost/frontend/pages/cart.html?step=1');
+    });
+});
@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { apiCall } from '../pages/js/api.js';
+import { importCartLines, parseShareParam } from '../pages/js/cart-share.js';
+import { initMiniCart, isMiniCartOpen } from '../pages/js/mini-cart.js';
+import { useMockBackend, loginCustomer } from './helpers.js';
+
+let backend;
+
+beforeEach(async () => {
+    localStorage.clear();
+    document.body.innerHTML = '<a class="cart" href="cart.html">Cart <span class="cart-count"></span></a>';
+    backend = useMockBackend();
+    await loginCustomer();
+    initMiniCart();
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('importCartLines', () => {
+    it('adds the lines silently and announces the change once', async () => {
+        backend.db.products.find(product => product.id === 7).stock_quantity = 1;
+        const events = [];
+        const listener = (event) => events.push(event.detail.action);
+        window.addEventListener('cart:changed', listener);
+        
+        const report = await importCartLines(parseShareParam('6x2,7x3,9999x1'));
+        window.removeEventListener('cart:changed', listener);
+        
+        expect(report.added).toHaveLength(1);
+        expect(report.adjusted).toEqual([expect.objectContaining({ requested: 3, added: 1 })]);
+        expect(report.failed).toEqual([expect.objectContaining({ reason: 'no longer available' })]);
+        
+        expect(events).toEqual(['import']);
+        expect(isMiniCartOpen()).toBe(false);
+        expect(document.querySelectorAll('.notification')).toHaveLength(0);
+        
+        const cart = await apiCall('/cart/view.php', 'GET');
+        expect(cart.data.summary.total_items).toBe(3);
+    });
+
+    it('announces nothing when nothing was added', async () => {
+        const events = [];
+        const listener = (event) => events.push(event.detail.action);
+        window.addEventListener('cart:changed', listener);
+        
+        await importCartLines(parseShareParam('9999x1'));
+        window.removeEventListener('cart:changed', listener);
+        
+        expect(events).toEqual([]);
+    });
+});
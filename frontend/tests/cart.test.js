@@ -0,0 +1,70 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { renderCart, loadCart } from '../pages/js/cart.js';
+import { apiCall } from '../pages/js/api.js';
+import { useMockBackend, loginCustomer, cartItem, cartSummary } from './helpers.js';
+
+beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<span class="cart-count"></span><div id="cart-container"></div>';
+});
+
+describe('renderCart', () => {
+    it('shows the empty cart message', () => {
+        renderCart([], cartSummary([]));
+        
+        const container = document.getElementById('cart-container');
+        expect(container.querySelector('.empty-cart h2').textContent).toBe('Your cart is empty');
+        expect(container.querySelector('.cart-table')).toBeNull();
+    });
+
+    it('renders one row per line with the totals', () => {
+        const items = [
+            cartItem({ cart_id: 1, quantity: 2, subtotal: '200.00', subtotal_numeric: 200 }),
+            cartItem({ cart_id: 2, product: { id: 2, name: 'Clavier', price: '80.00', price_numeric: 80 }, subtotal: '80.00', subtotal_numeric: 80 })
+        ];
+        renderCart(items, cartSummary(items));
+        
+        const rows = document.querySelectorAll('.cart-item');
+        expect([...rows].map(row => row.dataset.cartId)).toEqual(['1', '2']);
+        expect(rows[1].querySelector('h4').textContent).toBe('Clavier');
+        expect(document.querySelector('.cart-total-items').textContent).toBe('3');
+        expect(document.querySelector('.summary-unique-products').textContent).toBe('2');
+        expect(document.getElementById('qty-1').value).toBe('2');
+    });
+
+    it('disables the quantity buttons at the limits', () => {
+        const items = [
+            cartItem({ cart_id: 1, quantity: 1 }),
+            cartItem({ cart_id: 2, quantity: 5, stock_available: 5 })
+        ];
+        renderCart(items, cartSummary(items));
+        
+        const button = (action, cartId) => document.querySelector(`[data-action="${action}"][data-cart-id="${cartId}"]`);
+        expect(button('decrease-quantity', 1).disabled).toBe(true);
+        expect(button('increase-quantity', 1).disabled).toBe(false);
+        expect(button('decrease-quantity', 2).disabled).toBe(false);
+        expect(button('increase-quantity', 2).disabled).toBe(true);
+    });
+
+    it('flags lines that are out of stock', () => {
+        const items = [cartItem({ in_stock: false, stock_available: 0 })];
+        renderCart(items, cartSummary(items));
+        
+        expect(document.querySelector('.out-of-stock-warning').textContent).toBe('Out of Stock');
+    });
+});
+
+describe('loadCart', () => {
+    it('renders the account cart from the API', async () => {
+        useMockBackend();
+        await loginCustomer();
+        await apiCall('/cart/add.php', 'POST', { product_id: 6, quantity: 2 });
+        
+        const { cart_items, summary } = await loadCart();
+        
+        expect(cart_items).toHaveLength(1);
+        expect(summary.total_items).toBe(2);
+        expect(document.querySelectorAll('.cart-item')).toHaveLength(1);
+        expect(document.querySelector('.cart-item h4').textContent).toBe(cart_items[0].product.name);
+    });
+});
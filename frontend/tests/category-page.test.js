@@ -0,0 +1,71 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initProductPage, loadProductsByCategory } from '../pages/js/products.js';
+import { useMockBackend } from './helpers.js';
+
+let backend;
+let unhandled;
+
+function categoryInfo() {
+    const info = document.querySelector('#category-products .category-info');
+    return info ? info.textContent.replace(/\s+/g, ' ').trim() : null;
+}
+
+function categoryError() {
+    const error = document.querySelector('#category-products .error-message');
+    return error ? error.textContent : null;
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    window.history.replaceState(null, '', '/frontend/pages/ordinateurs.html?category=ordinateurs');
+    document.body.innerHTML = '<main><div id="category-products"></div></main>';
+    backend = useMockBackend();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    unhandled = vi.fn();
+    process.on('unhandledRejection', unhandled);
+});
+
+afterEach(() => {
+    process.off('unhandledRejection', unhandled);
+    vi.restoreAllMocks();
+});
+
+describe('category page', () => {
+    it('shows a failed load in the grid without an unhandled rejection', async () => {
+        backend.injectFailure({ endpoint: '/products/category.php', type: 'http', status: 404, times: 2 });
+        
+        initProductPage();
+        await vi.waitFor(() => expect(categoryError()).toContain('n\'existe pas'));
+        
+        // Back/forward to another page of the grid fails the same way
+        document.getElementById('category-products').innerHTML = '';
+        window.history.replaceState(null, '', '/frontend/pages/ordinateurs.html?category=ordinateurs&page=2');
+        window.dispatchEvent(new PopStateEvent('popstate'));
+        await vi.waitFor(() => expect(categoryError()).toContain('n\'existe pas'));
+        
+        await new Promise(resolve => setTimeout(resolve, 0));
+        expect(unhandled).not.toHaveBeenCalled();
+    });
+
+    it('shows the category name and description above the grid', async () => {
+        await loadProductsByCategory('ordinateurs', 1, 2, 'category-products');
+        
+        expect(categoryInfo()).toBe('Ordinateurs Portables, PC de bureau et stations de travail');
+        expect(document.querySelectorAll('#category-products .product-card')).toHaveLength(2);
+    });
+
+    it('keeps them above a load-more grid', async () => {
+        await loadProductsByCategory('ordinateurs', 2, 2, 'category-products', {}, { mode: 'load-more' });
+        
+        const container = document.getElementById('category-products');
+        expect(categoryInfo()).toBe('Ordinateurs Portables, PC de bureau et stations de travail');
+        expect(container.firstElementChild.classList.contains('category-info')).toBe(true);
+        expect(container.querySelectorAll('.product-card')).toHaveLength(4);
+        
+        document.querySelector('[data-action="load-more"]').click();
+        await vi.waitFor(() => expect(container.querySelectorAll('.product-card')).toHaveLength(5));
+        expect(container.querySelectorAll('.category-info')).toHaveLength(1);
+        expect(container.firstElementChild.classList.contains('category-info')).toBe(true);
+    });
+});
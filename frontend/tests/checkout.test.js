@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { handleCheckout } from '../pages/js/orders.js';
+import { apiCall } from '../pages/js/api.js';
+import { useMockBackend, loginCustomer, stubLocation } from './helpers.js';
+
+let backend;
+let location;
+
+function checkoutForm(values) {
+    document.body.innerHTML = `
+        <span class="cart-count"></span>
+        <form id="checkout-form">
+            <input name="shipping_address">
+            <input name="shipping_city">
+            <input name="shipping_postal_code">
+            <select name="payment_method">
+                <option value="cash_on_delivery">Cash on Delivery</option>
+                <option value="card">Credit/Debit Card</option>
+            </select>
+            <button type="submit">Place Order</button>
+        </form>
+    `;
+    const form = document.getElementById('checkout-form');
+    Object.entries(values).forEach(([name, value]) => {
+        form.elements[name].value = value;
+    });
+    form.addEventListener('submit', handleCheckout);
+    return form;
+}
+
+function submit(form) {
+    form.dispatchEvent(new Event('submit', { bubbles: true, cancelable: true }));
+}
+
+beforeEach(async () => {
+    localStorage.clear();
+    backend = useMockBackend();
+    location = stubLocation('http://localhost/frontend/pages/checkout.html');
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    
+    await loginCustomer();
+    await apiCall('/cart/add.php', 'POST', { product_id: 6, quantity: 2 });
+});
+
+afterEach(() => {
+    vi.unstubAllGlobals();
+    vi.restoreAllMocks();
+});
+
+describe('checkout', () => {
+    it('places the order, empties the cart and opens the confirmation', async () => {
+        const form = checkoutForm({
+            shipping_address: '12 rue de Marseille',
+            shipping_city: 'Tunis',
+            shipping_postal_code: '1000',
+            payment_method: 'card'
+        });
+        
+        submit(form);
+        
+        await vi.waitFor(() => expect(backend.db.orders).toHaveLength(1));
+        const [order] = backend.db.orders;
+        expect(order).toMatchObject({
+            shipping_address: '12 rue de Marseille',
+            shipping_city: 'Tunis',
+            shipping_postal_code: '1000',
+            payment_method: 'card'
+        });
+        
+        const cart = await apiCall('/cart/view.php', 'GET');
+        expect(cart.data.cart_items).toHaveLength(0);
+        
+        await vi.waitFor(() => {
+            expect(location.href).toBe(`order-confirmation.html?order_id=${order.id}`);
+        }, { timeout: 3000 });
+    });
+
+    it('keeps the cart and the button when the address is invalid', async () => {
+        const form = checkoutForm({
+            shipping_address: '12 rue de Marseille',
+            shipping_city: 'Tunis',
+            shipping_postal_code: '10'
+        });
+        const button = form.querySelector('button');
+        
+        submit(form);
+        
+        await vi.waitFor(() => expect(button.disabled).toBe(false));
+        expect(button.textContent).toBe('Place Order');
+        expect(backend.db.orders).toHaveLength(0);
+        expect(document.querySelector('.notification').textContent).toContain('Postal code must be 4 digits');
+        
+        const cart = await apiCall('/cart/view.php', 'GET');
+        expect(cart.data.cart_items).toHaveLength(1);
+    });
+});
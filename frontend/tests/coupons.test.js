@@ -0,0 +1,50 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { apiCall, saveUserData } from '../pages/js/api.js';
+import { applyCoupon, getAppliedCouponCode, removeCoupon } from '../pages/js/coupons.js';
+import { useMockBackend, loginCustomer } from './helpers.js';
+
+let backend;
+
+beforeEach(async () => {
+    localStorage.clear();
+    backend = useMockBackend();
+    await loginCustomer();
+    await apiCall('/cart/add.php', 'POST', { product_id: 6, quantity: 1 });
+});
+
+describe('applied promo code', () => {
+    it('is remembered for the account that applied it only', async () => {
+        await applyCoupon('bienvenue10');
+        expect(getAppliedCouponCode()).toBe('BIENVENUE10');
+        
+        // Someone else logs in on the same browser
+        saveUserData({ id: 99, email: 'other@example.tn' });
+        expect(getAppliedCouponCode()).toBeNull();
+        
+        saveUserData({ id: 2, email: 'customer@test.com' });
+        expect(getAppliedCouponCode()).toBe('BIENVENUE10');
+        
+        removeCoupon();
+        expect(getAppliedCouponCode()).toBeNull();
+    });
+
+    it('accepts free delivery codes while delivery is already free', async () => {
+        const quote = await applyCoupon('livraison');
+        
+        expect(quote).toMatchObject({ free_shipping: true, shipping_amount_numeric: 0, discount_amount_numeric: 0 });
+        expect(quote.total_price_numeric).toBeCloseTo(quote.subtotal_numeric + quote.tax_amount_numeric, 2);
+        expect(getAppliedCouponCode()).toBe('LIVRAISON');
+    });
+
+    it('records them on the order', async () => {
+        await apiCall('/orders/create.php', 'POST', {
+            shipping_address: '12 rue de Marseille',
+            shipping_city: 'Tunis',
+            shipping_postal_code: '1000',
+            payment_method: 'cash_on_delivery',
+            coupon_code: 'LIVRAISON'
+        });
+        
+        expect(backend.db.orders[0]).toMatchObject({ coupon_code: 'LIVRAISON', shipping_amount: 0 });
+    });
+});
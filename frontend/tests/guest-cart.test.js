@@ -0,0 +1,57 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { addGuestCartItem, getGuestCart, mergeGuestCart } from '../pages/js/guest-cart.js';
+import { apiCall } from '../pages/js/api.js';
+import { useMockBackend, loginCustomer } from './helpers.js';
+
+let backend;
+
+function setStock(productId, quantity) {
+    backend.db.products.find(product => product.id === productId).stock_quantity = quantity;
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    backend = useMockBackend();
+});
+
+describe('mergeGuestCart', () => {
+    it('adds the guest lines to the account cart', async () => {
+        await addGuestCartItem(6, 2);
+        await loginCustomer();
+        
+        const report = await mergeGuestCart();
+        
+        expect(report.merged).toHaveLength(1);
+        expect(getGuestCart().cart_items).toHaveLength(0);
+        const cart = await apiCall('/cart/view.php', 'GET');
+        expect(cart.data.cart_items[0].quantity).toBe(2);
+    });
+
+    it('adds what the stock allows on top of the account cart', async () => {
+        setStock(6, 3);
+        await addGuestCartItem(6, 2);
+        await loginCustomer();
+        await apiCall('/cart/add.php', 'POST', { product_id: 6, quantity: 2 });
+        
+        const report = await mergeGuestCart();
+        
+        expect(report.adjusted).toEqual([expect.objectContaining({ requested: 2, added: 1 })]);
+    });
+
+    it('tells apart a full account cart from a sold-out product', async () => {
+        setStock(6, 2);
+        await addGuestCartItem(6, 1);
+        await addGuestCartItem(7, 1);
+        await loginCustomer();
+        await apiCall('/cart/add.php', 'POST', { product_id: 6, quantity: 2 });
+        setStock(7, 0);
+        
+        const report = await mergeGuestCart();
+        
+        const reasons = Object.fromEntries(report.failed.map(item => [item.name, item.reason]));
+        expect(reasons).toEqual({
+            [backend.db.products.find(product => product.id === 6).name]: 'already in the cart at the maximum quantity',
+            [backend.db.products.find(product => product.id === 7).name]: 'out of stock'
+        });
+    });
+});
@@ -0,0 +1,97 @@
+/**
+ * Shared set-up for the storefront tests
+ * 
+ * Every test file runs in its own jsdom window (see vitest.config.js) and
+ * talks to a fresh mock backend instead of the PHP API.
+ */
+
+import { vi } from 'vitest';
+import { setApiTransport, apiCall, saveUserData } from '../pages/js/api.js';
+import { createMockBackend } from '../pages/js/mock/mock-backend.js';
+
+/**
+ * Test accounts from the mock fixtures
+ */
+export const CUSTOMER = { id: 2, email: 'customer@test.com', password: 'password123', first_name: 'Test', last_name: 'Customer' };
+
+/**
+ * Installs a new, instant mock backend as the API transport
+ * 
+ * @returns {object} - The backend (injectFailure(), db, reset(), ...)
+ */
+export function useMockBackend() {
+    const backend = createMockBackend({ latency: 0, storage: null });
+    setApiTransport(backend.transport);
+    return backend;
+}
+
+/**
+ * Logs the customer in on the mock backend and stores the session like auth.js does
+ */
+export async function loginCustomer() {
+    await apiCall('/auth/login.php', 'POST', { email: CUSTOMER.email, password: CUSTOMER.password });
+    saveUserData({ id: CUSTOMER.id, email: CUSTOMER.email, first_name: CUSTOMER.first_name, last_name: CUSTOMER.last_name });
+}
+
+/**
+ * Replaces window.location with a stub that records navigations
+ * 
+ * jsdom does not implement navigation, so assigning location.href would
+ * throw; the stub keeps the last URL assigned (relative URLs included).
+ * 
+ * @param {string} url - Current page URL
+ * @returns {object} - The stub (href is the last navigation)
+ */
+export function stubLocation(url = 'http://localhost/frontend/pages/index.html') {
+    const current = new URL(url);
+    const location = {
+        href: current.href,
+        origin: current.origin,
+        pathname: current.pathname,
+        search: current.search,
+        hash: current.hash,
+        assign(target) { this.href = target; },
+        replace(target) { this.href = target; },
+        reload() {}
+    };
+    vi.stubGlobal('location', location);
+    return location;
+}
+
+/**
+ * Builds a cart line shaped like /cart/view.php's cart_items
+ */
+export function cartItem(overrides = {}) {
+    return {
+        cart_id: 1,
+        quantity: 1,
+        stock_available: 5,
+        in_stock: true,
+        subtotal: '100.00',
+        subtotal_numeric: 100,
+        ...overrides,
+        product: {
+            id: 1,
+            name: 'Souris sans fil',
+            slug: 'souris-sans-fil',
+            brand: 'Logitech',
+            price: '100.00',
+            price_numeric: 100,
+            image_url: 'images/mouse.jpg',
+            ...overrides.product
+        }
+    };
+}
+
+/**
+ * Builds the matching /cart/view.php summary
+ */
+export function cartSummary(items) {
+    const total = items.reduce((sum, item) => sum + item.subtotal_numeric, 0);
+    return {
+        total_items: items.reduce((sum, item) => sum + item.quantity, 0),
+        total_unique_products: items.length,
+        cart_total: total.toFixed(2),
+        cart_total_numeric: total
+    };
+}
@@ -0,0 +1,62 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderPagination, loadProducts } from '../pages/js/products.js';
+import { useMockBackend } from './helpers.js';
+
+function pagination(overrides = {}) {
+    return { current_page: 2, total_pages: 3, total: 30, per_page: 10, has_prev: true, has_next: true, ...overrides };
+}
+
+function pageButton(label) {
+    return [...document.querySelectorAll('.btn-pagination')].find(button => button.textContent.trim() === label);
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    window.history.replaceState(null, '', '/frontend/pages/index.html');
+    document.body.innerHTML = '<main><div id="products-container"></div></main>';
+});
+
+describe('renderPagination', () => {
+    it('creates the controls right after the grid', () => {
+        renderPagination(pagination(), null, 'products-container', () => {});
+        
+        const controls = document.getElementById('products-container').nextElementSibling;
+        expect(controls.id).toBe('pagination-container');
+        expect(controls.querySelector('.page-info').textContent.replace(/\s+/g, ' ').trim())
+            .toBe('Page 2 of 3 (30 products)');
+    });
+
+    it('only offers the pages that exist', () => {
+        renderPagination(pagination({ current_page: 1, has_prev: false }), null, 'products-container', () => {});
+        expect(pageButton('Previous')).toBeUndefined();
+        expect(pageButton('Next').dataset.page).toBe('2');
+        
+        renderPagination(pagination({ current_page: 3, has_next: false }), null, 'products-container', () => {});
+        expect(pageButton('Previous').dataset.page).toBe('2');
+        expect(pageButton('Next')).toBeUndefined();
+    });
+
+    it('loads the other page and puts it in the address bar', () => {
+        const loadPage = vi.fn();
+        renderPagination(pagination(), null, 'products-container', loadPage);
+        
+        pageButton('Next').click();
+        
+        expect(loadPage).toHaveBeenCalledWith(3);
+        expect(new URLSearchParams(window.location.search).get('page')).toBe('3');
+    });
+
+    it('loads the next page of the catalogue by default', async () => {
+        useMockBackend();
+        await loadProducts(1, 4);
+        const firstPage = document.querySelector('#products-container').textContent;
+        
+        pageButton('Next').click();
+        await vi.waitFor(() => {
+            expect(document.querySelector('.page-info').textContent).toContain('Page 2 of');
+        });
+        
+        expect(document.querySelectorAll('#products-container .product-card')).toHaveLength(4);
+        expect(document.querySelector('#products-container').textContent).not.toBe(firstPage);
+    });
+});
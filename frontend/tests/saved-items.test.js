@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { apiCall } from '../pages/js/api.js';
+import { loadCart } from '../pages/js/cart.js';
+import { addGuestCartItem } from '../pages/js/guest-cart.js';
+import { getSavedItems, mergeGuestSavedItems } from '../pages/js/saved-items.js';
+import { useMockBackend, loginCustomer } from './helpers.js';
+
+let backend;
+
+async function serverCart() {
+    const response = await apiCall('/cart/view.php', 'GET');
+    return response.data.cart_items.map(item => `${item.product.id}x${item.quantity}`);
+}
+
+async function serverSavedItems() {
+    const response = await apiCall('/saved-items/view.php', 'GET');
+    return response.data.items.map(item => `${item.product.id}x${item.quantity}`);
+}
+
+function click(selector) {
+    document.querySelector(selector).click();
+}
+
+beforeEach(() => {
+    localStorage.clear();
+    document.body.innerHTML = '<span class="cart-count"></span><div id="cart-container"></div>';
+    backend = useMockBackend();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('save for later (logged in)', () => {
+    beforeEach(async () => {
+        await loginCustomer();
+        await apiCall('/cart/add.php', 'POST', { product_id: 6, quantity: 2 });
+        await loadCart();
+    });
+
+    it('moves the line to the list stored on the server', async () => {
+        click('.cart-item [data-action="save-for-later"]');
+        
+        await vi.waitFor(() => expect(document.querySelectorAll('.saved-item')).toHaveLength(1));
+        expect(await serverCart()).toEqual([]);
+        expect(await serverSavedItems()).toEqual(['6x2']);
+        expect(localStorage.getItem('savedForLater:2')).toBeNull();
+    });
+
+    it('shows the saved list on the next visit', async () => {
+        click('.cart-item [data-action="save-for-later"]');
+        await vi.waitFor(() => expect(document.querySelectorAll('.saved-item')).toHaveLength(1));
+        
+        document.getElementById('cart-container').innerHTML = '';
+        await loadCart();
+        
+        expect(document.querySelector('.saved-item').dataset.productId).toBe('6');
+    });
+
+    it('moves a saved item back into the cart', async () => {
+        click('.cart-item [data-action="save-for-later"]');
+        await vi.waitFor(() => expect(document.querySelectorAll('.saved-item')).toHaveLength(1));
+        
+        click('[data-action="move-to-cart"]');
+        
+        await vi.waitFor(() => expect(document.querySelectorAll('.cart-item')).toHaveLength(1));
+        expect(document.querySelectorAll('.saved-item')).toHaveLength(0);
+        expect(await serverCart()).toEqual(['6x2']);
+        expect(await serverSavedItems()).toEqual([]);
+    });
+
+    it('deletes a saved item', async () => {
+        click('.cart-item [data-action="save-for-later"]');
+        await vi.waitFor(() => expect(document.querySelectorAll('.saved-item')).toHaveLength(1));
+        
+        click('[data-action="remove-saved"]');
+        
+        await vi.waitFor(() => expect(document.querySelectorAll('.saved-item')).toHaveLength(0));
+        expect(await serverSavedItems()).toEqual([]);
+    });
+
+    it('keeps the line in the cart when it cannot be saved', async () => {
+        backend.injectFailure({ endpoint: '/saved-items/add.php', type: 'http', status: 500 });
+        
+        click('.cart-item [data-action="save-for-later"]');
+        
+        await vi.waitFor(() => expect(document.querySelector('.notification-error')).not.toBeNull());
+        await vi.waitFor(() => expect(document.querySelectorAll('.cart-item')).toHaveLength(1));
+        expect(await serverCart()).toEqual(['6x2']);
+        expect(await serverSavedItems()).toEqual([]);
+    });
+});
+
+describe('save for later (guest)', () => {
+    it('keeps the list in the browser and adds it to the account at login', async () => {
+        await addGuestCartItem(6, 1);
+        await loadCart();
+        
+        click('.cart-item [data-action="save-for-later"]');
+        await vi.waitFor(() => expect(document.querySelectorAll('.saved-item')).toHaveLength(1));
+        expect(await getSavedItems()).toEqual([expect.objectContaining({ quantity: 1 })]);
+        
+        await loginCustomer();
+        await apiCall('/saved-items/add.php', 'POST', { product_id: 6, quantity: 2 });
+        await mergeGuestSavedItems();
+        
+        expect(await serverSavedItems()).toEqual(['6x3']);
+        expect(localStorage.getItem('savedForLater:guest')).toBeNull();
+    });
+});
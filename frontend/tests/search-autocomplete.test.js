@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { initHeaderSearch } from '../pages/js/search-autocomplete.js';
+import { searchProducts } from '../pages/js/products.js';
+import { clearSearchIndex } from '../pages/js/search-index.js';
+import { useMockBackend } from './helpers.js';
+
+// The site turns the client-side index on (read by config.js when it loads)
+vi.hoisted(() => {
+    window.CARTHAGE_TECH_CONFIG = { searchIndex: true };
+});
+
+let backend;
+
+function suggestedProducts() {
+    return [...document.querySelectorAll('#header-search-suggestions .suggestion-product .suggestion-name')].map(name => name.textContent);
+}
+
+beforeEach(async () => {
+    localStorage.clear();
+    await clearSearchIndex();
+    backend = useMockBackend();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    // The index can't be downloaded
+    backend.injectFailure({ endpoint: '/products/list.php', type: 'http', status: 404, times: Infinity });
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('when the search index cannot be loaded', () => {
+    it('suggests products from the server', async () => {
+        document.body.innerHTML = '<form class="search" action="recherche.html"><input type="search" name="q"></form>';
+        initHeaderSearch();
+        const input = document.querySelector('form.search input');
+        
+        input.focus();
+        input.value = 'macbook';
+        input.dispatchEvent(new Event('input'));
+        
+        await vi.waitFor(() => expect(suggestedProducts()).toEqual(['Apple MacBook Air M2']));
+    });
+
+    it('finds nothing for a single letter instead of asking the server', async () => {
+        document.body.innerHTML = '<div id="search-results"></div>';
+        backend.injectFailure({ endpoint: '/products/search.php', type: 'http', status: 400, times: Infinity });
+        
+        await expect(searchProducts('m', 50, 'search-results')).resolves.toEqual([]);
+        expect(document.querySelector('#search-results .error-message')).toBeNull();
+    });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach, vi } from 'vitest';
+import { loadSearchIndex, querySearchIndex, minSearchLength } from '../pages/js/search-index.js';
+import { searchProducts } from '../pages/js/products.js';
+import { useMockBackend } from './helpers.js';
+
+const LAPTOPS = ['Lenovo IdeaPad 5 15"', 'HP Pavilion 14', 'ASUS ROG Strix G16', 'Apple MacBook Air M2'];
+
+let index;
+
+function search(query) {
+    return querySearchIndex(index, query).map(product => product.name);
+}
+
+beforeAll(async () => {
+    useMockBackend();
+    index = await loadSearchIndex({ refresh: true });
+});
+
+describe('querySearchIndex', () => {
+    it.each(['laptop', 'ordinateur portable', 'Ordinateurs'])('finds the laptops for "%s"', (query) => {
+        expect(search(query)).toEqual(expect.arrayContaining(LAPTOPS));
+    });
+
+    it('forgives typos in longer words and a missing letter in short ones', () => {
+        expect(search('assus rg')[0]).toBe('ASUS ROG Strix G16');
+        expect(search('logitek')).toEqual(['Logitech MX Master 3S']);
+    });
+
+    it('allows no typo in short words', () => {
+        expect(search('hp')).toEqual(['HP Pavilion 14']);
+    });
+
+    it('completes a single letter', () => {
+        const names = search('a');
+        
+        expect(names).toEqual(expect.arrayContaining(['ASUS ROG Strix G16', 'Apple MacBook Air M2']));
+        expect(names).not.toContain('Dell OptiPlex 7010 Tour');
+    });
+});
+
+describe('searchProducts', () => {
+    beforeEach(() => {
+        document.body.innerHTML = '<div id="search-results"></div>';
+        vi.spyOn(console, 'error').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        vi.restoreAllMocks();
+    });
+
+    it('searches a single letter in the index', async () => {
+        expect(minSearchLength(true)).toBe(1);
+        
+        const products = await searchProducts('m', 50, 'search-results', { useIndex: true });
+        
+        expect(products.map(product => product.name)).toContain('Apple MacBook Air M2');
+        expect(document.getElementById('search-results').textContent).toContain('Apple MacBook Air M2');
+    });
+
+    it('still needs 2 characters on the server', async () => {
+        await expect(searchProducts('m', 50, 'search-results', { useIndex: false }))
+            .rejects.toThrow('Search query must be at least 2 characters');
+    });
+});
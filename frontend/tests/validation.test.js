@@ -0,0 +1,58 @@
+import { describe, it, expect } from 'vitest';
+import { validateRegistrationForm } from '../pages/js/auth.js';
+import { validateShippingData } from '../pages/js/orders.js';
+
+describe('validateRegistrationForm', () => {
+    const valid = {
+        email: 'amine@example.tn',
+        password: 'secret1',
+        confirmPassword: 'secret1',
+        first_name: 'Amine',
+        last_name: 'Ben Salah',
+        phone: '22123456'
+    };
+
+    it('accepts a complete form', () => {
+        expect(validateRegistrationForm(valid)).toEqual({ valid: true, errors: [] });
+    });
+
+    it.each([
+        [{ email: 'not-an-email' }, 'Please enter a valid email address'],
+        [{ password: '123', confirmPassword: '123' }, 'Password must be at least 6 characters long'],
+        [{ confirmPassword: 'secret2' }, 'Passwords do not match'],
+        [{ first_name: ' A ' }, 'First name must be at least 2 characters'],
+        [{ last_name: '' }, 'Last name must be at least 2 characters'],
+        [{ phone: '221234' }, 'Phone number must be 8 digits']
+    ])('rejects %o', (change, message) => {
+        expect(validateRegistrationForm({ ...valid, ...change })).toEqual({ valid: false, errors: [message] });
+    });
+
+    it('reports every problem at once', () => {
+        const result = validateRegistrationForm({});
+        expect(result.valid).toBe(false);
+        expect(result.errors).toHaveLength(5);
+    });
+});
+
+describe('validateShippingData', () => {
+    const valid = {
+        shipping_address: '12 rue de Marseille',
+        shipping_city: 'Tunis',
+        shipping_postal_code: '1000',
+        payment_method: 'cash_on_delivery'
+    };
+
+    it('accepts a complete address', () => {
+        expect(validateShippingData(valid)).toEqual({ valid: true, errors: [] });
+    });
+
+    it.each([
+        [{ shipping_address: '12 rue' }, 'Shipping address must be at least 10 characters'],
+        [{ shipping_city: ' T ' }, 'Please enter a valid city'],
+        [{ shipping_postal_code: '10000' }, 'Postal code must be 4 digits'],
+        [{ shipping_postal_code: 'abcd' }, 'Postal code must be 4 digits'],
+        [{ payment_method: 'bitcoin' }, 'Please select a valid payment method']
+    ])('rejects %o', (change, message) => {
+        expect(validateShippingData({ ...valid, ...change })).toEqual({ valid: false, errors: [message] });
+    });
+});
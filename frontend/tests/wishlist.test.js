@@ -0,0 +1,41 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { apiCall } from '../pages/js/api.js';
+import { toggleWishlist, loadWishlistIds, isInWishlist } from '../pages/js/wishlist.js';
+import { useMockBackend, loginCustomer } from './helpers.js';
+
+let backend;
+
+async function serverWishlist() {
+    const response = await apiCall('/wishlist/view.php', 'GET');
+    return response.data.items.map(item => item.product.id);
+}
+
+beforeEach(async () => {
+    localStorage.clear();
+    backend = useMockBackend();
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    await loginCustomer();
+    await apiCall('/wishlist/add.php', 'POST', { product_id: 6 });
+    await loadWishlistIds(true);
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('toggleWishlist', () => {
+    it('removes a wishlisted product', async () => {
+        expect(await toggleWishlist(6, 'Produit')).toBe(false);
+        
+        expect(isInWishlist(6)).toBe(false);
+        expect(await serverWishlist()).toEqual([]);
+    });
+
+    it('removes with POST when the server refuses DELETE', async () => {
+        backend.injectFailure({ endpoint: '/wishlist/remove.php', method: 'DELETE', type: 'http', status: 405 });
+        
+        expect(await toggleWishlist(6, 'Produit')).toBe(false);
+        
+        expect(await serverWishlist()).toEqual([]);
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { apiCall } from '../pages/js/api.js';
+import { loadProducts } from '../pages/js/products.js';
+import { loadCart } from '../pages/js/cart.js';
+import { loadOrderHistory, loadOrderDetail } from '../pages/js/orders.js';
+import { loadWishlist } from '../pages/js/wishlist.js';
+import { initMiniCart, openMiniCart } from '../pages/js/mini-cart.js';
+import { showNotification } from '../pages/js/ui.js';
+import { useMockBackend, loginCustomer } from './helpers.js';
+
+/**
+ * Product data an attacker could get into the catalogue or an order
+ */
+const PAYLOAD = '<img src=x onerror="window.pwned = true"><script>window.pwned = true</script>';
+
+let backend;
+
+/**
+ * Renames product 6 (in stock in the fixtures) to the payload
+ */
+function poisonProduct() {
+    const product = backend.db.products.find(candidate => candidate.id === 6);
+    product.name = PAYLOAD;
+    product.brand = PAYLOAD;
+    product.image_url = '" onerror="window.pwned = true';
+    return product;
+}
+
+/**
+ * The payload is shown as text: no element was created from it
+ */
+function expectInert(root) {
+    expect(root.querySelector('img[onerror], script')).toBeNull();
+    expect(root.textContent).toContain(PAYLOAD);
+    expect(window.pwned).toBeUndefined();
+}
+
+beforeEach(async () => {
+    localStorage.clear();
+    document.body.innerHTML = '<a class="cart" href="cart.html">Cart <span class="cart-count"></span></a><main id="content"></main>';
+    backend = useMockBackend();
+    vi.spyOn(console, 'error').mockImplementation(() => {});
+    poisonProduct();
+    await loginCustomer();
+});
+
+afterEach(() => {
+    vi.restoreAllMocks();
+});
+
+describe('markup built from API data is escaped', () => {
+    it('product grid', async () => {
+        document.getElementById('content').innerHTML = '<div id="products-container"></div>';
+        
+        await loadProducts(1, 50);
+        
+        expectInert(document.getElementById('products-container'));
+    });
+
+    it('cart page', async () => {
+        await apiCall('/cart/add.php', 'POST', { product_id: 6, quantity: 1 });
+        document.getElementById('content').innerHTML = '<div id="cart-container"></div>';
+        
+        await loadCart();
+        
+        expectInert(document.getElementById('cart-container'));
+    });
+
+    it('mini-cart drawer', async () => {
+        await apiCall('/cart/add.php', 'POST', { product_id: 6, quantity: 1 });
+        initMiniCart();
+        
+        openMiniCart();
+        
+        const drawer = document.getElementById('mini-cart');
+        await vi.waitFor(() => expect(drawer.querySelector('.mini-cart-item')).not.toBeNull());
+        expectInert(drawer);
+    });
+
+    it('wishlist page', async () => {
+        await apiCall('/wishlist/add.php', 'POST', { product_id: 6 });
+        document.getElementById('content').innerHTML = '<div id="wishlist-container"></div>';
+        
+        await loadWishlist();
+        
+        expectInert(document.getElementById('wishlist-container'));
+    });
+
+    it('order history and order detail', async () => {
+        await apiCall('/cart/add.php', 'POST', { product_id: 6, quantity: 1 });
+        const { data: order } = await apiCall('/orders/create.php', 'POST', {
+            shipping_address: PAYLOAD,
+            shipping_city: 'Tunis',
+            shipping_postal_code: '1000',
+            payment_method: 'cash_on_delivery'
+        });
+        backend.db.orders[0].order_number = PAYLOAD;
+        document.getElementById('content').innerHTML = '<div id="orders-container"></div><div id="order-detail"></div>';
+        
+        await loadOrderHistory();
+        await loadOrderDetail(order.order_id);
+        
+        expectInert(document.getElementById('orders-container'));
+        expectInert(document.getElementById('order-detail'));
+    });
+
+    it('notifications', () => {
+        showNotification(`Added ${PAYLOAD} to cart`, 'success', 0, [{ label: PAYLOAD, onClick: () => {} }]);
+        
+        const notification = document.querySelector('.notification');
+        expectInert(notification);
+        expect(notification.querySelector('[data-action="notification-action"]').textContent.trim()).toBe(PAYLOAD);
+    });
+});